@@ -2,6 +2,7 @@
 const searchBtn = document.getElementById('searchBtn');
 const searchText = document.getElementById('searchText');
 const serviceSelect = document.getElementById('service');
+const searchTabs = document.querySelectorAll('.search-tab');
 const searchResults = document.getElementById('searchResults');
 const tasksList = document.getElementById('tasksList');
 const queueBtn = document.getElementById('queueBtn');
@@ -10,6 +11,9 @@ const queuePanel = document.getElementById('queuePanel');
 const queuePanelOverlay = document.getElementById('queuePanelOverlay');
 const closePanelBtn = document.getElementById('closePanelBtn');
 const queuePanelContent = document.getElementById('queuePanelContent');
+const queueFilters = document.querySelectorAll('.queue-filter');
+const retryFailedBtn = document.getElementById('retryFailedBtn');
+const clearDoneBtn = document.getElementById('clearDoneBtn');
 
 // Quality modal elements
 const qualityModal = document.getElementById('qualityModal');
@@ -23,16 +27,138 @@ const degradeOrderDisplay = document.getElementById('degradeOrderDisplay');
 const cancelDownloadBtn = document.getElementById('cancelDownloadBtn');
 const confirmDownloadBtn = document.getElementById('confirmDownloadBtn');
 
+// Lyrics modal elements
+const lyricsModal = document.getElementById('lyricsModal');
+const closeLyricsBtn = document.getElementById('closeLyricsBtn');
+const lyricsSongTitle = document.getElementById('lyricsSongTitle');
+const lyricsSongArtist = document.getElementById('lyricsSongArtist');
+const lyricsContent = document.getElementById('lyricsContent');
+
+// Batch modal elements
+const batchBtn = document.getElementById('batchBtn');
+const batchModal = document.getElementById('batchModal');
+const closeBatchBtn = document.getElementById('closeBatchBtn');
+const cancelBatchBtn = document.getElementById('cancelBatchBtn');
+const submitBatchBtn = document.getElementById('submitBatchBtn');
+const batchText = document.getElementById('batchText');
+const batchFormat = document.getElementById('batchFormat');
+const batchPlaylist = document.getElementById('batchPlaylist');
+const batchReport = document.getElementById('batchReport');
+const playlistFile = document.getElementById('playlistFile');
+
+// Settings modal elements
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsModal = document.getElementById('settingsModal');
+const closeSettingsBtn = document.getElementById('closeSettingsBtn');
+const cancelSettingsBtn = document.getElementById('cancelSettingsBtn');
+const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+const settingsForm = document.getElementById('settingsForm');
+const settingsMessage = document.getElementById('settingsMessage');
+const apiTokensSection = document.getElementById('apiTokensSection');
+const apiTokensList = document.getElementById('apiTokensList');
+const apiTokenName = document.getElementById('apiTokenName');
+const createApiTokenBtn = document.getElementById('createApiTokenBtn');
+const apiTokenCreated = document.getElementById('apiTokenCreated');
+const logoutBtn = document.getElementById('logoutBtn');
+const accountInfo = document.getElementById('accountInfo');
+const usersSection = document.getElementById('usersSection');
+const usersList = document.getElementById('usersList');
+const newUserName = document.getElementById('newUserName');
+const newUserPassword = document.getElementById('newUserPassword');
+const newUserRole = document.getElementById('newUserRole');
+const newUserQuota = document.getElementById('newUserQuota');
+const newUserSubfolder = document.getElementById('newUserSubfolder');
+const createUserBtn = document.getElementById('createUserBtn');
+
+// Login modal elements
+const loginModal = document.getElementById('loginModal');
+const loginOverlay = document.getElementById('loginOverlay');
+const loginUsername = document.getElementById('loginUsername');
+const loginPassword = document.getElementById('loginPassword');
+const loginBtn = document.getElementById('loginBtn');
+const loginMessage = document.getElementById('loginMessage');
+
 // State
 let pollingTimeoutId = null; // Timeout ID for next scheduled poll
 let isLoadingTasks = false; // Flag to prevent concurrent requests
 let abortController = null; // AbortController for canceling in-flight requests
 let currentTasks = []; // Store current tasks for queue panel
+let currentJobs = []; // Store album jobs for queue panel
 let pendingDownload = null; // Store pending download item for modal
+let currentSearchType = 'song'; // Selected search tab
+let parentSearchResults = null; // Search results to return to from an artist/playlist view
+let providers = []; // Registered music providers
+let batchCandidates = []; // Candidates of ambiguous batch lines, for inline onclick handlers
+let eventSource = null; // Server-sent task events, polling is the fallback
+let eventsConnected = false; // Whether task events are currently streaming
+let summaryRefreshTimeoutId = null; // Debounced refresh of job totals and status counts
+let taskCounts = {}; // Number of tasks in each status
+let currentFilter = 'all'; // Selected queue filter chip
+let nextTasksCursor = null; // Cursor of the next page of tasks, null on the last page
+let isLoadingMoreTasks = false; // Flag to prevent concurrent page loads
+let settingsList = []; // Settings as described by /api/settings
+let appSettings = {}; // Current setting values by key
+let authEnabled = false; // Whether the server requires logging in
+let appStarted = false; // Whether providers, settings and tasks were loaded
+let currentUser = null; // Logged-in user, the built-in admin without authentication
+let usersById = {}; // Accounts by id, loaded for admins to label task owners
+
+// Statuses shown by each queue filter chip; an empty list shows every task
+const QUEUE_FILTERS = {
+  all: [],
+  active: ['queued', 'downloading', 'organizing'],
+  paused: ['paused'],
+  failed: ['failed', 'cancelled'],
+  done: ['done', 'skipped']
+};
+
+// Tasks fetched per page of the queue panel
+const TASK_PAGE_SIZE = 50;
 
 // Store search results data on window for inline onclick handlers to access
 window.searchResultsData = [];
 
+// Load the registered music providers into the service dropdown
+async function loadProviders() {
+  try {
+    const response = await fetch('/api/providers');
+    const data = await response.json();
+    
+    // Providers without search (e.g. local imports) have nothing to offer here
+    providers = (data.providers || []).filter(provider => provider.searchTypes.length > 0);
+    serviceSelect.innerHTML = providers.map(provider => `
+      <option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</option>
+    `).join('');
+    
+    if (data.defaultService) {
+      serviceSelect.value = data.defaultService;
+    }
+    updateSearchTabs();
+  } catch (error) {
+    console.error('Failed to load providers:', error);
+  }
+}
+
+// Provider selected in the service dropdown
+function getSelectedProvider() {
+  return providers.find(provider => provider.id === serviceSelect.value) || null;
+}
+
+// Only show the search tabs the selected provider supports
+function updateSearchTabs() {
+  const provider = getSelectedProvider();
+  const searchTypes = provider ? provider.searchTypes : ['song'];
+  
+  searchTabs.forEach(tab => {
+    tab.style.display = searchTypes.includes(tab.dataset.type) ? '' : 'none';
+  });
+  
+  if (!searchTypes.includes(currentSearchType)) {
+    currentSearchType = searchTypes[0];
+    searchTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.type === currentSearchType));
+  }
+}
+
 // Search music
 async function searchMusic() {
   const text = searchText.value.trim();
@@ -48,7 +174,7 @@ async function searchMusic() {
   searchResults.innerHTML = '<p class="loading">Searching...</p>';
   
   try {
-    const response = await fetch(`/api/search?service=${service}&text=${encodeURIComponent(text)}&pageNum=1&pageSize=20`);
+    const response = await fetch(`/api/search?service=${service}&type=${currentSearchType}&text=${encodeURIComponent(text)}&pageNum=1&pageSize=20`);
     const data = await response.json();
     
     if (data.error) {
@@ -57,6 +183,7 @@ async function searchMusic() {
     
     // Support both 'results' and 'items' fields for compatibility
     const results = data.results || data.items || [];
+    parentSearchResults = null;
     displaySearchResults(results);
     
   } catch (error) {
@@ -67,10 +194,28 @@ async function searchMusic() {
   }
 }
 
+// Switch between song, album, artist and playlist results
+function selectSearchTab(type) {
+  currentSearchType = type;
+  searchTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.type === type));
+  
+  if (searchText.value.trim()) {
+    searchMusic();
+  }
+}
+
 // Display search results
-function displaySearchResults(results) {
+// `heading` is set when showing the songs of an artist or playlist
+function displaySearchResults(results, heading = null) {
+  const headingHtml = heading ? `
+    <div class="results-heading">
+      <button class="back-btn" onclick="backToSearchResults()">← Back</button>
+      <span>${escapeHtml(heading)}</span>
+    </div>
+  ` : '';
+  
   if (!results || results.length === 0) {
-    searchResults.innerHTML = '<p class="placeholder">No results found</p>';
+    searchResults.innerHTML = headingHtml + '<p class="placeholder">No results found</p>';
     window.searchResultsData = [];
     return;
   }
@@ -78,7 +223,7 @@ function displaySearchResults(results) {
   // Store results data
   window.searchResultsData = results;
   
-  searchResults.innerHTML = results.map((item, index) => `
+  searchResults.innerHTML = headingHtml + results.map((item, index) => `
     <div class="result-item">
       <img 
         src="${escapeHtml(item.coverUrl || '/placeholder.png')}" 
@@ -90,19 +235,106 @@ function displaySearchResults(results) {
         <div class="result-title">${escapeHtml(item.title)}</div>
         <div class="result-artist">${escapeHtml(item.artist)}</div>
         <div class="result-meta">
-          ${item.album ? escapeHtml(item.album) + ' · ' : ''}
-          ${escapeHtml(item.format)}
+          ${renderResultMeta(item)}
         </div>
       </div>
       <div class="result-actions">
-        <button class="download-btn ${item.disabled ? 'disabled' : ''}" data-index="${index}" onclick="downloadSongByIndex(${index}, this)" ${item.disabled ? 'disabled' : ''}>
-          Download
-        </button>
+        ${renderResultAction(item, index)}
       </div>
     </div>
   `).join('');
 }
 
+// Render the action button of a search result
+function renderResultAction(item, index) {
+  const disabled = item.disabled ? 'disabled' : '';
+  
+  // Artists and playlists open their song list instead of downloading
+  if (item.type === 'singer' || item.type === 'songlist') {
+    return `
+      <button class="download-btn ${disabled}" onclick="openSearchResult(${index})" ${disabled}>
+        ${item.type === 'singer' ? 'Top Songs' : 'View Tracks'}
+      </button>
+    `;
+  }
+  
+  return `
+    <button class="download-btn ${disabled}" data-index="${index}" onclick="downloadSongByIndex(${index}, this)" ${disabled}>
+      ${item.type === 'album' ? 'Download Album' : 'Download'}
+    </button>
+  `;
+}
+
+// Render the meta line of a search result
+function renderResultMeta(item) {
+  const parts = [];
+  
+  if (item.type === 'album') {
+    parts.push('Album');
+    if (item.year) parts.push(item.year);
+    if (item.trackCount) parts.push(`${item.trackCount} tracks`);
+    return escapeHtml(parts.join(' · '));
+  }
+  
+  if (item.type === 'singer') {
+    parts.push('Artist');
+    if (item.songCount) parts.push(`${item.songCount} songs`);
+    if (item.albumCount) parts.push(`${item.albumCount} albums`);
+    return escapeHtml(parts.join(' · '));
+  }
+  
+  if (item.type === 'songlist') {
+    parts.push('Playlist');
+    if (item.trackCount) parts.push(`${item.trackCount} tracks`);
+    return escapeHtml(parts.join(' · '));
+  }
+  
+  return `${item.album ? escapeHtml(item.album) + ' · ' : ''}${escapeHtml(item.format)}`;
+}
+
+// Show the songs of an artist or playlist result
+async function openSearchResult(index) {
+  const item = window.searchResultsData[index];
+  if (!item) {
+    return;
+  }
+  
+  const service = serviceSelect.value;
+  const url = item.type === 'singer'
+    ? `/api/artists/${encodeURIComponent(item.singerId)}/songs?service=${service}`
+    : `/api/playlists/${encodeURIComponent(item.playlistId)}/songs?service=${service}`;
+  const heading = item.type === 'singer' ? `Top songs of ${item.title}` : `Playlist: ${item.title}`;
+  
+  // Remember the list we came from so "Back" can restore it
+  parentSearchResults = window.searchResultsData;
+  searchResults.innerHTML = '<p class="loading">Loading...</p>';
+  
+  try {
+    const response = await fetch(url);
+    const data = await response.json();
+    
+    if (data.error) {
+      throw new Error(data.message || data.error);
+    }
+    
+    displaySearchResults(data.results || data.items || [], heading);
+    
+  } catch (error) {
+    displaySearchResults([], heading);
+    searchResults.insertAdjacentHTML('beforeend', `<p class="placeholder">Error: ${escapeHtml(error.message)}</p>`);
+  }
+}
+
+// Return from an artist/playlist view to the search results
+function backToSearchResults() {
+  const results = parentSearchResults || [];
+  parentSearchResults = null;
+  displaySearchResults(results);
+}
+
+window.openSearchResult = openSearchResult;
+window.backToSearchResults = backToSearchResults;
+
 // Download song by index - shows quality selection modal
 async function downloadSongByIndex(index, buttonElement) {
   const item = window.searchResultsData[index];
@@ -133,12 +365,26 @@ function showQualityModal(item) {
   modalSongTitle.textContent = item.title;
   modalSongArtist.textContent = item.artist;
   
-  // Parse available qualities from rawFormat
-  const availableQualities = getAvailableQualities(item.rawFormat);
+  // Songs list their qualities; album tracks vary, so offer every quality of the provider
+  const provider = getSelectedProvider();
+  let availableQualities;
+  if (item.qualities && item.qualities.length > 0) {
+    availableQualities = item.qualities;
+  } else if (item.type === 'album' && provider) {
+    availableQualities = provider.qualities.map(quality => ({ ...quality, size: null }));
+  } else {
+    availableQualities = getAvailableQualities(item.rawFormat);
+  }
   
   // Render quality options
   renderQualityOptions(availableQualities);
   
+  // Start from the configured strategy
+  const strategy = appSettings.allowDegrade ? 'allow-degrade' : 'no-degrade';
+  document.querySelector(`input[name="strategy"][value="${strategy}"]`).checked = true;
+  degradeOrderSection.style.display = appSettings.allowDegrade ? 'block' : 'none';
+  degradeOrderDisplay.textContent = (appSettings.degradeOrder || ['HQ', 'PQ', 'LQ']).join(' → ');
+  
   // Show modal
   qualityModal.style.display = 'block';
   modalOverlay.style.display = 'block';
@@ -194,7 +440,7 @@ function getQualityName(code) {
 // Render quality options
 function renderQualityOptions(qualities) {
   qualityOptions.innerHTML = qualities.map(q => `
-    <div class="quality-option ${q.code === 'HQ' ? 'selected' : ''}" data-quality="${escapeHtml(q.code)}">
+    <div class="quality-option ${q.code === (appSettings.defaultQuality || 'HQ') ? 'selected' : ''}" data-quality="${escapeHtml(q.code)}">
       <div class="quality-label">${escapeHtml(q.name)}</div>
       ${q.size ? `<div class="quality-desc">${formatBytes(q.size)}</div>` : ''}
     </div>
@@ -259,6 +505,36 @@ async function downloadSong(item, preferredToneFlag = 'HQ', allowDegrade = false
   }
 }
 
+// Download every track of an album as one job
+async function downloadAlbum(item, preferredToneFlag = 'HQ', allowDegrade = false, degradeOrder = ['HQ', 'PQ', 'LQ']) {
+  try {
+    const response = await fetch('/api/jobs/album', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        service: serviceSelect.value,
+        albumId: item.albumId,
+        preferredToneFlag: preferredToneFlag,
+        allowDegrade: allowDegrade,
+        degradeOrder: degradeOrder
+      })
+    });
+    
+    const job = await response.json();
+    
+    if (job.error) {
+      throw new Error(job.message || job.error);
+    }
+    
+    loadTasks();
+    
+  } catch (error) {
+    alert('Failed to download album: ' + error.message);
+  }
+}
+
 // Load tasks
 async function loadTasks() {
   // Prevent concurrent requests - only one request should be in-flight at a time
@@ -276,7 +552,9 @@ async function loadTasks() {
   abortController = new AbortController();
 
   try {
-    const response = await fetch('/api/tasks', { 
+    // Reload every page loaded so far so scrolled-in tasks stay put
+    const limit = Math.min(500, Math.max(TASK_PAGE_SIZE, currentTasks.length));
+    const response = await fetch(getTasksUrl({ limit }), { 
       signal: abortController.signal 
     });
     const tasks = await response.json();
@@ -285,28 +563,21 @@ async function loadTasks() {
       throw new Error(tasks.error);
     }
     
-    displayTasks(tasks);
-    
     // Store tasks for queue panel
     currentTasks = tasks;
+    nextTasksCursor = response.headers.get('X-Next-Cursor');
+    await loadQueueSummary(abortController.signal);
+    renderTasks();
     
-    // Update queue badge
-    const activeTasks = tasks.filter(task => 
-      ['queued', 'downloading', 'organizing'].includes(task.status)
-    );
-    updateQueueBadge(activeTasks.length);
-    
-    // Update queue panel if it's open
-    if (queuePanel.style.display !== 'none') {
-      displayQueuePanel();
+    // While task events stream in, one snapshot is enough
+    if (eventsConnected) {
+      return;
     }
     
-    // Determine if there are active tasks
-    const hasActiveTasks = activeTasks.length > 0;
-    
     // Schedule next poll based on task activity
     // Active tasks: poll every 3 seconds for frequent updates
     // No active tasks: poll every 10 seconds for background monitoring
+    const hasActiveTasks = countActiveTasks() > 0;
     const nextInterval = hasActiveTasks ? 3000 : 10000;
     scheduleNextPoll(nextInterval);
     
@@ -323,6 +594,180 @@ async function loadTasks() {
   }
 }
 
+// Build the task list URL for the selected filter
+function getTasksUrl(params = {}) {
+  const query = new URLSearchParams();
+  const statuses = QUEUE_FILTERS[currentFilter];
+  if (statuses.length > 0) {
+    query.set('status', statuses.join(','));
+  }
+  Object.entries(params).forEach(([key, value]) => query.set(key, value));
+  return `/api/tasks?${query}`;
+}
+
+// Load the next page of tasks when the queue panel is scrolled to the bottom
+async function loadMoreTasks() {
+  if (!nextTasksCursor || isLoadingMoreTasks) {
+    return;
+  }
+  
+  isLoadingMoreTasks = true;
+  try {
+    const response = await fetch(getTasksUrl({ limit: TASK_PAGE_SIZE, cursor: nextTasksCursor }));
+    const tasks = await response.json();
+    
+    if (tasks.error) {
+      throw new Error(tasks.error);
+    }
+    
+    const known = new Set(currentTasks.map(task => task.id));
+    currentTasks = currentTasks.concat(tasks.filter(task => !known.has(task.id)));
+    nextTasksCursor = response.headers.get('X-Next-Cursor');
+    renderTasks();
+  } catch (error) {
+    console.error('Failed to load more tasks:', error);
+  } finally {
+    isLoadingMoreTasks = false;
+  }
+}
+
+// Switch the queue filter chip and reload the first page
+function selectQueueFilter(filter) {
+  currentFilter = filter;
+  queueFilters.forEach(chip => chip.classList.toggle('active', chip.dataset.filter === filter));
+  
+  currentTasks = [];
+  nextTasksCursor = null;
+  queuePanelContent.scrollTop = 0;
+  
+  // A load for the previous filter may still be in flight
+  if (abortController) {
+    abortController.abort();
+  }
+  isLoadingTasks = false;
+  loadTasks();
+}
+
+// Load album jobs and per-status task counts
+async function loadQueueSummary(signal) {
+  // Album jobs are only needed when some listed task belongs to one
+  const needsJobs = currentTasks.some(task => task.job_id);
+  const [jobs, queue] = await Promise.all([
+    needsJobs ? fetch('/api/jobs', { signal }).then(response => response.json()) : [],
+    fetch('/api/queue', { signal }).then(response => response.json())
+  ]);
+  
+  currentJobs = Array.isArray(jobs) ? jobs : [];
+  taskCounts = queue.counts || {};
+}
+
+function countActiveTasks() {
+  return QUEUE_FILTERS.active.reduce((sum, status) => sum + (taskCounts[status] || 0), 0);
+}
+
+function matchesQueueFilter(task) {
+  const statuses = QUEUE_FILTERS[currentFilter];
+  return statuses.length === 0 || statuses.includes(task.status);
+}
+
+// Render the task list, queue badge, filter counts and (if open) queue panel from currentTasks
+function renderTasks() {
+  displayTasks(currentTasks);
+  updateQueueBadge(countActiveTasks());
+  
+  queueFilters.forEach(chip => {
+    const statuses = QUEUE_FILTERS[chip.dataset.filter];
+    const count = statuses.length === 0
+      ? Object.values(taskCounts).reduce((sum, n) => sum + n, 0)
+      : statuses.reduce((sum, status) => sum + (taskCounts[status] || 0), 0);
+    chip.querySelector('.queue-filter-count').textContent = count;
+  });
+  
+  if (queuePanel.style.display !== 'none') {
+    displayQueuePanel();
+  }
+}
+
+// Subscribe to live task events; polling takes over while the stream is down
+function connectEvents() {
+  if (!window.EventSource) {
+    return;
+  }
+  
+  eventSource = new EventSource('/api/events');
+  
+  eventSource.addEventListener('open', () => {
+    eventsConnected = true;
+    if (pollingTimeoutId) {
+      clearTimeout(pollingTimeoutId);
+      pollingTimeoutId = null;
+    }
+    // Catch up on anything missed while disconnected
+    loadTasks();
+  });
+  
+  eventSource.addEventListener('error', () => {
+    // EventSource reconnects by itself; poll until it does
+    if (eventsConnected) {
+      eventsConnected = false;
+      scheduleNextPoll(3000);
+    }
+  });
+  
+  eventSource.addEventListener('task.created', (event) => upsertTask(JSON.parse(event.data)));
+  eventSource.addEventListener('task.status', (event) => upsertTask(JSON.parse(event.data)));
+  eventSource.addEventListener('task.deleted', (event) => {
+    const { id } = JSON.parse(event.data);
+    currentTasks = currentTasks.filter(task => task.id !== id);
+    scheduleSummaryRefresh();
+    renderTasks();
+  });
+  eventSource.addEventListener('task.progress', (event) => {
+    const progress = JSON.parse(event.data);
+    const task = currentTasks.find(t => t.id === progress.id);
+    if (task) {
+      Object.assign(task, progress);
+      renderTasks();
+    }
+  });
+}
+
+// Insert, replace or drop a task from an event, keeping the newest-first order of /api/tasks
+function upsertTask(task) {
+  const index = currentTasks.findIndex(t => t.id === task.id);
+  if (index !== -1) {
+    currentTasks.splice(index, 1);
+  }
+  
+  if (matchesQueueFilter(task)) {
+    const position = currentTasks.findIndex(t => t.created_at < task.created_at);
+    // Older than every loaded task: it belongs to a page not loaded yet
+    if (position !== -1 || !nextTasksCursor) {
+      currentTasks.splice(position === -1 ? currentTasks.length : position, 0, task);
+    }
+  }
+  
+  scheduleSummaryRefresh();
+  renderTasks();
+}
+
+// Refresh album job totals and status counts at most once per second while events arrive
+function scheduleSummaryRefresh() {
+  if (summaryRefreshTimeoutId) {
+    return;
+  }
+  
+  summaryRefreshTimeoutId = setTimeout(async () => {
+    summaryRefreshTimeoutId = null;
+    try {
+      await loadQueueSummary();
+      renderTasks();
+    } catch (error) {
+      console.error('Failed to load queue summary:', error);
+    }
+  }, 1000);
+}
+
 // Schedule the next poll after a delay
 // This implements serial polling: only one request in-flight at a time
 // Why not setInterval? setInterval fires at fixed intervals regardless of
@@ -363,6 +808,7 @@ function displayTasks(tasks) {
           ${task.album ? escapeHtml(task.album) + ' · ' : ''}
           ${escapeHtml(task.format)}
           ${task.library_path ? ' · ' + escapeHtml(task.library_path) : ''}
+          ${renderTaskOwner(task)}
         </div>
         ${task.error_message ? `<div class="error-message">${escapeHtml(task.error_message)}</div>` : ''}
       </div>
@@ -427,7 +873,7 @@ function displayQueuePanel() {
     return;
   }
   
-  queuePanelContent.innerHTML = currentTasks.map(task => {
+  queuePanelContent.innerHTML = renderJobSummaries() + currentTasks.map(task => {
     const isActive = ['queued', 'downloading', 'organizing'].includes(task.status);
     const progress = task.progress || 0;
     const hasProgress = task.total_bytes > 0;
@@ -478,12 +924,737 @@ function displayQueuePanel() {
           </div>
         </div>
         ${progressHtml}
+        ${renderRetryInfo(task)}
         ${task.error_message ? `<div class="queue-task-error">${escapeHtml(task.error_message)}</div>` : ''}
+        ${task.duplicate_reason ? `<div class="queue-task-duplicate">${escapeHtml(task.duplicate_reason)}</div>` : ''}
+        ${renderTaskActions(task)}
       </div>
     `;
   }).join('');
 }
 
+// Render aggregate progress for album jobs
+function renderJobSummaries() {
+  return currentJobs.map(job => `
+    <div class="queue-job-item">
+      <div class="queue-job-header">
+        <div class="queue-task-info">
+          <div class="queue-task-title">${job.type === 'playlist' ? '📃' : '💿'} ${escapeHtml(job.title)}</div>
+          <div class="queue-task-artist">${escapeHtml(job.artist)}</div>
+        </div>
+        <div class="queue-task-status status-${escapeHtml(job.status)}">
+          ${escapeHtml(job.status)}
+        </div>
+      </div>
+      <div class="queue-task-progress">
+        <div class="progress-bar">
+          <div class="progress-bar-fill" style="width: ${job.progress}%"></div>
+        </div>
+        <div class="progress-info">
+          <span>${job.done} / ${job.total} tracks · ${job.progress}%</span>
+          <span>${job.failed ? `${job.failed} failed` : ''}</span>
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Render the scheduled retry of a task waiting for its next attempt
+function renderRetryInfo(task) {
+  if (task.status !== 'queued' || !task.next_attempt_at || task.next_attempt_at <= Date.now()) {
+    return '';
+  }
+  
+  const retryTime = new Date(task.next_attempt_at).toLocaleTimeString();
+  return `
+    <div class="queue-task-retry">
+      Retry ${(task.attempt_count || 0) + 1} of ${task.max_attempts} at ${escapeHtml(retryTime)}
+    </div>
+  `;
+}
+
+// Render cancel/pause/resume/retry/delete buttons (and lyrics for finished tasks) for a queue task
+function renderTaskActions(task) {
+  const actions = [];
+  const lyricsButton = task.status === 'done'
+    ? `<button class="task-action-btn task-action-lyrics" onclick="showLyrics(${task.id})">Lyrics</button>`
+    : '';
+  
+  if (['queued', 'downloading'].includes(task.status)) {
+    actions.push({ action: 'pause', label: 'Pause' });
+  }
+  if (task.status === 'paused') {
+    actions.push({ action: 'resume', label: 'Resume' });
+  }
+  if (['queued', 'downloading', 'paused'].includes(task.status)) {
+    actions.push({ action: 'cancel', label: 'Cancel' });
+  }
+  if (['failed', 'cancelled', 'skipped'].includes(task.status)) {
+    actions.push({ action: 'retry', label: 'Retry' });
+  }
+  if (['queued', 'paused', 'done', 'failed', 'cancelled', 'skipped'].includes(task.status)) {
+    actions.push({ action: 'delete', label: 'Delete' });
+  }
+  
+  if (actions.length === 0 && !lyricsButton) {
+    return '';
+  }
+  
+  return `
+    <div class="queue-task-actions">
+      ${lyricsButton}
+      ${actions.map(({ action, label }) => `
+        <button class="task-action-btn task-action-${action}" onclick="runTaskAction(${task.id}, '${action}', this)">
+          ${label}
+        </button>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Cancel, pause, resume, retry or delete a task
+async function runTaskAction(taskId, action, buttonElement) {
+  let url = `/api/tasks/${taskId}/${action}`;
+  let method = 'POST';
+  
+  if (action === 'delete') {
+    const task = currentTasks.find(t => t.id === taskId);
+    const deleteFile = Boolean(task && task.library_path) &&
+      confirm('Also delete the downloaded file from the library?');
+    url = `/api/tasks/${taskId}?deleteFile=${deleteFile}`;
+    method = 'DELETE';
+  }
+  
+  if (buttonElement) {
+    buttonElement.disabled = true;
+  }
+  
+  try {
+    const response = await fetch(url, { method });
+    const result = await response.json();
+    
+    if (result.error) {
+      throw new Error(result.message || result.error);
+    }
+    
+    loadTasks();
+    
+  } catch (error) {
+    alert(`Failed to ${action} task: ` + error.message);
+    if (buttonElement) {
+      buttonElement.disabled = false;
+    }
+  }
+}
+
+// Expose to window for inline onclick handlers
+window.runTaskAction = runTaskAction;
+
+// Apply an action to every task in the given statuses, e.g. retry all failed tasks
+async function runBulkAction(action, statuses, buttonElement) {
+  buttonElement.disabled = true;
+  
+  try {
+    const response = await fetch('/api/tasks/bulk', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, filter: { status: statuses.join(',') } })
+    });
+    const result = await response.json();
+    
+    if (result.error) {
+      throw new Error(result.message || result.error);
+    }
+    
+    loadTasks();
+    
+  } catch (error) {
+    alert(`Failed to ${action} tasks: ` + error.message);
+  } finally {
+    buttonElement.disabled = false;
+  }
+}
+
+// Show the lyrics of a finished task
+async function showLyrics(taskId) {
+  const task = currentTasks.find(t => t.id === taskId);
+  lyricsSongTitle.textContent = task ? task.title : '';
+  lyricsSongArtist.textContent = task ? task.artist : '';
+  lyricsContent.innerHTML = '<p class="placeholder">Loading lyrics...</p>';
+  lyricsModal.style.display = 'block';
+  modalOverlay.style.display = 'block';
+  
+  try {
+    const response = await fetch(`/api/tasks/${taskId}/lyrics`);
+    const result = await response.json();
+    
+    if (result.error) {
+      lyricsContent.innerHTML = `<p class="placeholder">${escapeHtml(result.error)}</p>`;
+      return;
+    }
+    
+    // Synced lyrics are shown without their timestamps
+    const lines = result.synced
+      ? result.lines.map(line => line.text)
+      : result.lyrics.split(/\r?\n/);
+    lyricsContent.innerHTML = lines
+      .map(line => `<div class="lyrics-line">${escapeHtml(line) || '&nbsp;'}</div>`)
+      .join('');
+    
+  } catch (error) {
+    lyricsContent.innerHTML = `<p class="placeholder">Failed to load lyrics: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// Hide lyrics modal
+function hideLyricsModal() {
+  lyricsModal.style.display = 'none';
+  modalOverlay.style.display = 'none';
+}
+
+window.showLyrics = showLyrics;
+
+// Show batch modal
+function showBatchModal() {
+  batchReport.innerHTML = '';
+  batchModal.style.display = 'block';
+  modalOverlay.style.display = 'block';
+  batchText.focus();
+}
+
+// Hide batch modal
+function hideBatchModal() {
+  batchModal.style.display = 'none';
+  modalOverlay.style.display = 'none';
+}
+
+// Match every pasted line through search and queue the confident matches
+async function submitBatch() {
+  const text = batchText.value.trim();
+  if (!text) {
+    alert('Paste at least one song');
+    return;
+  }
+  
+  submitBatchBtn.disabled = true;
+  submitBatchBtn.textContent = 'Matching...';
+  batchReport.innerHTML = '<p class="placeholder">Searching for each song...</p>';
+  
+  try {
+    const response = await fetch('/api/tasks/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        service: serviceSelect.value,
+        text,
+        format: batchFormat.value,
+        playlist: batchPlaylist.value.trim() || undefined,
+        allowDegrade: true
+      })
+    });
+    const report = await response.json();
+    
+    if (report.error) {
+      throw new Error(report.message || report.error);
+    }
+    
+    displayBatchReport(report);
+    loadTasks();
+    
+  } catch (error) {
+    batchReport.innerHTML = `<p class="error-message">Batch failed: ${escapeHtml(error.message)}</p>`;
+  } finally {
+    submitBatchBtn.disabled = false;
+    submitBatchBtn.textContent = 'Match & Queue';
+  }
+}
+
+// Import a playlist file: its matches are queued as one playlist job
+async function importPlaylistFile() {
+  const file = playlistFile.files[0];
+  if (!file) {
+    return;
+  }
+  
+  playlistFile.disabled = true;
+  batchReport.innerHTML = `<p class="placeholder">Searching for each song of ${escapeHtml(file.name)}...</p>`;
+  
+  try {
+    const response = await fetch('/api/playlists/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        service: serviceSelect.value,
+        filename: file.name,
+        content: await file.text(),
+        allowDegrade: true
+      })
+    });
+    const report = await response.json();
+    
+    if (report.error) {
+      throw new Error(report.message || report.error);
+    }
+    
+    displayBatchReport(report);
+    loadTasks();
+    
+  } catch (error) {
+    batchReport.innerHTML = `<p class="error-message">Import failed: ${escapeHtml(error.message)}</p>`;
+  } finally {
+    playlistFile.disabled = false;
+    playlistFile.value = '';
+  }
+}
+
+// Show what was queued and let the user pick among candidates of unclear lines
+function displayBatchReport(report) {
+  batchCandidates = [];
+  
+  // Matches created as skipped duplicates are already queued or in the library
+  const tasks = report.job ? report.job.tasks : report.matched.map(entry => entry.task).filter(Boolean);
+  const skipped = tasks.filter(task => task.status === 'skipped').length;
+  
+  const ambiguous = report.ambiguous.map(entry => `
+    <div class="batch-entry">
+      <div class="batch-entry-input">Line ${entry.line}: ${escapeHtml(entry.input)} <span class="batch-reason">${escapeHtml(entry.reason)}</span></div>
+      ${entry.candidates.map(candidate => {
+        const index = batchCandidates.push(candidate) - 1;
+        return `
+          <div class="batch-candidate">
+            <span>${escapeHtml(candidate.title)} - ${escapeHtml(candidate.artist)}${candidate.album ? ` · ${escapeHtml(candidate.album)}` : ''}</span>
+            <button class="task-action-btn" onclick="queueBatchCandidate(${index}, this)">Queue</button>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `).join('');
+  
+  const unmatched = report.unmatched.map(entry => `
+    <div class="batch-entry">
+      <div class="batch-entry-input">Line ${entry.line}: ${escapeHtml(entry.input)} <span class="batch-reason">${escapeHtml(entry.reason)}</span></div>
+    </div>
+  `).join('');
+  
+  batchReport.innerHTML = `
+    <div class="batch-summary">
+      ${report.matched.length} queued · ${report.ambiguous.length} to review · ${report.unmatched.length} not found
+      ${skipped > 0 ? ` · ${skipped} already downloaded` : ''}
+      ${report.playlist ? ` · saved as playlist "${escapeHtml(report.playlist.name)}"` : ''}
+    </div>
+    ${ambiguous ? `<h4>Pick a match</h4>${ambiguous}` : ''}
+    ${unmatched ? `<h4>Not found</h4>${unmatched}` : ''}
+  `;
+}
+
+// Queue a candidate picked from the batch report
+async function queueBatchCandidate(index, buttonElement) {
+  buttonElement.disabled = true;
+  await downloadSong(batchCandidates[index], appSettings.defaultQuality || 'HQ', true, appSettings.degradeOrder);
+  buttonElement.textContent = 'Queued';
+}
+
+window.queueBatchCandidate = queueBatchCandidate;
+
+// Load the settings, used as defaults of the download options
+async function loadSettings() {
+  try {
+    const response = await fetch('/api/settings');
+    if (!response.ok) {
+      // Keep the built-in download defaults
+      return;
+    }
+    const data = await response.json();
+    setSettings(data.settings || []);
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+  }
+}
+
+function setSettings(settings) {
+  settingsList = settings;
+  appSettings = Object.fromEntries(settings.map(setting => [setting.key, setting.value]));
+}
+
+// Show settings modal
+async function showSettingsModal() {
+  settingsMessage.innerHTML = '';
+  await loadSettings();
+  renderSettingsForm();
+  
+  // Refresh today's quota usage
+  if (authEnabled) {
+    const response = await fetch('/api/auth/status');
+    currentUser = (await response.json()).user;
+  }
+  renderAccountInfo();
+  
+  // Only admins change settings and manage users
+  const admin = isAdminUser();
+  settingsForm.style.display = admin ? 'block' : 'none';
+  saveSettingsBtn.style.display = admin ? 'inline-block' : 'none';
+  usersSection.style.display = admin && authEnabled ? 'block' : 'none';
+  if (admin && authEnabled) {
+    loadUsers();
+  }
+  
+  apiTokensSection.style.display = authEnabled ? 'block' : 'none';
+  logoutBtn.style.display = authEnabled ? 'inline-block' : 'none';
+  apiTokenCreated.innerHTML = '';
+  if (authEnabled) {
+    loadApiTokens();
+  }
+  settingsModal.style.display = 'block';
+  modalOverlay.style.display = 'block';
+}
+
+// Hide settings modal
+function hideSettingsModal() {
+  settingsModal.style.display = 'none';
+  modalOverlay.style.display = 'none';
+}
+
+// One field per setting; settings locked by an environment variable are read-only
+function renderSettingsForm() {
+  settingsForm.innerHTML = settingsList.map(setting => `
+    <div class="form-group">
+      <label for="setting-${setting.key}">
+        ${escapeHtml(setting.label)}
+        ${setting.saved && !setting.locked ? `<button type="button" class="task-action-btn setting-reset" onclick="resetSetting('${setting.key}')" title="Use ${escapeHtml(setting.env)} again">Reset</button>` : ''}
+      </label>
+      ${renderSettingInput(setting)}
+      <div class="setting-desc">
+        ${escapeHtml(setting.description)}
+        ${setting.locked ? `<span class="setting-locked">· Locked by ${escapeHtml(setting.env)}</span>` : ''}
+      </div>
+    </div>
+  `).join('');
+}
+
+function renderSettingInput(setting) {
+  const id = `setting-${setting.key}`;
+  const disabled = setting.locked ? 'disabled' : '';
+  
+  if (setting.type === 'boolean') {
+    return `<input type="checkbox" id="${id}" ${setting.value ? 'checked' : ''} ${disabled}>`;
+  }
+  if (setting.type === 'integer') {
+    return `<input type="number" id="${id}" min="${setting.min}" max="${setting.max}" value="${setting.value}" ${disabled}>`;
+  }
+  if (setting.type === 'string' && setting.values) {
+    return `<select id="${id}" ${disabled}>${setting.values.map(value => `
+      <option value="${escapeHtml(value)}" ${value === setting.value ? 'selected' : ''}>${escapeHtml(value)}</option>
+    `).join('')}</select>`;
+  }
+  
+  // Lists are edited comma-separated
+  const value = setting.type === 'list' ? setting.value.join(', ') : setting.value;
+  const placeholder = setting.values ? setting.values.join(', ') : '';
+  return `<input type="text" id="${id}" value="${escapeHtml(value)}" placeholder="${escapeHtml(placeholder)}" ${disabled}>`;
+}
+
+function readSettingInput(setting) {
+  const input = document.getElementById(`setting-${setting.key}`);
+  if (setting.type === 'boolean') {
+    return input.checked;
+  }
+  if (setting.type === 'integer') {
+    return Number(input.value);
+  }
+  if (setting.type === 'list') {
+    return input.value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return input.value.trim();
+}
+
+// Save the settings that were changed
+async function saveSettings() {
+  const changes = {};
+  for (const setting of settingsList.filter(setting => !setting.locked)) {
+    const value = readSettingInput(setting);
+    if (JSON.stringify(value) !== JSON.stringify(setting.value)) {
+      changes[setting.key] = value;
+    }
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    hideSettingsModal();
+    return;
+  }
+  await putSettings(changes);
+}
+
+// Go back to the value of the environment variable
+async function resetSetting(key) {
+  await putSettings({ [key]: null });
+}
+
+window.resetSetting = resetSetting;
+
+async function putSettings(changes) {
+  saveSettingsBtn.disabled = true;
+  try {
+    const response = await fetch('/api/settings', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+    
+    if (data.error) {
+      const fields = (data.fields || []).map(field => {
+        const setting = settingsList.find(item => item.key === field.key);
+        return `<li>${escapeHtml(setting ? setting.label : field.key)}: ${escapeHtml(field.message)}</li>`;
+      }).join('');
+      settingsMessage.innerHTML = `<div class="error-message">${escapeHtml(data.error)}<ul>${fields}</ul></div>`;
+      return;
+    }
+    
+    setSettings(data.settings);
+    renderSettingsForm();
+    settingsMessage.innerHTML = '<p class="placeholder">Settings saved</p>';
+    
+  } catch (error) {
+    settingsMessage.innerHTML = `<p class="error-message">Failed to save settings: ${escapeHtml(error.message)}</p>`;
+  } finally {
+    saveSettingsBtn.disabled = false;
+  }
+}
+
+// List the API tokens, without the tokens themselves
+async function loadApiTokens() {
+  try {
+    const response = await fetch('/api/auth/tokens');
+    const data = await response.json();
+    const tokens = data.tokens || [];
+    
+    apiTokensList.innerHTML = tokens.length === 0
+      ? '<p class="placeholder">No API tokens</p>'
+      : tokens.map(token => `
+        <div class="api-token">
+          <span>
+            ${escapeHtml(token.name)}
+            <span class="api-token-meta">${escapeHtml(token.prefix)}… · ${token.last_used_at ? `last used ${new Date(token.last_used_at).toLocaleString()}` : 'never used'}</span>
+          </span>
+          <button class="task-action-btn task-action-delete" onclick="revokeApiToken(${token.id})">Revoke</button>
+        </div>
+      `).join('');
+  } catch (error) {
+    apiTokensList.innerHTML = `<p class="error-message">Failed to load API tokens: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// Create an API token and show it once
+async function createApiToken() {
+  const name = apiTokenName.value.trim();
+  if (!name) {
+    alert('Name the token first');
+    return;
+  }
+  
+  try {
+    const response = await fetch('/api/auth/tokens', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const token = await response.json();
+    
+    if (token.error) {
+      throw new Error(token.message || token.error);
+    }
+    
+    apiTokenName.value = '';
+    apiTokenCreated.innerHTML = `
+      <div class="api-token-created">
+        Copy the token now, it is not shown again:
+        <code>${escapeHtml(token.token)}</code>
+      </div>
+    `;
+    loadApiTokens();
+    
+  } catch (error) {
+    alert('Failed to create API token: ' + error.message);
+  }
+}
+
+async function revokeApiToken(id) {
+  if (!confirm('Revoke this token? Scripts using it stop working.')) {
+    return;
+  }
+  await fetch(`/api/auth/tokens/${id}`, { method: 'DELETE' });
+  loadApiTokens();
+}
+
+window.revokeApiToken = revokeApiToken;
+
+function isAdminUser() {
+  return !currentUser || currentUser.role === 'admin';
+}
+
+// Who is logged in and how much of the daily quota is left
+function renderAccountInfo() {
+  if (!authEnabled || !currentUser) {
+    accountInfo.style.display = 'none';
+    return;
+  }
+  
+  const { quota } = currentUser;
+  accountInfo.innerHTML = `
+    Logged in as <strong>${escapeHtml(currentUser.username)}</strong> (${escapeHtml(currentUser.role)})
+    ${quota.limit !== null ? ` · ${quota.used} of ${quota.limit} downloads used today` : ''}
+    ${currentUser.library_subfolder ? ` · Library folder: ${escapeHtml(currentUser.library_subfolder)}` : ''}
+  `;
+  accountInfo.style.display = 'block';
+}
+
+// Owner of a task, shown to admins once there are several accounts
+function renderTaskOwner(task) {
+  if (!isAdminUser() || Object.keys(usersById).length < 2) {
+    return '';
+  }
+  const owner = usersById[task.user_id];
+  return ` · <span class="task-owner">👤 ${owner ? escapeHtml(owner.username) : 'no owner'}</span>`;
+}
+
+// List the accounts with fields to change their role, quota and library folder
+async function loadUsers() {
+  try {
+    const response = await fetch('/api/users');
+    const data = await response.json();
+    const users = data.users || [];
+    usersById = Object.fromEntries(users.map(user => [user.id, user]));
+    
+    usersList.innerHTML = users.map(user => `
+      <div class="user-row">
+        <span class="user-name">
+          <strong>${escapeHtml(user.username)}</strong>
+          <span class="api-token-meta">${user.quota.used} download(s) today${user.builtin ? ' · logs in with ADMIN_PASSWORD' : ''}</span>
+        </span>
+        <select id="user-role-${user.id}" ${user.builtin ? 'disabled' : ''}>
+          ${['user', 'admin'].map(role => `<option value="${role}" ${user.role === role ? 'selected' : ''}>${role === 'admin' ? 'Admin' : 'User'}</option>`).join('')}
+        </select>
+        <input type="number" id="user-quota-${user.id}" min="0" placeholder="No quota" value="${user.daily_quota ?? ''}">
+        <input type="text" id="user-subfolder-${user.id}" placeholder="Library root" value="${escapeHtml(user.library_subfolder || '')}">
+        <button class="task-action-btn" onclick="saveUser(${user.id})">Save</button>
+        ${user.builtin ? '' : `
+          <button class="task-action-btn" onclick="resetUserPassword(${user.id})">Password</button>
+          <button class="task-action-btn task-action-delete" onclick="deleteUser(${user.id})">Delete</button>
+        `}
+      </div>
+    `).join('');
+  } catch (error) {
+    usersList.innerHTML = `<p class="error-message">Failed to load users: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// Send a user change; alerts the reason if it is rejected
+async function sendUser(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  
+  if (data.error) {
+    alert(data.message || data.error);
+    return null;
+  }
+  loadUsers();
+  return data;
+}
+
+async function createUser() {
+  const user = await sendUser('/api/users', 'POST', {
+    username: newUserName.value.trim(),
+    password: newUserPassword.value,
+    role: newUserRole.value,
+    dailyQuota: newUserQuota.value === '' ? null : newUserQuota.value,
+    librarySubfolder: newUserSubfolder.value.trim() || null
+  });
+  
+  if (user) {
+    newUserName.value = '';
+    newUserPassword.value = '';
+    newUserQuota.value = '';
+    newUserSubfolder.value = '';
+  }
+}
+
+async function saveUser(id) {
+  const user = usersById[id];
+  const quota = document.getElementById(`user-quota-${id}`).value;
+  await sendUser(`/api/users/${id}`, 'PATCH', {
+    ...(user.builtin ? {} : { role: document.getElementById(`user-role-${id}`).value }),
+    dailyQuota: quota === '' ? null : quota,
+    librarySubfolder: document.getElementById(`user-subfolder-${id}`).value.trim() || null
+  });
+}
+
+async function resetUserPassword(id) {
+  const password = prompt(`New password for ${usersById[id].username}:`);
+  if (password) {
+    await sendUser(`/api/users/${id}`, 'PATCH', { password });
+  }
+}
+
+async function deleteUser(id) {
+  if (!confirm(`Delete ${usersById[id].username}? Their tasks and files are kept.`)) {
+    return;
+  }
+  await sendUser(`/api/users/${id}`, 'DELETE');
+}
+
+window.saveUser = saveUser;
+window.resetUserPassword = resetUserPassword;
+window.deleteUser = deleteUser;
+
+// Show the login form; the app starts once logged in
+function showLoginModal() {
+  loginMessage.innerHTML = '';
+  loginModal.style.display = 'block';
+  loginOverlay.style.display = 'block';
+  loginPassword.focus();
+}
+
+async function login() {
+  loginBtn.disabled = true;
+  try {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: loginUsername.value.trim() || undefined, password: loginPassword.value })
+    });
+    const data = await response.json();
+    
+    if (data.error) {
+      throw new Error(data.message || data.error);
+    }
+    
+    currentUser = data.user;
+    loginPassword.value = '';
+    loginModal.style.display = 'none';
+    loginOverlay.style.display = 'none';
+    startApp();
+    
+  } catch (error) {
+    loginMessage.innerHTML = `<p class="error-message">${escapeHtml(error.message)}</p>`;
+  } finally {
+    loginBtn.disabled = false;
+  }
+}
+
+async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  hideSettingsModal();
+  stopPolling();
+  appStarted = false;
+  currentUser = null;
+  usersById = {};
+  showLoginModal();
+}
+
 // Show queue panel
 function showQueuePanel() {
   displayQueuePanel();
@@ -535,15 +1706,48 @@ searchText.addEventListener('keypress', (e) => {
   }
 });
 
+searchTabs.forEach(tab => {
+  tab.addEventListener('click', () => selectSearchTab(tab.dataset.type));
+});
+
+serviceSelect.addEventListener('change', updateSearchTabs);
+
 queueBtn.addEventListener('click', showQueuePanel);
 closePanelBtn.addEventListener('click', hideQueuePanel);
 queuePanelOverlay.addEventListener('click', hideQueuePanel);
+queueFilters.forEach(chip => {
+  chip.addEventListener('click', () => selectQueueFilter(chip.dataset.filter));
+});
+retryFailedBtn.addEventListener('click', () => runBulkAction('retry', ['failed'], retryFailedBtn));
+clearDoneBtn.addEventListener('click', () => {
+  if (confirm('Remove all finished tasks from the list? Downloaded files are kept.')) {
+    runBulkAction('delete', ['done'], clearDoneBtn);
+  }
+});
+queuePanelContent.addEventListener('scroll', () => {
+  const { scrollTop, clientHeight, scrollHeight } = queuePanelContent;
+  if (scrollTop + clientHeight >= scrollHeight - 100) {
+    loadMoreTasks();
+  }
+});
 
 // Quality modal event listeners
 closeModalBtn.addEventListener('click', hideQualityModal);
 cancelDownloadBtn.addEventListener('click', hideQualityModal);
 modalOverlay.addEventListener('click', hideQualityModal);
 
+// Lyrics modal event listeners
+closeLyricsBtn.addEventListener('click', hideLyricsModal);
+modalOverlay.addEventListener('click', hideLyricsModal);
+
+// Batch modal event listeners
+batchBtn.addEventListener('click', showBatchModal);
+closeBatchBtn.addEventListener('click', hideBatchModal);
+cancelBatchBtn.addEventListener('click', hideBatchModal);
+submitBatchBtn.addEventListener('click', submitBatch);
+playlistFile.addEventListener('change', importPlaylistFile);
+modalOverlay.addEventListener('click', hideBatchModal);
+
 // Strategy radio buttons
 document.querySelectorAll('input[name="strategy"]').forEach(radio => {
   radio.addEventListener('change', function() {
@@ -566,8 +1770,8 @@ confirmDownloadBtn.addEventListener('click', async function() {
   const strategyRadio = document.querySelector('input[name="strategy"]:checked');
   const allowDegrade = strategyRadio ? strategyRadio.value === 'allow-degrade' : false;
   
-  // Degradation order (for now, hardcoded but could be customizable)
-  const degradeOrder = ['HQ', 'PQ', 'LQ'];
+  // Degradation order from the settings
+  const degradeOrder = appSettings.degradeOrder || ['HQ', 'PQ', 'LQ'];
   
   // Update degrade order display
   if (allowDegrade) {
@@ -593,7 +1797,11 @@ confirmDownloadBtn.addEventListener('click', async function() {
   const coverImg = resultItem ? resultItem.querySelector('.result-cover') : null;
   
   try {
-    await downloadSong(item, preferredToneFlag, allowDegrade, degradeOrder);
+    if (item.type === 'album') {
+      await downloadAlbum(item, preferredToneFlag, allowDegrade, degradeOrder);
+    } else {
+      await downloadSong(item, preferredToneFlag, allowDegrade, degradeOrder);
+    }
     
     // Trigger flying animation
     if (coverImg) {
@@ -610,10 +1818,29 @@ confirmDownloadBtn.addEventListener('click', async function() {
   }
 });
 
+// Settings modal event listeners
+settingsBtn.addEventListener('click', showSettingsModal);
+closeSettingsBtn.addEventListener('click', hideSettingsModal);
+cancelSettingsBtn.addEventListener('click', hideSettingsModal);
+saveSettingsBtn.addEventListener('click', saveSettings);
+modalOverlay.addEventListener('click', hideSettingsModal);
+createApiTokenBtn.addEventListener('click', createApiToken);
+createUserBtn.addEventListener('click', createUser);
+logoutBtn.addEventListener('click', logout);
+
+// Login modal event listeners
+loginBtn.addEventListener('click', login);
+loginPassword.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    login();
+  }
+});
+
 // Start polling for tasks
 function startPolling() {
   // Immediately load tasks and start the polling cycle
   loadTasks();
+  connectEvents();
 }
 
 // Stop polling
@@ -630,12 +1857,62 @@ function stopPolling() {
     abortController = null;
   }
   
+  // Close the event stream
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+    eventsConnected = false;
+  }
+  
   // Reset loading flag
   isLoadingTasks = false;
 }
 
+// Load what the page needs from the API
+function startApp() {
+  if (appStarted) {
+    return;
+  }
+  appStarted = true;
+  loadProviders();
+  loadSettings();
+  if (authEnabled && isAdminUser()) {
+    loadUsers();
+  }
+  startPolling();
+}
+
+// Ask for the password first if the server requires it
+async function initialize() {
+  try {
+    const response = await fetch('/api/auth/status');
+    const status = await response.json();
+    authEnabled = status.enabled;
+    currentUser = status.user;
+    if (!status.authenticated) {
+      showLoginModal();
+      return;
+    }
+  } catch (error) {
+    console.error('Failed to check authentication:', error);
+  }
+  startApp();
+}
+
+// An expired session shows the login form again
+const nativeFetch = window.fetch.bind(window);
+window.fetch = async (...args) => {
+  const response = await nativeFetch(...args);
+  if (response.status === 401 && authEnabled && loginModal.style.display !== 'block') {
+    stopPolling();
+    appStarted = false;
+    showLoginModal();
+  }
+  return response;
+};
+
 // Initialize
-startPolling();
+initialize();
 
 // Clean up on page unload
 window.addEventListener('beforeunload', stopPolling);
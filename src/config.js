@@ -8,7 +8,36 @@ export default {
   PORT: process.env.PORT || 17890,
   CONFIG_DIR: process.env.CONFIG_DIR || '/config',
   STAGING_DIR: process.env.STAGING_DIR || '/music/_staging',
+  // Staging files no task refers to are removed at startup once they are this old
+  STAGING_ORPHAN_AGE_MS: parseInt(process.env.STAGING_ORPHAN_AGE_MS, 10) || 24 * 60 * 60 * 1000,
   LIBRARY_DIR: process.env.LIBRARY_DIR || '/music/Library',
-  DEFAULT_SERVICE: process.env.DEFAULT_SERVICE || 'migu',
+  // Id of a registered provider; unset or unknown falls back to the first registered one
+  DEFAULT_SERVICE: process.env.DEFAULT_SERVICE || '',
+  DOWNLOAD_CONCURRENCY: parseInt(process.env.DOWNLOAD_CONCURRENCY, 10) || 2,
+  // Quality options of tasks whose request names none
+  DEFAULT_QUALITY: process.env.DEFAULT_QUALITY || 'HQ',
+  ALLOW_DEGRADE: process.env.ALLOW_DEGRADE === 'true',
+  DEGRADE_ORDER: (process.env.DEGRADE_ORDER || 'HQ,PQ,LQ').split(',').map(code => code.trim()).filter(Boolean),
+  RETRY_MAX_ATTEMPTS: parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 3,
+  RETRY_BASE_DELAY_MS: parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 30000,
+  RETRY_JITTER: process.env.RETRY_JITTER !== undefined ? parseFloat(process.env.RETRY_JITTER) : 0.2,
+  EMBED_COVER_ART: process.env.EMBED_COVER_ART !== 'false',
+  COVER_ART_FILES: (process.env.COVER_ART_FILES || '').split(',').map(name => name.trim()).filter(Boolean),
+  FETCH_LYRICS: process.env.FETCH_LYRICS !== 'false',
+  EMBED_LYRICS: process.env.EMBED_LYRICS === 'true',
+  LIBRARY_PATH_TEMPLATE: process.env.LIBRARY_PATH_TEMPLATE || '{artist}/Singles/{title}',
+  ALBUM_PATH_TEMPLATE: process.env.ALBUM_PATH_TEMPLATE || '{albumartist|artist}/{album}[ ({year})]/[{track:02} - ]{title}',
+  // Inbox scanned for local files to import; empty disables importing
+  IMPORT_DIR: process.env.IMPORT_DIR || '',
+  IMPORT_SCAN_INTERVAL_MS: parseInt(process.env.IMPORT_SCAN_INTERVAL_MS, 10) || 60000,
+  // Where the .m3u8 files of library playlists are written
+  PLAYLIST_DIR: process.env.PLAYLIST_DIR || path.join(process.env.LIBRARY_DIR || '/music/Library', 'Playlists'),
+  // What to do with songs that are already queued or in the library: skip, overwrite, keep-both or upgrade
+  DUPLICATE_POLICY: process.env.DUPLICATE_POLICY || 'skip',
+  // Password of the built-in admin account; empty disables authentication and accounts
+  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || '',
+  SESSION_TTL_MS: parseInt(process.env.SESSION_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000,
+  // Environment variables whose value overrides the settings saved in the WebUI; * locks all that are set
+  LOCKED_SETTINGS: (process.env.LOCKED_SETTINGS || '').split(',').map(name => name.trim()).filter(Boolean),
   DB_PATH: path.join(process.env.CONFIG_DIR || '/config', 'db.sqlite')
 };
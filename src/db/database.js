@@ -2,11 +2,27 @@ import Database from 'better-sqlite3';
 import fs from 'fs';
 import path from 'path';
 import config from '../config.js';
+import { migrateDatabase } from './migrations.js';
 
 let db = null;
 
+// Track metadata fields that updateTaskStatus() can change, and their columns
+const METADATA_COLUMNS = {
+  title: 'title',
+  artist: 'artist',
+  album: 'album',
+  albumArtist: 'album_artist',
+  year: 'year',
+  trackNumber: 'track_number',
+  discNumber: 'disc_number'
+};
+
+// Columns the task list can be sorted by
+export const TASK_SORT_FIELDS = ['created_at', 'updated_at', 'title', 'artist', 'status'];
+
 /**
- * Initialize database connection and create tables
+ * Initialize database connection and migrate the schema to the latest version
+ * Throws if the database was written by a newer version of the app.
  */
 export function initDatabase() {
   // Ensure config directory exists
@@ -17,105 +33,13 @@ export function initDatabase() {
   
   db = new Database(config.DB_PATH);
   
-  // Create tasks table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS tasks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      service TEXT NOT NULL,
-      title TEXT,
-      artist TEXT,
-      album TEXT,
-      cover_url TEXT,
-      download_url TEXT,
-      file_size TEXT,
-      format TEXT,
-      status TEXT NOT NULL DEFAULT 'queued',
-      error_message TEXT,
-      staging_path TEXT,
-      library_path TEXT,
-      source_url TEXT,
-      resolved_url TEXT,
-      created_at INTEGER NOT NULL,
-      updated_at INTEGER NOT NULL
-    )
-  `);
-  
-  // Add source_url and resolved_url columns if they don't exist (migration)
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN source_url TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN resolved_url TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  
-  // Add progress tracking columns if they don't exist (migration)
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN progress INTEGER DEFAULT 0`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN downloaded_bytes INTEGER DEFAULT 0`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN total_bytes INTEGER DEFAULT 0`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN speed_bps INTEGER DEFAULT 0`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN eta_seconds INTEGER DEFAULT 0`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  
-  // Add quality selection columns (migration)
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN preferred_tone_flag TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN allow_degrade INTEGER DEFAULT 0`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN degrade_order TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN tried_tone_flags TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  
-  // Add Migu-specific resolution fields (migration)
+  // Create or upgrade the tables, see migrations.js
   try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN copyright_id TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN content_id TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
-  }
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN raw_format TEXT`);
-  } catch (e) {
-    // Column already exists, ignore
+    migrateDatabase(db);
+  } catch (error) {
+    db.close();
+    db = null;
+    throw error;
   }
   
   return db;
@@ -149,18 +73,9 @@ export function createTask(taskData) {
     throw new Error('Missing required field: artist');
   }
   
-  // For non-migu services, downloadUrl is required
-  // For migu service, either downloadUrl or copyrightId must be provided
-  if (!taskData.downloadUrl || taskData.downloadUrl === '') {
-    if (taskData.service === 'migu') {
-      // Migu service can have empty downloadUrl if copyrightId is provided
-      if (!taskData.copyrightId) {
-        throw new Error('Missing required field: downloadUrl or copyrightId (for migu service)');
-      }
-    } else {
-      // Non-migu services require downloadUrl
-      throw new Error('Missing required field: downloadUrl');
-    }
+  // Providers check their own fields; every task needs something to resolve
+  if (!taskData.downloadUrl && !taskData.copyrightId) {
+    throw new Error('Missing required field: downloadUrl or copyrightId');
   }
   
   // Prepare degrade order - default to HQ->PQ->LQ if not specified
@@ -168,6 +83,12 @@ export function createTask(taskData) {
     ? JSON.stringify(taskData.degradeOrder)
     : JSON.stringify(['HQ', 'PQ', 'LQ']);
   
+  // Retry policy - fall back to the configured defaults
+  const retryPolicy = taskData.retryPolicy || {};
+  const maxAttempts = parseInt(retryPolicy.maxAttempts, 10) || config.RETRY_MAX_ATTEMPTS;
+  const retryBaseDelay = parseInt(retryPolicy.baseDelayMs, 10) || config.RETRY_BASE_DELAY_MS;
+  const retryJitter = retryPolicy.jitter !== undefined ? parseFloat(retryPolicy.jitter) : config.RETRY_JITTER;
+  
   // Prepare raw format if it's an object
   const rawFormat = taskData.rawFormat 
     ? (typeof taskData.rawFormat === 'string' ? taskData.rawFormat : JSON.stringify(taskData.rawFormat))
@@ -179,8 +100,12 @@ export function createTask(taskData) {
       file_size, format, status, 
       preferred_tone_flag, allow_degrade, degrade_order,
       copyright_id, content_id, raw_format,
-      created_at, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?, ?, ?, ?, ?)
+      max_attempts, retry_base_delay, retry_jitter,
+      track_number, disc_number, album_artist, year,
+      job_id, path_template, fill_from_tags,
+      library_path, duplicate_of, duplicate_decision, duplicate_reason,
+      user_id, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   try {
@@ -193,12 +118,29 @@ export function createTask(taskData) {
       taskData.downloadUrl,
       taskData.fileSize,
       taskData.format,
+      // Duplicates found before queueing are created as already skipped
+      taskData.status === 'skipped' ? 'skipped' : 'queued',
       taskData.preferredToneFlag || 'HQ',
       taskData.allowDegrade ? 1 : 0,
       degradeOrder,
       taskData.copyrightId || null,
       taskData.contentId || null,
       rawFormat,
+      Math.max(1, maxAttempts),
+      Math.max(0, retryBaseDelay),
+      Number.isFinite(retryJitter) ? Math.min(Math.max(retryJitter, 0), 1) : config.RETRY_JITTER,
+      parseInt(taskData.trackNumber, 10) || null,
+      parseInt(taskData.discNumber, 10) || null,
+      taskData.albumArtist || null,
+      taskData.year ? String(taskData.year) : null,
+      taskData.jobId || null,
+      taskData.pathTemplate || null,
+      taskData.fillFromTags && taskData.fillFromTags.length > 0 ? taskData.fillFromTags.join(',') : null,
+      taskData.libraryPath || null,
+      taskData.duplicateOf || null,
+      taskData.duplicateDecision || null,
+      taskData.duplicateReason || null,
+      taskData.userId || null,
       now,
       now
     );
@@ -220,6 +162,374 @@ export function getAllTasks() {
   return stmt.all();
 }
 
+/**
+ * List tasks matching filters, one page at a time
+ * Pages continue after the last row of the previous one (keyset pagination),
+ * so tasks created while paging do not shift later pages.
+ * @param {object} options
+ * @param {number} [options.userId] - Only tasks owned by this user
+ * @param {string[]} [options.statuses] - Only tasks in one of these statuses
+ * @param {string} [options.service] - Only tasks of this service
+ * @param {string} [options.search] - Substring of the title or artist, case-insensitive
+ * @param {number} [options.createdFrom] - Earliest created_at (ms), inclusive
+ * @param {number} [options.createdTo] - Latest created_at (ms), inclusive
+ * @param {string} [options.sort] - One of TASK_SORT_FIELDS
+ * @param {string} [options.order] - 'asc' or 'desc'
+ * @param {{value: *, id: number}} [options.after] - Sort value and id of the last task already seen
+ * @param {number|null} [options.limit] - Page size, null for every matching task
+ * @returns {{tasks: object[], next: {value: *, id: number}|null}} - `next` is set if more tasks follow
+ */
+export function listTasks({
+  userId = null,
+  statuses = [],
+  service = null,
+  search = null,
+  createdFrom = null,
+  createdTo = null,
+  sort = 'created_at',
+  order = 'desc',
+  after = null,
+  limit = 100
+} = {}) {
+  if (!TASK_SORT_FIELDS.includes(sort)) {
+    throw new Error(`Invalid sort field: ${sort}`);
+  }
+  
+  const db = getDatabase();
+  const where = [];
+  const params = [];
+  
+  if (userId !== null) {
+    where.push('user_id = ?');
+    params.push(userId);
+  }
+  if (statuses.length > 0) {
+    where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (service) {
+    where.push('service = ?');
+    params.push(service);
+  }
+  if (search) {
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    where.push(`(title LIKE ? ESCAPE '\\' OR artist LIKE ? ESCAPE '\\')`);
+    params.push(pattern, pattern);
+  }
+  if (createdFrom !== null) {
+    where.push('created_at >= ?');
+    params.push(createdFrom);
+  }
+  if (createdTo !== null) {
+    where.push('created_at <= ?');
+    params.push(createdTo);
+  }
+  
+  // Text columns may be NULL, which would break the row comparison below
+  const sortExpr = ['created_at', 'updated_at'].includes(sort) ? sort : `COALESCE(${sort}, '')`;
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const comparison = order === 'asc' ? '>' : '<';
+  
+  if (after) {
+    where.push(`(${sortExpr} ${comparison} ? OR (${sortExpr} = ? AND id ${comparison} ?))`);
+    params.push(after.value, after.value, after.id);
+  }
+  
+  const stmt = db.prepare(`
+    SELECT * FROM tasks
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY ${sortExpr} ${direction}, id ${direction}
+    LIMIT ?
+  `);
+  
+  // One extra row tells whether another page follows; -1 lifts the limit
+  const rows = stmt.all(...params, limit === null ? -1 : limit + 1);
+  if (limit === null || rows.length <= limit) {
+    return { tasks: rows, next: null };
+  }
+  
+  const tasks = rows.slice(0, limit);
+  const last = tasks[tasks.length - 1];
+  return { tasks, next: { value: last[sort] ?? '', id: last.id } };
+}
+
+/**
+ * Count tasks per status
+ * @returns {Object<string, number>} - e.g. { queued: 2, done: 10 }
+ */
+export function countTasksByStatus() {
+  const db = getDatabase();
+  const rows = db.prepare('SELECT status, COUNT(*) AS count FROM tasks GROUP BY status').all();
+  return Object.fromEntries(rows.map(row => [row.status, row.count]));
+}
+
+/**
+ * Create a job and its tasks in one transaction
+ * @param {object} jobData - { type, service, sourceId, title, artist, coverUrl, userId }
+ * @param {object[]} tasks - Task data as accepted by createTask()
+ * @returns {number} - The new job ID
+ */
+export function createJob(jobData, tasks) {
+  const db = getDatabase();
+  
+  if (!jobData.type) {
+    throw new Error('Missing required field: type');
+  }
+  if (!jobData.service) {
+    throw new Error('Missing required field: service');
+  }
+  
+  const insertJob = db.prepare(`
+    INSERT INTO jobs (type, service, source_id, title, artist, cover_url, user_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  
+  // A failing task rolls back the job, so there are no half-created albums
+  const run = db.transaction(() => {
+    const now = Date.now();
+    const jobId = insertJob.run(
+      jobData.type,
+      jobData.service,
+      jobData.sourceId || null,
+      jobData.title || null,
+      jobData.artist || null,
+      jobData.coverUrl || null,
+      jobData.userId || null,
+      now,
+      now
+    ).lastInsertRowid;
+    
+    for (const taskData of tasks) {
+      createTask({ ...taskData, jobId, userId: jobData.userId });
+    }
+    
+    return jobId;
+  });
+  
+  return run();
+}
+
+/**
+ * Get all jobs
+ */
+export function getAllJobs() {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM jobs ORDER BY created_at DESC, id DESC');
+  return stmt.all();
+}
+
+/**
+ * Get job by ID
+ */
+export function getJobById(id) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM jobs WHERE id = ?');
+  return stmt.get(id);
+}
+
+/**
+ * Create a playlist of tasks
+ * @param {object} playlistData - { name, jobId, userId }
+ * @param {number[]} taskIds - Member tasks in playlist order
+ * @returns {number} - The new playlist ID
+ */
+export function createPlaylist(playlistData, taskIds = []) {
+  const db = getDatabase();
+  
+  if (!playlistData.name) {
+    throw new Error('Missing required field: name');
+  }
+  
+  const insertPlaylist = db.prepare(`
+    INSERT INTO playlists (name, job_id, user_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  
+  const run = db.transaction(() => {
+    const now = Date.now();
+    const playlistId = insertPlaylist.run(playlistData.name, playlistData.jobId || null, playlistData.userId || null, now, now).lastInsertRowid;
+    setPlaylistTasks(playlistId, taskIds);
+    return playlistId;
+  });
+  
+  return run();
+}
+
+/**
+ * Get all playlists with their number of tracks and downloaded tracks
+ * @param {number|null} userId - Only playlists owned by this user, null for all
+ */
+export function getAllPlaylists(userId = null) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT playlists.*,
+      COUNT(tasks.id) AS total,
+      COUNT(CASE WHEN tasks.status IN ('done', 'skipped') THEN 1 END) AS done
+    FROM playlists
+    LEFT JOIN playlist_tasks ON playlist_tasks.playlist_id = playlists.id
+    LEFT JOIN tasks ON tasks.id = playlist_tasks.task_id
+    ${userId === null ? '' : 'WHERE playlists.user_id = ?'}
+    GROUP BY playlists.id
+    ORDER BY playlists.name COLLATE NOCASE, playlists.id
+  `);
+  return userId === null ? stmt.all() : stmt.all(userId);
+}
+
+/**
+ * Get playlist by ID
+ */
+export function getPlaylistById(id) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM playlists WHERE id = ?');
+  return stmt.get(id);
+}
+
+/**
+ * Get the tasks of a playlist in playlist order
+ */
+export function getTasksByPlaylistId(playlistId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT tasks.* FROM playlist_tasks
+    JOIN tasks ON tasks.id = playlist_tasks.task_id
+    WHERE playlist_tasks.playlist_id = ?
+    ORDER BY playlist_tasks.position
+  `);
+  return stmt.all(playlistId);
+}
+
+/**
+ * Get the IDs of the playlists a task belongs to, itself or through the
+ * tasks skipped as its duplicates
+ */
+export function getPlaylistIdsByTaskId(taskId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT DISTINCT playlist_tasks.playlist_id FROM playlist_tasks
+    JOIN tasks ON tasks.id = playlist_tasks.task_id
+    WHERE tasks.id = ? OR tasks.duplicate_of = ?
+    ORDER BY playlist_tasks.playlist_id
+  `);
+  return stmt.all(taskId, taskId).map(row => row.playlist_id);
+}
+
+/**
+ * Rename a playlist and/or replace its tasks
+ * @param {number} id - Playlist ID
+ * @param {object} changes - { name, taskIds }, omitted fields are kept
+ */
+export function updatePlaylist(id, changes = {}) {
+  const db = getDatabase();
+  
+  const run = db.transaction(() => {
+    if (changes.name) {
+      db.prepare('UPDATE playlists SET name = ? WHERE id = ?').run(changes.name, id);
+    }
+    if (Array.isArray(changes.taskIds)) {
+      setPlaylistTasks(id, changes.taskIds);
+    }
+    db.prepare('UPDATE playlists SET updated_at = ? WHERE id = ?').run(Date.now(), id);
+  });
+  
+  run();
+}
+
+/**
+ * Record where the .m3u8 file of a playlist was written (null if there is none)
+ */
+export function updatePlaylistFilePath(id, filePath) {
+  const db = getDatabase();
+  const stmt = db.prepare('UPDATE playlists SET file_path = ? WHERE id = ?');
+  return stmt.run(filePath, id);
+}
+
+/**
+ * Delete a playlist; its tasks are kept
+ * @returns {boolean} - false if there was no such playlist
+ */
+export function deletePlaylistById(id) {
+  const db = getDatabase();
+  const run = db.transaction(() => {
+    db.prepare('DELETE FROM playlist_tasks WHERE playlist_id = ?').run(id);
+    return db.prepare('DELETE FROM playlists WHERE id = ?').run(id).changes > 0;
+  });
+  return run();
+}
+
+/**
+ * Replace the tasks of a playlist, numbering their positions from 0
+ */
+function setPlaylistTasks(playlistId, taskIds) {
+  const db = getDatabase();
+  const insert = db.prepare('INSERT INTO playlist_tasks (playlist_id, task_id, position) VALUES (?, ?, ?)');
+  
+  db.prepare('DELETE FROM playlist_tasks WHERE playlist_id = ?').run(playlistId);
+  taskIds.forEach((taskId, position) => insert.run(playlistId, taskId, position));
+}
+
+/**
+ * Get the tasks of a job in disc/track order
+ */
+export function getTasksByJobId(jobId) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM tasks WHERE job_id = ? ORDER BY disc_number, track_number, id');
+  return stmt.all(jobId);
+}
+
+/**
+ * Get the tasks created for a download URL, newest first
+ * @param {string} downloadUrl - Source URL, e.g. the file:// URL of an imported file
+ */
+export function getTasksByDownloadUrl(downloadUrl) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM tasks WHERE download_url = ? ORDER BY id DESC');
+  return stmt.all(downloadUrl);
+}
+
+/**
+ * Get the staging files that tasks may still continue or organize
+ * Finished and cancelled tasks no longer need theirs.
+ * @returns {string[]}
+ */
+export function getActiveStagingPaths() {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT staging_path FROM tasks
+    WHERE staging_path IS NOT NULL AND status NOT IN ('done', 'skipped', 'cancelled')
+  `);
+  return stmt.all().map(row => row.staging_path);
+}
+
+/**
+ * Get earlier tasks of the same song that did not fail, oldest first
+ * Songs are identified by copyrightId, or by downloadUrl if they have none.
+ * Only tasks of the same user count, and tasks without an owner such as imports.
+ * @param {object} taskData - { service, copyrightId, downloadUrl, userId }
+ */
+export function findDuplicateTasks(taskData) {
+  const db = getDatabase();
+  const [column, value] = taskData.copyrightId
+    ? ['copyright_id', String(taskData.copyrightId)]
+    : ['download_url', taskData.downloadUrl];
+  const stmt = db.prepare(`
+    SELECT * FROM tasks
+    WHERE service = ? AND ${column} = ? AND status NOT IN ('failed', 'cancelled', 'skipped')
+      AND (user_id IS ? OR user_id IS NULL)
+    ORDER BY id
+  `);
+  return stmt.all(taskData.service, value, taskData.userId || null);
+}
+
+/**
+ * Point every task that has a library file at the file that replaced it
+ * @returns {number} - Number of tasks changed
+ */
+export function replaceLibraryPath(oldPath, newPath) {
+  const db = getDatabase();
+  const stmt = db.prepare('UPDATE tasks SET library_path = ?, updated_at = ? WHERE library_path = ?');
+  return stmt.run(newPath, Date.now(), oldPath).changes;
+}
+
 /**
  * Get task by ID
  */
@@ -229,6 +539,19 @@ export function getTaskById(id) {
   return stmt.get(id);
 }
 
+/**
+ * Delete a task row and remove it from its playlists
+ * @returns {boolean} - false if there was no such task
+ */
+export function deleteTaskById(id) {
+  const db = getDatabase();
+  const run = db.transaction(() => {
+    db.prepare('DELETE FROM playlist_tasks WHERE task_id = ?').run(id);
+    return db.prepare('DELETE FROM tasks WHERE id = ?').run(id).changes > 0;
+  });
+  return run();
+}
+
 /**
  * Update task status
  */
@@ -242,6 +565,9 @@ export function updateTaskStatus(id, status, errorMessage = null, additionalData
   if (errorMessage) {
     sql += ', error_message = ?';
     params.push(errorMessage);
+  } else if (status === 'done' || status === 'queued') {
+    // A finished or re-queued task no longer carries errors from earlier attempts
+    sql += ', error_message = NULL';
   }
   
   if (additionalData.stagingPath) {
@@ -289,11 +615,71 @@ export function updateTaskStatus(id, status, errorMessage = null, additionalData
     params.push(additionalData.etaSeconds);
   }
   
+  if (additionalData.stagingOffset !== undefined) {
+    sql += ', staging_offset = ?';
+    params.push(additionalData.stagingOffset);
+  }
+  
+  if (additionalData.stagingEtag !== undefined) {
+    sql += ', staging_etag = ?';
+    params.push(additionalData.stagingEtag);
+  }
+  
+  if (additionalData.attemptCount !== undefined) {
+    sql += ', attempt_count = ?';
+    params.push(additionalData.attemptCount);
+  }
+  
+  if (additionalData.nextAttemptAt !== undefined) {
+    sql += ', next_attempt_at = ?';
+    params.push(additionalData.nextAttemptAt);
+  }
+  
+  if (additionalData.attemptHistory !== undefined) {
+    sql += ', attempt_history = ?';
+    params.push(JSON.stringify(additionalData.attemptHistory));
+  }
+  
+  if (additionalData.lyrics !== undefined) {
+    sql += ', lyrics = ?';
+    params.push(additionalData.lyrics);
+  }
+  
   if (additionalData.triedToneFlags) {
     sql += ', tried_tone_flags = ?';
     params.push(additionalData.triedToneFlags);
   }
   
+  // Track metadata, e.g. read from the downloaded file
+  if (additionalData.metadata) {
+    for (const [field, column] of Object.entries(METADATA_COLUMNS)) {
+      if (additionalData.metadata[field] !== undefined) {
+        sql += `, ${column} = ?`;
+        params.push(additionalData.metadata[field]);
+      }
+    }
+  }
+  
+  if (additionalData.duplicateOf !== undefined) {
+    sql += ', duplicate_of = ?';
+    params.push(additionalData.duplicateOf);
+  }
+  
+  if (additionalData.duplicateDecision !== undefined) {
+    sql += ', duplicate_decision = ?';
+    params.push(additionalData.duplicateDecision);
+  }
+  
+  if (additionalData.duplicateReason !== undefined) {
+    sql += ', duplicate_reason = ?';
+    params.push(additionalData.duplicateReason);
+  }
+  
+  if (additionalData.fillFromTags !== undefined) {
+    sql += ', fill_from_tags = ?';
+    params.push(additionalData.fillFromTags);
+  }
+  
   sql += ' WHERE id = ?';
   params.push(id);
   
@@ -302,10 +688,226 @@ export function updateTaskStatus(id, status, errorMessage = null, additionalData
 }
 
 /**
- * Get next queued task
+ * Claim the next queued task
+ * Selects the oldest queued row whose retry delay has elapsed and flips it to
+ * 'downloading' in a single statement, so two workers can never claim the same task.
+ * @returns {object|undefined} - The claimed task row, or undefined if the queue is empty
  */
 export function getNextQueuedTask() {
   const db = getDatabase();
-  const stmt = db.prepare('SELECT * FROM tasks WHERE status = ? ORDER BY created_at ASC LIMIT 1');
-  return stmt.get('queued');
+  const now = Date.now();
+  const stmt = db.prepare(`
+    UPDATE tasks SET status = 'downloading', updated_at = ?
+    WHERE id = (
+      SELECT id FROM tasks
+      WHERE status = 'queued' AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+      ORDER BY created_at ASC, id ASC LIMIT 1
+    )
+    AND status = 'queued'
+    RETURNING *
+  `);
+  return stmt.get(now, now);
+}
+
+/**
+ * Get the saved settings
+ * @returns {object} - Setting key -> value, only for settings that were saved
+ */
+export function getStoredSettings() {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT key, value FROM settings');
+  return Object.fromEntries(stmt.all().map(row => [row.key, JSON.parse(row.value)]));
+}
+
+/**
+ * Save settings in one transaction; a null value removes the saved value
+ * @param {object} values - Setting key -> value
+ */
+export function saveSettings(values) {
+  const db = getDatabase();
+  const now = Date.now();
+  const upsert = db.prepare(`
+    INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `);
+  const remove = db.prepare('DELETE FROM settings WHERE key = ?');
+  
+  db.transaction(() => {
+    for (const [key, value] of Object.entries(values)) {
+      if (value === null) {
+        remove.run(key);
+      } else {
+        upsert.run(key, JSON.stringify(value), now);
+      }
+    }
+  })();
+}
+
+/**
+ * Store a login session of a user by the hash of its cookie
+ * Expired sessions are removed at the same time.
+ */
+export function createSession(tokenHash, userId, expiresAt) {
+  const db = getDatabase();
+  const now = Date.now();
+  db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now);
+  db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)').run(tokenHash, userId, now, expiresAt);
+}
+
+/**
+ * Get an unexpired session by the hash of its cookie
+ * @returns {object|undefined}
+ */
+export function getSessionByHash(tokenHash) {
+  const db = getDatabase();
+  const stmt = db.prepare('SELECT * FROM sessions WHERE token_hash = ? AND expires_at > ?');
+  return stmt.get(tokenHash, Date.now());
+}
+
+/**
+ * Delete a session, e.g. on logout
+ */
+export function deleteSessionByHash(tokenHash) {
+  const db = getDatabase();
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+/**
+ * Store an API token by its hash
+ * @param {object} tokenData - { name, tokenHash, prefix, userId }
+ * @returns {number} - Token ID
+ */
+export function createApiToken(tokenData) {
+  const db = getDatabase();
+  const stmt = db.prepare('INSERT INTO api_tokens (name, token_hash, prefix, user_id, created_at) VALUES (?, ?, ?, ?, ?)');
+  return stmt.run(tokenData.name, tokenData.tokenHash, tokenData.prefix, tokenData.userId, Date.now()).lastInsertRowid;
+}
+
+/**
+ * Get the API tokens of a user without their hashes, newest first
+ */
+export function getApiTokensByUserId(userId) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    SELECT id, name, prefix, user_id, created_at, last_used_at FROM api_tokens
+    WHERE user_id = ? ORDER BY created_at DESC, id DESC
+  `);
+  return stmt.all(userId);
+}
+
+/**
+ * Get an API token by its hash and record that it was used
+ * @returns {object|undefined}
+ */
+export function useApiTokenByHash(tokenHash) {
+  const db = getDatabase();
+  const stmt = db.prepare(`
+    UPDATE api_tokens SET last_used_at = ? WHERE token_hash = ?
+    RETURNING id, name, prefix, user_id, created_at, last_used_at
+  `);
+  return stmt.get(Date.now(), tokenHash);
+}
+
+/**
+ * Delete an API token of a user
+ * @returns {boolean} - false if the user has no such token
+ */
+export function deleteApiTokenById(id, userId) {
+  const db = getDatabase();
+  return db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+}
+
+/**
+ * Create a user
+ * @param {object} userData - { username, passwordHash, role, dailyQuota, librarySubfolder }
+ * @returns {number} - User ID
+ */
+export function createUser(userData) {
+  const db = getDatabase();
+  const now = Date.now();
+  const stmt = db.prepare(`
+    INSERT INTO users (username, password_hash, role, daily_quota, library_subfolder, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  return stmt.run(
+    userData.username,
+    userData.passwordHash || null,
+    userData.role,
+    userData.dailyQuota ?? null,
+    userData.librarySubfolder || null,
+    now,
+    now
+  ).lastInsertRowid;
+}
+
+/**
+ * Get all users, in the order they were created
+ */
+export function getAllUsers() {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM users ORDER BY id').all();
+}
+
+/**
+ * Get a user by ID
+ */
+export function getUserById(id) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+}
+
+/**
+ * Get a user by name, ignoring case
+ */
+export function getUserByUsername(username) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+}
+
+/**
+ * Update the given fields of a user
+ * @param {number} id
+ * @param {object} changes - passwordHash, role, dailyQuota and/or librarySubfolder
+ */
+export function updateUser(id, changes = {}) {
+  const db = getDatabase();
+  const columns = {
+    passwordHash: 'password_hash',
+    role: 'role',
+    dailyQuota: 'daily_quota',
+    librarySubfolder: 'library_subfolder'
+  };
+  const updates = Object.keys(columns).filter(key => changes[key] !== undefined);
+  
+  db.prepare(`
+    UPDATE users SET ${updates.map(key => `${columns[key]} = ?, `).join('')}updated_at = ? WHERE id = ?
+  `).run(...updates.map(key => changes[key]), Date.now(), id);
+}
+
+/**
+ * Delete a user with their sessions and API tokens
+ * Their tasks, jobs and playlists are kept without an owner.
+ * @returns {boolean} - false if there was no such user
+ */
+export function deleteUserById(id) {
+  const db = getDatabase();
+  return db.transaction(() => {
+    db.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+    db.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(id);
+    db.prepare('UPDATE tasks SET user_id = NULL WHERE user_id = ?').run(id);
+    db.prepare('UPDATE jobs SET user_id = NULL WHERE user_id = ?').run(id);
+    db.prepare('UPDATE playlists SET user_id = NULL WHERE user_id = ?').run(id);
+    return db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+/**
+ * Count the tasks a user created since a time, leaving out skipped duplicates
+ * @param {number} userId
+ * @param {number} since - Timestamp in ms
+ */
+export function countUserTasksSince(userId, since) {
+  const db = getDatabase();
+  const stmt = db.prepare(`SELECT COUNT(*) AS count FROM tasks WHERE user_id = ? AND created_at >= ? AND status != 'skipped'`);
+  return stmt.get(userId, since).count;
 }
@@ -0,0 +1,335 @@
+/**
+ * Numbered schema migrations, applied in order by migrateDatabase()
+ *
+ * The schema version is stored in SQLite's `user_version`. Each migration
+ * runs in its own transaction together with the version bump, so a failing
+ * step leaves the database at the previous version. Never edit a released
+ * migration; append a new one instead.
+ *
+ * Databases created before versioning have `user_version` 0 and any subset
+ * of the columns below, so steps use `IF NOT EXISTS` and addColumn() to
+ * bring them to the same schema as a new database.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Create tasks table',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tasks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          service TEXT NOT NULL,
+          title TEXT,
+          artist TEXT,
+          album TEXT,
+          cover_url TEXT,
+          download_url TEXT,
+          file_size TEXT,
+          format TEXT,
+          status TEXT NOT NULL DEFAULT 'queued',
+          error_message TEXT,
+          staging_path TEXT,
+          library_path TEXT,
+          source_url TEXT,
+          resolved_url TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+
+      // The first releases created the table without them
+      addColumn(db, 'tasks', 'source_url', 'TEXT');
+      addColumn(db, 'tasks', 'resolved_url', 'TEXT');
+    }
+  },
+  {
+    version: 2,
+    name: 'Add download progress',
+    up(db) {
+      addColumn(db, 'tasks', 'progress', 'INTEGER DEFAULT 0');
+      addColumn(db, 'tasks', 'downloaded_bytes', 'INTEGER DEFAULT 0');
+      addColumn(db, 'tasks', 'total_bytes', 'INTEGER DEFAULT 0');
+      addColumn(db, 'tasks', 'speed_bps', 'INTEGER DEFAULT 0');
+      addColumn(db, 'tasks', 'eta_seconds', 'INTEGER DEFAULT 0');
+    }
+  },
+  {
+    version: 3,
+    name: 'Add quality selection',
+    up(db) {
+      addColumn(db, 'tasks', 'preferred_tone_flag', 'TEXT');
+      addColumn(db, 'tasks', 'allow_degrade', 'INTEGER DEFAULT 0');
+      addColumn(db, 'tasks', 'degrade_order', 'TEXT');
+      addColumn(db, 'tasks', 'tried_tone_flags', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    name: 'Add Migu resolution fields',
+    up(db) {
+      addColumn(db, 'tasks', 'copyright_id', 'TEXT');
+      addColumn(db, 'tasks', 'content_id', 'TEXT');
+      addColumn(db, 'tasks', 'raw_format', 'TEXT');
+    }
+  },
+  {
+    version: 5,
+    name: 'Add resumable downloads',
+    up(db) {
+      addColumn(db, 'tasks', 'staging_offset', 'INTEGER DEFAULT 0');
+      addColumn(db, 'tasks', 'staging_etag', 'TEXT');
+    }
+  },
+  {
+    version: 6,
+    name: 'Add retry policy and attempt tracking',
+    up(db) {
+      addColumn(db, 'tasks', 'max_attempts', 'INTEGER');
+      addColumn(db, 'tasks', 'retry_base_delay', 'INTEGER');
+      addColumn(db, 'tasks', 'retry_jitter', 'REAL');
+      addColumn(db, 'tasks', 'attempt_count', 'INTEGER DEFAULT 0');
+      addColumn(db, 'tasks', 'next_attempt_at', 'INTEGER');
+      addColumn(db, 'tasks', 'attempt_history', 'TEXT');
+    }
+  },
+  {
+    version: 7,
+    name: 'Add tag metadata',
+    up(db) {
+      addColumn(db, 'tasks', 'track_number', 'INTEGER');
+      addColumn(db, 'tasks', 'disc_number', 'INTEGER');
+      addColumn(db, 'tasks', 'album_artist', 'TEXT');
+      addColumn(db, 'tasks', 'year', 'TEXT');
+    }
+  },
+  {
+    version: 8,
+    name: 'Add lyrics',
+    up(db) {
+      addColumn(db, 'tasks', 'lyrics', 'TEXT');
+    }
+  },
+  {
+    version: 9,
+    name: 'Add fields taken from file tags',
+    up(db) {
+      addColumn(db, 'tasks', 'fill_from_tags', 'TEXT');
+    }
+  },
+  {
+    version: 10,
+    name: 'Create jobs table',
+    up(db) {
+      // A job groups the tasks of one album, batch or playlist
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL,
+          service TEXT NOT NULL,
+          source_id TEXT,
+          title TEXT,
+          artist TEXT,
+          cover_url TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+      addColumn(db, 'tasks', 'job_id', 'INTEGER REFERENCES jobs(id)');
+      addColumn(db, 'tasks', 'path_template', 'TEXT');
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_job_id ON tasks(job_id)`);
+    }
+  },
+  {
+    version: 11,
+    name: 'Create playlists tables',
+    up(db) {
+      // A playlist is an ordered list of tasks exported as .m3u8
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS playlists (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          job_id INTEGER REFERENCES jobs(id),
+          file_path TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS playlist_tasks (
+          playlist_id INTEGER NOT NULL REFERENCES playlists(id),
+          task_id INTEGER NOT NULL REFERENCES tasks(id),
+          position INTEGER NOT NULL,
+          PRIMARY KEY (playlist_id, position)
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_playlist_tasks_task_id ON playlist_tasks(task_id)`);
+    }
+  },
+  {
+    version: 12,
+    name: 'Add duplicate detection',
+    up(db) {
+      addColumn(db, 'tasks', 'duplicate_of', 'INTEGER');
+      addColumn(db, 'tasks', 'duplicate_decision', 'TEXT');
+      addColumn(db, 'tasks', 'duplicate_reason', 'TEXT');
+
+      // New tasks are checked against earlier tasks of the same song
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_copyright_id ON tasks(copyright_id)`);
+    }
+  },
+  {
+    version: 13,
+    name: 'Index task lookups and list orders',
+    up(db) {
+      // The import scanner looks up files by their file:// URL
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_download_url ON tasks(download_url)`);
+
+      // Task list filters and sort orders, see listTasks()
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at, id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_updated_at ON tasks(updated_at, id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status, created_at)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_service ON tasks(service, created_at)`);
+    }
+  },
+  {
+    version: 14,
+    name: 'Create settings table',
+    up(db) {
+      // Settings saved from the WebUI as JSON values, see services/settings.js
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'Create sessions and API tokens tables',
+    up(db) {
+      // Only SHA-256 hashes of session cookies and API tokens are stored, see services/auth.js
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          token_hash TEXT PRIMARY KEY,
+          created_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL
+        )
+      `);
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          prefix TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          last_used_at INTEGER
+        )
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'Create users table and task owners',
+    up(db) {
+      // The built-in admin logs in with ADMIN_PASSWORD, so it has no password hash
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          password_hash TEXT,
+          role TEXT NOT NULL DEFAULT 'user',
+          daily_quota INTEGER,
+          library_subfolder TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+      const now = Date.now();
+      db.prepare(`INSERT OR IGNORE INTO users (username, role, created_at, updated_at) VALUES ('admin', 'admin', ?, ?)`).run(now, now);
+
+      addColumn(db, 'tasks', 'user_id', 'INTEGER REFERENCES users(id)');
+      addColumn(db, 'jobs', 'user_id', 'INTEGER REFERENCES users(id)');
+      addColumn(db, 'sessions', 'user_id', 'INTEGER REFERENCES users(id)');
+      addColumn(db, 'api_tokens', 'user_id', 'INTEGER REFERENCES users(id)');
+
+      // Everything created before accounts belongs to the admin
+      for (const table of ['tasks', 'jobs', 'sessions', 'api_tokens']) {
+        db.exec(`UPDATE ${table} SET user_id = (SELECT id FROM users WHERE username = 'admin') WHERE user_id IS NULL`);
+      }
+
+      // Task lists per user and the daily quota count
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id, created_at)`);
+    }
+  },
+  {
+    version: 17,
+    name: 'Add playlist owners',
+    up(db) {
+      addColumn(db, 'playlists', 'user_id', 'INTEGER REFERENCES users(id)');
+      db.exec(`UPDATE playlists SET user_id = (SELECT id FROM users WHERE username = 'admin') WHERE user_id IS NULL`);
+    }
+  }
+];
+
+/**
+ * Schema version of the newest migration
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring a database to the newest schema version
+ * Refuses to touch a database written by a newer version of the app, whose
+ * schema this version does not know.
+ * @param {Database} db - better-sqlite3 connection
+ * @param {object[]} migrations - Migrations in version order, for tests
+ * @returns {{from: number, to: number, applied: object[]}} - Applied migrations
+ */
+export function migrateDatabase(db, migrations = MIGRATIONS) {
+  const from = getSchemaVersion(db);
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  if (from > latest) {
+    throw new Error(`Database schema version ${from} is newer than the latest version ${latest} this app knows. Upgrade the app or restore a backup of the database.`);
+  }
+
+  const applied = [];
+  for (const migration of migrations.filter(m => m.version > from)) {
+    const apply = db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    });
+
+    try {
+      apply();
+    } catch (error) {
+      throw new Error(`Database migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+    applied.push(migration);
+  }
+
+  if (applied.length > 0) {
+    console.log(`Migrated database schema from version ${from} to ${getSchemaVersion(db)}`);
+  }
+
+  return { from, to: getSchemaVersion(db), applied };
+}
+
+/**
+ * Current schema version of a database, 0 if it was never migrated
+ * @returns {number}
+ */
+export function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Add a column unless the table already has it, as in databases from before versioning
+ */
+function addColumn(db, table, column, definition) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+  if (!exists) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
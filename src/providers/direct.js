@@ -0,0 +1,126 @@
+import path from 'path';
+import { probeUrl } from '../utils/urlResolver.js';
+
+// Direct links have a single quality: whatever the URL serves
+const ORIGINAL_QUALITY = { code: 'ORIGINAL', name: 'Original file' };
+
+// Artist used until the downloaded file's tags provide one
+const UNKNOWN_ARTIST = 'Unknown Artist';
+
+// Task fields the downloaded file's tags may fill in
+const TAG_FIELDS = ['title', 'artist', 'album', 'albumArtist', 'year', 'trackNumber', 'discNumber'];
+
+// HEAD statuses that say nothing about the file itself
+const HEAD_UNSUPPORTED_STATUSES = [405, 501];
+
+/**
+ * Direct URL provider for arbitrary HTTP(S) audio links
+ * Title and artist may be omitted; they are filled from the URL and later
+ * from the tags embedded in the downloaded file.
+ * @type {import('./index.js').MusicProvider}
+ */
+const directProvider = {
+  id: 'direct',
+  name: 'Direct URL',
+  searchTypes: ['song'],
+  qualities: [ORIGINAL_QUALITY],
+
+  // "Searching" a link probes it and returns it as a single song
+  async search(text) {
+    const url = text.trim();
+    if (!isHttpUrl(url)) {
+      return [];
+    }
+
+    const probe = await probeUrl(url);
+    if (!isAudioProbe(probe)) {
+      return [];
+    }
+
+    return [{
+      type: 'song',
+      title: filenameToTitle(probe.filename),
+      artist: '',
+      album: '',
+      coverUrl: '',
+      downloadUrl: url,
+      fileSize: probe.size ? `${(probe.size / 1024 / 1024).toFixed(1)}MB` : '',
+      format: probe.ext.slice(1).toUpperCase()
+    }];
+  },
+
+  listQualities() {
+    return [{ ...ORIGINAL_QUALITY, size: null }];
+  },
+
+  // The download follows redirects itself; probing again could only reject links
+  // prepareTask() accepted, such as servers without HEAD support
+  async resolve(task) {
+    return { finalUrl: task.download_url };
+  },
+
+  validateTask(taskData) {
+    if (!isHttpUrl(taskData.downloadUrl)) {
+      return {
+        error: 'Missing required field: downloadUrl',
+        message: 'For direct service, downloadUrl must be an http(s) URL'
+      };
+    }
+    return null;
+  },
+
+  async prepareTask(taskData) {
+    const probe = await probeUrl(taskData.downloadUrl);
+    if (!isAudioProbe(probe)) {
+      throw new Error(probe.statusCode >= 400
+        ? `downloadUrl returned HTTP ${probe.statusCode}`
+        : `downloadUrl does not point to an audio file (${probe.contentType})`);
+    }
+
+    // A title that is just the file name (as returned by search) is a guess too
+    const guessedTitle = filenameToTitle(probe.filename);
+    const guessed = { ...taskData, title: taskData.title === guessedTitle ? '' : taskData.title };
+
+    return {
+      ...taskData,
+      title: taskData.title || guessedTitle,
+      artist: taskData.artist || UNKNOWN_ARTIST,
+      format: taskData.format || probe.ext.slice(1).toUpperCase(),
+      // Let the file's own tags replace what we had to guess
+      fillFromTags: TAG_FIELDS.filter(field => !guessed[field])
+    };
+  }
+};
+
+export default directProvider;
+
+/**
+ * Check for an http(s) URL
+ */
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Whether a probe result may be an audio file
+ * Unknown answers (no HEAD support, generic content types) are accepted.
+ */
+function isAudioProbe(probe) {
+  if (probe.statusCode >= 400 && !HEAD_UNSUPPORTED_STATUSES.includes(probe.statusCode)) {
+    return false;
+  }
+  return !/^text\//.test(probe.contentType || '');
+}
+
+/**
+ * Turn a file name into a track title
+ */
+function filenameToTitle(filename) {
+  const title = path.basename(filename || '', path.extname(filename || '')).replace(/[_+]/g, ' ').trim();
+  return title || 'Unknown Title';
+}
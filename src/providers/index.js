@@ -0,0 +1,142 @@
+import config from '../config.js';
+import miguProvider from './migu.js';
+import directProvider from './direct.js';
+import localProvider from './local.js';
+
+/**
+ * @typedef {object} MusicProvider
+ * @property {string} id - Service id stored on tasks, e.g. "migu"
+ * @property {string} name - Display name
+ * @property {string[]} searchTypes - Supported search types, e.g. ["song", "album"]
+ * @property {{code: string, name: string}[]} qualities - Quality labels, best first
+ * @property {(text: string, options: {type: string, pageNum: number, pageSize: number}) => Promise<object[]>} search
+ * @property {(item: object) => {code: string, name: string, size: string|null}[]} listQualities -
+ *   Qualities available for a search result or task row
+ * @property {(task: object, quality: string) => Promise<{finalUrl: string|null, filePath?: string, contentType?: string, error?: object}>} resolve -
+ *   Resolve a task to a downloadable URL in one quality; may throw. A result with
+ *   `filePath` is copied into staging instead of downloaded
+ * @property {(taskData: object) => {error: string, message: string}|null} [validateTask] -
+ *   Check the fields of a new task
+ * @property {(taskData: object) => Promise<object>} [prepareTask] - Fill in defaults of a new task
+ *   once validateTask() passed; rejects if the task cannot be created
+ * @property {(task: object) => Promise<void>} [completeTask] - Called once the task is in the library
+ * @property {(task: object) => object} [requestHeaders] - Extra HTTP headers for downloading a task,
+ *   e.g. the Referer its host expects; other hosts never get them
+ * @property {(task: object) => Promise<string|null>} [fetchLyrics] - LRC or plain text lyrics of a task,
+ *   null if it has none
+ * @property {(albumId: string) => Promise<object>} [getAlbum]
+ * @property {(artistId: string, options: {pageNum: number, pageSize: number}) => Promise<object[]>} [getArtistSongs]
+ * @property {(playlistId: string) => Promise<object[]>} [getPlaylistSongs]
+ */
+
+// Members every provider must implement
+const REQUIRED_MEMBERS = ['search', 'listQualities', 'resolve'];
+
+// Optional drill-down members, reported as capabilities
+const CAPABILITIES = ['getAlbum', 'getArtistSongs', 'getPlaylistSongs'];
+
+// Registered providers: id -> provider, in registration order
+const providers = new Map();
+
+/**
+ * Register a music provider
+ * @param {MusicProvider} provider
+ * @throws {Error} - If the provider is incomplete or its id is taken
+ */
+export function registerProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id) {
+    throw new Error('Provider must have an id');
+  }
+  if (providers.has(provider.id)) {
+    throw new Error(`Provider already registered: ${provider.id}`);
+  }
+
+  const missing = REQUIRED_MEMBERS.filter(member => typeof provider[member] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider ${provider.id} is missing: ${missing.join(', ')}`);
+  }
+  if (!Array.isArray(provider.searchTypes) || !Array.isArray(provider.qualities)) {
+    throw new Error(`Provider ${provider.id} must list its searchTypes and qualities`);
+  }
+
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Remove a provider from the registry
+ * @returns {boolean} - false if it was not registered
+ */
+export function unregisterProvider(id) {
+  return providers.delete(id);
+}
+
+/**
+ * Get a registered provider
+ * @returns {MusicProvider|undefined}
+ */
+export function getProvider(id) {
+  return providers.get(id);
+}
+
+/**
+ * List registered providers in registration order
+ * @returns {MusicProvider[]}
+ */
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Id of the default provider: DEFAULT_SERVICE if it is registered,
+ * otherwise the first registered provider
+ * @returns {string|null}
+ */
+export function getDefaultProviderId() {
+  if (providers.has(config.DEFAULT_SERVICE)) {
+    return config.DEFAULT_SERVICE;
+  }
+
+  const [first] = providers.keys();
+  return first || null;
+}
+
+/**
+ * Warn if DEFAULT_SERVICE names no registered provider; run once at startup
+ * @returns {boolean} - Whether DEFAULT_SERVICE is unset or registered
+ */
+export function checkDefaultService() {
+  if (!config.DEFAULT_SERVICE || providers.has(config.DEFAULT_SERVICE)) {
+    return true;
+  }
+
+  console.warn(`DEFAULT_SERVICE "${config.DEFAULT_SERVICE}" is not a registered provider, using "${getDefaultProviderId()}"`);
+  return false;
+}
+
+/**
+ * Describe a provider for API clients
+ * @param {MusicProvider} provider
+ */
+export function describeProvider(provider) {
+  return {
+    id: provider.id,
+    name: provider.name || provider.id,
+    searchTypes: provider.searchTypes,
+    qualities: provider.qualities,
+    capabilities: CAPABILITIES.filter(member => typeof provider[member] === 'function')
+  };
+}
+
+/**
+ * Fetch the lyrics of a task from its provider
+ * @param {object} task - Task row
+ * @returns {Promise<string|null>} - null if the provider is unknown or has no lyrics
+ */
+export async function fetchProviderLyrics(task) {
+  const provider = providers.get(task.service);
+  return provider && provider.fetchLyrics ? provider.fetchLyrics(task) : null;
+}
+
+registerProvider(miguProvider);
+registerProvider(directProvider);
+registerProvider(localProvider);
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Imported files keep their own quality
+const ORIGINAL_QUALITY = { code: 'ORIGINAL', name: 'Original file' };
+
+/**
+ * Local import provider for files dropped into IMPORT_DIR
+ * Tasks are created by the import scanner (see services/importer.js), never
+ * through the API, and point at their file with a file:// downloadUrl.
+ * @type {import('./index.js').MusicProvider}
+ */
+const localProvider = {
+  id: 'local',
+  name: 'Local Import',
+  searchTypes: [],
+  qualities: [ORIGINAL_QUALITY],
+
+  async search() {
+    return [];
+  },
+
+  listQualities() {
+    return [{ ...ORIGINAL_QUALITY, size: null }];
+  },
+
+  async resolve(task) {
+    const filePath = getTaskFilePath(task);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return {
+        finalUrl: null,
+        error: {
+          message: `Imported file no longer exists: ${filePath || task.download_url}`,
+          classification: 'permanent'
+        }
+      };
+    }
+    return { finalUrl: task.download_url, filePath };
+  },
+
+  // Lyrics come from an .lrc file next to the import; embedded lyrics stay in the file
+  async fetchLyrics(task) {
+    const filePath = getTaskFilePath(task);
+    if (filePath && fs.existsSync(getLrcPath(filePath))) {
+      return fs.readFileSync(getLrcPath(filePath), 'utf8');
+    }
+    return null;
+  },
+
+  validateTask() {
+    return {
+      error: 'Unsupported service: local',
+      message: 'Local imports are created by scanning IMPORT_DIR, see POST /api/import/scan'
+    };
+  },
+
+  // The inbox copy is removed once the file is in the library
+  async completeTask(task) {
+    const filePath = getTaskFilePath(task);
+    if (!filePath) {
+      return;
+    }
+
+    for (const source of [filePath, getLrcPath(filePath)]) {
+      if (fs.existsSync(source)) {
+        fs.unlinkSync(source);
+      }
+    }
+  }
+};
+
+export default localProvider;
+
+/**
+ * Path of the imported file of a task
+ * @returns {string|null}
+ */
+function getTaskFilePath(task) {
+  try {
+    return fileURLToPath(task.download_url);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Path of the .lrc file next to an audio file
+ */
+function getLrcPath(filePath) {
+  return path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)) + '.lrc');
+}
@@ -0,0 +1,467 @@
+import got from 'got';
+import { resolveDownloadUrl } from '../utils/urlResolver.js';
+import {
+  searchMigu,
+  getMiguAlbum,
+  getMiguArtistSongs,
+  getMiguPlaylistSongs,
+  getSearchTypes
+} from '../services/migu.js';
+
+const MIGU_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  'Referer': 'https://music.migu.cn/'
+};
+
+// Quality labels offered by Migu, best first
+const QUALITIES = [
+  { code: 'SQ', name: 'SQ (FLAC)' },
+  { code: 'HQ', name: 'HQ (320K MP3)' },
+  { code: 'PQ', name: 'PQ (128K MP3)' },
+  { code: 'LQ', name: 'LQ (64K MP3)' }
+];
+
+/**
+ * Migu Music provider
+ * Tracks are resolved from their copyrightId, or from a listenSong.do
+ * downloadUrl with the quality mapped to Migu's format code.
+ * @type {import('./index.js').MusicProvider}
+ */
+const miguProvider = {
+  id: 'migu',
+  name: 'Migu Music',
+  searchTypes: getSearchTypes(),
+  qualities: QUALITIES,
+  
+  search(text, { type = 'song', pageNum = 1, pageSize = 20 } = {}) {
+    return searchMigu(text, pageNum, pageSize, type);
+  },
+  
+  listQualities(item) {
+    return listFormatQualities(parseRawFormat(item.rawFormat ?? item.raw_format));
+  },
+  
+  resolve(task, quality) {
+    const rawFormat = parseRawFormat(task.raw_format);
+    
+    if (task.download_url) {
+      // listenSong.do URLs take the format code instead of the quality label
+      let toneFlag = quality;
+      if (task.download_url.includes('listenSong.do') && rawFormat) {
+        const mapping = mapQualityWithFallback(quality, rawFormat, []);
+        if (mapping.formatCode) {
+          toneFlag = mapping.formatCode;
+          console.log(`Mapped ${quality} to format code: ${toneFlag}`);
+        }
+      }
+      return resolveDownloadUrl(task.download_url, toneFlag, MIGU_HEADERS);
+    }
+    
+    return resolveMiguUrl(task.copyright_id, task.content_id, quality, rawFormat);
+  },
+  
+  // Migu's audio hosts expect the web player's Referer
+  requestHeaders() {
+    return MIGU_HEADERS;
+  },
+  
+  fetchLyrics(task) {
+    return fetchMiguLyrics(task.copyright_id);
+  },
+  
+  validateTask(taskData) {
+    if (!taskData.downloadUrl && !taskData.copyrightId) {
+      return {
+        error: 'Missing required field: downloadUrl or copyrightId',
+        message: 'For migu service, either downloadUrl or copyrightId must be provided'
+      };
+    }
+    return null;
+  },
+  
+  getAlbum(albumId) {
+    return getMiguAlbum(albumId);
+  },
+  
+  getArtistSongs(artistId, { pageNum = 1, pageSize = 20 } = {}) {
+    return getMiguArtistSongs(artistId, pageNum, pageSize);
+  },
+  
+  getPlaylistSongs(playlistId) {
+    return getMiguPlaylistSongs(playlistId);
+  }
+};
+
+export default miguProvider;
+
+/**
+ * Parse rawFormat if it's a JSON string
+ * @returns {object|array|null}
+ */
+function parseRawFormat(rawFormat) {
+  if (rawFormat && typeof rawFormat === 'string') {
+    try {
+      return JSON.parse(rawFormat);
+    } catch (e) {
+      console.warn(`Failed to parse raw_format:`, e);
+      return null;
+    }
+  }
+  return rawFormat || null;
+}
+
+/**
+ * List the qualities present in rawFormat, best first
+ * Defaults to HQ when rawFormat lists none.
+ * @returns {{code: string, name: string, size: string|null}[]}
+ */
+function listFormatQualities(rawFormat) {
+  const formats = Array.isArray(rawFormat) ? rawFormat : [rawFormat];
+  const qualities = QUALITIES
+    .map(quality => {
+      const format = formats.find(item => item && typeof item === 'object' && item.formatType === quality.code);
+      return format ? { ...quality, size: format.size || format.fileSize || null } : null;
+    })
+    .filter(Boolean);
+  
+  return qualities.length > 0 ? qualities : [{ code: 'HQ', name: 'HQ (320K MP3)', size: null }];
+}
+
+/**
+ * Map quality label (SQ/HQ/PQ/LQ) to actual Migu format code from rawFormat
+ * @param {string} qualityLabel - Quality label (SQ, HQ, PQ, LQ)
+ * @param {string|object|array} rawFormat - The rawFormat data from search results
+ * @returns {string|null} - The actual format code (e.g., "020010" for HQ) or null if not found
+ */
+function mapQualityToFormatCode(qualityLabel, rawFormat) {
+  if (!rawFormat) {
+    return null;
+  }
+  
+  // Parse rawFormat if it's a JSON string
+  let formatData = rawFormat;
+  if (typeof rawFormat === 'string') {
+    try {
+      formatData = JSON.parse(rawFormat);
+    } catch (e) {
+      // Not JSON, might be a simple string format label
+      return null;
+    }
+  }
+  
+  // If rawFormat is an array, find the matching quality entry
+  if (Array.isArray(formatData)) {
+    const entry = formatData.find(item => 
+      item && item.formatType === qualityLabel
+    );
+    
+    if (entry) {
+      // Priority: androidFormat > iosFormat > format
+      const formatCode = entry.androidFormat || entry.iosFormat || entry.format;
+      if (formatCode) {
+        return String(formatCode);
+      }
+    }
+  } 
+  // If rawFormat is a single object, check if it matches the quality
+  else if (typeof formatData === 'object' && formatData !== null) {
+    if (formatData.formatType === qualityLabel) {
+      const formatCode = formatData.androidFormat || formatData.iosFormat || formatData.format;
+      if (formatCode) {
+        return String(formatCode);
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Map quality label to format code with degradation fallback
+ * Tries to find format code for the requested quality, or falls back to available qualities
+ * @param {string} qualityLabel - Preferred quality label (SQ, HQ, PQ, LQ)
+ * @param {string|object|array} rawFormat - The rawFormat data from search results
+ * @param {string[]} degradeOrder - Order of qualities to try if preferred not available
+ * @returns {{formatCode: string|null, actualQuality: string|null, mappingLog: string[]}}
+ */
+function mapQualityWithFallback(qualityLabel, rawFormat, degradeOrder = ['HQ', 'PQ', 'LQ']) {
+  const mappingLog = [];
+  
+  // Try preferred quality first
+  const preferredCode = mapQualityToFormatCode(qualityLabel, rawFormat);
+  if (preferredCode) {
+    mappingLog.push(`${qualityLabel} → ${preferredCode} (preferred)`);
+    return { 
+      formatCode: preferredCode, 
+      actualQuality: qualityLabel,
+      mappingLog 
+    };
+  }
+  
+  mappingLog.push(`${qualityLabel} → not found in rawFormat`);
+  
+  // Try degradation order
+  for (const quality of degradeOrder) {
+    if (quality === qualityLabel) {
+      continue; // Already tried
+    }
+    
+    const code = mapQualityToFormatCode(quality, rawFormat);
+    if (code) {
+      mappingLog.push(`${quality} → ${code} (degraded)`);
+      return {
+        formatCode: code,
+        actualQuality: quality,
+        mappingLog
+      };
+    }
+    mappingLog.push(`${quality} → not found`);
+  }
+  
+  return {
+    formatCode: null,
+    actualQuality: null,
+    mappingLog
+  };
+}
+
+/**
+ * Resolve Migu download URL using copyrightId and toneFlag
+ * Tries multiple APIs and fields to find a working download URL
+ * @param {string} copyrightId - The Migu copyright ID
+ * @param {string} contentId - The Migu content ID (optional)
+ * @param {string} toneFlag - Quality flag (HQ, PQ, LQ, SQ) - will be mapped to format code
+ * @param {string|object|array} rawFormat - The rawFormat data for mapping toneFlag to format code
+ * @returns {Promise<{finalUrl: string, contentType?: string, error?: object}>}
+ */
+async function resolveMiguUrl(copyrightId, contentId, toneFlag = 'HQ', rawFormat = null) {
+  if (!copyrightId) {
+    return {
+      finalUrl: null,
+      error: {
+        message: 'Missing copyrightId - cannot resolve Migu URL',
+        code: 'MISSING_COPYRIGHT_ID'
+      }
+    };
+  }
+  
+  console.log(`Resolving Migu URL: copyrightId=${copyrightId}, contentId=${contentId}, toneFlag=${toneFlag}`);
+  
+  const errors = [];
+  let mappingLog = [];
+  
+  // Map quality label to actual format code
+  let actualToneFlag = toneFlag; // Default to the quality label if mapping fails
+  if (rawFormat) {
+    const mapping = mapQualityWithFallback(toneFlag, rawFormat, []);
+    mappingLog = mapping.mappingLog;
+    
+    if (mapping.formatCode) {
+      actualToneFlag = mapping.formatCode;
+      console.log(`Mapped ${toneFlag} to format code: ${actualToneFlag}`);
+    } else {
+      console.warn(`Failed to map ${toneFlag} to format code from rawFormat. Mapping attempts:`, mappingLog);
+      // Continue with quality label as fallback, but log this issue
+      errors.push({
+        api: 'toneFlag_mapping',
+        message: `rawFormat does not contain format code for ${toneFlag}`,
+        mappingLog: mappingLog,
+        note: 'Using quality label as fallback - may cause PE parameter error'
+      });
+    }
+  } else {
+    console.warn(`No rawFormat provided - cannot map ${toneFlag} to format code`);
+    errors.push({
+      api: 'toneFlag_mapping',
+      message: 'rawFormat missing - cannot map quality to format code',
+      note: 'Using quality label as fallback - may cause PE parameter error'
+    });
+  }
+  
+  // Strategy 1: Try listenSong.do API (most reliable for direct audio URLs)
+  // Use contentId if available, otherwise fallback to copyrightId
+  const effectiveContentId = contentId || copyrightId;
+  if (effectiveContentId) {
+    try {
+      const listenUrl = `https://app.c.nf.migu.cn/MIGUM2.0/v1.0/content/sub/listenSong.do?toneFlag=${actualToneFlag}&netType=00&userId=&ua=Android_migu&version=5.0.1&copyrightId=${copyrightId}&contentId=${effectiveContentId}&resourceType=2&channel=0`;
+      console.log(`Trying listenSong.do with toneFlag=${actualToneFlag}: ${listenUrl}`);
+      
+      const result = await resolveDownloadUrl(listenUrl, actualToneFlag, MIGU_HEADERS);
+      if (result.finalUrl) {
+        console.log(`Successfully resolved via listenSong.do: ${result.finalUrl}`);
+        return result;
+      }
+      if (result.error) {
+        errors.push({
+          api: 'listenSong.do',
+          mappedToneFlag: `${toneFlag} → ${actualToneFlag}`,
+          ...result.error
+        });
+      }
+    } catch (error) {
+      errors.push({
+        api: 'listenSong.do',
+        mappedToneFlag: `${toneFlag} → ${actualToneFlag}`,
+        message: error.message
+      });
+    }
+  }
+  
+  // Strategy 2: Try resourceinfo.do with different resourceType values
+  // Note: resourceType=E is not supported by the API, only trying 2 and 0
+  const resourceTypes = [2, 0]; // Try music (2) and general (0)
+  
+  for (const resourceType of resourceTypes) {
+    try {
+      const resourceUrl = `https://c.musicapp.migu.cn/MIGUM2.0/v1.0/content/resourceinfo.do?copyrightId=${copyrightId}&resourceType=${resourceType}`;
+      console.log(`Trying resourceinfo.do with resourceType=${resourceType}: ${resourceUrl}`);
+      
+      const response = await got.get(resourceUrl, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+          'Referer': 'https://music.migu.cn/'
+        },
+        timeout: { request: 10000 },
+        responseType: 'json',
+        throwHttpErrors: false
+      });
+      
+      const data = response.body;
+      
+      if (data.code !== '000000') {
+        errors.push({
+          api: `resourceinfo.do?resourceType=${resourceType}`,
+          code: data.code,
+          message: data.info || 'Unknown error'
+        });
+        continue;
+      }
+      
+      // Look for URL in various fields
+      if (data.resource && Array.isArray(data.resource) && data.resource.length > 0) {
+        const resource = data.resource[0];
+        const possibleUrlFields = ['audioUrl', 'url', 'playUrl', 'listenUrl', 'downloadUrl'];
+        
+        for (const field of possibleUrlFields) {
+          if (resource[field]) {
+            const audioUrl = resource[field];
+            console.log(`Found ${field} in resourceinfo.do: ${audioUrl}`);
+            
+            // Try to construct direct URL
+            try {
+              const { pathname } = new URL(audioUrl);
+              const directUrl = `https://freetyst.nf.migu.cn${pathname}`;
+              
+              // Verify the URL is accessible
+              const headResponse = await got.head(directUrl, {
+                headers: {
+                  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                  'Referer': 'https://music.migu.cn/'
+                },
+                timeout: { request: 5000 },
+                throwHttpErrors: false
+              });
+              
+              if (headResponse.statusCode === 200) {
+                console.log(`Successfully resolved via resourceinfo.do: ${directUrl}`);
+                return {
+                  finalUrl: directUrl,
+                  contentType: headResponse.headers['content-type']
+                };
+              }
+            } catch (urlError) {
+              console.error(`Failed to parse or verify URL from ${field}:`, urlError.message);
+            }
+          }
+        }
+        
+        errors.push({
+          api: `resourceinfo.do?resourceType=${resourceType}`,
+          message: `Response successful but no valid URL found in fields: ${possibleUrlFields.join(', ')}`,
+          availableFields: Object.keys(resource)
+        });
+      } else {
+        errors.push({
+          api: `resourceinfo.do?resourceType=${resourceType}`,
+          message: 'Response successful but no resource array found',
+          responseKeys: Object.keys(data)
+        });
+      }
+    } catch (error) {
+      errors.push({
+        api: `resourceinfo.do?resourceType=${resourceType}`,
+        message: error.message
+      });
+    }
+  }
+  
+  // All strategies failed
+  return {
+    finalUrl: null,
+    error: {
+      message: `Failed to resolve Migu URL after trying all strategies`,
+      toneFlag: toneFlag,
+      mappedToneFlag: actualToneFlag,
+      mappingLog: mappingLog.length > 0 ? mappingLog : undefined,
+      copyrightId: copyrightId,
+      contentId: contentId,
+      attempts: errors
+    }
+  };
+}
+
+/**
+ * Fetch LRC text for a Migu song
+ * Tries the web player lyric API first, then the lrcUrl from resourceinfo.do.
+ * @param {string} copyrightId - The Migu copyright ID
+ * @returns {Promise<string|null>} - LRC text, or null if the song has no lyrics
+ */
+async function fetchMiguLyrics(copyrightId) {
+  if (!copyrightId) {
+    return null;
+  }
+  
+  // Strategy 1: web player lyric API
+  try {
+    const response = await got.get('https://music.migu.cn/v3/api/music/audioPlayer/getLyric', {
+      searchParams: { copyrightId },
+      headers: MIGU_HEADERS,
+      timeout: { request: 10000 },
+      responseType: 'json',
+      throwHttpErrors: false
+    });
+  
+    const lyric = response.body?.lyric;
+    if (response.body?.returnCode === '000000' && lyric && lyric.trim()) {
+      return lyric;
+    }
+  } catch (error) {
+    console.warn(`getLyric failed for copyrightId=${copyrightId}:`, error.message);
+  }
+  
+  // Strategy 2: lrcUrl from the resource info
+  try {
+    const response = await got.get('https://c.musicapp.migu.cn/MIGUM2.0/v1.0/content/resourceinfo.do', {
+      searchParams: { copyrightId, resourceType: 2 },
+      headers: MIGU_HEADERS,
+      timeout: { request: 10000 },
+      responseType: 'json',
+      throwHttpErrors: false
+    });
+  
+    const lrcUrl = response.body?.resource?.[0]?.lrcUrl;
+    if (lrcUrl) {
+      const lrcResponse = await got.get(lrcUrl, {
+        headers: MIGU_HEADERS,
+        timeout: { request: 10000 }
+      });
+      if (lrcResponse.body && lrcResponse.body.trim()) {
+        return lrcResponse.body;
+      }
+    }
+  } catch (error) {
+    console.warn(`resourceinfo.do lyrics failed for copyrightId=${copyrightId}:`, error.message);
+  }
+  
+  return null;
+}
@@ -2,25 +2,396 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import config from './config.js';
-import { initDatabase, createTask, getAllTasks, getTaskById } from './db/database.js';
-import { searchMigu } from './services/migu.js';
-import { startDownloadQueue } from './services/downloader.js';
+import {
+  initDatabase,
+  createTask,
+  listTasks,
+  getTaskById,
+  updateTaskStatus,
+  TASK_SORT_FIELDS
+} from './db/database.js';
+import {
+  getProvider,
+  listProviders,
+  getDefaultProviderId,
+  describeProvider,
+  fetchProviderLyrics,
+  checkDefaultService
+} from './providers/index.js';
+import { createAlbumJob, getJobWithTasks, listJobs } from './services/jobs.js';
+import { parseBatchInput, createBatchTasks, MAX_BATCH_LINES } from './services/batch.js';
+import {
+  parsePlaylist,
+  importPlaylist,
+  listPlaylists,
+  getPlaylistWithTasks,
+  addPlaylist,
+  editPlaylist,
+  removePlaylist,
+  findPlaylistByFileName,
+  startPlaylistWriter,
+  MAX_PLAYLIST_ENTRIES
+} from './services/playlists.js';
+import { parseLrc } from './services/lyrics.js';
+import { checkDuplicateTask } from './services/duplicates.js';
+import { runStartupRecovery, getRecoveryReport } from './services/recovery.js';
+import { loadSettings, listSettings, updateSettings, USER_VISIBLE_SETTINGS } from './services/settings.js';
+import {
+  SESSION_COOKIE,
+  isAuthEnabled,
+  verifyLogin,
+  startSession,
+  endSession,
+  getSessionToken,
+  authenticateRequest,
+  requireAuth,
+  requireAdmin,
+  issueApiToken,
+  listApiTokens,
+  revokeApiToken
+} from './services/auth.js';
+import {
+  isAdmin,
+  getBuiltinAdmin,
+  listUsers,
+  getUser,
+  addUser,
+  editUser,
+  removeUser,
+  checkDailyQuota
+} from './services/users.js';
+import { startImportWatcher, runImportScan, getImportStatus } from './services/importer.js';
+import { publishTaskEvent, subscribeTaskEvents } from './services/events.js';
+import {
+  startDownloadQueue,
+  getQueueStatus,
+  cancelTask,
+  pauseTask,
+  resumeTask,
+  retryTask,
+  deleteTask,
+  getLibraryTemplate,
+  previewLibraryPath,
+  withLiveProgress
+} from './services/downloader.js';
+import { DEFAULT_PATH_TEMPLATE, TEMPLATE_FIELDS, validateTemplate } from './utils/pathTemplate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Interval of keep-alive comments on event streams
+const SSE_HEARTBEAT_MS = 15000;
+
+// Wait before answering a wrong password, to slow down guessing
+const LOGIN_FAILURE_DELAY_MS = 1000;
+
+// Content types accepted as a raw playlist upload
+const PLAYLIST_CONTENT_TYPES = [
+  'audio/x-mpegurl',
+  'audio/mpegurl',
+  'application/x-mpegurl',
+  'application/vnd.apple.mpegurl',
+  'audio/x-scpls',
+  'text/plain'
+];
+
+// Default and largest page size of GET /api/tasks
+const TASK_PAGE_SIZE = 100;
+const MAX_TASK_PAGE_SIZE = 500;
+
+// Task actions and the statuses each one may be applied to
+const TASK_ACTIONS = {
+  cancel: { from: ['queued', 'downloading', 'paused'], run: cancelTask },
+  pause: { from: ['queued', 'downloading'], run: pauseTask },
+  resume: { from: ['paused'], run: resumeTask },
+  retry: { from: ['failed', 'cancelled', 'skipped'], run: retryTask },
+  delete: { from: ['queued', 'paused', 'done', 'failed', 'cancelled', 'skipped'], run: deleteTask }
+};
+
+/**
+ * Check whether an action may be applied to a task in its current status
+ * @returns {string|null} - Why it may not, or null if it may
+ */
+function getActionConflict(task, action) {
+  const { from } = TASK_ACTIONS[action];
+  if (from.includes(task.status)) {
+    return null;
+  }
+  return `Task is ${task.status}; ${action} is only allowed when ${from.join(', ')}`;
+}
+
+/**
+ * Whether a user may see a task or job: admins see all, users their own
+ * @param {object} user - `req.user`
+ * @param {object} row - Task or job row
+ */
+function canAccess(user, row) {
+  return isAdmin(user) || row.user_id === user.id;
+}
+
+/**
+ * Get a task the requesting user may see
+ * Tasks of other users are reported as not found.
+ * @returns {object|undefined}
+ */
+function getAccessibleTask(req, id) {
+  const task = getTaskById(id);
+  return task && canAccess(req.user, task) ? task : undefined;
+}
+
+/**
+ * Send a 429 response if an error is a user's daily quota running out
+ * @returns {boolean} - Whether the error was about the quota
+ */
+function rejectOverQuota(res, error) {
+  if (!error.quota) {
+    return false;
+  }
+  res.status(429).json({
+    error: 'Daily quota exceeded',
+    message: error.message,
+    quota: error.quota
+  });
+  return true;
+}
+
+/**
+ * Send a 400 response if an error names invalid user fields
+ * @returns {boolean} - Whether the error was about the fields
+ */
+function rejectInvalidUserFields(res, error) {
+  if (!error.fields) {
+    return false;
+  }
+  res.status(400).json({
+    error: 'Invalid user',
+    message: error.message,
+    fields: error.fields
+  });
+  return true;
+}
+
+/**
+ * Look up the provider a request names, or the default provider
+ * Sends a 400 response and returns null if the provider is unknown
+ * or does not implement the given capability.
+ * @param {object} res - Express response
+ * @param {string} service - Provider id from the request
+ * @param {string} capability - Optional provider method the route needs
+ */
+function requireProvider(res, service, capability = null) {
+  const id = service || getDefaultProviderId();
+  const provider = getProvider(id);
+  
+  if (!provider) {
+    res.status(400).json({
+      error: 'Unsupported service: ' + id,
+      message: `service must be one of: ${listProviders().map(p => p.id).join(', ')}`
+    });
+    return null;
+  }
+  
+  if (capability && typeof provider[capability] !== 'function') {
+    res.status(400).json({
+      error: 'Unsupported operation',
+      message: `Service ${id} does not support ${capability}`
+    });
+    return null;
+  }
+  
+  return provider;
+}
+
+/**
+ * Add the qualities each song can be downloaded in
+ * @param {object} provider - Provider the items came from
+ * @param {object[]} items - Search results or track lists
+ */
+function withQualities(provider, items) {
+  return items.map(item => (
+    item.type === 'song' ? { ...item, qualities: provider.listQualities(item) } : item
+  ));
+}
+
+/**
+ * Parse a created_at bound given as a timestamp in ms or an ISO 8601 date
+ * @param {string} value - Query parameter value
+ * @param {boolean} endOfDay - Whether a bare date (YYYY-MM-DD) means the end of that day
+ * @returns {number|null} - Timestamp in ms, NaN if invalid, null if not given
+ */
+function parseDateParam(value, endOfDay = false) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  
+  const time = Date.parse(value);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return time + 24 * 60 * 60 * 1000 - 1;
+  }
+  return time;
+}
+
+/**
+ * Turn GET /api/tasks query parameters into listTasks() options
+ * @param {object} query - Express query object
+ * @returns {{options: object}|{error: string, message: string}}
+ */
+function parseTaskListQuery(query) {
+  const { status, service, q, sort = 'created_at', order = 'desc', cursor } = query;
+  
+  const userId = query.userId === undefined || query.userId === '' ? null : Number(query.userId);
+  if (userId !== null && !Number.isInteger(userId)) {
+    return { error: 'Invalid parameter: userId', message: 'userId must be a user id' };
+  }
+  
+  if (!TASK_SORT_FIELDS.includes(sort)) {
+    return { error: 'Invalid parameter: sort', message: `sort must be one of: ${TASK_SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid parameter: order', message: 'order must be asc or desc' };
+  }
+  
+  const limit = query.limit === undefined ? TASK_PAGE_SIZE : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TASK_PAGE_SIZE) {
+    return { error: 'Invalid parameter: limit', message: `limit must be between 1 and ${MAX_TASK_PAGE_SIZE}` };
+  }
+  
+  const createdFrom = parseDateParam(query.createdFrom);
+  const createdTo = parseDateParam(query.createdTo, true);
+  if (Number.isNaN(createdFrom) || Number.isNaN(createdTo)) {
+    return { error: 'Invalid parameter: createdFrom/createdTo', message: 'Dates must be ISO 8601 or timestamps in ms' };
+  }
+  
+  // The cursor is the sort value and id of the last task of the previous page
+  let after = null;
+  if (cursor) {
+    try {
+      const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!Number.isInteger(id)) {
+        throw new Error('missing id');
+      }
+      // Sort values are text or timestamps; anything else cannot be bound in SQL
+      if (typeof value !== 'string' && !Number.isFinite(value)) {
+        throw new Error('invalid sort value');
+      }
+      after = { value, id };
+    } catch (e) {
+      return { error: 'Invalid parameter: cursor', message: 'Invalid cursor, pass the X-Next-Cursor header of the previous page' };
+    }
+  }
+  
+  return {
+    options: {
+      userId,
+      statuses: status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : [],
+      service: service || null,
+      search: q ? String(q).trim() : null,
+      createdFrom,
+      createdTo,
+      sort,
+      order,
+      after,
+      limit
+    }
+  };
+}
+
+/**
+ * Get a playlist with its tasks if the requesting user may see it
+ * Playlists of other users are reported as not found.
+ * @returns {object|undefined}
+ */
+function getAccessiblePlaylist(req, id) {
+  const playlist = getPlaylistWithTasks(id);
+  return playlist && canAccess(req.user, playlist) ? playlist : undefined;
+}
+
+/**
+ * Validate the name and taskIds of a playlist create/edit request
+ * Only tasks the requesting user may see can be added.
+ * @param {object} req - Express request
+ * @param {boolean} partial - Whether omitted fields are kept (edits)
+ * @returns {{name: string, taskIds: number[]}|{error: string, message: string}}
+ */
+function parsePlaylistFields(req, partial = false) {
+  const { name, taskIds } = req.body || {};
+  const fields = {};
+  
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'Missing required field: name', message: 'name must be a non-empty string' };
+    }
+    fields.name = name.trim();
+  }
+  
+  if (taskIds !== undefined) {
+    if (!Array.isArray(taskIds) || !taskIds.every(id => Number.isInteger(id) && id > 0)) {
+      return { error: 'Invalid field: taskIds', message: 'taskIds must be a list of task ids' };
+    }
+    const missing = taskIds.filter(id => !getAccessibleTask(req, id));
+    if (missing.length > 0) {
+      return { error: 'Invalid field: taskIds', message: `Tasks not found: ${missing.join(', ')}` };
+    }
+    fields.taskIds = taskIds;
+  }
+  
+  return fields;
+}
+
+/**
+ * Send a 409 response if another playlist already has this name, or a name
+ * that would be written to the same playlist file
+ * Names are unique across users since the files share PLAYLIST_DIR; the
+ * response names the existing playlist only to users who can access it.
+ * @returns {boolean} - Whether the name is taken
+ */
+function rejectTakenPlaylistName(req, res, name, playlistId = null) {
+  const existing = findPlaylistByFileName(name);
+  if (!existing || existing.id === playlistId) {
+    return false;
+  }
+  
+  let message = `The playlist name "${name}" is not available, choose another one`;
+  if (canAccess(req.user, existing)) {
+    message = existing.name.toLowerCase() === name.toLowerCase()
+      ? `A playlist is already called "${existing.name}"`
+      : `"${name}" would share the playlist file of "${existing.name}"`;
+  }
+  res.status(409).json({ error: 'Playlist name taken', message });
+  return true;
+}
+
+/**
+ * Save and apply settings, or send a 400 response naming the rejected ones
+ * @returns {boolean} - Whether the settings were applied
+ */
+function applySettingChanges(res, changes) {
+  try {
+    updateSettings(changes);
+    return true;
+  } catch (error) {
+    if (!error.fields) {
+      throw error;
+    }
+    res.status(400).json({
+      error: 'Invalid settings',
+      message: error.message,
+      fields: error.fields
+    });
+    return false;
+  }
+}
+
 // Middleware
 app.use(express.json());
+app.use(requireAuth);
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Initialize database
-initDatabase();
-
-// Start download queue processor
-startDownloadQueue();
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -28,30 +399,306 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     config: {
       port: config.PORT,
-      defaultService: config.DEFAULT_SERVICE
+      defaultService: getDefaultProviderId()
+    },
+    queue: getQueueStatus(),
+    recovery: getRecoveryReport()
+  });
+});
+
+// Whether the WebUI has to log in first, and as whom it is logged in
+app.get('/api/auth/status', (req, res) => {
+  const auth = isAuthEnabled() ? authenticateRequest(req) : { user: getBuiltinAdmin() };
+  res.json({
+    enabled: isAuthEnabled(),
+    authenticated: Boolean(auth),
+    user: auth ? getUser(auth.user.id) : null
+  });
+});
+
+// Log in as the built-in admin with ADMIN_PASSWORD, or with an account's own password;
+// the session is kept in a cookie
+app.post('/api/auth/login', async (req, res) => {
+  if (!isAuthEnabled()) {
+    return res.status(400).json({
+      error: 'Authentication disabled',
+      message: 'Set ADMIN_PASSWORD to require logging in'
+    });
+  }
+  
+  const { username, password } = req.body || {};
+  const user = verifyLogin(username, password);
+  if (!user) {
+    console.warn(`Failed login${username ? ` as ${username}` : ''} from ${req.ip}`);
+    await new Promise(resolve => setTimeout(resolve, LOGIN_FAILURE_DELAY_MS));
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  
+  const { token, expiresAt } = startSession(user);
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: config.SESSION_TTL_MS
+  });
+  res.json({ authenticated: true, expiresAt, user: getUser(user.id) });
+});
+
+// End the session of this browser
+app.post('/api/auth/logout', (req, res) => {
+  endSession(getSessionToken(req));
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ authenticated: false });
+});
+
+// API tokens of the logged-in user for their scripts
+app.get('/api/auth/tokens', (req, res) => {
+  res.json({ tokens: listApiTokens(req.user) });
+});
+
+// Create an API token; the response is the only time the token is shown
+app.post('/api/auth/tokens', (req, res) => {
+  const { name } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({
+      error: 'Missing required field: name',
+      message: 'Name the token after the script that uses it'
+    });
+  }
+  
+  res.status(201).json(issueApiToken(name.trim(), req.user));
+});
+
+// Revoke one of the user's API tokens
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  if (!revokeApiToken(req.params.id, req.user)) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  res.json({ id: Number(req.params.id) });
+});
+
+// User accounts with their quota usage
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json({ users: listUsers() });
+});
+
+// Create a user account
+app.post('/api/users', requireAdmin, (req, res) => {
+  try {
+    res.status(201).json(addUser(req.body));
+  } catch (error) {
+    if (rejectInvalidUserFields(res, error)) {
+      return;
+    }
+    console.error('Create user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a user's role, password, daily quota or library subfolder
+app.patch('/api/users/:id', requireAdmin, (req, res) => {
+  try {
+    const user = editUser(req.params.id, req.body);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json(user);
+    
+  } catch (error) {
+    if (rejectInvalidUserFields(res, error)) {
+      return;
     }
+    console.error('Update user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a user account; their tasks stay, without an owner
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+  try {
+    const user = getUser(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.builtin || user.id === req.user.id) {
+      return res.status(409).json({
+        error: 'Cannot delete user',
+        message: user.builtin ? 'The built-in admin cannot be deleted' : 'You cannot delete your own account'
+      });
+    }
+    
+    removeUser(user.id);
+    res.json({ id: user.id });
+    
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download queue status
+app.get('/api/queue', (req, res) => {
+  res.json(getQueueStatus());
+});
+
+// Update download queue settings
+app.put('/api/queue', requireAdmin, (req, res) => {
+  const { concurrency } = req.body || {};
+  const parsed = parseInt(concurrency, 10);
+  
+  if (!Number.isFinite(parsed) || parsed < 1) {
+    return res.status(400).json({
+      error: 'Invalid field: concurrency',
+      message: 'concurrency must be a positive integer'
+    });
+  }
+  
+  if (!applySettingChanges(res, { downloadConcurrency: parsed })) {
+    return;
+  }
+  res.json(getQueueStatus());
+});
+
+// Settings editable from the WebUI; users who are not admins only get the download defaults
+app.get('/api/settings', (req, res) => {
+  res.json({ settings: isAdmin(req.user) ? listSettings() : listSettings(USER_VISIBLE_SETTINGS) });
+});
+
+// Change settings; a null value goes back to the environment's value
+app.put('/api/settings', requireAdmin, (req, res) => {
+  const changes = req.body;
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return res.status(400).json({
+      error: 'Invalid settings',
+      message: 'Send an object of setting keys and values'
+    });
+  }
+  
+  if (!applySettingChanges(res, changes)) {
+    return;
+  }
+  res.json({ settings: listSettings() });
+});
+
+// Library path template
+app.get('/api/library/template', (req, res) => {
+  res.json({
+    template: getLibraryTemplate(),
+    defaultTemplate: DEFAULT_PATH_TEMPLATE,
+    fields: TEMPLATE_FIELDS
+  });
+});
+
+// Update the library path template (validated before it is applied)
+app.put('/api/library/template', requireAdmin, (req, res) => {
+  const { template } = req.body || {};
+  const { valid, error } = validateTemplate(template);
+  
+  if (!valid) {
+    return res.status(400).json({
+      error: 'Invalid field: template',
+      message: error
+    });
+  }
+  
+  if (!applySettingChanges(res, { libraryPathTemplate: template })) {
+    return;
+  }
+  res.json({
+    template: getLibraryTemplate(),
+    preview: previewLibraryPath(template)
+  });
+});
+
+// Preview the library path of a template for a sample track or an existing task
+app.post('/api/library/template/preview', (req, res) => {
+  const { template = getLibraryTemplate(), taskId } = req.body || {};
+  const { valid, error } = validateTemplate(template);
+  
+  if (!valid) {
+    return res.status(400).json({
+      error: 'Invalid field: template',
+      message: error
+    });
+  }
+  
+  let task = null;
+  if (taskId !== undefined) {
+    task = getAccessibleTask(req, taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+  }
+  
+  res.json({ template, path: previewLibraryPath(template, task) });
+});
+
+// Local import settings and last scan
+app.get('/api/import', (req, res) => {
+  res.json(getImportStatus());
+});
+
+// Scan the import directory now
+app.post('/api/import/scan', requireAdmin, (req, res) => {
+  if (!getImportStatus().enabled) {
+    return res.status(409).json({
+      error: 'Importing is disabled',
+      message: 'Set IMPORT_DIR to the directory to import from'
+    });
+  }
+  
+  try {
+    const { tasks, skipped } = runImportScan({ user: req.user });
+    res.json({ imported: tasks.length, skipped, tasks });
+  } catch (error) {
+    console.error('Import scan error:', error);
+    res.status(500).json({ error: 'Import scan failed', message: error.message });
+  }
+});
+
+// Registered music providers
+app.get('/api/providers', (req, res) => {
+  res.json({
+    defaultService: getDefaultProviderId(),
+    providers: listProviders().map(describeProvider)
   });
 });
 
 // Search endpoint
 app.get('/api/search', async (req, res) => {
   try {
-    const { service = 'migu', text, pageNum = 1, pageSize = 20 } = req.query;
+    const { service, text, pageNum = 1, pageSize = 20, type = 'song' } = req.query;
     
     if (!text) {
       return res.status(400).json({ error: 'Missing required parameter: text' });
     }
     
-    let results = [];
+    const provider = requireProvider(res, service);
+    if (!provider) {
+      return;
+    }
     
-    if (service === 'migu') {
-      results = await searchMigu(text, parseInt(pageNum), parseInt(pageSize));
-    } else {
-      return res.status(400).json({ error: 'Unsupported service: ' + service });
+    if (!provider.searchTypes.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid parameter: type',
+        message: `type must be one of: ${provider.searchTypes.join(', ')}`
+      });
     }
     
+    const items = await provider.search(text, {
+      type,
+      pageNum: parseInt(pageNum),
+      pageSize: parseInt(pageSize)
+    });
+    
+    const results = withQualities(provider, items);
+    
     res.json({
-      service,
+      service: provider.id,
+      type,
       query: text,
       pageNum: parseInt(pageNum),
       pageSize: parseInt(pageSize),
@@ -79,10 +726,168 @@ app.get('/api/search', async (req, res) => {
   }
 });
 
+// Get an album with its track list
+app.get('/api/albums/:id', async (req, res) => {
+  try {
+    const provider = requireProvider(res, req.query.service, 'getAlbum');
+    if (!provider) {
+      return;
+    }
+    
+    res.json(await provider.getAlbum(req.params.id));
+    
+  } catch (error) {
+    console.error('Get album error:', error);
+    res.status(502).json({
+      error: 'Failed to load album',
+      message: error.message
+    });
+  }
+});
+
+// Get the top songs of an artist
+app.get('/api/artists/:id/songs', async (req, res) => {
+  try {
+    const { service, pageNum = 1, pageSize = 20 } = req.query;
+    
+    const provider = requireProvider(res, service, 'getArtistSongs');
+    if (!provider) {
+      return;
+    }
+    
+    const results = withQualities(provider, await provider.getArtistSongs(req.params.id, {
+      pageNum: parseInt(pageNum),
+      pageSize: parseInt(pageSize)
+    }));
+    res.json({
+      service: provider.id,
+      artistId: req.params.id,
+      pageNum: parseInt(pageNum),
+      pageSize: parseInt(pageSize),
+      results,
+      items: results
+    });
+    
+  } catch (error) {
+    console.error('Get artist songs error:', error);
+    res.status(502).json({
+      error: 'Failed to load artist songs',
+      message: error.message
+    });
+  }
+});
+
+// Get the track list of a playlist
+app.get('/api/playlists/:id/songs', async (req, res) => {
+  try {
+    const provider = requireProvider(res, req.query.service, 'getPlaylistSongs');
+    if (!provider) {
+      return;
+    }
+    
+    const results = withQualities(provider, await provider.getPlaylistSongs(req.params.id));
+    res.json({
+      service: provider.id,
+      playlistId: req.params.id,
+      results,
+      items: results
+    });
+    
+  } catch (error) {
+    console.error('Get playlist songs error:', error);
+    res.status(502).json({
+      error: 'Failed to load playlist songs',
+      message: error.message
+    });
+  }
+});
+
+// Download a whole album as one job
+app.post('/api/jobs/album', async (req, res) => {
+  try {
+    const { service, albumId, ...options } = req.body || {};
+    
+    if (!albumId) {
+      return res.status(400).json({
+        error: 'Missing required field: albumId',
+        message: 'The albumId field is required to download an album'
+      });
+    }
+    
+    const provider = requireProvider(res, service, 'getAlbum');
+    if (!provider) {
+      return;
+    }
+    
+    const job = await createAlbumJob(provider.id, String(albumId), { ...options, user: req.user });
+    res.status(201).json(job);
+    
+  } catch (error) {
+    if (rejectOverQuota(res, error)) {
+      return;
+    }
+    console.error('Create album job error:', error);
+    res.status(502).json({
+      error: 'Failed to create album job',
+      message: error.message
+    });
+  }
+});
+
+// List jobs with aggregate progress
+app.get('/api/jobs', (req, res) => {
+  try {
+    res.json(listJobs().filter(job => canAccess(req.user, job)));
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a job with its tasks
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    const job = getJobWithTasks(req.params.id);
+    
+    if (!job || !canAccess(req.user, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(job);
+    
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create download task
-app.post('/api/tasks', (req, res) => {
+app.post('/api/tasks', async (req, res) => {
   try {
-    const taskData = req.body;
+    let taskData = req.body || {};
+    
+    const provider = requireProvider(res, taskData.service);
+    if (!provider) {
+      return;
+    }
+    
+    // Each provider knows which source fields its tasks need
+    const invalid = provider.validateTask ? provider.validateTask(taskData) : null;
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    
+    // Let the provider fill in what it can, e.g. a title from the file name
+    if (provider.prepareTask) {
+      try {
+        taskData = await provider.prepareTask(taskData);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid download task',
+          message: error.message
+        });
+      }
+    }
     
     // Validate required fields
     if (!taskData.title) {
@@ -99,32 +904,8 @@ app.post('/api/tasks', (req, res) => {
       });
     }
     
-    // Determine service (default to 'migu')
-    const service = taskData.service || 'migu';
-    
-    // Validate downloadUrl based on service
-    // For non-migu services, downloadUrl is required
-    // For migu service, either downloadUrl or copyrightId must be provided
-    if (!taskData.downloadUrl || taskData.downloadUrl === '') {
-      if (service === 'migu') {
-        // Migu service can have empty downloadUrl if copyrightId is provided
-        if (!taskData.copyrightId) {
-          return res.status(400).json({
-            error: 'Missing required field: downloadUrl or copyrightId',
-            message: 'For migu service, either downloadUrl or copyrightId must be provided'
-          });
-        }
-      } else {
-        // Non-migu services require downloadUrl
-        return res.status(400).json({
-          error: 'Missing required field: downloadUrl',
-          message: 'The downloadUrl field is required to create a download task'
-        });
-      }
-    }
-    
-    const taskId = createTask({
-      service: service,
+    const newTask = checkDuplicateTask({
+      service: provider.id,
       title: taskData.title,
       artist: taskData.artist,
       album: taskData.album || '',
@@ -132,19 +913,35 @@ app.post('/api/tasks', (req, res) => {
       downloadUrl: taskData.downloadUrl,
       fileSize: taskData.fileSize || '',
       format: taskData.format || 'MP3',
-      preferredToneFlag: taskData.preferredToneFlag || 'HQ',
-      allowDegrade: taskData.allowDegrade || false,
-      degradeOrder: taskData.degradeOrder || ['HQ', 'PQ', 'LQ'],
+      preferredToneFlag: taskData.preferredToneFlag || config.DEFAULT_QUALITY,
+      allowDegrade: taskData.allowDegrade ?? config.ALLOW_DEGRADE,
+      degradeOrder: taskData.degradeOrder || config.DEGRADE_ORDER,
       copyrightId: taskData.copyrightId || null,
       contentId: taskData.contentId || null,
-      rawFormat: taskData.rawFormat || null
+      rawFormat: taskData.rawFormat || null,
+      retryPolicy: taskData.retryPolicy || null,
+      trackNumber: taskData.trackNumber || null,
+      discNumber: taskData.discNumber || null,
+      albumArtist: taskData.albumArtist || null,
+      year: taskData.year || null,
+      fillFromTags: taskData.fillFromTags || null,
+      userId: req.user.id
     });
     
-    const task = getTaskById(taskId);
+    // Skipped duplicates do not use up the quota
+    if (newTask.status !== 'skipped') {
+      checkDailyQuota(req.user);
+    }
+    
+    const task = getTaskById(createTask(newTask));
+    publishTaskEvent('task.created', task);
     
     res.status(201).json(task);
     
   } catch (error) {
+    if (rejectOverQuota(res, error)) {
+      return;
+    }
     console.error('Create task error:', error);
     res.status(500).json({ 
       error: 'Failed to create download task',
@@ -153,11 +950,306 @@ app.post('/api/tasks', (req, res) => {
   }
 });
 
-// List all tasks
+// Stream task events (server-sent events)
+app.get('/api/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  // Ask EventSource to reconnect after 3s if the stream drops
+  res.write('retry: 3000\n\n');
+  
+  // Users only get the events of their own tasks; progress events carry no owner
+  const owners = new Map();
+  const isVisible = (data) => {
+    if (isAdmin(req.user)) {
+      return true;
+    }
+    if (data.user_id !== undefined) {
+      owners.set(data.id, data.user_id);
+    } else if (!owners.has(data.id)) {
+      owners.set(data.id, (getTaskById(data.id) || {}).user_id);
+    }
+    return owners.get(data.id) === req.user.id;
+  };
+  
+  const unsubscribe = subscribeTaskEvents(({ type, data }) => {
+    if (isVisible(data)) {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+    // A deleted task sends no more events
+    if (type === 'task.deleted') {
+      owners.delete(data.id);
+    }
+  });
+  
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Import an M3U/M3U8/PLS playlist: JSON with the file content, or the raw file
+app.post('/api/playlists/import', express.text({ type: PLAYLIST_CONTENT_TYPES, limit: '1mb' }), async (req, res) => {
+  try {
+    const body = typeof req.body === 'string' ? { ...req.query, content: req.body } : { ...req.query, ...req.body };
+    const { service, content, filename = '' } = body;
+    
+    const provider = requireProvider(res, service);
+    if (!provider) {
+      return;
+    }
+    if (!provider.searchTypes.includes('song')) {
+      return res.status(400).json({
+        error: 'Unsupported operation',
+        message: `Service ${provider.id} does not support song search`
+      });
+    }
+    
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        error: 'Missing required field: content',
+        message: 'Send the playlist file as the request body or as content in JSON'
+      });
+    }
+    
+    const entries = parsePlaylist(content, filename);
+    if (entries.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid playlist',
+        message: 'No entries found; expected an M3U/M3U8 or PLS file'
+      });
+    }
+    if (entries.length > MAX_PLAYLIST_ENTRIES) {
+      return res.status(400).json({
+        error: 'Too many entries',
+        message: `A playlist may contain at most ${MAX_PLAYLIST_ENTRIES} songs, got ${entries.length}`
+      });
+    }
+    
+    const name = body.name || path.parse(filename).name || `Playlist ${new Date().toISOString().slice(0, 10)}`;
+    const result = await importPlaylist(entries, provider, {
+      name,
+      filename,
+      preferredToneFlag: body.preferredToneFlag,
+      allowDegrade: body.allowDegrade === undefined ? undefined : body.allowDegrade === true || body.allowDegrade === 'true',
+      degradeOrder: typeof body.degradeOrder === 'string' ? body.degradeOrder.split(',') : body.degradeOrder,
+      user: req.user
+    });
+    
+    res.status(result.job ? 201 : 200).json({ service: provider.id, name, total: entries.length, ...result });
+    
+  } catch (error) {
+    if (rejectOverQuota(res, error)) {
+      return;
+    }
+    console.error('Playlist import error:', error);
+    res.status(500).json({
+      error: 'Failed to import playlist',
+      message: error.message
+    });
+  }
+});
+
+// List the library playlists
+app.get('/api/library/playlists', (req, res) => {
+  try {
+    // Users only see their own playlists
+    res.json(listPlaylists(isAdmin(req.user) ? null : req.user.id));
+  } catch (error) {
+    console.error('List playlists error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a library playlist with its tasks
+app.get('/api/library/playlists/:id', (req, res) => {
+  try {
+    const playlist = getAccessiblePlaylist(req, req.params.id);
+    
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    res.json(playlist);
+    
+  } catch (error) {
+    console.error('Get playlist error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a library playlist from tasks, or from the tasks of a job
+app.post('/api/library/playlists', (req, res) => {
+  try {
+    const body = req.body || {};
+    const fields = parsePlaylistFields(req);
+    if (fields.error) {
+      return res.status(400).json(fields);
+    }
+    
+    let taskIds = fields.taskIds;
+    if (body.jobId !== undefined) {
+      const job = getJobWithTasks(body.jobId);
+      if (!job || !canAccess(req.user, job)) {
+        return res.status(400).json({ error: 'Invalid field: jobId', message: `Job not found: ${body.jobId}` });
+      }
+      taskIds = job.tasks.map(task => task.id);
+    }
+    if (!taskIds) {
+      return res.status(400).json({
+        error: 'Missing required field: taskIds or jobId',
+        message: 'Pass the task ids in playlist order, or a job id to use its tasks'
+      });
+    }
+    
+    if (rejectTakenPlaylistName(req, res, fields.name)) {
+      return;
+    }
+    
+    res.status(201).json(addPlaylist({ name: fields.name, jobId: body.jobId, userId: req.user.id }, taskIds));
+    
+  } catch (error) {
+    console.error('Create playlist error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename a library playlist and/or replace its tasks
+app.patch('/api/library/playlists/:id', (req, res) => {
+  try {
+    const playlist = getAccessiblePlaylist(req, req.params.id);
+    
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    const fields = parsePlaylistFields(req, true);
+    if (fields.error) {
+      return res.status(400).json(fields);
+    }
+    if (fields.name && rejectTakenPlaylistName(req, res, fields.name, playlist.id)) {
+      return;
+    }
+    
+    res.json(editPlaylist(playlist.id, fields));
+    
+  } catch (error) {
+    console.error('Update playlist error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a library playlist and its .m3u8 file, keeping the tracks
+app.delete('/api/library/playlists/:id', (req, res) => {
+  try {
+    if (!getAccessiblePlaylist(req, req.params.id) || !removePlaylist(req.params.id)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    res.json({ id: Number(req.params.id) });
+    
+  } catch (error) {
+    console.error('Delete playlist error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create tasks from a pasted list of songs, matched through search
+app.post('/api/tasks/batch', async (req, res) => {
+  try {
+    const { service, text, format = 'lines', dryRun = false, playlist, ...options } = req.body || {};
+    
+    const provider = requireProvider(res, service);
+    if (!provider) {
+      return;
+    }
+    if (!provider.searchTypes.includes('song')) {
+      return res.status(400).json({
+        error: 'Unsupported operation',
+        message: `Service ${provider.id} does not support song search`
+      });
+    }
+    
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        error: 'Missing required field: text',
+        message: 'Paste one "Artist - Title" per line, or CSV with format=csv'
+      });
+    }
+    if (!['lines', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid field: format',
+        message: 'format must be lines or csv'
+      });
+    }
+    
+    if (playlist !== undefined && (typeof playlist !== 'string' || !playlist.trim())) {
+      return res.status(400).json({
+        error: 'Invalid field: playlist',
+        message: 'playlist must be the name of the playlist to create'
+      });
+    }
+    if (playlist && rejectTakenPlaylistName(req, res, playlist.trim())) {
+      return;
+    }
+    
+    const entries = parseBatchInput(text, format);
+    if (entries.length > MAX_BATCH_LINES) {
+      return res.status(400).json({
+        error: 'Too many lines',
+        message: `A batch may contain at most ${MAX_BATCH_LINES} songs, got ${entries.length}`
+      });
+    }
+    
+    const report = await createBatchTasks(entries, provider, {
+      preferredToneFlag: options.preferredToneFlag,
+      allowDegrade: options.allowDegrade,
+      degradeOrder: options.degradeOrder,
+      dryRun: dryRun === true,
+      user: req.user
+    });
+    
+    // The matches keep the order of the pasted lines
+    const taskIds = report.matched.filter(matched => matched.task).map(matched => matched.task.id);
+    const created = playlist && taskIds.length > 0 ? addPlaylist({ name: playlist.trim(), userId: req.user.id }, taskIds) : null;
+    
+    res.json({ service: provider.id, total: entries.length, dryRun: dryRun === true, playlist: created, ...report });
+    
+  } catch (error) {
+    if (rejectOverQuota(res, error)) {
+      return;
+    }
+    console.error('Batch create error:', error);
+    res.status(500).json({
+      error: 'Failed to create batch',
+      message: error.message
+    });
+  }
+});
+
+// List tasks, filtered and paginated
 app.get('/api/tasks', (req, res) => {
   try {
-    const tasks = getAllTasks();
-    res.json(tasks);
+    const parsed = parseTaskListQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json(parsed);
+    }
+    
+    // Users only see their own tasks; admins see everyone's, or one user's with ?userId=
+    const { tasks, next } = listTasks({
+      ...parsed.options,
+      userId: isAdmin(req.user) ? parsed.options.userId : req.user.id
+    });
+    if (next) {
+      res.set('X-Next-Cursor', Buffer.from(JSON.stringify([next.value, next.id])).toString('base64url'));
+    }
+    res.json(tasks.map(withLiveProgress));
   } catch (error) {
     console.error('List tasks error:', error);
     res.status(500).json({ error: error.message });
@@ -167,13 +1259,23 @@ app.get('/api/tasks', (req, res) => {
 // Get specific task
 app.get('/api/tasks/:id', (req, res) => {
   try {
-    const task = getTaskById(req.params.id);
+    const task = withLiveProgress(getAccessibleTask(req, req.params.id));
     
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
     
-    res.json(task);
+    // Expose the attempt history as a parsed list
+    let attempts = [];
+    if (task.attempt_history) {
+      try {
+        attempts = JSON.parse(task.attempt_history);
+      } catch (e) {
+        console.warn(`Failed to parse attempt_history for task ${task.id}:`, e);
+      }
+    }
+    
+    res.json({ ...task, attempts });
     
   } catch (error) {
     console.error('Get task error:', error);
@@ -181,10 +1283,191 @@ app.get('/api/tasks/:id', (req, res) => {
   }
 });
 
-// Start server
-app.listen(config.PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${config.PORT}`);
-  console.log(`Config directory: ${config.CONFIG_DIR}`);
-  console.log(`Staging directory: ${config.STAGING_DIR}`);
-  console.log(`Library directory: ${config.LIBRARY_DIR}`);
+// Get lyrics for a task
+app.get('/api/tasks/:id/lyrics', async (req, res) => {
+  try {
+    const task = getAccessibleTask(req, req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    // Tasks finished before lyrics were fetched get them on first request
+    let lyrics = task.lyrics;
+    if (!lyrics && task.status === 'done' && config.FETCH_LYRICS) {
+      lyrics = await fetchProviderLyrics(task);
+      if (lyrics) {
+        updateTaskStatus(task.id, task.status, null, { lyrics });
+      }
+    }
+    
+    if (!lyrics) {
+      return res.status(404).json({ error: 'Lyrics not found' });
+    }
+    
+    const lines = parseLrc(lyrics);
+    res.json({
+      taskId: task.id,
+      synced: lines.length > 0,
+      lyrics,
+      lines
+    });
+    
+  } catch (error) {
+    console.error('Get lyrics error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel, pause, resume or retry a task
+app.post('/api/tasks/:id/:action(cancel|pause|resume|retry)', (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const task = getAccessibleTask(req, id);
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    const conflict = getActionConflict(task, action);
+    if (conflict) {
+      return res.status(409).json({ error: `Cannot ${action} task`, message: conflict });
+    }
+    
+    res.json(TASK_ACTIONS[action].run(task.id));
+    
+  } catch (error) {
+    console.error(`Task ${req.params.action} error:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a task, and with ?deleteFile=true its library file
+app.delete('/api/tasks/:id', (req, res) => {
+  try {
+    const task = getAccessibleTask(req, req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    const conflict = getActionConflict(task, 'delete');
+    if (conflict) {
+      return res.status(409).json({ error: 'Cannot delete task', message: conflict });
+    }
+    
+    res.json(deleteTask(task.id, { deleteFile: req.query.deleteFile === 'true' }));
+    
+  } catch (error) {
+    console.error('Delete task error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply one action to a list of tasks or to every task matching a filter
+app.post('/api/tasks/bulk', (req, res) => {
+  try {
+    const { action, ids, filter, deleteFile = false } = req.body || {};
+    
+    if (!TASK_ACTIONS[action]) {
+      return res.status(400).json({
+        error: 'Invalid field: action',
+        message: `action must be one of: ${Object.keys(TASK_ACTIONS).join(', ')}`
+      });
+    }
+    
+    let tasks;
+    if (Array.isArray(ids)) {
+      tasks = ids.map(id => getAccessibleTask(req, id) || { id, missing: true });
+    } else if (filter && typeof filter === 'object') {
+      // Same filters as GET /api/tasks, without paging
+      const parsed = parseTaskListQuery({ ...filter, limit: undefined, cursor: undefined });
+      if (parsed.error) {
+        return res.status(400).json(parsed);
+      }
+      tasks = listTasks({
+        ...parsed.options,
+        userId: isAdmin(req.user) ? parsed.options.userId : req.user.id,
+        limit: null
+      }).tasks;
+    } else {
+      return res.status(400).json({
+        error: 'Missing required field: ids or filter',
+        message: 'Pass a list of task ids or a filter object'
+      });
+    }
+    
+    const updated = [];
+    const skipped = [];
+    for (const task of tasks) {
+      const reason = task.missing ? 'Task not found' : getActionConflict(task, action);
+      if (reason) {
+        skipped.push({ id: task.id, reason });
+        continue;
+      }
+      
+      try {
+        TASK_ACTIONS[action].run(task.id, { deleteFile: deleteFile === true });
+        updated.push(task.id);
+      } catch (error) {
+        console.error(`Bulk ${action} failed for task ${task.id}:`, error);
+        skipped.push({ id: task.id, reason: error.message });
+      }
+    }
+    
+    res.json({ action, matched: tasks.length, updated, skipped });
+    
+  } catch (error) {
+    console.error('Bulk task action error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
+
+/**
+ * Open the database, start the background services and listen on PORT
+ */
+function startServer() {
+  // Initialize database; refuse to start on a schema that failed to migrate or is newer than this app
+  try {
+    initDatabase();
+  } catch (error) {
+    console.error(`Cannot open the database at ${config.DB_PATH}: ${error.message}`);
+    process.exit(1);
+  }
+  
+  // Apply the settings saved from the WebUI over the environment
+  loadSettings();
+  
+  // Warn once if DEFAULT_SERVICE names no provider; requests fall back to the first one
+  checkDefaultService();
+  
+  // Requeue tasks a restart interrupted and clear out orphaned staging files
+  runStartupRecovery();
+  
+  // Start download queue processor
+  startDownloadQueue();
+  
+  // Pick up files dropped into IMPORT_DIR
+  startImportWatcher();
+  
+  // Write playlist files once their jobs finish
+  startPlaylistWriter();
+  
+  // Start server
+  app.listen(config.PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${config.PORT}`);
+    console.log(`Config directory: ${config.CONFIG_DIR}`);
+    console.log(`Staging directory: ${config.STAGING_DIR}`);
+    console.log(`Library directory: ${config.LIBRARY_DIR}`);
+    if (!isAuthEnabled()) {
+      console.warn('ADMIN_PASSWORD is not set: anyone who can reach this port can use the WebUI and API');
+    }
+  });
+}
+
+// Tests import the app without starting it
+if (path.resolve(process.argv[1] || '') === __filename) {
+  startServer();
+}
+
+export default app;
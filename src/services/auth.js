@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import config from '../config.js';
+import {
+  createSession,
+  getSessionByHash,
+  deleteSessionByHash,
+  createApiToken,
+  getApiTokensByUserId,
+  useApiTokenByHash,
+  deleteApiTokenById,
+  getUserById
+} from '../db/database.js';
+import { ADMIN_USERNAME, getBuiltinAdmin, isAdmin, verifyUserPassword } from './users.js';
+
+// Cookie holding the session token of the WebUI
+export const SESSION_COOKIE = 'musicn_session';
+
+// API routes reachable without logging in
+const PUBLIC_API_PATHS = ['/api/health', '/api/auth/status', '/api/auth/login'];
+
+// API tokens start with this, so they are easy to recognize in scripts and logs
+const API_TOKEN_PREFIX = 'mjf_';
+
+/**
+ * Whether ADMIN_PASSWORD turns authentication on
+ */
+export function isAuthEnabled() {
+  return Boolean(config.ADMIN_PASSWORD);
+}
+
+/**
+ * Compare a password with ADMIN_PASSWORD in constant time
+ * @returns {boolean}
+ */
+export function verifyPassword(password) {
+  if (!isAuthEnabled() || typeof password !== 'string') {
+    return false;
+  }
+  // Hashing first makes both sides the same length
+  return crypto.timingSafeEqual(
+    Buffer.from(hashToken(password), 'hex'),
+    Buffer.from(hashToken(config.ADMIN_PASSWORD), 'hex')
+  );
+}
+
+/**
+ * Check a login: the built-in admin with ADMIN_PASSWORD, other accounts with their own password
+ * @param {string} [username] - Defaults to the built-in admin
+ * @returns {object|null} - The user, null if the name or password is wrong
+ */
+export function verifyLogin(username, password) {
+  if (!isAuthEnabled()) {
+    return null;
+  }
+  if (!username || String(username).trim().toLowerCase() === ADMIN_USERNAME) {
+    return verifyPassword(password) ? getBuiltinAdmin() : null;
+  }
+  return verifyUserPassword(username, password);
+}
+
+/**
+ * Start a WebUI session for a user
+ * @returns {{token: string, expiresAt: number}} - `token` goes into the session cookie
+ */
+export function startSession(user) {
+  const token = generateToken();
+  const expiresAt = Date.now() + config.SESSION_TTL_MS;
+  createSession(hashToken(token), user.id, expiresAt);
+  return { token, expiresAt };
+}
+
+/**
+ * End the session of a session cookie
+ */
+export function endSession(token) {
+  if (token) {
+    deleteSessionByHash(hashToken(token));
+  }
+}
+
+/**
+ * Create an API token for a user's scripts; only its hash is stored
+ * Requests with the token act as that user.
+ * @param {string} name - What the token is for
+ * @param {object} user - Owner of the token
+ * @returns {object} - The stored token plus `token`, which cannot be read again
+ */
+export function issueApiToken(name, user) {
+  const token = API_TOKEN_PREFIX + generateToken();
+  const id = createApiToken({
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    userId: user.id
+  });
+  console.log(`Created API token ${id} "${name}" for ${user.username}`);
+  return { ...listApiTokens(user).find(apiToken => apiToken.id === Number(id)), token };
+}
+
+/**
+ * List a user's API tokens, without the tokens themselves
+ */
+export function listApiTokens(user) {
+  return getApiTokensByUserId(user.id);
+}
+
+/**
+ * Revoke one of a user's API tokens
+ * @returns {boolean} - false if the user has no such token
+ */
+export function revokeApiToken(id, user) {
+  return deleteApiTokenById(id, user.id);
+}
+
+/**
+ * Find out who sent a request: a bearer API token or the session cookie
+ * @param {object} req - Express request
+ * @returns {{type: string, user: object, token?: object}|null} - `type` is `token` or `session`
+ */
+export function authenticateRequest(req) {
+  const [scheme, bearer] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Bearer' && bearer) {
+    const token = useApiTokenByHash(hashToken(bearer));
+    const user = token && getUserById(token.user_id);
+    return user ? { type: 'token', user, token } : null;
+  }
+
+  const sessionToken = getSessionToken(req);
+  const session = sessionToken && getSessionByHash(hashToken(sessionToken));
+  const user = session && getUserById(session.user_id);
+  return user ? { type: 'session', user } : null;
+}
+
+/**
+ * Express middleware rejecting unauthenticated API requests with 401
+ * Sets `req.user`, the built-in admin while authentication is disabled.
+ * The WebUI files stay public; the WebUI asks for the password when the
+ * API rejects it.
+ */
+export function requireAuth(req, res, next) {
+  // Express routes ignore case, so must this check
+  const requestPath = req.path.toLowerCase();
+  if (!requestPath.startsWith('/api/') || PUBLIC_API_PATHS.includes(requestPath)) {
+    return next();
+  }
+  if (!isAuthEnabled()) {
+    req.user = getBuiltinAdmin();
+    return next();
+  }
+
+  const auth = authenticateRequest(req);
+  if (!auth) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Log in or send an API token as "Authorization: Bearer <token>"'
+    });
+  }
+
+  req.auth = auth;
+  req.user = auth.user;
+  next();
+}
+
+/**
+ * Express middleware limiting a route to admins, after requireAuth()
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only admins can do this'
+    });
+  }
+  next();
+}
+
+/**
+ * Session token from the Cookie header
+ * @returns {string|null}
+ */
+export function getSessionToken(req) {
+  for (const cookie of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * SHA-256 of a token as stored in the database
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
@@ -0,0 +1,325 @@
+import config from '../config.js';
+import { createTask, getTaskById } from '../db/database.js';
+import { publishTaskEvent } from './events.js';
+import { checkDuplicateTasks } from './duplicates.js';
+import { checkDailyQuota } from './users.js';
+
+// Most lines accepted in one batch, each one costs a search request
+export const MAX_BATCH_LINES = 100;
+
+// Best matches scoring at least this are queued
+const MATCH_THRESHOLD = 0.8;
+
+// Results scoring below this are not offered as candidates
+const CANDIDATE_THRESHOLD = 0.4;
+
+// A different song scoring this close to the best match makes a line ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+
+// Search results scored per line, and candidates reported per line
+const SEARCH_PAGE_SIZE = 10;
+const MAX_CANDIDATES = 3;
+
+/**
+ * Parse a pasted list into batch entries
+ * - `lines`: one "Artist - Title" per line; lines without " - " are searched as a title
+ * - `csv`: artist,title[,album] columns, or any order with a header row naming them
+ * Blank lines and lines starting with # are skipped.
+ * @param {string} text - Pasted input
+ * @param {string} format - 'lines' or 'csv'
+ * @returns {{line: number, input: string, artist: string, title: string, album: string}[]}
+ */
+export function parseBatchInput(text, format = 'lines') {
+  const rows = String(text)
+    .split(/\r?\n/)
+    .map((input, index) => ({ line: index + 1, input: input.trim() }))
+    .filter(row => row.input && !row.input.startsWith('#'));
+
+  if (format === 'csv') {
+    return parseCsvRows(rows);
+  }
+
+  return rows.map(row => ({ ...row, ...parseArtistTitle(row.input), album: '' }));
+}
+
+/**
+ * Split "Artist - Title"; text without " - " is taken as the title
+ * @returns {{artist: string, title: string}}
+ */
+export function parseArtistTitle(text) {
+  const [, artist, title] = text.match(/^(.+?)\s+[-–—]\s+(.+)$/) || [];
+  return {
+    artist: artist ? artist.trim() : '',
+    title: title ? title.trim() : text.trim()
+  };
+}
+
+/**
+ * Map CSV rows to entries, using a header row if the first row names a title column
+ */
+function parseCsvRows(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = splitCsvLine(rows[0].input).map(cell => cell.toLowerCase());
+  const hasHeader = header.includes('title');
+  const columns = {
+    artist: hasHeader ? header.indexOf('artist') : 0,
+    title: hasHeader ? header.indexOf('title') : 1,
+    album: hasHeader ? header.indexOf('album') : 2
+  };
+
+  return rows.slice(hasHeader ? 1 : 0).map(row => {
+    const cells = splitCsvLine(row.input);
+    const cell = (name) => (columns[name] >= 0 ? cells[columns[name]] || '' : '');
+    return { ...row, artist: cell('artist'), title: cell('title'), album: cell('album') };
+  });
+}
+
+/**
+ * Split one CSV line, honouring double quotes and "" escapes
+ * @returns {string[]} - Trimmed cells
+ */
+export function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Score how well a search result matches a batch entry, from 0 to 1
+ * Title similarity weighs most, then artist similarity, then whether the
+ * preferred quality is available.
+ * @param {object} entry - Batch entry with title and artist
+ * @param {object} item - Song search result
+ * @param {object} provider - Provider the result came from
+ * @param {string} preferredToneFlag - Quality the task will ask for
+ * @returns {number}
+ */
+export function scoreMatch(entry, item, provider, preferredToneFlag = 'HQ') {
+  const titleScore = similarity(entry.title, item.title);
+
+  // Without an artist in the input there is nothing to confirm or rule out
+  const artistScore = entry.artist
+    ? Math.max(...splitArtists(item.artist).map(artist => similarity(entry.artist, artist)), similarity(entry.artist, item.artist))
+    : 0.5;
+
+  const qualities = provider.listQualities(item).map(quality => quality.code);
+  const qualityScore = qualities.includes(preferredToneFlag) ? 1 : (qualities.length > 0 ? 0.5 : 0);
+
+  return Math.round((0.6 * titleScore + 0.3 * artistScore + 0.1 * qualityScore) * 1000) / 1000;
+}
+
+/**
+ * Search every entry and pick its best match
+ * Entries are searched one after another to go easy on the provider.
+ * Every report item carries its entry's fields (line, input, artist, title, album).
+ * @param {object[]} entries - From parseBatchInput()
+ * @param {object} provider - Provider to search, must support song search
+ * @param {object} options
+ * @param {string} options.preferredToneFlag - Preferred quality (HQ, SQ, ...)
+ * @returns {Promise<{matched: object[], ambiguous: object[], unmatched: object[]}>} -
+ *   `matched` items have the `score` and `match`, the others a `reason` and `candidates`
+ */
+export async function matchBatchEntries(entries, provider, options = {}) {
+  const preferredToneFlag = options.preferredToneFlag || config.DEFAULT_QUALITY;
+  const report = { matched: [], ambiguous: [], unmatched: [] };
+
+  for (const entry of entries) {
+    if (!entry.title) {
+      report.unmatched.push({ ...entry, reason: 'No title found on this line', candidates: [] });
+      continue;
+    }
+
+    let results;
+    try {
+      const query = [entry.artist, entry.title].filter(Boolean).join(' ');
+      results = await provider.search(query, { type: 'song', pageNum: 1, pageSize: SEARCH_PAGE_SIZE });
+    } catch (error) {
+      report.unmatched.push({ ...entry, reason: `Search failed: ${error.message}`, candidates: [] });
+      continue;
+    }
+
+    const ranked = results
+      .filter(item => item.type === 'song' && !item.disabled)
+      .map(item => ({ ...item, score: scoreMatch(entry, item, provider, preferredToneFlag) }))
+      .sort((a, b) => b.score - a.score);
+    const candidates = ranked.filter(item => item.score >= CANDIDATE_THRESHOLD).slice(0, MAX_CANDIDATES);
+    const [best] = ranked;
+
+    if (!best || best.score < MATCH_THRESHOLD) {
+      const reason = best ? 'No close match' : 'No search results';
+      if (candidates.length > 0) {
+        report.ambiguous.push({ ...entry, reason, candidates });
+      } else {
+        report.unmatched.push({ ...entry, reason, candidates: [] });
+      }
+      continue;
+    }
+
+    // Other versions of the same song do not make a line ambiguous
+    const rival = ranked.find(item => !isSameSong(item, best) && item.score >= best.score - AMBIGUITY_MARGIN);
+    if (rival) {
+      report.ambiguous.push({ ...entry, reason: 'Several songs match equally well', candidates });
+      continue;
+    }
+
+    report.matched.push({ ...entry, score: best.score, match: best });
+  }
+
+  return report;
+}
+
+/**
+ * Search every entry, pick its best match and queue the confident ones
+ * @param {object[]} entries - From parseBatchInput()
+ * @param {object} provider - Provider to search, must support song search
+ * @param {object} options - As for matchBatchEntries(), plus the task options below
+ * @param {boolean} options.allowDegrade - Allow falling back to lower qualities
+ * @param {string[]} options.degradeOrder - Quality fallback order
+ * @param {boolean} options.dryRun - Only report, do not create tasks
+ * @param {object} options.user - Owner of the tasks, whose daily quota they count against
+ * @returns {Promise<object>} - The report of matchBatchEntries(), with the created `task` of each match
+ * @throws {Error} - With `quota` if the matches exceed the owner's daily quota
+ */
+export async function createBatchTasks(entries, provider, options = {}) {
+  const report = await matchBatchEntries(entries, provider, options);
+
+  if (options.dryRun) {
+    report.matched.forEach(matched => {
+      matched.task = null;
+    });
+    return report;
+  }
+
+  const taskData = checkDuplicateTasks(report.matched.map(matched => getMatchTaskData(provider, matched, options)));
+  if (options.user) {
+    checkDailyQuota(options.user, taskData.filter(task => task.status !== 'skipped').length);
+  }
+
+  report.matched.forEach((matched, i) => {
+    matched.task = queueTask(taskData[i]);
+  });
+
+  return report;
+}
+
+/**
+ * Create the task of a matched entry, `skipped` if checkDuplicateTasks() found it a duplicate
+ * @returns {object} - The new task row
+ */
+function queueTask(taskData) {
+  const taskId = createTask(taskData);
+  const task = getTaskById(taskId);
+  publishTaskEvent('task.created', task);
+  return task;
+}
+
+/**
+ * Task fields for a matched entry, as accepted by createTask()
+ * @param {object} provider - Provider the match came from
+ * @param {object} matched - Item of the `matched` list of matchBatchEntries()
+ * @param {object} options - Quality options and the owning `user`
+ */
+export function getMatchTaskData(provider, matched, options = {}) {
+  const item = matched.match;
+  return {
+    service: provider.id,
+    title: item.title,
+    artist: item.artist,
+    album: item.album || matched.album || '',
+    coverUrl: item.coverUrl || '',
+    downloadUrl: item.downloadUrl || '',
+    fileSize: item.fileSize || '',
+    format: item.format || 'MP3',
+    preferredToneFlag: options.preferredToneFlag || config.DEFAULT_QUALITY,
+    allowDegrade: options.allowDegrade ?? config.ALLOW_DEGRADE,
+    degradeOrder: options.degradeOrder || config.DEGRADE_ORDER,
+    copyrightId: item.copyrightId || null,
+    contentId: item.contentId || null,
+    rawFormat: item.rawFormat || null,
+    userId: options.user ? options.user.id : null
+  };
+}
+
+/**
+ * Lowercase and strip punctuation so "Song (Live)" and "song live" compare equal
+ */
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Dice coefficient over character bigrams, 1 for equal strings
+ * Works for CJK titles, where words are not separated by spaces.
+ */
+function similarity(a, b) {
+  const left = normalize(a).replace(/ /g, '');
+  const right = normalize(b).replace(/ /g, '');
+
+  if (left === right) {
+    return left ? 1 : 0;
+  }
+  if (left.length < 2 || right.length < 2) {
+    return 0;
+  }
+
+  const bigrams = new Map();
+  for (let i = 0; i < left.length - 1; i++) {
+    const bigram = left.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const bigram = right.slice(i, i + 2);
+    if (bigrams.get(bigram) > 0) {
+      bigrams.set(bigram, bigrams.get(bigram) - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (left.length - 1 + right.length - 1);
+}
+
+/**
+ * Split a credit like "A, B & C" or "A/B feat. C" into single artists
+ */
+function splitArtists(artist) {
+  return String(artist || '')
+    .split(/\s*(?:[,&/、|]|\bfeat\.?|\bft\.)\s*/i)
+    .filter(Boolean);
+}
+
+function isSameSong(a, b) {
+  return normalize(a.title) === normalize(b.title) && normalize(a.artist) === normalize(b.artist);
+}
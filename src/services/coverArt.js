@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import got from 'got';
+
+/**
+ * Detect the image type from its first bytes
+ * @param {Buffer} data - Image data
+ * @returns {string|null} - MIME type, or null if not a supported image
+ */
+export function detectImageMime(data) {
+  if (!data || data.length < 4) {
+    return null;
+  }
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.toString('latin1', 0, 4) === '\x89PNG') {
+    return 'image/png';
+  }
+  return null;
+}
+
+/**
+ * Download cover art
+ * @param {string} url - Cover URL stored on the task
+ * @returns {Promise<{data: Buffer, mime: string}|null>} - null if the URL is empty or not an image
+ */
+export async function fetchCoverArt(url) {
+  if (!url) {
+    return null;
+  }
+
+  const response = await got.get(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      'Referer': 'https://music.migu.cn/'
+    },
+    timeout: { request: 15000 },
+    responseType: 'buffer'
+  });
+
+  // Trust the bytes over the Content-Type header, CDNs often send octet-stream
+  const mime = detectImageMime(response.body);
+  if (!mime) {
+    console.warn(`Cover at ${url} is not a JPEG or PNG image (Content-Type: ${response.headers['content-type']})`);
+    return null;
+  }
+
+  return { data: response.body, mime };
+}
+
+/**
+ * Write cover image files (e.g. folder.jpg) next to a track for media servers
+ * Existing files are left alone so a folder keeps its first cover.
+ * @param {string} dir - Library directory of the track
+ * @param {{data: Buffer, mime: string}} cover - Downloaded cover
+ * @param {string[]} filenames - File names to write, e.g. ['cover.jpg', 'folder.jpg']
+ * @returns {string[]} - Paths that were written
+ */
+export function saveCoverFiles(dir, cover, filenames) {
+  const written = [];
+  const ext = cover.mime === 'image/png' ? '.png' : '.jpg';
+
+  for (const filename of filenames) {
+    // Match the extension to the actual image type
+    const coverPath = path.join(dir, path.basename(filename, path.extname(filename)) + ext);
+    if (fs.existsSync(coverPath)) {
+      continue;
+    }
+
+    fs.writeFileSync(coverPath, cover.data);
+    written.push(coverPath);
+  }
+
+  return written;
+}
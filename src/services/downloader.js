@@ -1,563 +1,276 @@
 import fs from 'fs';
 import path from 'path';
+import { once } from 'events';
 import { pipeline } from 'stream/promises';
 import got from 'got';
 import config from '../config.js';
-import { getExtension, createLibraryPath } from '../utils/fileUtils.js';
-import { updateTaskStatus, getTaskById, getNextQueuedTask } from '../db/database.js';
+import { inferExtension, createLibraryPath } from '../utils/fileUtils.js';
+import { classifyError, classifyResolveError, getRetryDelay } from '../utils/retry.js';
+import { writeTags, readTags } from '../utils/audioTags.js';
+import { fetchCoverArt, saveCoverFiles } from './coverArt.js';
+import { lrcToPlainText } from './lyrics.js';
+import { getProvider, fetchProviderLyrics } from '../providers/index.js';
+import {
+  DEFAULT_PATH_TEMPLATE,
+  DEFAULT_ALBUM_PATH_TEMPLATE,
+  SAMPLE_TEMPLATE_FIELDS,
+  parseTemplate,
+  validateTemplate
+} from '../utils/pathTemplate.js';
+import {
+  updateTaskStatus,
+  getTaskById,
+  getNextQueuedTask,
+  countTasksByStatus,
+  deleteTaskById,
+  getPlaylistIdsByTaskId,
+  replaceLibraryPath
+} from '../db/database.js';
+import { publishTaskEvent } from './events.js';
+import { resolveLibraryConflict, isSameFileContent } from './duplicates.js';
+import { getLibraryRoot } from './users.js';
 
-// Track if a download is currently in progress
-let isProcessing = false;
+// Upper bound for the worker pool size
+const MAX_CONCURRENCY = 10;
+
+// Number of tasks allowed to run at the same time
+let concurrency = clampConcurrency(config.DOWNLOAD_CONCURRENCY);
+
+// Path templates applied by organizeToLibrary()
+let libraryTemplate = initialTemplate('LIBRARY_PATH_TEMPLATE', DEFAULT_PATH_TEMPLATE);
+let albumTemplate = initialTemplate('ALBUM_PATH_TEMPLATE', DEFAULT_ALBUM_PATH_TEMPLATE);
+
+// Timer polling the queue once startDownloadQueue() ran
+let queueInterval = null;
+
+// Busy worker slots: workerId -> { taskId, startedAt }
+const workers = new Map();
+
+// In-flight tasks: taskId -> AbortController used to cancel or pause them
+const runningTasks = new Map();
+
+// Latest progress of downloading tasks, ahead of what is persisted: taskId -> progress fields
+const liveProgress = new Map();
+
+// How often progress events are published, and how often progress is written to the database
+const PROGRESS_EVENT_INTERVAL_MS = 500;
+const PROGRESS_PERSIST_INTERVAL_MS = 5000;
 
 /**
- * Map quality label (SQ/HQ/PQ/LQ) to actual Migu format code from rawFormat
- * @param {string} qualityLabel - Quality label (SQ, HQ, PQ, LQ)
- * @param {string|object|array} rawFormat - The rawFormat data from search results
- * @returns {string|null} - The actual format code (e.g., "020010" for HQ) or null if not found
+ * Update a task's status and publish the updated row as a `task.status` event
+ * Takes the same arguments as updateTaskStatus().
  */
-function mapQualityToFormatCode(qualityLabel, rawFormat) {
-  if (!rawFormat) {
-    return null;
-  }
-  
-  // Parse rawFormat if it's a JSON string
-  let formatData = rawFormat;
-  if (typeof rawFormat === 'string') {
-    try {
-      formatData = JSON.parse(rawFormat);
-    } catch (e) {
-      // Not JSON, might be a simple string format label
-      return null;
-    }
-  }
-  
-  // If rawFormat is an array, find the matching quality entry
-  if (Array.isArray(formatData)) {
-    const entry = formatData.find(item => 
-      item && item.formatType === qualityLabel
-    );
-    
-    if (entry) {
-      // Priority: androidFormat > iosFormat > format
-      const formatCode = entry.androidFormat || entry.iosFormat || entry.format;
-      if (formatCode) {
-        return String(formatCode);
-      }
-    }
-  } 
-  // If rawFormat is a single object, check if it matches the quality
-  else if (typeof formatData === 'object' && formatData !== null) {
-    if (formatData.formatType === qualityLabel) {
-      const formatCode = formatData.androidFormat || formatData.iosFormat || formatData.format;
-      if (formatCode) {
-        return String(formatCode);
-      }
-    }
-  }
-  
-  return null;
+function setTaskStatus(taskId, status, errorMessage = null, additionalData = {}) {
+  updateTaskStatus(taskId, status, errorMessage, additionalData);
+  publishTaskEvent('task.status', withLiveProgress(getTaskById(taskId)));
 }
 
 /**
- * Map quality label to format code with degradation fallback
- * Tries to find format code for the requested quality, or falls back to available qualities
- * @param {string} qualityLabel - Preferred quality label (SQ, HQ, PQ, LQ)
- * @param {string|object|array} rawFormat - The rawFormat data from search results
- * @param {string[]} degradeOrder - Order of qualities to try if preferred not available
- * @returns {{formatCode: string|null, actualQuality: string|null, mappingLog: string[]}}
+ * Record the progress of a downloading task and publish it as a `task.progress` event
+ * @param {number} taskId
+ * @param {object} progress - progress, downloadedBytes, totalBytes, speedBps, etaSeconds;
+ *   any other fields (e.g. stagingOffset) are only written to the database
+ * @param {boolean} persist - Also write the progress to the database
  */
-function mapQualityWithFallback(qualityLabel, rawFormat, degradeOrder = ['HQ', 'PQ', 'LQ']) {
-  const mappingLog = [];
-  
-  // Try preferred quality first
-  const preferredCode = mapQualityToFormatCode(qualityLabel, rawFormat);
-  if (preferredCode) {
-    mappingLog.push(`${qualityLabel} → ${preferredCode} (preferred)`);
-    return { 
-      formatCode: preferredCode, 
-      actualQuality: qualityLabel,
-      mappingLog 
-    };
-  }
-  
-  mappingLog.push(`${qualityLabel} → not found in rawFormat`);
+function reportProgress(taskId, progress, persist = true) {
+  const live = {
+    progress: progress.progress || 0,
+    downloaded_bytes: progress.downloadedBytes || 0,
+    total_bytes: progress.totalBytes || 0,
+    speed_bps: progress.speedBps || 0,
+    eta_seconds: progress.etaSeconds || 0
+  };
+  liveProgress.set(taskId, live);
   
-  // Try degradation order
-  for (const quality of degradeOrder) {
-    if (quality === qualityLabel) {
-      continue; // Already tried
-    }
-    
-    const code = mapQualityToFormatCode(quality, rawFormat);
-    if (code) {
-      mappingLog.push(`${quality} → ${code} (degraded)`);
-      return {
-        formatCode: code,
-        actualQuality: quality,
-        mappingLog
-      };
-    }
-    mappingLog.push(`${quality} → not found`);
+  if (persist) {
+    updateTaskStatus(taskId, 'downloading', null, progress);
   }
-  
-  return {
-    formatCode: null,
-    actualQuality: null,
-    mappingLog
-  };
+  publishTaskEvent('task.progress', { id: taskId, status: 'downloading', ...live });
 }
 
 /**
- * Resolve Migu download URL using copyrightId and toneFlag
- * Tries multiple APIs and fields to find a working download URL
- * @param {string} copyrightId - The Migu copyright ID
- * @param {string} contentId - The Migu content ID (optional)
- * @param {string} toneFlag - Quality flag (HQ, PQ, LQ, SQ) - will be mapped to format code
- * @param {string|object|array} rawFormat - The rawFormat data for mapping toneFlag to format code
- * @returns {Promise<{finalUrl: string, contentType?: string, error?: object}>}
+ * Overlay the latest unpersisted progress on a downloading task row
+ * @param {object|undefined} task - Task row
+ * @returns {object|undefined} - The row with current progress fields
  */
-async function resolveMiguUrl(copyrightId, contentId, toneFlag = 'HQ', rawFormat = null) {
-  if (!copyrightId) {
-    return {
-      finalUrl: null,
-      error: {
-        message: 'Missing copyrightId - cannot resolve Migu URL',
-        code: 'MISSING_COPYRIGHT_ID'
-      }
-    };
-  }
-  
-  console.log(`Resolving Migu URL: copyrightId=${copyrightId}, contentId=${contentId}, toneFlag=${toneFlag}`);
-  
-  const errors = [];
-  let mappingLog = [];
-  
-  // Map quality label to actual format code
-  let actualToneFlag = toneFlag; // Default to the quality label if mapping fails
-  if (rawFormat) {
-    const mapping = mapQualityWithFallback(toneFlag, rawFormat, []);
-    mappingLog = mapping.mappingLog;
-    
-    if (mapping.formatCode) {
-      actualToneFlag = mapping.formatCode;
-      console.log(`Mapped ${toneFlag} to format code: ${actualToneFlag}`);
-    } else {
-      console.warn(`Failed to map ${toneFlag} to format code from rawFormat. Mapping attempts:`, mappingLog);
-      // Continue with quality label as fallback, but log this issue
-      errors.push({
-        api: 'toneFlag_mapping',
-        message: `rawFormat does not contain format code for ${toneFlag}`,
-        mappingLog: mappingLog,
-        note: 'Using quality label as fallback - may cause PE parameter error'
-      });
-    }
-  } else {
-    console.warn(`No rawFormat provided - cannot map ${toneFlag} to format code`);
-    errors.push({
-      api: 'toneFlag_mapping',
-      message: 'rawFormat missing - cannot map quality to format code',
-      note: 'Using quality label as fallback - may cause PE parameter error'
-    });
+export function withLiveProgress(task) {
+  if (!task || task.status !== 'downloading' || !liveProgress.has(task.id)) {
+    return task;
   }
+  return { ...task, ...liveProgress.get(task.id) };
+}
+
+/**
+ * Open a download stream, asking the server to continue from `offset` when possible
+ * @param {string} url - The resolved download URL
+ * @param {object} options
+ * @param {number} options.offset - Bytes already present in the staging file
+ * @param {string} options.etag - Validator recorded when the partial file was started, see getResumeValidator()
+ * @param {AbortSignal} options.signal - Aborts the transfer
+ * @param {object} options.headers - Headers the task's provider adds, see MusicProvider.requestHeaders
+ * @returns {Promise<{stream: object, response: object}>}
+ */
+async function openDownloadStream(url, { offset = 0, etag = null, signal, headers: providerHeaders = {} } = {}) {
+  const headers = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+    ...providerHeaders
+  };
   
-  // Strategy 1: Try listenSong.do API (most reliable for direct audio URLs)
-  // Use contentId if available, otherwise fallback to copyrightId
-  const effectiveContentId = contentId || copyrightId;
-  if (effectiveContentId) {
-    try {
-      const listenUrl = `https://app.c.nf.migu.cn/MIGUM2.0/v1.0/content/sub/listenSong.do?toneFlag=${actualToneFlag}&netType=00&userId=&ua=Android_migu&version=5.0.1&copyrightId=${copyrightId}&contentId=${effectiveContentId}&resourceType=2&channel=0`;
-      console.log(`Trying listenSong.do with toneFlag=${actualToneFlag}: ${listenUrl}`);
-      
-      const result = await resolveDownloadUrl(listenUrl, actualToneFlag);
-      if (result.finalUrl) {
-        console.log(`Successfully resolved via listenSong.do: ${result.finalUrl}`);
-        return result;
-      }
-      if (result.error) {
-        errors.push({
-          api: 'listenSong.do',
-          mappedToneFlag: `${toneFlag} → ${actualToneFlag}`,
-          ...result.error
-        });
-      }
-    } catch (error) {
-      errors.push({
-        api: 'listenSong.do',
-        mappedToneFlag: `${toneFlag} → ${actualToneFlag}`,
-        message: error.message
-      });
+  if (offset > 0) {
+    headers['Range'] = `bytes=${offset}-`;
+    // Servers answer with the full file (200) if the resource changed
+    if (etag) {
+      headers['If-Range'] = etag;
     }
   }
   
-  // Strategy 2: Try resourceinfo.do with different resourceType values
-  // Note: resourceType=E is not supported by the API, only trying 2 and 0
-  const resourceTypes = [2, 0]; // Try music (2) and general (0)
+  const stream = got.stream(url, {
+    headers,
+    timeout: { request: 60000 },
+    signal
+  });
   
-  for (const resourceType of resourceTypes) {
-    try {
-      const resourceUrl = `https://c.musicapp.migu.cn/MIGUM2.0/v1.0/content/resourceinfo.do?copyrightId=${copyrightId}&resourceType=${resourceType}`;
-      console.log(`Trying resourceinfo.do with resourceType=${resourceType}: ${resourceUrl}`);
-      
-      const response = await got.get(resourceUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Referer': 'https://music.migu.cn/'
-        },
-        timeout: { request: 10000 },
-        responseType: 'json',
-        throwHttpErrors: false
-      });
-      
-      const data = response.body;
-      
-      if (data.code !== '000000') {
-        errors.push({
-          api: `resourceinfo.do?resourceType=${resourceType}`,
-          code: data.code,
-          message: data.info || 'Unknown error'
-        });
-        continue;
-      }
-      
-      // Look for URL in various fields
-      if (data.resource && Array.isArray(data.resource) && data.resource.length > 0) {
-        const resource = data.resource[0];
-        const possibleUrlFields = ['audioUrl', 'url', 'playUrl', 'listenUrl', 'downloadUrl'];
-        
-        for (const field of possibleUrlFields) {
-          if (resource[field]) {
-            const audioUrl = resource[field];
-            console.log(`Found ${field} in resourceinfo.do: ${audioUrl}`);
-            
-            // Try to construct direct URL
-            try {
-              const { pathname } = new URL(audioUrl);
-              const directUrl = `https://freetyst.nf.migu.cn${pathname}`;
-              
-              // Verify the URL is accessible
-              const headResponse = await got.head(directUrl, {
-                headers: {
-                  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                  'Referer': 'https://music.migu.cn/'
-                },
-                timeout: { request: 5000 },
-                throwHttpErrors: false
-              });
-              
-              if (headResponse.statusCode === 200) {
-                console.log(`Successfully resolved via resourceinfo.do: ${directUrl}`);
-                return {
-                  finalUrl: directUrl,
-                  contentType: headResponse.headers['content-type']
-                };
-              }
-            } catch (urlError) {
-              console.error(`Failed to parse or verify URL from ${field}:`, urlError.message);
-            }
-          }
-        }
-        
-        errors.push({
-          api: `resourceinfo.do?resourceType=${resourceType}`,
-          message: `Response successful but no valid URL found in fields: ${possibleUrlFields.join(', ')}`,
-          availableFields: Object.keys(resource)
-        });
-      } else {
-        errors.push({
-          api: `resourceinfo.do?resourceType=${resourceType}`,
-          message: 'Response successful but no resource array found',
-          responseKeys: Object.keys(data)
-        });
-      }
-    } catch (error) {
-      errors.push({
-        api: `resourceinfo.do?resourceType=${resourceType}`,
-        message: error.message
-      });
-    }
+  try {
+    const [response] = await once(stream, 'response');
+    return { stream, response };
+  } catch (error) {
+    stream.destroy();
+    throw error;
   }
-  
-  // All strategies failed
-  return {
-    finalUrl: null,
-    error: {
-      message: `Failed to resolve Migu URL after trying all strategies`,
-      toneFlag: toneFlag,
-      mappedToneFlag: actualToneFlag,
-      mappingLog: mappingLog.length > 0 ? mappingLog : undefined,
-      copyrightId: copyrightId,
-      contentId: contentId,
-      attempts: errors
-    }
-  };
 }
 
 /**
- * Resolve URL by following redirects or parsing JSON responses
- * @param {string} url - The initial URL (e.g., listenSong.do)
- * @param {string} toneFlag - The quality flag (HQ, PQ, LQ, SQ)
- * @returns {Promise<{finalUrl: string, contentType?: string, error?: object}>}
+ * Validator of the served file version: its ETag, or its Last-Modified date
+ * for servers without ETags. Both are accepted by If-Range.
+ * @param {object} headers - Response headers
+ * @returns {string|null}
  */
-async function resolveDownloadUrl(url, toneFlag = 'HQ') {
-  try {
-    // Update URL with toneFlag if it's a listenSong.do URL
-    let resolveUrl = url;
-    if (url.includes('listenSong.do')) {
-      // Replace or add toneFlag parameter
-      const urlObj = new URL(url);
-      urlObj.searchParams.set('toneFlag', toneFlag);
-      resolveUrl = urlObj.toString();
-    }
-    
-    console.log(`Resolving URL with toneFlag=${toneFlag}: ${resolveUrl}`);
-    
-    // Make a HEAD request first to check for redirects
-    const response = await got.head(resolveUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Referer': 'https://music.migu.cn/'
-      },
-      followRedirect: false, // Don't auto-follow, we want to inspect the redirect
-      throwHttpErrors: false,
-      timeout: { request: 10000 }
-    });
-    
-    // Check for redirect responses (301, 302, 303, 307, 308)
-    if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
-      const location = response.headers.location;
-      if (location) {
-        console.log(`URL resolved via ${response.statusCode} redirect: ${location}`);
-        return {
-          finalUrl: location,
-          contentType: null
-        };
-      }
-    }
-    
-    // Handle error status codes (4xx, 5xx)
-    if (response.statusCode >= 400) {
-      const contentType = response.headers['content-type'] || '';
-      
-      // If it's JSON, fetch the body to get error details
-      if (contentType.includes('application/json')) {
-        try {
-          const errorResponse = await got.get(resolveUrl, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-              'Referer': 'https://music.migu.cn/'
-            },
-            timeout: { request: 10000 },
-            responseType: 'json',
-            throwHttpErrors: false
-          });
-          
-          const errorData = errorResponse.body;
-          const errorMsg = errorData?.message || errorData?.msg || errorData?.info || 'Unknown error';
-          const errorCode = errorData?.code || errorData?.errorCode || response.statusCode;
-          
-          console.error(`API returned ${response.statusCode} with JSON error:`, errorData);
-          
-          return {
-            finalUrl: null,
-            error: {
-              statusCode: response.statusCode,
-              contentType: contentType,
-              message: errorMsg,
-              code: errorCode,
-              toneFlag: toneFlag
-            }
-          };
-        } catch (jsonError) {
-          console.error(`Failed to parse JSON error response:`, jsonError);
-        }
-      }
-      
-      // Non-JSON error response
-      throw new Error(`HTTP ${response.statusCode} ${contentType ? `(${contentType})` : ''} for toneFlag=${toneFlag}`);
-    }
-    
-    // If HEAD request succeeds (200), check content type
-    if (response.statusCode === 200) {
-      const contentType = response.headers['content-type'];
-      
-      // If it's JSON, fetch and parse it for the real URL
-      if (contentType && contentType.includes('application/json')) {
-        const jsonResponse = await got.get(resolveUrl, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Referer': 'https://music.migu.cn/'
-          },
-          timeout: { request: 10000 },
-          responseType: 'json'
-        });
-        
-        // Try common JSON fields for download URLs
-        const data = jsonResponse.body;
-        const possibleUrlFields = ['url', 'playUrl', 'downloadUrl', 'mp3Url', 'listenUrl'];
-        
-        for (const field of possibleUrlFields) {
-          if (data[field]) {
-            console.log(`URL resolved from JSON field '${field}': ${data[field]}`);
-            return {
-              finalUrl: data[field],
-              contentType: null
-            };
-          }
-        }
-        
-        throw new Error('JSON response does not contain a recognizable download URL field');
-      }
-      
-      // If it's a direct audio file, use the original URL
-      if (contentType && (contentType.includes('audio/') || contentType.includes('application/octet-stream'))) {
-        console.log(`URL is direct audio file: ${resolveUrl}`);
-        return {
-          finalUrl: resolveUrl,
-          contentType: contentType
-        };
-      }
-    }
-    
-    // Fallback: if no redirect or JSON, try GET request to see if it redirects
-    const getResponse = await got.get(resolveUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Referer': 'https://music.migu.cn/'
-      },
-      followRedirect: false,
-      throwHttpErrors: false,
-      timeout: { request: 10000 }
-    });
-    
-    if ([301, 302, 303, 307, 308].includes(getResponse.statusCode)) {
-      const location = getResponse.headers.location;
-      if (location) {
-        console.log(`URL resolved via GET ${getResponse.statusCode} redirect: ${location}`);
-        return {
-          finalUrl: location,
-          contentType: null
-        };
-      }
-    }
-    
-    throw new Error(`Unable to resolve final download URL. Status: ${response.statusCode}, Content-Type: ${response.headers['content-type']}`);
-    
-  } catch (error) {
-    if (error.message.includes('Unable to resolve')) {
-      throw error;
-    }
-    throw new Error(`Failed to resolve download URL: ${error.message}`);
-  }
+function getResumeValidator(headers) {
+  return headers['etag'] || headers['last-modified'] || null;
 }
 
 /**
- * Infer file extension from URL, Content-Type, or Content-Disposition
- * @param {string} url - The download URL
- * @param {object} headers - Response headers (optional)
- * @returns {string} - File extension (e.g., '.mp3', '.flac')
+ * Check that a response actually continues the partial file at `offset`
+ * @param {object} response - The got response
+ * @param {number} offset - Bytes already present in the staging file
+ * @param {string} etag - Validator recorded when the partial file was started, see getResumeValidator()
+ * @returns {boolean}
  */
-function inferExtension(url, headers = {}) {
-  // First try to get extension from URL
-  const urlExt = getExtension(url, null);
-  if (urlExt && urlExt !== '.do') {
-    return urlExt;
+function isValidResumeResponse(response, offset, etag) {
+  if (response.statusCode !== 206) {
+    return false;
   }
   
-  // Check Content-Disposition header for filename
-  const disposition = headers['content-disposition'];
-  if (disposition) {
-    const filenameMatch = disposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
-    if (filenameMatch && filenameMatch[1]) {
-      const filename = filenameMatch[1].replace(/['"]/g, '');
-      const ext = getExtension(filename, null);
-      if (ext && ext !== '.do') {
-        return ext;
-      }
-    }
+  const contentRange = response.headers['content-range'] || '';
+  const match = contentRange.match(/^bytes (\d+)-\d+\/(\d+|\*)$/);
+  if (!match || parseInt(match[1], 10) !== offset) {
+    return false;
   }
   
-  // Check Content-Type header
-  const contentType = headers['content-type'];
-  if (contentType) {
-    const typeMap = {
-      'audio/mpeg': '.mp3',
-      'audio/mp3': '.mp3',
-      'audio/flac': '.flac',
-      'audio/x-flac': '.flac',
-      'audio/mp4': '.m4a',
-      'audio/m4a': '.m4a',
-      'audio/x-m4a': '.m4a'
-    };
-    
-    for (const [type, ext] of Object.entries(typeMap)) {
-      if (contentType.includes(type)) {
-        return ext;
-      }
-    }
+  const validator = getResumeValidator(response.headers);
+  if (etag && validator && validator !== etag) {
+    return false;
   }
   
-  // Default to .mp3
-  return '.mp3';
+  return true;
 }
 
 /**
  * Download a file from URL to staging directory
+ * Partial files are kept on failure and continued with an HTTP Range request
+ * on the next attempt; the download restarts from zero only when the server
+ * ignores the range or the file changed.
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Aborts the transfer when the task is cancelled or paused
+ * @param {string} options.stagingPath - Existing .tmp path to continue from
+ * @param {string} options.etag - Validator recorded for the existing .tmp file, see getResumeValidator()
+ * @param {object} options.headers - Extra request headers of the task's provider
  */
-async function downloadToStaging(url, taskId, artist, title) {
+async function downloadToStaging(url, taskId, artist, title, options = {}) {
+  const { signal, headers } = options;
+  
   // Ensure staging directory exists
   if (!fs.existsSync(config.STAGING_DIR)) {
     fs.mkdirSync(config.STAGING_DIR, { recursive: true });
   }
   
   // We'll determine extension after starting the download
-  const stagingFilename = `task_${taskId}_${Date.now()}.tmp`;
-  const stagingPath = path.join(config.STAGING_DIR, stagingFilename);
+  const stagingPath = options.stagingPath && options.stagingPath.endsWith('.tmp')
+    ? options.stagingPath
+    : path.join(config.STAGING_DIR, `task_${taskId}_${Date.now()}.tmp`);
+  
+  let offset = fs.existsSync(stagingPath) ? fs.statSync(stagingPath).size : 0;
+  let etag = offset > 0 ? options.etag : null;
+  
+  // Record the staging file so a later attempt can continue it
+  updateTaskStatus(taskId, 'downloading', null, { stagingPath, stagingOffset: offset });
   
   try {
     let detectedExt = '.mp3'; // Default
     let totalBytes = 0;
-    let downloadedBytes = 0;
     let startTime = Date.now();
     let lastUpdateTime = startTime;
     
     // Stream download
-    const downloadStream = got.stream(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Referer': 'https://music.migu.cn/'
-      },
-      timeout: { request: 60000 }
-    });
+    let { stream: downloadStream, response } = await openDownloadStream(url, { offset, etag, signal, headers })
+      .catch((error) => {
+        // Range not satisfiable: the partial file is unusable, start over
+        if (offset > 0 && error.response?.statusCode === 416) {
+          console.warn(`Task ${taskId}: server rejected range at ${offset} bytes, restarting download`);
+          offset = 0;
+          return openDownloadStream(url, { signal, headers });
+        }
+        throw error;
+      });
     
-    // Get headers from the response to infer extension
-    downloadStream.on('response', (response) => {
-      detectedExt = inferExtension(url, response.headers);
-      console.log(`Detected extension: ${detectedExt} for URL: ${url}`);
-      
-      // Get total size from Content-Length header
-      const contentLength = response.headers['content-length'];
-      if (contentLength) {
-        totalBytes = parseInt(contentLength, 10);
-        console.log(`Total file size: ${totalBytes} bytes`);
-        updateTaskStatus(taskId, 'downloading', null, {
-          totalBytes,
-          downloadedBytes: 0,
-          progress: 0
-        });
+    if (offset > 0) {
+      if (isValidResumeResponse(response, offset, etag)) {
+        console.log(`Task ${taskId}: resuming download at ${offset} bytes`);
+      } else if (response.statusCode === 206) {
+        // Partial content for a different range or a changed file - start over
+        console.warn(`Task ${taskId}: unexpected Content-Range "${response.headers['content-range']}", restarting download`);
+        downloadStream.destroy();
+        offset = 0;
+        ({ stream: downloadStream, response } = await openDownloadStream(url, { signal, headers }));
+      } else {
+        console.warn(`Task ${taskId}: server ignored Range request (HTTP ${response.statusCode}), restarting download`);
+        offset = 0;
       }
+    }
+    
+    let downloadedBytes = offset;
+    
+    // Get headers from the response to infer extension
+    detectedExt = inferExtension(url, response.headers);
+    console.log(`Detected extension: ${detectedExt} for URL: ${url}`);
+    
+    // Get total size from Content-Length header (remaining bytes when resuming)
+    const contentLength = response.headers['content-length'];
+    if (contentLength) {
+      totalBytes = offset + parseInt(contentLength, 10);
+      console.log(`Total file size: ${totalBytes} bytes`);
+    }
+    
+    etag = getResumeValidator(response.headers);
+    updateTaskStatus(taskId, 'downloading', null, { stagingOffset: offset, stagingEtag: etag });
+    reportProgress(taskId, {
+      totalBytes,
+      downloadedBytes,
+      progress: totalBytes > 0 ? Math.floor((downloadedBytes / totalBytes) * 100) : 0
     });
+    let lastPersistTime = Date.now();
     
     // Track download progress
     downloadStream.on('data', (chunk) => {
       downloadedBytes += chunk.length;
       const now = Date.now();
       
-      // Update progress every 500ms to avoid too frequent database writes
-      if (now - lastUpdateTime >= 500) {
+      // Publish progress every 500ms; the database only needs it now and then
+      if (now - lastUpdateTime >= PROGRESS_EVENT_INTERVAL_MS) {
         lastUpdateTime = now;
         
         const elapsedSeconds = (now - startTime) / 1000;
-        const speedBps = elapsedSeconds > 0 ? Math.floor(downloadedBytes / elapsedSeconds) : 0;
+        const speedBps = elapsedSeconds > 0 ? Math.floor((downloadedBytes - offset) / elapsedSeconds) : 0;
         
         let progress = 0;
         let etaSeconds = 0;
@@ -568,17 +281,24 @@ async function downloadToStaging(url, taskId, artist, title) {
           etaSeconds = speedBps > 0 ? Math.floor(remainingBytes / speedBps) : 0;
         }
         
-        updateTaskStatus(taskId, 'downloading', null, {
+        const persist = now - lastPersistTime >= PROGRESS_PERSIST_INTERVAL_MS;
+        if (persist) {
+          lastPersistTime = now;
+        }
+        
+        reportProgress(taskId, {
           downloadedBytes,
           totalBytes,
           progress,
           speedBps,
-          etaSeconds
-        });
+          etaSeconds,
+          stagingOffset: downloadedBytes
+        }, persist);
       }
     });
     
-    const writeStream = fs.createWriteStream(stagingPath);
+    // Append when resuming, truncate when starting over
+    const writeStream = fs.createWriteStream(stagingPath, { flags: offset > 0 ? 'a' : 'w' });
     
     await pipeline(
       downloadStream,
@@ -587,7 +307,7 @@ async function downloadToStaging(url, taskId, artist, title) {
     
     // Final progress update
     if (totalBytes > 0) {
-      updateTaskStatus(taskId, 'downloading', null, {
+      reportProgress(taskId, {
         downloadedBytes: totalBytes,
         totalBytes,
         progress: 100,
@@ -600,37 +320,361 @@ async function downloadToStaging(url, taskId, artist, title) {
     const finalStagingPath = stagingPath.replace('.tmp', detectedExt);
     fs.renameSync(stagingPath, finalStagingPath);
     
+    updateTaskStatus(taskId, 'downloading', null, { stagingOffset: 0, stagingEtag: null });
+    
     return { stagingPath: finalStagingPath, ext: detectedExt };
   } catch (error) {
-    // Clean up partial file
-    if (fs.existsSync(stagingPath)) {
-      fs.unlinkSync(stagingPath);
+    const cancelled = signal?.aborted && signal.reason?.status === 'cancelled';
+    
+    if (cancelled) {
+      // Discard the partial file
+      if (fs.existsSync(stagingPath)) {
+        fs.unlinkSync(stagingPath);
+      }
+    } else if (fs.existsSync(stagingPath)) {
+      // Keep the partial file and remember how far we got
+      updateTaskStatus(taskId, 'downloading', null, {
+        stagingOffset: fs.statSync(stagingPath).size
+      });
     }
     throw error;
   }
 }
 
+/**
+ * Copy a local file into the staging directory
+ * The source is left in place; the provider removes it once the task is done.
+ * @param {string} filePath - File to import
+ * @param {number} taskId - Task ID
+ * @returns {{stagingPath: string, ext: string}}
+ */
+function copyToStaging(filePath, taskId) {
+  if (!fs.existsSync(config.STAGING_DIR)) {
+    fs.mkdirSync(config.STAGING_DIR, { recursive: true });
+  }
+  
+  const ext = path.extname(filePath).toLowerCase() || '.mp3';
+  const stagingPath = path.join(config.STAGING_DIR, `task_${taskId}_${Date.now()}${ext}`);
+  fs.copyFileSync(filePath, stagingPath);
+  
+  const { size } = fs.statSync(stagingPath);
+  reportProgress(taskId, {
+    progress: 100,
+    downloadedBytes: size,
+    totalBytes: size
+  });
+  
+  return { stagingPath, ext };
+}
+
+/**
+ * Download the task's cover art
+ * @param {object} task - Task row
+ * @returns {Promise<{data: Buffer, mime: string}|null>}
+ */
+async function fetchTaskCover(task) {
+  if (!task.cover_url) {
+    return null;
+  }
+  
+  try {
+    return await fetchCoverArt(task.cover_url);
+  } catch (error) {
+    console.warn(`Task ${task.id}: failed to download cover ${task.cover_url}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the task's lyrics, fetching them once if not stored yet
+ * @param {object} task - Task row
+ * @returns {Promise<string|null>} - LRC text
+ */
+async function fetchTaskLyrics(task) {
+  if (task.lyrics) {
+    return task.lyrics;
+  }
+  
+  try {
+    const lyrics = await fetchProviderLyrics(task);
+    if (lyrics) {
+      updateTaskStatus(task.id, 'organizing', null, { lyrics });
+    }
+    return lyrics;
+  } catch (error) {
+    console.warn(`Task ${task.id}: failed to fetch lyrics:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fill the fields listed in task.fill_from_tags from the staged file's tags
+ * Updates both the task row and the task object; fields the file has no tag
+ * for keep their current value.
+ * @param {object} task - Task row
+ * @param {string} stagingPath - Downloaded file
+ */
+function fillMetadataFromTags(task, stagingPath) {
+  if (!task.fill_from_tags) {
+    return;
+  }
+  
+  let tags = {};
+  try {
+    tags = readTags(stagingPath);
+  } catch (error) {
+    console.warn(`Task ${task.id}: failed to read tags:`, error.message);
+  }
+  
+  const metadata = {};
+  for (const field of task.fill_from_tags.split(',')) {
+    if (tags[field]) {
+      metadata[field] = tags[field];
+    }
+  }
+  
+  setTaskStatus(task.id, 'organizing', null, { metadata, fillFromTags: null });
+  Object.assign(task, getTaskById(task.id));
+  
+  if (Object.keys(metadata).length > 0) {
+    console.log(`Task ${task.id}: filled ${Object.keys(metadata).join(', ')} from file tags`);
+  }
+}
+
+/**
+ * Write the lyrics as an .lrc file next to the library file
+ * @returns {string} - Path of the .lrc file
+ */
+function writeLrcSidecar(libraryPath, lyrics) {
+  const lrcPath = getLrcPath(libraryPath);
+  fs.writeFileSync(lrcPath, lyrics, 'utf8');
+  return lrcPath;
+}
+
+/**
+ * Path of the .lrc file next to a library file
+ */
+function getLrcPath(libraryPath) {
+  return path.join(
+    path.dirname(libraryPath),
+    path.basename(libraryPath, path.extname(libraryPath)) + '.lrc'
+  );
+}
+
+/**
+ * Build the tags to write into a task's audio file
+ * @param {object} task - Task row
+ * @param {{data: Buffer, mime: string}|null} cover - Cover art to embed
+ * @param {string|null} lyrics - LRC text to embed as unsynced lyrics
+ * @returns {object} - Tag fields for writeTags()
+ */
+function buildTaskTags(task, cover = null, lyrics = null) {
+  return {
+    title: task.title,
+    artist: task.artist,
+    album: task.album,
+    albumArtist: task.album_artist,
+    year: task.year,
+    trackNumber: task.track_number,
+    discNumber: task.disc_number,
+    copyrightId: task.copyright_id,
+    lyrics: lyrics ? lrcToPlainText(lyrics) : undefined,
+    picture: cover
+  };
+}
+
+/**
+ * Write task metadata into the staged audio file
+ * Tagging problems are logged but never fail the download.
+ */
+function tagStagingFile(task, stagingPath, cover = null, lyrics = null) {
+  try {
+    const format = writeTags(stagingPath, buildTaskTags(task, cover, lyrics));
+    if (format) {
+      console.log(`Task ${task.id}: wrote ${format === 'flac' ? 'Vorbis comments' : 'ID3v2.4 tags'}`);
+    } else {
+      console.log(`Task ${task.id}: skipping tags, unsupported audio format`);
+    }
+  } catch (error) {
+    console.warn(`Task ${task.id}: failed to write tags:`, error.message);
+  }
+}
+
+/**
+ * Map a task row to the fields available in path templates
+ * @param {object} task - Task row
+ * @returns {object}
+ */
+function buildPathFields(task) {
+  return {
+    artist: task.artist,
+    albumartist: task.album_artist,
+    album: task.album,
+    title: task.title,
+    year: task.year,
+    track: task.track_number,
+    disc: task.disc_number,
+    service: task.service
+  };
+}
+
+/**
+ * Library path a task's file is organized to when the library has no such track yet
+ * Tasks created by a job carry their own template, e.g. the album layout.
+ * Tasks of a user with a library subfolder are organized below it.
+ * @param {object} task - Task row
+ * @param {string} ext - File extension
+ * @returns {string}
+ */
+export function getLibraryTargetPath(task, ext) {
+  const template = task.path_template || libraryTemplate;
+  const { dir, filename } = createLibraryPath(buildPathFields(task), ext, template);
+  return path.join(getLibraryRoot(task.user_id), dir, filename);
+}
+
 /**
  * Organize file from staging to library
  * Uses copy + delete for cross-filesystem compatibility
+ * An existing track at the target path is handled by the duplicate policy,
+ * see getLibraryTargetPath() for the path.
+ * @returns {Promise<object>} - The outcome of resolveLibraryConflict(); with
+ *   `skip` the staging file was discarded, `libraryPath` is the existing file
+ *   and `identical` tells whether it has the same content
  */
-async function organizeToLibrary(stagingPath, artist, title, ext) {
-  const { dir, filename } = createLibraryPath(artist, title, ext);
-  const fullDir = path.join(config.LIBRARY_DIR, dir);
-  const libraryPath = path.join(fullDir, filename);
+async function organizeToLibrary(stagingPath, task, ext) {
+  const targetPath = getLibraryTargetPath(task, ext);
+  const fullDir = path.dirname(targetPath);
+  
+  const conflict = resolveLibraryConflict(targetPath, stagingPath);
+  const { libraryPath } = conflict;
+  
+  if (conflict.skip) {
+    const identical = isSameFileContent(stagingPath, libraryPath);
+    fs.unlinkSync(stagingPath);
+    return { ...conflict, identical };
+  }
   
   // Ensure library directory exists
   if (!fs.existsSync(fullDir)) {
     fs.mkdirSync(fullDir, { recursive: true });
   }
   
+  // A replaced file with another extension would otherwise stay next to the new one
+  if (conflict.replace && conflict.replace !== libraryPath) {
+    fs.unlinkSync(conflict.replace);
+    replaceLibraryPath(conflict.replace, libraryPath);
+  }
+  
   // Copy file from staging to library (handles cross-filesystem moves)
   fs.copyFileSync(stagingPath, libraryPath);
   
   // Delete the staging file
   fs.unlinkSync(stagingPath);
   
-  return libraryPath;
+  return conflict;
+}
+
+/**
+ * Resolve a task's download URL and download the file into the staging directory
+ * @param {object} task - Task row
+ * @param {object} provider - The task's provider
+ * @param {AbortSignal} signal - Aborted when the task is cancelled or paused
+ * @returns {Promise<{stagingPath: string, ext: string}>}
+ */
+async function fetchToStaging(task, provider, signal) {
+  // Parse degradation settings
+  const preferredToneFlag = task.preferred_tone_flag || 'HQ';
+  const allowDegrade = task.allow_degrade === 1;
+  let degradeOrder = ['HQ', 'PQ', 'LQ']; // Default
+  
+  if (task.degrade_order) {
+    try {
+      degradeOrder = JSON.parse(task.degrade_order);
+    } catch (e) {
+      console.warn(`Failed to parse degrade_order, using default:`, e);
+    }
+  }
+  
+  console.log(`Processing task ${task.id}: service=${task.service}, preferredToneFlag=${preferredToneFlag}, allowDegrade=${allowDegrade}`);
+  
+  // Preferred quality first, then the rest of the degradation order
+  const qualities = allowDegrade
+    ? [...new Set([preferredToneFlag, ...degradeOrder])]
+    : [preferredToneFlag];
+  
+  let resolveResult;
+  const triedFlags = [];
+  
+  for (const toneFlag of qualities) {
+    if (triedFlags.length > 0) {
+      console.log(`Trying degraded quality: ${toneFlag}`);
+    }
+    triedFlags.push(toneFlag);
+    
+    resolveResult = await provider.resolve(task, toneFlag);
+    
+    if (resolveResult.finalUrl) {
+      if (toneFlag !== preferredToneFlag) {
+        console.log(`Successfully resolved with degraded quality: ${toneFlag}`);
+      }
+      break;
+    }
+  }
+  
+  if (resolveResult.error || !resolveResult.finalUrl) {
+    const error = resolveResult.error || {};
+    
+    // Store tried flags for debugging
+    updateTaskStatus(task.id, 'downloading', null, {
+      triedToneFlags: triedFlags.join(',')
+    });
+    
+    const resolveError = new Error(formatResolveError(provider, triedFlags, error));
+    resolveError.classification = classifyResolveError(error);
+    throw resolveError;
+  }
+  
+  // Stop here if the task was cancelled or paused while resolving
+  signal.throwIfAborted();
+  
+  const finalUrl = resolveResult.finalUrl;
+  console.log(`Resolved to: ${finalUrl}`);
+  
+  // Store both source and resolved URLs, and tried flags
+  updateTaskStatus(task.id, 'downloading', null, {
+    sourceUrl: task.download_url,
+    resolvedUrl: finalUrl,
+    triedToneFlags: triedFlags.join(',')
+  });
+  
+  // Download file using resolved URL; local files are copied instead
+  return resolveResult.filePath
+    ? copyToStaging(resolveResult.filePath, task.id)
+    : downloadToStaging(
+      finalUrl,
+      task.id,
+      task.artist,
+      task.title,
+      {
+        signal,
+        stagingPath: task.staging_path,
+        etag: task.staging_etag,
+        headers: provider.requestHeaders ? provider.requestHeaders(task) : {}
+      }
+    );
+}
+
+/**
+ * The task's staging file if its download already completed
+ * Completed downloads have their final extension; partial ones end in .tmp.
+ * @returns {{stagingPath: string, ext: string}|null}
+ */
+function getCompleteStagingFile(task) {
+  const stagingPath = task.staging_path;
+  if (!stagingPath || stagingPath.endsWith('.tmp') || !fs.existsSync(stagingPath)) {
+    return null;
+  }
+  return { stagingPath, ext: path.extname(stagingPath) };
 }
 
 /**
@@ -644,271 +688,576 @@ export async function processDownloadTask(taskId) {
     return;
   }
   
+  const controller = new AbortController();
+  const { signal } = controller;
+  runningTasks.set(task.id, controller);
+  
+  const attemptStartedAt = Date.now();
+  
   try {
     // Update status to downloading
-    updateTaskStatus(taskId, 'downloading');
+    setTaskStatus(taskId, 'downloading');
     
-    // Parse degradation settings
-    const preferredToneFlag = task.preferred_tone_flag || 'HQ';
-    const allowDegrade = task.allow_degrade === 1;
-    let degradeOrder = ['HQ', 'PQ', 'LQ']; // Default
+    const provider = getProvider(task.service);
+    if (!provider) {
+      const unknownServiceError = new Error(`Cannot download: no provider registered for service "${task.service}"`);
+      unknownServiceError.classification = 'permanent';
+      throw unknownServiceError;
+    }
     
-    if (task.degrade_order) {
-      try {
-        degradeOrder = JSON.parse(task.degrade_order);
-      } catch (e) {
-        console.warn(`Failed to parse degrade_order, using default:`, e);
-      }
+    // A download completed before a restart or a failed organize step only needs organizing
+    const staged = getCompleteStagingFile(task);
+    if (staged) {
+      console.log(`Task ${taskId}: organizing the downloaded file ${staged.stagingPath}`);
     }
+    const { stagingPath, ext } = staged || await fetchToStaging(task, provider, signal);
     
-    console.log(`Processing task ${taskId}: service=${task.service}, preferredToneFlag=${preferredToneFlag}, allowDegrade=${allowDegrade}`);
+    // Update with staging path
+    setTaskStatus(taskId, 'organizing', null, { stagingPath, speedBps: 0, etaSeconds: 0 });
     
-    let resolveResult;
-    const triedFlags = [preferredToneFlag];
+    // Replace guessed metadata with what the file itself says
+    fillMetadataFromTags(task, stagingPath);
     
-    // Check if we need to resolve the URL for Migu
-    if (task.service === 'migu' && (!task.download_url || task.download_url === '')) {
-      // Migu service with empty downloadUrl - resolve using copyrightId
-      console.log(`Migu task with empty downloadUrl, resolving using copyrightId=${task.copyright_id}`);
-      
-      // Parse rawFormat if it's a JSON string
-      let rawFormat = task.raw_format;
-      if (rawFormat && typeof rawFormat === 'string') {
-        try {
-          rawFormat = JSON.parse(rawFormat);
-        } catch (e) {
-          console.warn(`Failed to parse raw_format:`, e);
-          rawFormat = null;
-        }
-      }
-      
-      // Try to resolve URL with preferred quality first
-      resolveResult = await resolveMiguUrl(task.copyright_id, task.content_id, preferredToneFlag, rawFormat);
-      
-      // If preferred quality failed and degradation is allowed
-      if (resolveResult.error && allowDegrade) {
-        console.log(`Preferred quality ${preferredToneFlag} failed, attempting degradation...`);
-        
-        // Try each quality in degradeOrder
-        for (const toneFlag of degradeOrder) {
-          // Skip if already tried
-          if (triedFlags.includes(toneFlag)) {
-            continue;
-          }
-          
-          triedFlags.push(toneFlag);
-          console.log(`Trying degraded quality: ${toneFlag}`);
-          
-          resolveResult = await resolveMiguUrl(task.copyright_id, task.content_id, toneFlag, rawFormat);
-          
-          // If successful, break
-          if (resolveResult.finalUrl) {
-            console.log(`Successfully resolved with degraded quality: ${toneFlag}`);
-            break;
-          }
-        }
-      }
-      
-      // If still failed after all attempts
-      if (resolveResult.error || !resolveResult.finalUrl) {
-        const error = resolveResult.error || {};
-        let errorMessage = `Failed to resolve Migu download URL after trying qualities: ${triedFlags.join(', ')}. `;
-        
-        // Add mapping information
-        if (error.mappingLog && error.mappingLog.length > 0) {
-          errorMessage += `Quality mapping: ${error.mappingLog.join(', ')}. `;
-        }
-        
-        if (error.copyrightId) {
-          errorMessage += `CopyrightId: ${error.copyrightId}. `;
-        }
-        if (error.contentId) {
-          errorMessage += `ContentId: ${error.contentId}. `;
-        }
-        
-        if (error.attempts && Array.isArray(error.attempts)) {
-          const attemptMessages = error.attempts.map(a => {
-            let msg = `${a.api}`;
-            if (a.mappedToneFlag) {
-              msg += ` (${a.mappedToneFlag})`;
-            }
-            if (a.statusCode) {
-              msg += ` HTTP ${a.statusCode}`;
-            }
-            if (a.code) {
-              msg += ` code=${a.code}`;
-            }
-            if (a.message) {
-              msg += `: ${a.message}`;
-            }
-            if (a.mappingLog) {
-              msg += ` [${a.mappingLog.join(', ')}]`;
-            }
-            return msg;
-          });
-          errorMessage += `Attempts: ${attemptMessages.join('; ')}`;
-        } else if (error.message) {
-          errorMessage += error.message;
-        }
-        
-        // Store tried flags for debugging
-        updateTaskStatus(taskId, 'failed', errorMessage, {
-          triedToneFlags: triedFlags.join(',')
-        });
-        
-        throw new Error(errorMessage);
-      }
-    } else if (task.download_url && task.download_url !== '') {
-      // Has downloadUrl - try to resolve it (for redirects or JSON responses)
-      console.log(`Resolving existing downloadUrl: ${task.download_url}`);
-      
-      // Parse rawFormat if it's a JSON string (for Migu listenSong.do URLs)
-      let rawFormat = task.raw_format;
-      if (rawFormat && typeof rawFormat === 'string') {
-        try {
-          rawFormat = JSON.parse(rawFormat);
-        } catch (e) {
-          console.warn(`Failed to parse raw_format:`, e);
-          rawFormat = null;
-        }
-      }
-      
-      // For Migu listenSong.do URLs, map quality to format code
-      let actualToneFlag = preferredToneFlag;
-      if (task.service === 'migu' && task.download_url.includes('listenSong.do') && rawFormat) {
-        const mapping = mapQualityWithFallback(preferredToneFlag, rawFormat, []);
-        if (mapping.formatCode) {
-          actualToneFlag = mapping.formatCode;
-          console.log(`Mapped ${preferredToneFlag} to format code: ${actualToneFlag}`);
-        }
-      }
-      
-      resolveResult = await resolveDownloadUrl(task.download_url, actualToneFlag);
-      
-      // If preferred quality failed and degradation is allowed
-      if (resolveResult.error && allowDegrade) {
-        console.log(`Preferred quality ${preferredToneFlag} failed, attempting degradation...`);
-        
-        // Try each quality in degradeOrder
-        for (const toneFlag of degradeOrder) {
-          // Skip if already tried
-          if (triedFlags.includes(toneFlag)) {
-            continue;
-          }
-          
-          triedFlags.push(toneFlag);
-          console.log(`Trying degraded quality: ${toneFlag}`);
-          
-          // Map this quality to format code if applicable
-          let degradedToneFlag = toneFlag;
-          if (task.service === 'migu' && task.download_url.includes('listenSong.do') && rawFormat) {
-            const mapping = mapQualityWithFallback(toneFlag, rawFormat, []);
-            if (mapping.formatCode) {
-              degradedToneFlag = mapping.formatCode;
-              console.log(`Mapped ${toneFlag} to format code: ${degradedToneFlag}`);
-            }
-          }
-          
-          resolveResult = await resolveDownloadUrl(task.download_url, degradedToneFlag);
-          
-          // If successful, break
-          if (resolveResult.finalUrl) {
-            console.log(`Successfully resolved with degraded quality: ${toneFlag}`);
-            break;
-          }
-        }
-      }
-      
-      // If still failed after all attempts
-      if (resolveResult.error || !resolveResult.finalUrl) {
-        const error = resolveResult.error || {};
-        let errorMessage = `Failed to resolve download URL after trying: ${triedFlags.join(', ')}. `;
-        
-        if (error.statusCode) {
-          errorMessage += `Status: ${error.statusCode}`;
-        }
-        if (error.contentType) {
-          errorMessage += `, Content-Type: ${error.contentType}`;
-        }
-        if (error.message) {
-          errorMessage += `, Message: ${error.message}`;
-        }
-        if (error.code) {
-          errorMessage += `, Code: ${error.code}`;
-        }
-        
-        // Store tried flags for debugging
-        updateTaskStatus(taskId, 'failed', errorMessage, {
-          triedToneFlags: triedFlags.join(',')
-        });
-        
-        throw new Error(errorMessage);
+    // Cover art is optional - a missing cover never fails the task
+    const cover = await fetchTaskCover(task);
+    
+    // Lyrics are optional too
+    const lyrics = config.FETCH_LYRICS ? await fetchTaskLyrics(task) : null;
+    
+    // Replace whatever tags the CDN served with our metadata
+    tagStagingFile(
+      task,
+      stagingPath,
+      config.EMBED_COVER_ART ? cover : null,
+      config.EMBED_LYRICS ? lyrics : null
+    );
+    
+    // Organize to library
+    const organized = await organizeToLibrary(stagingPath, task, ext);
+    const { libraryPath } = organized;
+    const duplicate = organized.decision
+      ? { duplicateDecision: organized.decision, duplicateReason: organized.reason }
+      : {};
+    
+    if (organized.skip) {
+      console.log(`Task ${taskId} skipped: ${organized.reason}`);
+      const attempt = recordAttempt(task, attemptStartedAt, { outcome: 'skipped' });
+      setTaskStatus(taskId, 'skipped', null, { libraryPath, ...duplicate, ...attempt });
+      // Only an identical copy in the library makes the source safe to clean up
+      if (organized.identical) {
+        await completeProviderTask(provider, task);
       }
-    } else {
-      // No downloadUrl and not Migu service - error
-      const errorMessage = 'Cannot download: missing downloadUrl and not a Migu task with copyrightId';
-      updateTaskStatus(taskId, 'failed', errorMessage);
-      throw new Error(errorMessage);
+      return;
     }
     
-    const finalUrl = resolveResult.finalUrl;
-    console.log(`Resolved to: ${finalUrl}`);
+    if (cover && config.COVER_ART_FILES.length > 0) {
+      const written = saveCoverFiles(path.dirname(libraryPath), cover, config.COVER_ART_FILES);
+      written.forEach(coverPath => console.log(`Task ${taskId}: saved cover ${coverPath}`));
+    }
     
-    // Store both source and resolved URLs, and tried flags
-    updateTaskStatus(taskId, 'downloading', null, {
-      sourceUrl: task.download_url,
-      resolvedUrl: finalUrl,
-      triedToneFlags: triedFlags.join(',')
-    });
+    if (lyrics) {
+      try {
+        console.log(`Task ${taskId}: saved lyrics ${writeLrcSidecar(libraryPath, lyrics)}`);
+      } catch (error) {
+        console.warn(`Task ${taskId}: failed to write lyrics file:`, error.message);
+      }
+    }
     
-    // Download file using resolved URL
-    const { stagingPath, ext } = await downloadToStaging(
-      finalUrl,
-      taskId,
-      task.artist,
-      task.title
-    );
+    // Update status to done
+    const attempt = recordAttempt(task, attemptStartedAt, { outcome: 'done' });
+    setTaskStatus(taskId, 'done', null, { libraryPath, ...duplicate, ...attempt });
+    await completeProviderTask(provider, task);
     
-    // Update with staging path
-    updateTaskStatus(taskId, 'organizing', null, { stagingPath });
+    console.log(`Task ${taskId} completed: ${libraryPath}${organized.decision ? ` (${organized.reason})` : ''}`);
     
-    // Organize to library
-    const libraryPath = await organizeToLibrary(
-      stagingPath,
-      task.artist,
-      task.title,
-      ext
-    );
+  } catch (error) {
+    if (signal.aborted) {
+      // Status was set by cancelTask()/pauseTask(); re-apply it in case a
+      // progress update raced with the abort
+      const status = signal.reason?.status || 'cancelled';
+      console.log(`Task ${taskId} ${status}`);
+      setTaskStatus(taskId, status, null, { speedBps: 0, etaSeconds: 0 });
+      return;
+    }
     
-    // Update status to done
-    updateTaskStatus(taskId, 'done', null, { libraryPath });
+    const classification = classifyError(error);
+    const policy = getRetryPolicy(task);
+    const attemptNumber = (task.attempt_count || 0) + 1;
+    const willRetry = classification === 'transient' && attemptNumber < policy.maxAttempts;
+    const nextAttemptAt = willRetry ? Date.now() + getRetryDelay(attemptNumber, policy) : null;
     
-    console.log(`Task ${taskId} completed: ${libraryPath}`);
+    const attempt = recordAttempt(task, attemptStartedAt, {
+      outcome: willRetry ? 'retrying' : 'failed',
+      error: error.message,
+      classification,
+      nextAttemptAt
+    });
     
+    if (willRetry) {
+      console.warn(`Task ${taskId} attempt ${attemptNumber}/${policy.maxAttempts} failed (${classification}), retrying at ${new Date(nextAttemptAt).toISOString()}:`, error.message);
+      setTaskStatus(taskId, 'queued', error.message, { speedBps: 0, etaSeconds: 0, ...attempt });
+    } else {
+      console.error(`Task ${taskId} failed (${classification}) after ${attemptNumber} attempt(s):`, error.message);
+      setTaskStatus(taskId, 'failed', error.message, { speedBps: 0, etaSeconds: 0, ...attempt });
+    }
+  } finally {
+    runningTasks.delete(task.id);
+    liveProgress.delete(task.id);
+  }
+}
+
+/**
+ * Let the provider clean up after a task that reached the library
+ * A failing clean-up does not fail the task.
+ */
+async function completeProviderTask(provider, task) {
+  if (!provider.completeTask) {
+    return;
+  }
+  try {
+    await provider.completeTask(task);
   } catch (error) {
-    console.error(`Task ${taskId} failed:`, error.message);
-    updateTaskStatus(taskId, 'failed', error.message);
+    console.warn(`Task ${task.id}: failed to clean up after ${provider.name}:`, error.message);
   }
 }
 
 /**
- * Start download queue processor
+ * Build the error message of a failed resolution
+ * Handles both per-API attempt lists and single HTTP errors.
+ * @param {object} provider - Provider that resolved the task
+ * @param {string[]} triedFlags - Qualities that were tried
+ * @param {object} error - The `error` object returned by the provider
+ * @returns {string}
  */
-export function startDownloadQueue() {
-  setInterval(async () => {
-    // Skip if already processing a task
-    if (isProcessing) {
+function formatResolveError(provider, triedFlags, error) {
+  let errorMessage = `Failed to resolve ${provider.name} download URL after trying qualities: ${triedFlags.join(', ')}. `;
+  
+  if (error.mappingLog && error.mappingLog.length > 0) {
+    errorMessage += `Quality mapping: ${error.mappingLog.join(', ')}. `;
+  }
+  if (error.copyrightId) {
+    errorMessage += `CopyrightId: ${error.copyrightId}. `;
+  }
+  if (error.contentId) {
+    errorMessage += `ContentId: ${error.contentId}. `;
+  }
+  
+  if (error.attempts && Array.isArray(error.attempts)) {
+    const attemptMessages = error.attempts.map(a => {
+      let msg = `${a.api}`;
+      if (a.mappedToneFlag) {
+        msg += ` (${a.mappedToneFlag})`;
+      }
+      if (a.statusCode) {
+        msg += ` HTTP ${a.statusCode}`;
+      }
+      if (a.code) {
+        msg += ` code=${a.code}`;
+      }
+      if (a.message) {
+        msg += `: ${a.message}`;
+      }
+      if (a.mappingLog) {
+        msg += ` [${a.mappingLog.join(', ')}]`;
+      }
+      return msg;
+    });
+    return errorMessage + `Attempts: ${attemptMessages.join('; ')}`;
+  }
+  
+  const details = [];
+  if (error.statusCode) {
+    details.push(`Status: ${error.statusCode}`);
+  }
+  if (error.contentType) {
+    details.push(`Content-Type: ${error.contentType}`);
+  }
+  if (error.message) {
+    details.push(`Message: ${error.message}`);
+  }
+  if (error.code) {
+    details.push(`Code: ${error.code}`);
+  }
+  return errorMessage + details.join(', ');
+}
+
+/**
+ * Get the retry policy stored on a task, falling back to the configured defaults
+ * @param {object} task - Task row
+ * @returns {{maxAttempts: number, baseDelayMs: number, jitter: number}}
+ */
+function getRetryPolicy(task) {
+  return {
+    maxAttempts: task.max_attempts || config.RETRY_MAX_ATTEMPTS,
+    baseDelayMs: task.retry_base_delay ?? config.RETRY_BASE_DELAY_MS,
+    jitter: task.retry_jitter ?? config.RETRY_JITTER
+  };
+}
+
+/**
+ * Append a finished attempt to the task's history
+ * @param {object} task - Task row as loaded when the attempt started
+ * @param {number} startedAt - Attempt start timestamp
+ * @param {object} result - Outcome, error, classification and nextAttemptAt
+ * @returns {{attemptCount: number, attemptHistory: object[], nextAttemptAt: number|null}} -
+ *   Fields to pass to updateTaskStatus()
+ */
+function recordAttempt(task, startedAt, result) {
+  let history = [];
+  if (task.attempt_history) {
+    try {
+      history = JSON.parse(task.attempt_history);
+    } catch (e) {
+      console.warn(`Failed to parse attempt_history for task ${task.id}, starting over:`, e);
+    }
+  }
+  
+  const attemptCount = (task.attempt_count || 0) + 1;
+  history.push({
+    attempt: attemptCount,
+    startedAt,
+    finishedAt: Date.now(),
+    ...result
+  });
+  
+  return {
+    attemptCount,
+    attemptHistory: history,
+    nextAttemptAt: result.nextAttemptAt || null
+  };
+}
+
+/**
+ * Abort a running task and record the new status
+ * @param {number|string} taskId - Task ID
+ * @param {string} status - 'cancelled' or 'paused'
+ */
+function stopTask(taskId, status) {
+  const controller = runningTasks.get(Number(taskId));
+  if (controller) {
+    const reason = new Error(`Task ${status}`);
+    reason.status = status;
+    controller.abort(reason);
+  }
+  
+  setTaskStatus(taskId, status, null, { speedBps: 0, etaSeconds: 0 });
+}
+
+/**
+ * Cancel a queued, downloading or paused task and discard its partial file
+ * @param {number|string} taskId - Task ID
+ * @returns {object} - The updated task row
+ */
+export function cancelTask(taskId) {
+  const task = getTaskById(taskId);
+  const wasRunning = runningTasks.has(task.id);
+  
+  stopTask(taskId, 'cancelled');
+  
+  // A running download removes its own partial file when aborted
+  if (!wasRunning && task.staging_path && task.staging_path.endsWith('.tmp') && fs.existsSync(task.staging_path)) {
+    fs.unlinkSync(task.staging_path);
+  }
+  
+  return getTaskById(taskId);
+}
+
+/**
+ * Pause a queued or downloading task, keeping its partial file
+ * @param {number|string} taskId - Task ID
+ * @returns {object} - The updated task row
+ */
+export function pauseTask(taskId) {
+  stopTask(taskId, 'paused');
+  return getTaskById(taskId);
+}
+
+/**
+ * Put a paused task back in the queue
+ * @param {number|string} taskId - Task ID
+ * @returns {object} - The updated task row
+ */
+export function resumeTask(taskId) {
+  setTaskStatus(taskId, 'queued', null, { nextAttemptAt: null });
+  // Before startDownloadQueue() the task waits like the rest of the queue
+  if (queueInterval) {
+    fillWorkerSlots();
+  }
+  return getTaskById(taskId);
+}
+
+/**
+ * Clamp a requested concurrency value to the supported range
+ * @param {number|string} value - Requested concurrency
+ * @returns {number} - Integer between 1 and MAX_CONCURRENCY
+ */
+function clampConcurrency(value) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) {
+    return 1;
+  }
+  return Math.min(parsed, MAX_CONCURRENCY);
+}
+
+/**
+ * Put a failed, cancelled or skipped task back in the queue with a fresh set of attempts
+ * @param {number|string} taskId - Task ID
+ * @returns {object} - The updated task row
+ */
+export function retryTask(taskId) {
+  setTaskStatus(taskId, 'queued', null, {
+    attemptCount: 0,
+    nextAttemptAt: null,
+    progress: 0,
+    speedBps: 0,
+    etaSeconds: 0,
+    duplicateOf: null,
+    duplicateDecision: null,
+    duplicateReason: null
+  });
+  if (queueInterval) {
+    fillWorkerSlots();
+  }
+  return getTaskById(taskId);
+}
+
+/**
+ * Delete a task that is not running, together with its partial download
+ * @param {number|string} taskId - Task ID
+ * @param {object} options
+ * @param {boolean} options.deleteFile - Also delete the track and its .lrc file from the library
+ * @returns {{id: number, fileDeleted: boolean}}
+ */
+export function deleteTask(taskId, { deleteFile = false } = {}) {
+  const task = getTaskById(taskId);
+  
+  if (task.staging_path && fs.existsSync(task.staging_path)) {
+    fs.unlinkSync(task.staging_path);
+  }
+  
+  let fileDeleted = false;
+  // A skipped task's library path is the file of the task it duplicates
+  if (deleteFile && task.status !== 'skipped' && task.library_path && isInLibrary(task.library_path) && fs.existsSync(task.library_path)) {
+    fs.unlinkSync(task.library_path);
+    if (fs.existsSync(getLrcPath(task.library_path))) {
+      fs.unlinkSync(getLrcPath(task.library_path));
+    }
+    removeEmptyDirs(path.dirname(task.library_path));
+    fileDeleted = true;
+    console.log(`Task ${task.id}: deleted ${task.library_path}`);
+  }
+  
+  // Playlists drop the task along with it and need exporting again
+  const playlistIds = getPlaylistIdsByTaskId(task.id);
+  deleteTaskById(task.id);
+  publishTaskEvent('task.deleted', { id: task.id, user_id: task.user_id, playlist_ids: playlistIds });
+  return { id: task.id, fileDeleted };
+}
+
+/**
+ * Remove a library folder and its parents as long as they are empty
+ */
+function removeEmptyDirs(dir) {
+  while (isInLibrary(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Whether a path lies inside LIBRARY_DIR
+ */
+function isInLibrary(filePath) {
+  const relative = path.relative(config.LIBRARY_DIR, filePath);
+  return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Get the current worker pool size
+ */
+export function getConcurrency() {
+  return concurrency;
+}
+
+/**
+ * Change the worker pool size at runtime
+ * Extra slots are filled on the next tick; when shrinking, busy workers above
+ * the new limit finish their current task and are not refilled.
+ * @param {number|string} value - Requested concurrency
+ * @returns {number} - The concurrency actually applied
+ */
+export function setConcurrency(value) {
+  concurrency = clampConcurrency(value);
+  console.log(`Download concurrency set to ${concurrency}`);
+  // Before startDownloadQueue() nothing may be claimed yet, see runStartupRecovery()
+  if (queueInterval) {
+    fillWorkerSlots();
+  }
+  return concurrency;
+}
+
+/**
+ * Use a configured template, falling back to the default if it is invalid
+ * @param {string} key - Config key holding the template
+ * @param {string} fallback - Default template
+ */
+function initialTemplate(key, fallback) {
+  const template = config[key];
+  const { valid, error } = validateTemplate(template);
+  if (!valid) {
+    console.warn(`Invalid ${key} "${template}" (${error}), using ${fallback}`);
+    return fallback;
+  }
+  return template;
+}
+
+/**
+ * Get the library path template
+ */
+export function getLibraryTemplate() {
+  return libraryTemplate;
+}
+
+/**
+ * Get the path template given to album job tasks
+ */
+export function getAlbumTemplate() {
+  return albumTemplate;
+}
+
+/**
+ * Change the library path template at runtime
+ * Only affects tasks organized after the change.
+ * @param {string} template - Path template
+ * @returns {string} - The template applied
+ * @throws {Error} - If the template is invalid
+ */
+export function setLibraryTemplate(template) {
+  parseTemplate(template);
+  libraryTemplate = template;
+  console.log(`Library path template set to ${libraryTemplate}`);
+  return libraryTemplate;
+}
+
+/**
+ * Change the path template of album jobs at runtime
+ * Only affects album jobs created after the change.
+ * @param {string} template - Path template
+ * @returns {string} - The template applied
+ * @throws {Error} - If the template is invalid
+ */
+export function setAlbumTemplate(template) {
+  parseTemplate(template);
+  albumTemplate = template;
+  console.log(`Album path template set to ${albumTemplate}`);
+  return albumTemplate;
+}
+
+/**
+ * Render the library path a track would be organized to
+ * @param {string} template - Path template
+ * @param {object|null} task - Task row, or null to use a sample track
+ * @param {string} ext - File extension
+ * @returns {string} - Path relative to the library
+ * @throws {Error} - If the template is invalid
+ */
+export function previewLibraryPath(template, task = null, ext = '.mp3') {
+  const fields = task ? buildPathFields(task) : SAMPLE_TEMPLATE_FIELDS;
+  const { dir, filename } = createLibraryPath(fields, ext, template);
+  return dir ? `${dir}/${filename}` : filename;
+}
+
+/**
+ * Get per-worker status for health reporting
+ * @returns {{concurrency: number, active: number, workers: object[]}}
+ */
+export function getQueueStatus() {
+  const slots = Math.max(concurrency, ...workers.keys(), 0);
+  const workerList = [];
+  
+  for (let workerId = 1; workerId <= slots; workerId++) {
+    const worker = workers.get(workerId);
+    if (!worker) {
+      workerList.push({ id: workerId, state: 'idle' });
+      continue;
+    }
+    
+    const task = withLiveProgress(getTaskById(worker.taskId));
+    workerList.push({
+      id: workerId,
+      state: 'busy',
+      taskId: worker.taskId,
+      title: task?.title,
+      artist: task?.artist,
+      status: task?.status,
+      progress: task?.progress || 0,
+      downloadedBytes: task?.downloaded_bytes || 0,
+      totalBytes: task?.total_bytes || 0,
+      speedBps: task?.speed_bps || 0,
+      startedAt: new Date(worker.startedAt).toISOString()
+    });
+  }
+  
+  return {
+    concurrency,
+    active: workers.size,
+    workers: workerList,
+    counts: countTasksByStatus()
+  };
+}
+
+/**
+ * Run one claimed task on a worker slot, then look for more work
+ */
+async function runWorker(workerId, taskId) {
+  workers.set(workerId, { taskId, startedAt: Date.now() });
+  console.log(`Worker ${workerId} picked up task ${taskId}`);
+  
+  try {
+    await processDownloadTask(taskId);
+  } catch (error) {
+    console.error(`Worker ${workerId} crashed on task ${taskId}:`, error.message);
+  } finally {
+    workers.delete(workerId);
+    fillWorkerSlots();
+  }
+}
+
+/**
+ * Claim queued tasks for every idle worker slot
+ */
+function fillWorkerSlots() {
+  for (let workerId = 1; workerId <= concurrency; workerId++) {
+    // Busy workers above a lowered concurrency still take up slots
+    if (workers.size >= concurrency) {
       return;
     }
+    if (workers.has(workerId)) {
+      continue;
+    }
     
     const task = getNextQueuedTask();
-    if (task) {
-      isProcessing = true;
-      try {
-        await processDownloadTask(task.id);
-      } finally {
-        isProcessing = false;
-      }
+    if (!task) {
+      return;
     }
-  }, 2000); // Check every 2 seconds
+    
+    runWorker(workerId, task.id);
+  }
+}
+
+/**
+ * Start download queue processor
+ */
+export function startDownloadQueue() {
+  console.log(`Starting download queue with concurrency ${concurrency}`);
+  fillWorkerSlots();
+  queueInterval = setInterval(fillWorkerSlots, 2000); // Check every 2 seconds
+}
+
+/**
+ * Stop claiming queued tasks; running downloads go on
+ */
+export function stopDownloadQueue() {
+  clearInterval(queueInterval);
+  queueInterval = null;
 }
@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { findDuplicateTasks } from '../db/database.js';
+import { getProvider } from '../providers/index.js';
+
+/**
+ * What to do with a song that is already queued or in the library
+ * - `skip`: do not download it again; the task ends as `skipped`
+ * - `overwrite`: download it again and replace the library file
+ * - `keep-both`: download it again and save it as "Title (2)"
+ * - `upgrade`: only download it again if that gives a higher quality
+ */
+export const DUPLICATE_POLICIES = ['skip', 'overwrite', 'keep-both', 'upgrade'];
+
+// Library files that differ from the target only by extension are the same track
+const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.m4a', '.ogg', '.wav'];
+const LOSSLESS_EXTENSIONS = ['.flac', '.wav'];
+
+/**
+ * Get the configured duplicate policy, `skip` if DUPLICATE_POLICY is unknown
+ * @returns {string}
+ */
+export function getDuplicatePolicy() {
+  return DUPLICATE_POLICIES.includes(config.DUPLICATE_POLICY) ? config.DUPLICATE_POLICY : 'skip';
+}
+
+/**
+ * Check a new task against earlier tasks of the same song before it is queued
+ * With `skip`, an earlier task of the same quality makes it a duplicate; with
+ * `upgrade`, one of the same or a better quality does. Other policies decide
+ * when the file is organized, see resolveLibraryConflict().
+ * @param {object} taskData - Task data as accepted by createTask()
+ * @param {string} policy - Duplicate policy
+ * @returns {object} - taskData, created as `skipped` with the decision if it is a duplicate
+ */
+export function checkDuplicateTask(taskData, policy = getDuplicatePolicy()) {
+  if (!['skip', 'upgrade'].includes(policy)) {
+    return taskData;
+  }
+
+  const wanted = taskData.preferredToneFlag || 'HQ';
+  const existing = findDuplicateTasks(taskData).find(task => {
+    // A download whose file was removed since does not count
+    if (task.status === 'done' && !(task.library_path && fs.existsSync(task.library_path))) {
+      return false;
+    }
+    const quality = getTaskQuality(task);
+    return policy === 'skip'
+      ? quality === wanted
+      : getQualityRank(task.service, quality) <= getQualityRank(taskData.service, wanted);
+  });
+
+  if (!existing) {
+    return taskData;
+  }
+
+  const done = existing.status === 'done';
+  return {
+    ...taskData,
+    status: 'skipped',
+    libraryPath: done ? existing.library_path : null,
+    duplicateOf: existing.id,
+    duplicateDecision: 'skipped',
+    duplicateReason: `${done ? 'Already downloaded' : 'Already queued'} as task ${existing.id} in ${getTaskQuality(existing)}`
+  };
+}
+
+/**
+ * Check the tasks of one request, such as an album job or a batch, before they are queued
+ * Besides earlier tasks, a song is a duplicate of the same song in the same
+ * quality earlier in the list, which is not in the database yet.
+ * @param {object[]} taskDataList - Task data as accepted by createTask()
+ * @param {string} policy - Duplicate policy
+ * @returns {object[]} - The task data, duplicates created as `skipped`, see checkDuplicateTask()
+ */
+export function checkDuplicateTasks(taskDataList, policy = getDuplicatePolicy()) {
+  const listed = new Set();
+
+  return taskDataList.map(taskData => {
+    const checked = checkDuplicateTask(taskData, policy);
+    if (checked.status === 'skipped' || !['skip', 'upgrade'].includes(policy)) {
+      return checked;
+    }
+
+    // Songs are identified like in findDuplicateTasks()
+    const id = taskData.copyrightId ? `copyright:${taskData.copyrightId}` : taskData.downloadUrl && `url:${taskData.downloadUrl}`;
+    const key = id && `${taskData.service}/${id}/${taskData.preferredToneFlag || 'HQ'}`;
+    if (!key || !listed.has(key)) {
+      listed.add(key);
+      return checked;
+    }
+
+    return {
+      ...taskData,
+      status: 'skipped',
+      duplicateDecision: 'skipped',
+      duplicateReason: 'Listed more than once, queued once'
+    };
+  });
+}
+
+/**
+ * Decide where a downloaded file goes when the library already has the track
+ * @param {string} libraryPath - Target path from the path template
+ * @param {string} filePath - The new file, to compare qualities
+ * @param {string} policy - Duplicate policy
+ * @returns {{libraryPath: string, skip: boolean, replace: string|null,
+ *   decision: string|null, reason: string|null}} - `skip` keeps the existing file
+ *   at `libraryPath`; otherwise the file is written to `libraryPath` after
+ *   removing `replace`. `decision` is null if there was no conflict.
+ */
+export function resolveLibraryConflict(libraryPath, filePath, policy = getDuplicatePolicy()) {
+  const existing = findLibraryFile(libraryPath);
+  if (!existing) {
+    return { libraryPath, skip: false, replace: null, decision: null, reason: null };
+  }
+
+  if (policy === 'overwrite') {
+    return { libraryPath, skip: false, replace: existing, decision: 'overwritten', reason: `Replaced ${existing}` };
+  }
+
+  if (policy === 'keep-both') {
+    return {
+      libraryPath: getFreeLibraryPath(libraryPath),
+      skip: false,
+      replace: null,
+      decision: 'kept_both',
+      reason: `Kept the existing ${existing}`
+    };
+  }
+
+  if (policy === 'upgrade' && compareFileQuality(filePath, existing) > 0) {
+    return { libraryPath, skip: false, replace: existing, decision: 'upgraded', reason: `Replaced lower quality ${existing}` };
+  }
+
+  return {
+    libraryPath: existing,
+    skip: true,
+    replace: null,
+    decision: 'skipped',
+    reason: policy === 'upgrade'
+      ? `${existing} already exists in the same or a higher quality`
+      : `${existing} already exists`
+  };
+}
+
+/**
+ * Whether two files have the same content
+ */
+export function isSameFileContent(a, b) {
+  if (fs.statSync(a).size !== fs.statSync(b).size) {
+    return false;
+  }
+  const hash = (filePath) => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  return hash(a) === hash(b);
+}
+
+/**
+ * Compare two audio files: lossless beats lossy, then the larger file wins
+ * @returns {number} - Positive if `a` is of higher quality than `b`, 0 if equal
+ */
+export function compareFileQuality(a, b) {
+  const lossless = (filePath) => (LOSSLESS_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) ? 1 : 0);
+  return (lossless(a) - lossless(b)) || Math.sign(fs.statSync(a).size - fs.statSync(b).size);
+}
+
+/**
+ * Quality a task asked for, or for finished tasks the one it got
+ */
+function getTaskQuality(task) {
+  const tried = task.tried_tone_flags ? task.tried_tone_flags.split(',') : [];
+  return task.status === 'done' && tried.length > 0 ? tried[tried.length - 1] : (task.preferred_tone_flag || 'HQ');
+}
+
+/**
+ * Position of a quality in its provider's list, best first; unknown qualities rank last
+ */
+function getQualityRank(service, code) {
+  const qualities = getProvider(service)?.qualities || [];
+  const rank = qualities.findIndex(quality => quality.code === code);
+  return rank >= 0 ? rank : qualities.length;
+}
+
+/**
+ * The library file at a path, or a file with the same name and another audio extension
+ * @returns {string|null}
+ */
+function findLibraryFile(libraryPath) {
+  if (fs.existsSync(libraryPath)) {
+    return libraryPath;
+  }
+
+  const { dir, name } = path.parse(libraryPath);
+  const sibling = AUDIO_EXTENSIONS
+    .map(ext => path.join(dir, name + ext))
+    .find(candidate => fs.existsSync(candidate));
+  return sibling || null;
+}
+
+/**
+ * First of "Title (2).ext", "Title (3).ext", ... not taken by any track
+ */
+function getFreeLibraryPath(libraryPath) {
+  const { dir, name, ext } = path.parse(libraryPath);
+  let candidate;
+  for (let n = 2; !candidate || findLibraryFile(candidate); n++) {
+    candidate = path.join(dir, `${name} (${n})${ext}`);
+  }
+  return candidate;
+}
@@ -0,0 +1,38 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process task event bus
+ *
+ * Event types:
+ * - `task.created` - data is the new task row
+ * - `task.status` - data is the task row after its status or details changed
+ * - `task.progress` - data is `{ id, status, progress, downloaded_bytes,
+ *   total_bytes, speed_bps, eta_seconds }`, sent about twice a second while downloading
+ * - `task.deleted` - data is `{ id, user_id, playlist_ids }`, the playlists it was removed from
+ */
+
+// Every server-sent event stream adds one listener
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Publish a task event to every subscriber
+ * @param {string} type - Event type, e.g. 'task.status'
+ * @param {object} data - Event payload
+ */
+export function publishTaskEvent(type, data) {
+  if (!data) {
+    return;
+  }
+  bus.emit('task', { type, data });
+}
+
+/**
+ * Subscribe to task events
+ * @param {(event: {type: string, data: object}) => void} listener
+ * @returns {() => void} - Unsubscribe function
+ */
+export function subscribeTaskEvents(listener) {
+  bus.on('task', listener);
+  return () => bus.off('task', listener);
+}
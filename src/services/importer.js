@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import config from '../config.js';
+import { createTask, getTaskById, getTasksByDownloadUrl } from '../db/database.js';
+import { readTags } from '../utils/audioTags.js';
+import { publishTaskEvent } from './events.js';
+import { checkDuplicateTask } from './duplicates.js';
+
+// Files picked up from the inbox
+const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.m4a', '.ogg', '.wav'];
+
+// Files changed more recently than this may still be copied in
+const SETTLE_MS = 5000;
+
+// Timer of the periodic scan
+let scanTimer = null;
+
+// Outcome of the last scan, reported by getImportStatus()
+let lastScan = null;
+
+/**
+ * Scan the inbox and create a `local` task for every new audio file
+ * Files that already have an unfinished, failed or skipped task are left alone,
+ * so a file is only imported again if it shows up after its earlier import was done.
+ * A file whose track is already in the library is created as a skipped duplicate.
+ * @param {string} dir - Inbox directory
+ * @param {number} now - Current time, for tests
+ * @param {object} options
+ * @param {object} options.user - Owner of the imported tasks; without one they are shared
+ * @returns {{tasks: object[], skipped: number}} - Created tasks and files left alone
+ */
+export function scanImportDir(dir = config.IMPORT_DIR, now = Date.now(), options = {}) {
+  if (!dir) {
+    throw new Error('Importing is disabled, set IMPORT_DIR to enable it');
+  }
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Import directory does not exist: ${dir}`);
+  }
+
+  const tasks = [];
+  let skipped = 0;
+
+  for (const filePath of listAudioFiles(dir)) {
+    const stats = fs.statSync(filePath);
+    const downloadUrl = pathToFileURL(filePath).href;
+    const pending = getTasksByDownloadUrl(downloadUrl).some(task => task.status !== 'done');
+
+    if (pending || now - stats.mtimeMs < SETTLE_MS) {
+      skipped++;
+      continue;
+    }
+
+    const taskId = createTask(checkDuplicateTask({
+      service: 'local',
+      ...readFileMetadata(filePath),
+      coverUrl: '',
+      downloadUrl,
+      fileSize: `${(stats.size / 1024 / 1024).toFixed(1)}MB`,
+      format: path.extname(filePath).slice(1).toUpperCase(),
+      preferredToneFlag: 'ORIGINAL',
+      allowDegrade: false,
+      userId: options.user ? options.user.id : null
+    }));
+    const task = getTaskById(taskId);
+    publishTaskEvent('task.created', task);
+    tasks.push(task);
+  }
+
+  if (tasks.length > 0) {
+    console.log(`Imported ${tasks.length} file(s) from ${dir}`);
+  }
+  return { tasks, skipped };
+}
+
+/**
+ * Scan the inbox now and remember the outcome
+ * @param {object} options
+ * @param {object} options.user - The user who asked for the scan, who owns the
+ *   imported tasks; scheduled scans import without an owner
+ * @returns {{tasks: object[], skipped: number}}
+ */
+export function runImportScan(options = {}) {
+  const startedAt = Date.now();
+  try {
+    const result = scanImportDir(config.IMPORT_DIR, startedAt, options);
+    lastScan = { startedAt, imported: result.tasks.length, skipped: result.skipped, error: null };
+    return result;
+  } catch (error) {
+    lastScan = { startedAt, imported: 0, skipped: 0, error: error.message };
+    throw error;
+  }
+}
+
+/**
+ * Scan IMPORT_DIR now and then every IMPORT_SCAN_INTERVAL_MS
+ * Does nothing if IMPORT_DIR is not set.
+ */
+export function startImportWatcher() {
+  if (!config.IMPORT_DIR || scanTimer) {
+    return;
+  }
+
+  const scan = () => {
+    try {
+      runImportScan();
+    } catch (error) {
+      console.error('Import scan failed:', error.message);
+    }
+  };
+
+  console.log(`Watching ${config.IMPORT_DIR} for files to import`);
+  scan();
+  scanTimer = setInterval(scan, config.IMPORT_SCAN_INTERVAL_MS);
+}
+
+/**
+ * Get the import settings and the outcome of the last scan
+ */
+export function getImportStatus() {
+  return {
+    enabled: Boolean(config.IMPORT_DIR),
+    dir: config.IMPORT_DIR || null,
+    intervalMs: config.IMPORT_SCAN_INTERVAL_MS,
+    lastScan
+  };
+}
+
+/**
+ * List audio files below a directory, skipping hidden files
+ */
+function listAudioFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return listAudioFiles(entryPath);
+      }
+      return entry.isFile() && AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+        ? [entryPath]
+        : [];
+    })
+    .sort();
+}
+
+/**
+ * Read task metadata from a file's tags
+ * Without tags, "Artist - Title" file names are split, anything else becomes the title.
+ * @returns {object} - Task fields
+ */
+function readFileMetadata(filePath) {
+  let tags = {};
+  try {
+    tags = readTags(filePath);
+  } catch (error) {
+    console.warn(`Failed to read tags of ${filePath}:`, error.message);
+  }
+
+  const basename = path.basename(filePath, path.extname(filePath));
+  const [, nameArtist, nameTitle] = basename.match(/^(.+?)\s+-\s+(.+)$/) || [];
+
+  return {
+    title: tags.title || nameTitle || basename,
+    artist: tags.artist || nameArtist || 'Unknown Artist',
+    album: tags.album || '',
+    albumArtist: tags.albumArtist || null,
+    year: tags.year || null,
+    trackNumber: tags.trackNumber || null,
+    discNumber: tags.discNumber || null
+  };
+}
@@ -0,0 +1,165 @@
+import config from '../config.js';
+import { createJob, getAllJobs, getJobById, getTasksByJobId } from '../db/database.js';
+import { getProvider } from '../providers/index.js';
+import { getAlbumTemplate } from './downloader.js';
+import { publishTaskEvent } from './events.js';
+import { checkDuplicateTasks } from './duplicates.js';
+import { checkDailyQuota } from './users.js';
+
+// Task statuses that still have work ahead of them
+const PENDING_STATUSES = ['queued', 'downloading', 'organizing', 'paused'];
+
+/**
+ * Create an album job: one task per track, organized into one album folder
+ * @param {string} service - Provider id
+ * @param {string} albumId - Album ID on that provider
+ * @param {object} options - Quality options applied to every track
+ * @param {string} options.preferredToneFlag - Preferred quality (HQ, SQ, ...)
+ * @param {boolean} options.allowDegrade - Allow falling back to lower qualities
+ * @param {string[]} options.degradeOrder - Quality fallback order
+ * @param {string[]} options.copyrightIds - Only download these tracks (all tracks if omitted)
+ * @param {object} options.user - Owner of the job, whose daily quota it counts against
+ * @returns {Promise<object>} - The job with its tasks and progress
+ * @throws {Error} - With `quota` if the tracks exceed the owner's daily quota
+ */
+export async function createAlbumJob(service, albumId, options = {}) {
+  const provider = getProvider(service);
+  if (!provider || !provider.getAlbum) {
+    throw new Error(`Service ${service} does not support albums`);
+  }
+  
+  const album = await provider.getAlbum(albumId);
+
+  let tracks = album.tracks.filter(track => !track.disabled);
+  if (Array.isArray(options.copyrightIds) && options.copyrightIds.length > 0) {
+    const selected = new Set(options.copyrightIds.map(String));
+    tracks = tracks.filter(track => selected.has(String(track.copyrightId)));
+  }
+
+  if (tracks.length === 0) {
+    throw new Error(`Album ${albumId} has no downloadable tracks`);
+  }
+
+  const pathTemplate = getAlbumTemplate();
+  const userId = options.user ? options.user.id : null;
+  const taskData = checkDuplicateTasks(tracks.map(track => ({
+    service,
+    title: track.title,
+    artist: track.artist,
+    album: album.title,
+    albumArtist: album.artist,
+    year: album.year,
+    coverUrl: album.coverUrl || track.coverUrl,
+    downloadUrl: track.downloadUrl || '',
+    fileSize: '',
+    format: track.format,
+    preferredToneFlag: options.preferredToneFlag || config.DEFAULT_QUALITY,
+    allowDegrade: options.allowDegrade ?? config.ALLOW_DEGRADE,
+    degradeOrder: options.degradeOrder || config.DEGRADE_ORDER,
+    copyrightId: track.copyrightId,
+    contentId: track.contentId,
+    rawFormat: track.rawFormat,
+    trackNumber: track.trackNumber,
+    discNumber: track.discNumber,
+    pathTemplate,
+    userId
+  })));
+
+  if (options.user) {
+    checkDailyQuota(options.user, taskData.filter(task => task.status !== 'skipped').length);
+  }
+
+  const jobId = createJob(
+    {
+      type: 'album',
+      service,
+      sourceId: albumId,
+      title: album.title,
+      artist: album.artist,
+      coverUrl: album.coverUrl,
+      userId
+    },
+    taskData
+  );
+
+  console.log(`Created album job ${jobId} for "${album.title}" with ${tracks.length} tracks`);
+  const job = getJobWithTasks(jobId);
+  job.tasks.forEach(task => publishTaskEvent('task.created', task));
+  return job;
+}
+
+/**
+ * Aggregate the state of a job's tasks
+ * Done tasks and duplicates skipped because the library has them count as
+ * 100%, tasks that ended without a file count as 0%.
+ * @param {object[]} tasks - Task rows of one job
+ * @returns {{status: string, total: number, done: number, skipped: number,
+ *   failed: number, cancelled: number, pending: number, progress: number,
+ *   downloadedBytes: number, totalBytes: number}}
+ */
+export function summarizeJobTasks(tasks) {
+  const count = (status) => tasks.filter(task => task.status === status).length;
+  const total = tasks.length;
+  const done = count('done');
+  const skipped = count('skipped');
+  const failed = count('failed');
+  const cancelled = count('cancelled');
+  const pending = tasks.filter(task => PENDING_STATUSES.includes(task.status)).length;
+
+  const progressSum = tasks.reduce((sum, task) => {
+    if (task.status === 'done' || task.status === 'skipped') return sum + 100;
+    if (PENDING_STATUSES.includes(task.status)) return sum + (task.progress || 0);
+    return sum;
+  }, 0);
+
+  let status;
+  if (count('downloading') > 0 || count('organizing') > 0) {
+    status = 'downloading';
+  } else if (count('queued') > 0) {
+    status = 'queued';
+  } else if (count('paused') > 0) {
+    status = 'paused';
+  } else if (total > 0 && done + skipped === total) {
+    status = 'done';
+  } else if (done + skipped > 0) {
+    status = 'partial';
+  } else if (failed > 0) {
+    status = 'failed';
+  } else {
+    status = 'cancelled';
+  }
+
+  return {
+    status,
+    total,
+    done,
+    skipped,
+    failed,
+    cancelled,
+    pending,
+    progress: total > 0 ? Math.floor(progressSum / total) : 0,
+    downloadedBytes: tasks.reduce((sum, task) => sum + (task.downloaded_bytes || 0), 0),
+    totalBytes: tasks.reduce((sum, task) => sum + (task.total_bytes || 0), 0)
+  };
+}
+
+/**
+ * Get a job with its tasks and aggregate progress
+ * @returns {object|null} - null if the job does not exist
+ */
+export function getJobWithTasks(jobId) {
+  const job = getJobById(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const tasks = getTasksByJobId(jobId);
+  return { ...job, ...summarizeJobTasks(tasks), tasks };
+}
+
+/**
+ * List jobs with their aggregate progress (without the task rows)
+ */
+export function listJobs() {
+  return getAllJobs().map(job => ({ ...job, ...summarizeJobTasks(getTasksByJobId(job.id)) }));
+}
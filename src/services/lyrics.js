@@ -0,0 +1,60 @@
+// Matches [mm:ss.xx] timestamps; ID tags such as [ar:Artist] never match
+const LRC_TIMESTAMP_PATTERN = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+
+/**
+ * Parse LRC text into timed lines
+ * Lines with several timestamps are expanded, the result is sorted by time.
+ * Lines without a timestamp (ID tags, plain text) are skipped.
+ * @param {string} lrc - LRC text
+ * @returns {{time: number, text: string}[]} - Lines with time in seconds
+ */
+export function parseLrc(lrc) {
+  if (!lrc) {
+    return [];
+  }
+
+  const lines = [];
+  for (const rawLine of lrc.split(/\r?\n/)) {
+    const timestamps = [...rawLine.matchAll(LRC_TIMESTAMP_PATTERN)];
+    if (timestamps.length === 0) {
+      continue;
+    }
+
+    const text = rawLine.replace(LRC_TIMESTAMP_PATTERN, '').trim();
+    for (const [, minutes, seconds, fraction = '0'] of timestamps) {
+      const time = parseInt(minutes, 10) * 60 +
+        parseInt(seconds, 10) +
+        parseInt(fraction.padEnd(3, '0'), 10) / 1000;
+      lines.push({ time, text });
+    }
+  }
+
+  return lines.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Check whether lyrics carry LRC timestamps
+ */
+export function isSyncedLrc(lrc) {
+  return parseLrc(lrc).length > 0;
+}
+
+/**
+ * Convert LRC text to plain unsynced lyrics (for USLT / LYRICS tags)
+ * @param {string} lrc - LRC or plain text
+ * @returns {string}
+ */
+export function lrcToPlainText(lrc) {
+  if (!lrc) {
+    return '';
+  }
+
+  if (!isSyncedLrc(lrc)) {
+    return lrc.trim();
+  }
+
+  return parseLrc(lrc)
+    .map(line => line.text)
+    .join('\n')
+    .trim();
+}
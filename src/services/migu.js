@@ -1,29 +1,63 @@
 import got from 'got';
 
+// Headers for the Migu content APIs
+const MIGU_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Referer': 'https://music.migu.cn/',
+  'Accept': 'application/json, text/plain, */*',
+  'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+  'Origin': 'https://music.migu.cn'
+};
+
+// searchSwitch flag, result field and mapper for each search type
+const SEARCH_TYPES = {
+  song: { switchKey: 'song', resultKey: 'songResultData', map: mapSongItem },
+  album: { switchKey: 'album', resultKey: 'albumResultData', map: mapAlbumItem },
+  singer: { switchKey: 'singer', resultKey: 'singerResultData', map: mapSingerItem },
+  songlist: { switchKey: 'songlist', resultKey: 'songListResultData', map: mapPlaylistItem }
+};
+
+// Page size and page limit when listing album or playlist tracks
+const TRACK_PAGE_SIZE = 50;
+const TRACK_MAX_PAGES = 20;
+
+/**
+ * Supported search types
+ */
+export function getSearchTypes() {
+  return Object.keys(SEARCH_TYPES);
+}
+
 /**
  * Search music on Migu platform using JSON API
+ * @param {string} text - Search text
+ * @param {number} pageNum - Page number, starting at 1
+ * @param {number} pageSize - Results per page
+ * @param {string} type - One of getSearchTypes()
  */
-export async function searchMigu(text, pageNum = 1, pageSize = 20) {
+export async function searchMigu(text, pageNum = 1, pageSize = 20, type = 'song') {
+  const searchType = SEARCH_TYPES[type];
+  if (!searchType) {
+    throw new Error(`Unsupported search type: ${type}`);
+  }
+  
   try {
     // Use Migu's proper JSON search API (MIGUM3.0)
     const url = 'https://pd.musicapp.migu.cn/MIGUM3.0/v1.0/content/search_all.do';
     
+    const searchSwitch = { song: 0, album: 0, singer: 0, tagSong: 0, mvSong: 0, bestShow: 0, songlist: 0 };
+    searchSwitch[searchType.switchKey] = 1;
+    
     const searchParams = {
       text: text,
       pageNo: pageNum,
       pageSize: pageSize,
-      searchSwitch: JSON.stringify({ song: 1, album: 0, singer: 0, tagSong: 0, mvSong: 0, bestShow: 0, songlist: 0, bestShow: 0 })
+      searchSwitch: JSON.stringify(searchSwitch)
     };
     
     const response = await got.get(url, {
       searchParams,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Referer': 'https://music.migu.cn/',
-        'Accept': 'application/json, text/plain, */*',
-        'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
-        'Origin': 'https://music.migu.cn'
-      },
+      headers: MIGU_HEADERS,
       timeout: { request: 10000 },
       responseType: 'text' // Get raw text first to handle potential HTML responses
     });
@@ -44,56 +78,10 @@ export async function searchMigu(text, pageNum = 1, pageSize = 20) {
       throw new Error(`Upstream API error: ${errorMsg}`);
     }
     
-    // Parse song results
-    const songs = data.songResultData?.result || [];
-    
-    if (songs.length === 0) {
-      return [];
-    }
-    
     // Route 1: Don't resolve directUrl during search
     // Just return essential metadata and let download task resolve the URL
-    return songs.map((item) => {
-      const rawFormat = item.format || item.formatType || item.rateFormats;
-      const { format } = getFormatAndSize(item, rawFormat);
-      
-      // Extract copyrightId - required for URL resolution during download
-      const copyrightId = item.copyrightId || item.id || item.contentId;
-      const contentId = item.contentId || item.id || item.copyrightId;
-      
-      // Only disable if critical identifiers are missing
-      const disabled = !copyrightId;
-      
-      // Prioritize imgItems[].img for cover URL, with fallbacks
-      let coverUrl = '';
-      if (item.imgItems && Array.isArray(item.imgItems) && item.imgItems.length > 0) {
-        // Try to find a suitable size (500 or 400 preferred, fallback to first)
-        const img500 = item.imgItems.find(img => img.img && img.img.includes('500'));
-        const img400 = item.imgItems.find(img => img.img && img.img.includes('400'));
-        const firstImg = item.imgItems.find(img => img.img);
-        coverUrl = (img500 || img400 || firstImg)?.img || '';
-      }
-      // Fallback to other cover fields
-      if (!coverUrl) {
-        coverUrl = item.cover || item.albumImgs || item.largePic || '';
-      }
-      
-      return {
-        id: item.id || contentId,
-        copyrightId: copyrightId,
-        contentId: contentId,
-        title: item.name || item.songName || 'Unknown',
-        artist: item.singers?.map(s => s.name).join(', ') || item.singer || 'Unknown Artist',
-        album: item.albums?.[0]?.name || item.albumName || '',
-        coverUrl: normalizeCoverUrl(coverUrl),
-        downloadUrl: '', // Empty - will be resolved during download
-        disabled: disabled,
-        fileSize: '', // Don't show file size per user requirement
-        format: format,
-        // Keep raw format data and IDs for URL resolution during download
-        rawFormat: rawFormat
-      };
-    });
+    const items = data[searchType.resultKey]?.result || [];
+    return items.map(searchType.map);
     
   } catch (error) {
     // Distinguish between network errors and API errors
@@ -107,6 +95,313 @@ export async function searchMigu(text, pageNum = 1, pageSize = 20) {
   }
 }
 
+/**
+ * Map a Migu song item to a search result
+ * @param {object} item - Song item from search_all.do or queryAlbumSong
+ * @returns {object}
+ */
+export function mapSongItem(item) {
+  const rawFormat = item.format || item.formatType || item.rateFormats;
+  const { format } = getFormatAndSize(item, rawFormat);
+  
+  // Extract copyrightId - required for URL resolution during download
+  const copyrightId = item.copyrightId || item.id || item.contentId;
+  const contentId = item.contentId || item.id || item.copyrightId;
+  
+  // Only disable if critical identifiers are missing
+  const disabled = !copyrightId;
+  
+  return {
+    id: item.id || contentId,
+    type: 'song',
+    copyrightId: copyrightId,
+    contentId: contentId,
+    title: item.name || item.songName || 'Unknown',
+    artist: getArtistName(item),
+    album: item.albums?.[0]?.name || item.albumName || '',
+    coverUrl: normalizeCoverUrl(getCoverUrl(item)),
+    downloadUrl: '', // Empty - will be resolved during download
+    disabled: disabled,
+    fileSize: '', // Don't show file size per user requirement
+    format: format,
+    // Keep raw format data and IDs for URL resolution during download
+    rawFormat: rawFormat
+  };
+}
+
+/**
+ * Map a Migu album item to a search result
+ * @param {object} item - Album item from search_all.do
+ * @returns {object}
+ */
+export function mapAlbumItem(item) {
+  const albumId = item.id || item.albumId || item.resourceId;
+  
+  return {
+    id: albumId,
+    type: 'album',
+    albumId: albumId,
+    title: item.name || item.albumName || item.title || 'Unknown',
+    artist: getArtistName(item),
+    coverUrl: normalizeCoverUrl(getCoverUrl(item)),
+    year: parseYear(item.publishDate || item.publishTime),
+    trackCount: parseInt(item.totalCount || item.songCount || item.trackCount, 10) || null,
+    disabled: !albumId
+  };
+}
+
+/**
+ * Map a Migu singer item to a search result
+ * @param {object} item - Singer item from search_all.do
+ * @returns {object}
+ */
+export function mapSingerItem(item) {
+  const singerId = item.id || item.singerId || item.resourceId;
+  const name = item.name || item.singerName || item.singer || 'Unknown Artist';
+  
+  return {
+    id: singerId,
+    type: 'singer',
+    singerId: singerId,
+    title: name,
+    artist: name,
+    coverUrl: normalizeCoverUrl(getCoverUrl(item) || item.singerPicUrl?.[0]?.img || ''),
+    songCount: parseInt(item.songCount || item.songNum, 10) || null,
+    albumCount: parseInt(item.albumCount || item.albumNum, 10) || null,
+    disabled: !singerId
+  };
+}
+
+/**
+ * Map a Migu playlist (songlist) item to a search result
+ * @param {object} item - Songlist item from search_all.do
+ * @returns {object}
+ */
+export function mapPlaylistItem(item) {
+  const playlistId = item.id || item.musicListId || item.resourceId;
+  
+  return {
+    id: playlistId,
+    type: 'songlist',
+    playlistId: playlistId,
+    title: item.name || item.title || item.musicListName || 'Unknown',
+    artist: item.userName || item.ownerName || item.creator?.nickName || '',
+    coverUrl: normalizeCoverUrl(getCoverUrl(item) || item.musicListPicUrl || item.imgItem?.img || ''),
+    trackCount: parseInt(item.musicNum || item.contentCount || item.songCount, 10) || null,
+    disabled: !playlistId
+  };
+}
+
+/**
+ * Get the top songs of an artist
+ * @param {string} singerId - Migu singer ID
+ * @param {number} pageNum - Page number, starting at 1
+ * @param {number} pageSize - Songs per page
+ * @returns {Promise<object[]>} - Song results, as returned by searchMigu()
+ */
+export async function getMiguArtistSongs(singerId, pageNum = 1, pageSize = 20) {
+  if (!singerId) {
+    throw new Error('Missing singerId');
+  }
+  
+  const response = await got.get('https://app.c.nf.migu.cn/MIGUM2.0/v1.0/content/singer/songs', {
+    searchParams: { singerId, pageNo: pageNum, pageSize },
+    headers: MIGU_HEADERS,
+    timeout: { request: 10000 },
+    responseType: 'json'
+  });
+  
+  const data = response.body || {};
+  if (data.code && data.code !== '000000') {
+    throw new Error(`Upstream API error: ${data.info || data.code}`);
+  }
+  
+  return extractSongItems(data).map(mapSongItem);
+}
+
+/**
+ * Get every track of a playlist
+ * @param {string} playlistId - Migu musicListId
+ * @returns {Promise<object[]>} - Song results, as returned by searchMigu()
+ */
+export async function getMiguPlaylistSongs(playlistId) {
+  if (!playlistId) {
+    throw new Error('Missing playlistId');
+  }
+  
+  const songs = await fetchSongPages(
+    'https://app.c.nf.migu.cn/MIGUM2.0/v1.0/user/queryMusicListSongs.do',
+    { musicListId: playlistId }
+  );
+  return songs.map(mapSongItem);
+}
+
+/**
+ * Get an album with its full track list
+ * @param {string} albumId - Migu album ID
+ * @returns {Promise<object>} - Album fields plus `tracks` in disc/track order
+ */
+export async function getMiguAlbum(albumId) {
+  if (!albumId) {
+    throw new Error('Missing albumId');
+  }
+  
+  const [info, songs] = await Promise.all([
+    fetchAlbumInfo(albumId),
+    fetchSongPages('https://app.c.nf.migu.cn/MIGUM2.0/v1.0/content/queryAlbumSong', { albumId })
+  ]);
+  
+  const album = parseAlbumDetail(albumId, info, songs);
+  if (album.tracks.length === 0) {
+    throw new Error(`Album ${albumId} has no tracks`);
+  }
+  
+  return album;
+}
+
+/**
+ * Combine album info and song items into an album with numbered tracks
+ * Both upstream payloads vary between API versions, so every field has fallbacks.
+ * @param {string} albumId - Migu album ID
+ * @param {object|null} info - Album resource from resourceinfo.do
+ * @param {object[]} songs - Song items from queryAlbumSong
+ * @returns {object}
+ */
+export function parseAlbumDetail(albumId, info, songs) {
+  const firstSong = songs[0] || {};
+  const album = {
+    ...mapAlbumItem({ ...(info || {}), id: albumId }),
+    title: info?.title || info?.albumName || info?.name || firstSong.albums?.[0]?.name || firstSong.albumName || 'Unknown Album'
+  };
+  
+  if (!info || !album.artist || album.artist === 'Unknown Artist') {
+    album.artist = getArtistName(firstSong);
+  }
+  if (!album.coverUrl) {
+    album.coverUrl = normalizeCoverUrl(getCoverUrl(firstSong));
+  }
+  
+  album.tracks = songs
+    .map((item, index) => ({
+      ...mapSongItem(item),
+      album: album.title,
+      albumArtist: album.artist,
+      trackNumber: parseInt(item.trackNumber || item.trackNo || item.albumSongNum, 10) || index + 1,
+      discNumber: parseInt(item.discNumber || item.discNo || item.cdNumber, 10) || 1
+    }))
+    .sort((a, b) => a.discNumber - b.discNumber || a.trackNumber - b.trackNumber);
+  album.trackCount = album.tracks.length;
+  
+  return album;
+}
+
+/**
+ * Fetch album metadata, or null if unavailable (tracks carry enough to go on)
+ */
+async function fetchAlbumInfo(albumId) {
+  try {
+    const response = await got.get('https://c.musicapp.migu.cn/MIGUM2.0/v1.0/content/resourceinfo.do', {
+      searchParams: { resourceId: albumId, resourceType: 2003 },
+      headers: MIGU_HEADERS,
+      timeout: { request: 10000 },
+      responseType: 'json'
+    });
+    return response.body?.resource?.[0] || null;
+  } catch (error) {
+    console.warn(`Album info lookup failed for albumId=${albumId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch every song of an album or playlist, page by page
+ * @param {string} url - Paged song list API
+ * @param {object} searchParams - ID parameters of the list
+ * @returns {Promise<object[]>} - Raw song items
+ */
+async function fetchSongPages(url, searchParams) {
+  const songs = [];
+  
+  for (let pageNo = 1; pageNo <= TRACK_MAX_PAGES; pageNo++) {
+    const response = await got.get(url, {
+      searchParams: { ...searchParams, pageNo, pageSize: TRACK_PAGE_SIZE },
+      headers: MIGU_HEADERS,
+      timeout: { request: 10000 },
+      responseType: 'json'
+    });
+    
+    const data = response.body || {};
+    if (data.code && data.code !== '000000') {
+      throw new Error(`Upstream API error: ${data.info || data.code}`);
+    }
+    
+    const page = extractSongItems(data);
+    songs.push(...page);
+    
+    const total = parseInt(data.totalCount || data.data?.totalCount, 10) || 0;
+    if (page.length < TRACK_PAGE_SIZE || (total && songs.length >= total)) {
+      break;
+    }
+  }
+  
+  return songs;
+}
+
+/**
+ * Find the song items in a song list response
+ * The list sits in a different field depending on the API and its version.
+ * @param {object} data - Response body
+ * @returns {object[]}
+ */
+export function extractSongItems(data) {
+  const candidates = [
+    data?.songList,
+    data?.data?.songList,
+    data?.list,
+    data?.resource?.[0]?.songItems,
+    data?.data?.contentItemList?.[0]?.itemList?.map(entry => entry.song || entry)
+  ];
+  return candidates.find(list => Array.isArray(list) && list.length > 0) || [];
+}
+
+/**
+ * Join the singer names of a Migu item
+ */
+function getArtistName(item) {
+  if (Array.isArray(item.singers) && item.singers.length > 0) {
+    return item.singers.map(s => s.name).join(', ');
+  }
+  return item.singer || item.singerName || 'Unknown Artist';
+}
+
+/**
+ * Pick a cover URL from a Migu item
+ */
+function getCoverUrl(item) {
+  // Prioritize imgItems[].img for cover URL, with fallbacks
+  let coverUrl = '';
+  if (item.imgItems && Array.isArray(item.imgItems) && item.imgItems.length > 0) {
+    // Try to find a suitable size (500 or 400 preferred, fallback to first)
+    const img500 = item.imgItems.find(img => img.img && img.img.includes('500'));
+    const img400 = item.imgItems.find(img => img.img && img.img.includes('400'));
+    const firstImg = item.imgItems.find(img => img.img);
+    coverUrl = (img500 || img400 || firstImg)?.img || '';
+  }
+  // Fallback to other cover fields
+  if (!coverUrl) {
+    coverUrl = item.cover || item.albumImgs || item.largePic || '';
+  }
+  return typeof coverUrl === 'string' ? coverUrl : '';
+}
+
+/**
+ * Extract a four digit year from a Migu date such as "2014-10-27"
+ */
+function parseYear(value) {
+  const match = String(value || '').match(/\b(\d{4})\b/);
+  return match ? match[1] : null;
+}
+
 /**
  * Normalize cover URL to use HTTPS
  */
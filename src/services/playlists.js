@@ -0,0 +1,345 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import {
+  createJob,
+  createPlaylist,
+  getAllPlaylists,
+  getPlaylistById,
+  getTasksByPlaylistId,
+  getPlaylistIdsByTaskId,
+  updatePlaylist,
+  updatePlaylistFilePath,
+  deletePlaylistById,
+  getTaskById
+} from '../db/database.js';
+import { sanitizeFilename } from '../utils/fileUtils.js';
+import { matchBatchEntries, getMatchTaskData, parseArtistTitle } from './batch.js';
+import { getJobWithTasks } from './jobs.js';
+import { publishTaskEvent, subscribeTaskEvents } from './events.js';
+import { checkDuplicateTasks } from './duplicates.js';
+import { checkDailyQuota } from './users.js';
+
+// Most entries accepted from one playlist file, each one costs a search request
+export const MAX_PLAYLIST_ENTRIES = 200;
+
+// Unsubscribes the playlist writer
+let stopWriter = null;
+
+/**
+ * Parse an M3U/M3U8 or PLS playlist into batch entries
+ * The song is taken from the #EXTINF or TitleN text, falling back to the
+ * file name of the entry; both may be "Artist - Title".
+ * @param {string} content - Playlist file content
+ * @param {string} filename - Upload file name, used to tell PLS from M3U
+ * @returns {{line: number, input: string, artist: string, title: string, album: string}[]}
+ */
+export function parsePlaylist(content, filename = '') {
+  const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  const isPls = path.extname(filename).toLowerCase() === '.pls' ||
+    lines.some(line => /^\s*\[playlist\]\s*$/i.test(line));
+  return isPls ? parsePls(lines) : parseM3u(lines);
+}
+
+/**
+ * Parse M3U lines: optional #EXTINF:duration,text lines each followed by a location
+ */
+function parseM3u(lines) {
+  const entries = [];
+  let extinf = null;
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (line.startsWith('#EXTINF:')) {
+      // Attributes like tvg-id="..." may precede the comma
+      const [, text] = line.match(/^#EXTINF:[^,]*,(.*)$/) || [];
+      extinf = text ? text.trim() : null;
+    } else if (line && !line.startsWith('#')) {
+      entries.push(toEntry(index + 1, extinf, line));
+      extinf = null;
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Parse PLS lines: FileN=location with optional TitleN=text
+ */
+function parsePls(lines) {
+  const files = new Map();
+
+  lines.forEach((raw, index) => {
+    const [, key, number, value] = raw.trim().match(/^(File|Title)(\d+)=(.*)$/i) || [];
+    if (!key) {
+      return;
+    }
+    const entry = files.get(number) || { line: index + 1 };
+    entry[key.toLowerCase()] = value.trim();
+    files.set(number, entry);
+  });
+
+  return [...files.entries()]
+    .filter(([, entry]) => entry.file)
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([, entry]) => toEntry(entry.line, entry.title || null, entry.file));
+}
+
+/**
+ * Build a batch entry from a playlist line
+ * @param {number} line - Line number of the entry
+ * @param {string|null} text - Display text, e.g. "Artist - Title"
+ * @param {string} location - File path or URL of the entry
+ */
+function toEntry(line, text, location) {
+  const input = text || getLocationName(location);
+  return { line, input, ...parseArtistTitle(input), album: '' };
+}
+
+/**
+ * File name of a playlist location without its extension, e.g. "Artist - Title"
+ */
+function getLocationName(location) {
+  let name = location.split(/[\\/]/).pop().split(/[?#]/)[0];
+  try {
+    name = decodeURIComponent(name);
+  } catch (e) {
+    // Not URL-encoded
+  }
+  return path.parse(name).name.replace(/_/g, ' ').trim() || location;
+}
+
+/**
+ * Match every playlist entry and queue the matches as one playlist job
+ * Entries that are ambiguous or not found are reported, not queued. The
+ * matches also become a playlist, exported as tracks finish downloading.
+ * @param {object[]} entries - From parsePlaylist()
+ * @param {object} provider - Provider to search, must support song search
+ * @param {object} options
+ * @param {string} options.name - Playlist name, made unique if it is taken
+ * @param {string} options.filename - Uploaded file name
+ * @param {string} options.preferredToneFlag - Preferred quality (HQ, SQ, ...)
+ * @param {boolean} options.allowDegrade - Allow falling back to lower qualities
+ * @param {string[]} options.degradeOrder - Quality fallback order
+ * @param {object} options.user - Owner of the job, whose daily quota it counts against
+ * @returns {Promise<object>} - `job` and `playlist` (null if nothing matched) and the match report
+ * @throws {Error} - With `quota` if the matches exceed the owner's daily quota
+ */
+export async function importPlaylist(entries, provider, options = {}) {
+  const report = await matchBatchEntries(entries, provider, options);
+
+  if (report.matched.length === 0) {
+    return { job: null, playlist: null, ...report };
+  }
+
+  const taskData = checkDuplicateTasks(report.matched.map(matched => getMatchTaskData(provider, matched, options)));
+  if (options.user) {
+    checkDailyQuota(options.user, taskData.filter(task => task.status !== 'skipped').length);
+  }
+
+  const name = getUniquePlaylistName(options.name);
+  const jobId = createJob(
+    {
+      type: 'playlist',
+      service: provider.id,
+      sourceId: options.filename || null,
+      title: name,
+      userId: options.user ? options.user.id : null
+    },
+    taskData
+  );
+
+  console.log(`Created playlist job ${jobId} for "${name}" with ${report.matched.length} of ${entries.length} entries`);
+  const job = getJobWithTasks(jobId);
+  job.tasks.forEach(task => publishTaskEvent('task.created', task));
+
+  // Tasks were created in playlist order
+  const playlistId = createPlaylist({ name, jobId, userId: options.user ? options.user.id : null }, job.tasks.map(task => task.id).sort((a, b) => a - b));
+  return { job, playlist: getPlaylistWithTasks(playlistId), ...report };
+}
+
+/**
+ * Get all playlists with their number of tracks (`total`) and downloaded tracks (`done`)
+ * @param {number|null} userId - Only playlists owned by this user, null for all
+ */
+export function listPlaylists(userId = null) {
+  return getAllPlaylists(userId);
+}
+
+/**
+ * Get a playlist with its tasks in playlist order
+ * @returns {object|undefined}
+ */
+export function getPlaylistWithTasks(id) {
+  const playlist = getPlaylistById(id);
+  if (!playlist) {
+    return undefined;
+  }
+
+  const tasks = getTasksByPlaylistId(id);
+  return {
+    ...playlist,
+    total: tasks.length,
+    done: tasks.filter(task => ['done', 'skipped'].includes(task.status)).length,
+    tasks
+  };
+}
+
+/**
+ * Create a playlist of existing tasks and export it
+ * @param {object} playlistData - { name, jobId, userId }
+ * @param {number[]} taskIds - Member tasks in playlist order
+ * @returns {object} - The playlist with its tasks
+ */
+export function addPlaylist(playlistData, taskIds) {
+  const playlistId = createPlaylist(playlistData, taskIds);
+  console.log(`Created playlist ${playlistId} "${playlistData.name}" with ${taskIds.length} tracks`);
+  exportPlaylist(playlistId);
+  return getPlaylistWithTasks(playlistId);
+}
+
+/**
+ * Rename a playlist and/or replace its tasks, then export it again
+ * @param {number} id - Playlist ID
+ * @param {object} changes - { name, taskIds }, omitted fields are kept
+ * @returns {object} - The playlist with its tasks
+ */
+export function editPlaylist(id, changes) {
+  updatePlaylist(id, changes);
+  exportPlaylist(id);
+  return getPlaylistWithTasks(id);
+}
+
+/**
+ * Delete a playlist and its .m3u8 file; the tracks stay in the library
+ * @returns {boolean} - false if there was no such playlist
+ */
+export function removePlaylist(id) {
+  const playlist = getPlaylistById(id);
+  if (!playlist) {
+    return false;
+  }
+
+  removePlaylistFile(playlist.file_path);
+  return deletePlaylistById(id);
+}
+
+/**
+ * Name not used by another playlist: "Name", else "Name (2)", "Name (3)", ...
+ * Names whose playlist files would collide, e.g. "AC/DC" and "AC-DC", count as used.
+ */
+export function getUniquePlaylistName(name) {
+  let candidate = name;
+  for (let n = 2; findPlaylistByFileName(candidate); n++) {
+    candidate = `${name} (${n})`;
+  }
+  return candidate;
+}
+
+/**
+ * Find the playlist whose file a playlist with this name would be written to
+ * File names are compared ignoring case, like the names themselves.
+ * @returns {object|undefined} - Playlist row
+ */
+export function findPlaylistByFileName(name) {
+  const fileName = getPlaylistFileName(name).toLowerCase();
+  return getAllPlaylists().find(playlist => getPlaylistFileName(playlist.name).toLowerCase() === fileName);
+}
+
+/**
+ * Write the .m3u8 file of a playlist, listing its downloaded tracks in order
+ * Paths are relative to the playlist file so the library can be moved. A
+ * playlist without downloaded tracks has no file, and a renamed playlist's
+ * old file is removed.
+ * @param {number} id - Playlist ID
+ * @returns {string|null} - Path of the playlist file
+ */
+export function exportPlaylist(id) {
+  const playlist = getPlaylistById(id);
+  const filePath = path.join(config.PLAYLIST_DIR, getPlaylistFileName(playlist.name));
+
+  const lines = ['#EXTM3U'];
+  for (const task of getTasksByPlaylistId(id)) {
+    const libraryPath = getTaskLibraryPath(task);
+    if (!libraryPath || !fs.existsSync(libraryPath)) {
+      continue;
+    }
+    const location = path.relative(path.dirname(filePath), libraryPath).split(path.sep).join('/');
+    lines.push(`#EXTINF:-1,${task.artist} - ${task.title}`, location);
+  }
+
+  if (playlist.file_path && playlist.file_path !== filePath) {
+    removePlaylistFile(playlist.file_path);
+  }
+
+  if (lines.length === 1) {
+    removePlaylistFile(filePath);
+    updatePlaylistFilePath(id, null);
+    return null;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, lines.join('\n') + '\n', 'utf8');
+  updatePlaylistFilePath(id, filePath);
+
+  console.log(`Wrote playlist ${filePath} with ${(lines.length - 1) / 2} tracks`);
+  return filePath;
+}
+
+/**
+ * Export the playlists of a task whenever it finishes downloading or is deleted
+ * Tasks that finish after an edit or a retry are picked up the same way.
+ */
+export function startPlaylistWriter() {
+  if (stopWriter) {
+    return;
+  }
+
+  stopWriter = subscribeTaskEvents(({ type, data }) => {
+    let playlistIds = [];
+    if (type === 'task.status' && ['done', 'skipped'].includes(data.status)) {
+      playlistIds = getPlaylistIdsByTaskId(data.id);
+    } else if (type === 'task.deleted') {
+      playlistIds = data.playlist_ids || [];
+    }
+
+    for (const playlistId of playlistIds) {
+      try {
+        exportPlaylist(playlistId);
+      } catch (error) {
+        console.error(`Failed to export playlist ${playlistId}:`, error.message);
+      }
+    }
+  });
+}
+
+/**
+ * Library file of a downloaded task; skipped duplicates use the file of the task they duplicate
+ * @returns {string|null}
+ */
+function getTaskLibraryPath(task) {
+  if (task.status === 'done') {
+    return task.library_path;
+  }
+  if (task.status === 'skipped') {
+    return task.library_path || getTaskById(task.duplicate_of)?.library_path || null;
+  }
+  return null;
+}
+
+/**
+ * Remove a playlist file, if it is still there
+ */
+function removePlaylistFile(filePath) {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+/**
+ * Name of the .m3u8 file of a playlist in PLAYLIST_DIR
+ */
+function getPlaylistFileName(name) {
+  return `${sanitizeFilename(name)}.m3u8`;
+}
@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { listTasks, updateTaskStatus, getActiveStagingPaths } from '../db/database.js';
+import { getLibraryTargetPath } from './downloader.js';
+
+// Staging files are task_<id>_<timestamp>.tmp while downloading, then get the audio
+// extension; tagging writes a .tagging copy next to them, see writeTags()
+const STAGING_FILE_PATTERN = /^task_\d+_\d+\.\w+(\.tagging)?$/;
+
+// Report of the recovery run at startup, see getRecoveryReport()
+let lastReport = null;
+
+/**
+ * Reconcile the queue with what a restart left behind
+ * Tasks stuck in `downloading` or `organizing` are queued again and staging
+ * files no task refers to are removed. Must run before the download queue
+ * starts, while no task can be running.
+ * @param {number} now - Current time, for tests
+ * @returns {{finishedAt: number, tasks: object[], swept: object[], sweptBytes: number}}
+ */
+export function runStartupRecovery(now = Date.now()) {
+  const tasks = recoverInterruptedTasks();
+  const swept = sweepStagingDir(config.STAGING_DIR, now);
+
+  lastReport = {
+    finishedAt: Date.now(),
+    tasks,
+    swept,
+    sweptBytes: swept.reduce((sum, file) => sum + file.size, 0)
+  };
+  logRecoveryReport(lastReport);
+  return lastReport;
+}
+
+/**
+ * Get the report of the last recovery run, null before it ran
+ */
+export function getRecoveryReport() {
+  return lastReport;
+}
+
+/**
+ * Queue every task that was downloading or organizing again
+ * - a partial .tmp download is kept and resumed
+ * - a completed download is only organized, see processDownloadTask()
+ * - anything else is downloaded again
+ * A library file an interrupted organize step was copying is removed first,
+ * so it is not mistaken for a duplicate of the task's own track.
+ * Attempts are not counted, the interruption was not the task's fault.
+ * @returns {{id: number, title: string, from: string, action: string, stagingPath: string|null, offset: number}[]}
+ */
+export function recoverInterruptedTasks() {
+  const { tasks } = listTasks({ statuses: ['downloading', 'organizing'], limit: null });
+
+  return tasks.map(task => {
+    const staging = findStagingFile(task);
+    if (task.status === 'organizing' && staging.action === 'organize') {
+      removeInterruptedCopy(task, staging.stagingPath);
+    }
+    updateTaskStatus(task.id, 'queued', null, {
+      stagingPath: staging.stagingPath,
+      stagingOffset: staging.offset,
+      progress: staging.action === 'restart' ? 0 : undefined,
+      speedBps: 0,
+      etaSeconds: 0
+    });
+    return { id: task.id, title: task.title, from: task.status, ...staging };
+  });
+}
+
+/**
+ * Remove staging files older than STAGING_ORPHAN_AGE_MS that no unfinished task refers to
+ * @param {string} dir - Staging directory
+ * @param {number} now - Current time, for tests
+ * @returns {{path: string, size: number}[]} - Removed files
+ */
+export function sweepStagingDir(dir = config.STAGING_DIR, now = Date.now()) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const active = new Set(getActiveStagingPaths().map(stagingPath => path.resolve(stagingPath)));
+  const swept = [];
+
+  for (const name of fs.readdirSync(dir)) {
+    const filePath = path.join(dir, name);
+    if (!STAGING_FILE_PATTERN.test(name) || active.has(path.resolve(filePath))) {
+      continue;
+    }
+
+    try {
+      const stats = fs.statSync(filePath);
+      if (!stats.isFile() || now - stats.mtimeMs < config.STAGING_ORPHAN_AGE_MS) {
+        continue;
+      }
+      fs.unlinkSync(filePath);
+      swept.push({ path: filePath, size: stats.size });
+    } catch (error) {
+      console.warn(`Failed to remove orphaned staging file ${filePath}:`, error.message);
+    }
+  }
+
+  return swept;
+}
+
+/**
+ * Find what an interrupted task left in the staging directory
+ * A download that finished just before the restart was already renamed
+ * from .tmp to its audio extension without the task knowing.
+ * @returns {{action: string, stagingPath: string|null, offset: number}} -
+ *   `action` is `resume`, `organize` or `restart`
+ */
+function findStagingFile(task) {
+  const stagingPath = task.staging_path;
+  if (!stagingPath) {
+    return { action: 'restart', stagingPath: null, offset: 0 };
+  }
+
+  if (fs.existsSync(stagingPath)) {
+    return stagingPath.endsWith('.tmp')
+      ? { action: 'resume', stagingPath, offset: fs.statSync(stagingPath).size }
+      : { action: 'organize', stagingPath, offset: 0 };
+  }
+
+  if (stagingPath.endsWith('.tmp') && fs.existsSync(path.dirname(stagingPath))) {
+    const stem = path.basename(stagingPath, '.tmp');
+    const completed = fs.readdirSync(path.dirname(stagingPath)).find(name => path.parse(name).name === stem);
+    if (completed) {
+      return { action: 'organize', stagingPath: path.join(path.dirname(stagingPath), completed), offset: 0 };
+    }
+  }
+
+  return { action: 'restart', stagingPath: null, offset: 0 };
+}
+
+/**
+ * Remove the library file of an interrupted organize step
+ * It is the task's own copy if it is identical to the staging file, or the
+ * start of it when the copy was cut off; any other file is a real duplicate
+ * and left to the duplicate policy.
+ */
+function removeInterruptedCopy(task, stagingPath) {
+  const libraryPath = getLibraryTargetPath(task, path.extname(stagingPath));
+  if (!fs.existsSync(libraryPath)) {
+    return;
+  }
+
+  const copy = fs.readFileSync(libraryPath);
+  const staged = fs.readFileSync(stagingPath);
+  if (copy.length <= staged.length && staged.subarray(0, copy.length).equals(copy)) {
+    fs.unlinkSync(libraryPath);
+    console.log(`Recovery: task ${task.id} removed its interrupted copy ${libraryPath}`);
+  }
+}
+
+function logRecoveryReport(report) {
+  for (const task of report.tasks) {
+    const detail = {
+      resume: `resuming at ${task.offset} bytes`,
+      organize: `organizing ${task.stagingPath}`,
+      restart: 'downloading again'
+    }[task.action];
+    console.log(`Recovery: task ${task.id} was ${task.from}, ${detail}`);
+  }
+  for (const file of report.swept) {
+    console.log(`Recovery: removed orphaned staging file ${file.path}`);
+  }
+
+  if (report.tasks.length > 0 || report.swept.length > 0) {
+    console.log(`Recovery: requeued ${report.tasks.length} interrupted task(s), removed ${report.swept.length} orphaned staging file(s) (${(report.sweptBytes / 1024 / 1024).toFixed(1)}MB)`);
+  }
+}
@@ -0,0 +1,314 @@
+import config from '../config.js';
+import { getStoredSettings, saveSettings } from '../db/database.js';
+import { listProviders } from '../providers/index.js';
+import { DEFAULT_PATH_TEMPLATE, DEFAULT_ALBUM_PATH_TEMPLATE, validateTemplate } from '../utils/pathTemplate.js';
+import { setConcurrency, setLibraryTemplate, setAlbumTemplate } from './downloader.js';
+import { DUPLICATE_POLICIES } from './duplicates.js';
+
+/**
+ * Settings editable from the WebUI
+ * Each setting mirrors a config key, named after its environment variable,
+ * so code keeps reading `config`. The environment variable gives the initial
+ * value until a value is saved, or always if it is listed in LOCKED_SETTINGS.
+ * - `type`: `string`, `integer`, `boolean` or `list` (of strings)
+ * - `values`: allowed values, or a function returning them
+ * - `validate`: returns an error message for an invalid value
+ * - `apply`: called with the new value, for modules that keep their own copy
+ */
+export const SETTINGS = {
+  defaultQuality: {
+    env: 'DEFAULT_QUALITY',
+    type: 'string',
+    label: 'Default quality',
+    description: 'Quality requested when a download names none',
+    default: 'HQ',
+    values: getQualityCodes
+  },
+  allowDegrade: {
+    env: 'ALLOW_DEGRADE',
+    type: 'boolean',
+    label: 'Allow lower qualities',
+    description: 'Fall back to the next quality of the degrade order when the requested one is not available',
+    default: false
+  },
+  degradeOrder: {
+    env: 'DEGRADE_ORDER',
+    type: 'list',
+    label: 'Degrade order',
+    description: 'Qualities to try, best first',
+    default: ['HQ', 'PQ', 'LQ'],
+    values: getQualityCodes
+  },
+  downloadConcurrency: {
+    env: 'DOWNLOAD_CONCURRENCY',
+    type: 'integer',
+    label: 'Parallel downloads',
+    description: 'Number of download workers',
+    default: 2,
+    min: 1,
+    max: 10,
+    apply: setConcurrency
+  },
+  libraryPathTemplate: {
+    env: 'LIBRARY_PATH_TEMPLATE',
+    type: 'string',
+    label: 'Library path template',
+    description: 'Path of each track below the library',
+    default: DEFAULT_PATH_TEMPLATE,
+    validate: template => validateTemplate(template).error,
+    apply: setLibraryTemplate
+  },
+  albumPathTemplate: {
+    env: 'ALBUM_PATH_TEMPLATE',
+    type: 'string',
+    label: 'Album path template',
+    description: 'Path of tracks downloaded through an album job',
+    default: DEFAULT_ALBUM_PATH_TEMPLATE,
+    validate: template => validateTemplate(template).error,
+    apply: setAlbumTemplate
+  },
+  duplicatePolicy: {
+    env: 'DUPLICATE_POLICY',
+    type: 'string',
+    label: 'Duplicates',
+    description: 'What to do with songs that are already queued or in the library',
+    default: 'skip',
+    values: DUPLICATE_POLICIES
+  },
+  retryMaxAttempts: {
+    env: 'RETRY_MAX_ATTEMPTS',
+    type: 'integer',
+    label: 'Attempts per task',
+    description: 'Attempts of new tasks before they are marked failed',
+    default: 3,
+    min: 1,
+    max: 20
+  },
+  fetchLyrics: {
+    env: 'FETCH_LYRICS',
+    type: 'boolean',
+    label: 'Fetch lyrics',
+    description: 'Write synced lyrics as .lrc files next to the tracks',
+    default: true
+  },
+  embedLyrics: {
+    env: 'EMBED_LYRICS',
+    type: 'boolean',
+    label: 'Embed lyrics',
+    description: 'Also embed the lyrics in the audio file tags',
+    default: false
+  },
+  embedCoverArt: {
+    env: 'EMBED_COVER_ART',
+    type: 'boolean',
+    label: 'Embed cover art',
+    description: 'Embed the cover in the audio file tags',
+    default: true
+  },
+  coverArtFiles: {
+    env: 'COVER_ART_FILES',
+    type: 'list',
+    label: 'Cover files',
+    description: 'Cover image files written next to each track, e.g. folder.jpg',
+    default: [],
+    validate: names => (names.some(name => /[\\/]/.test(name)) ? 'must be file names, not paths' : null)
+  }
+};
+
+// Defaults of the WebUI's download options, the only settings users who are not admins can read
+export const USER_VISIBLE_SETTINGS = ['defaultQuality', 'allowDegrade', 'degradeOrder'];
+
+// Values from the environment at startup, before saved settings were applied
+const initialConfig = Object.fromEntries(Object.values(SETTINGS).map(setting => [setting.env, config[setting.env]]));
+
+// Saved values, loaded by loadSettings(): key -> value
+let stored = {};
+
+/**
+ * Load the saved settings and apply them
+ * Saved values that are no longer valid, e.g. a quality no provider offers, are ignored.
+ */
+export function loadSettings() {
+  stored = {};
+  for (const [key, value] of Object.entries(getStoredSettings())) {
+    if (!SETTINGS[key]) {
+      continue;
+    }
+    try {
+      stored[key] = parseSettingValue(key, value);
+    } catch (error) {
+      console.warn(`Ignoring saved setting ${key}: ${error.message}`);
+    }
+  }
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    try {
+      parseSettingValue(key, initialConfig[setting.env]);
+    } catch (error) {
+      console.warn(`Invalid ${setting.env} (${error.message}), using ${JSON.stringify(setting.default)}`);
+    }
+
+    // Modules read the environment's value at startup, only changes need applying
+    const value = getSettingValue(key);
+    if (JSON.stringify(value) !== JSON.stringify(config[setting.env])) {
+      applySetting(key, value);
+    }
+  }
+}
+
+/**
+ * Describe settings with their current value for the WebUI
+ * @param {string[]} keys - Settings to describe, all by default
+ * @returns {object[]}
+ */
+export function listSettings(keys = Object.keys(SETTINGS)) {
+  return Object.entries(SETTINGS).filter(([key]) => keys.includes(key)).map(([key, setting]) => ({
+    key,
+    env: setting.env,
+    type: setting.type,
+    label: setting.label,
+    description: setting.description,
+    value: getSettingValue(key),
+    initialValue: getInitialValue(key),
+    saved: key in stored,
+    locked: isLocked(key),
+    min: setting.min,
+    max: setting.max,
+    values: typeof setting.values === 'function' ? setting.values() : setting.values
+  }));
+}
+
+/**
+ * Current value of a setting
+ */
+export function getSettingValue(key) {
+  if (!isLocked(key) && key in stored) {
+    return stored[key];
+  }
+  return getInitialValue(key);
+}
+
+/**
+ * Validate, save and apply changed settings; nothing is saved if one is invalid
+ * @param {object} changes - Setting key -> value, null to go back to the initial value
+ * @returns {object[]} - All settings, see listSettings()
+ * @throws {Error} - With `fields`, a list of `{key, message}`, if a change is rejected
+ */
+export function updateSettings(changes) {
+  const values = {};
+  const fields = [];
+
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (!SETTINGS[key]) {
+      fields.push({ key, message: 'Unknown setting' });
+    } else if (isLocked(key)) {
+      fields.push({ key, message: `Locked by the ${SETTINGS[key].env} environment variable` });
+    } else {
+      try {
+        values[key] = value === null ? null : parseSettingValue(key, value);
+      } catch (error) {
+        fields.push({ key, message: error.message });
+      }
+    }
+  }
+
+  if (fields.length > 0) {
+    const error = new Error(fields.map(field => `${field.key}: ${field.message}`).join('; '));
+    error.fields = fields;
+    throw error;
+  }
+
+  saveSettings(values);
+  for (const [key, value] of Object.entries(values)) {
+    if (value === null) {
+      delete stored[key];
+    } else {
+      stored[key] = value;
+    }
+    applySetting(key, getSettingValue(key));
+  }
+
+  return listSettings();
+}
+
+/**
+ * Check and normalize a setting value, e.g. "true" for a boolean or "a, b" for a list
+ * @returns {*} - The value to store
+ * @throws {Error} - If the value is invalid
+ */
+export function parseSettingValue(key, value) {
+  const setting = SETTINGS[key];
+  let parsed;
+
+  if (setting.type === 'boolean') {
+    if (![true, false, 'true', 'false'].includes(value)) {
+      throw new Error('must be true or false');
+    }
+    parsed = value === true || value === 'true';
+  } else if (setting.type === 'integer') {
+    parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(parsed) || parsed < setting.min || parsed > setting.max) {
+      throw new Error(`must be a whole number from ${setting.min} to ${setting.max}`);
+    }
+  } else if (setting.type === 'list') {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+      throw new Error('must be a list of strings');
+    }
+    parsed = items.map(item => item.trim()).filter(Boolean);
+  } else {
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new Error('must be a non-empty string');
+    }
+    parsed = value.trim();
+  }
+
+  const allowed = typeof setting.values === 'function' ? setting.values() : setting.values;
+  const unknown = allowed && [].concat(parsed).filter(item => !allowed.includes(item));
+  if (unknown && unknown.length > 0) {
+    throw new Error(`${unknown.join(', ')} is not one of ${allowed.join(', ')}`);
+  }
+
+  const invalid = setting.validate && setting.validate(parsed);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+
+  return parsed;
+}
+
+/**
+ * Whether LOCKED_SETTINGS makes the environment variable of a setting win over saved values
+ */
+function isLocked(key) {
+  const { env } = SETTINGS[key];
+  return config.LOCKED_SETTINGS.includes(env) ||
+    (config.LOCKED_SETTINGS.includes('*') && process.env[env] !== undefined);
+}
+
+/**
+ * Value from the environment, or the default if the environment has an invalid one
+ */
+function getInitialValue(key) {
+  const setting = SETTINGS[key];
+  try {
+    return parseSettingValue(key, initialConfig[setting.env]);
+  } catch (error) {
+    return setting.default;
+  }
+}
+
+function applySetting(key, value) {
+  const setting = SETTINGS[key];
+  config[setting.env] = value;
+  if (setting.apply) {
+    setting.apply(value);
+  }
+}
+
+/**
+ * Quality codes offered by any registered provider
+ */
+function getQualityCodes() {
+  return [...new Set(listProviders().flatMap(provider => provider.qualities.map(quality => quality.code)))];
+}
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import path from 'path';
+import config from '../config.js';
+import {
+  createUser,
+  getAllUsers,
+  getUserById,
+  getUserByUsername,
+  updateUser,
+  deleteUserById,
+  countUserTasksSince
+} from '../db/database.js';
+
+/**
+ * Roles of user accounts
+ * - `admin`: sees every task and manages users, settings and the queue
+ * - `user`: sees and manages only their own tasks
+ */
+export const USER_ROLES = ['admin', 'user'];
+
+// The account created with the database; it logs in with ADMIN_PASSWORD
+export const ADMIN_USERNAME = 'admin';
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Checked instead when the account does not exist, so that takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('base64'));
+
+/**
+ * The built-in admin, which owns every request while authentication is disabled
+ */
+export function getBuiltinAdmin() {
+  return getUserByUsername(ADMIN_USERNAME);
+}
+
+/**
+ * Whether a user is an admin
+ */
+export function isAdmin(user) {
+  return Boolean(user) && user.role === 'admin';
+}
+
+/**
+ * List users with their usage of today's quota
+ * @returns {object[]} - User rows without password hashes, see describeUser()
+ */
+export function listUsers() {
+  return getAllUsers().map(describeUser);
+}
+
+/**
+ * Get a user by ID, as listed by listUsers()
+ */
+export function getUser(id) {
+  const user = getUserById(id);
+  return user ? describeUser(user) : null;
+}
+
+/**
+ * Create a user account
+ * @param {object} fields - username, password, role, dailyQuota, librarySubfolder
+ * @returns {object} - The new user, see describeUser()
+ * @throws {Error} - With `fields`, a list of `{key, message}`, if a field is invalid
+ */
+export function addUser(fields) {
+  const values = parseUserFields(fields || {}, { required: ['username', 'password'] });
+  const id = createUser({ role: 'user', ...values });
+  console.log(`Created ${values.role || 'user'} account ${values.username}`);
+  return getUser(id);
+}
+
+/**
+ * Change the role, password, quota or library subfolder of a user
+ * The built-in admin keeps its role and logs in with ADMIN_PASSWORD.
+ * @returns {object|null} - The updated user, null if there was no such user
+ * @throws {Error} - With `fields` if a change is invalid
+ */
+export function editUser(id, changes) {
+  const user = getUserById(id);
+  if (!user) {
+    return null;
+  }
+
+  const values = parseUserFields(changes || {}, { builtin: user.username === ADMIN_USERNAME });
+  updateUser(user.id, values);
+  return getUser(user.id);
+}
+
+/**
+ * Delete a user; their tasks stay, without an owner
+ * @returns {boolean} - false if there was no such user
+ * @throws {Error} - For the built-in admin
+ */
+export function removeUser(id) {
+  const user = getUserById(id);
+  if (!user) {
+    return false;
+  }
+  if (user.username === ADMIN_USERNAME) {
+    throw new Error('The built-in admin cannot be deleted');
+  }
+
+  console.log(`Deleted account ${user.username}`);
+  return deleteUserById(user.id);
+}
+
+/**
+ * Check the password of an account with a password of its own
+ * @returns {object|null} - The user, null if the name or password is wrong
+ */
+export function verifyUserPassword(username, password) {
+  if (typeof password !== 'string') {
+    return null;
+  }
+
+  const user = typeof username === 'string' ? getUserByUsername(username.trim()) : null;
+  const passwordHash = user && user.password_hash ? user.password_hash : DUMMY_PASSWORD_HASH;
+  const [, salt, hash] = passwordHash.split(':');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected) && passwordHash !== DUMMY_PASSWORD_HASH ? user : null;
+}
+
+/**
+ * How much of today's download quota a user has used
+ * Days start at midnight, server time. Skipped duplicates do not count.
+ * @param {object} user - User row
+ * @returns {{limit: number|null, used: number, remaining: number|null, resets_at: number}} -
+ *   `limit` and `remaining` are null without a quota
+ */
+export function getQuotaUsage(user, now = Date.now()) {
+  const dayStart = new Date(now).setHours(0, 0, 0, 0);
+  const used = countUserTasksSince(user.id, dayStart);
+  const limit = user.daily_quota ?? null;
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resets_at: new Date(dayStart).setDate(new Date(dayStart).getDate() + 1)
+  };
+}
+
+/**
+ * Make sure a user may queue more downloads today
+ * @param {object} user - User row
+ * @param {number} count - Downloads about to be queued
+ * @throws {Error} - With `quota`, see getQuotaUsage(), if they exceed the quota
+ */
+export function checkDailyQuota(user, count = 1) {
+  const quota = getQuotaUsage(user);
+  if (quota.limit === null || count <= quota.remaining) {
+    return;
+  }
+
+  const error = new Error(quota.remaining === 0
+    ? `Daily quota of ${quota.limit} downloads reached`
+    : `Only ${quota.remaining} of the daily quota of ${quota.limit} downloads left, ${count} requested`);
+  error.quota = quota;
+  throw error;
+}
+
+/**
+ * Directory a user's downloads are organized into: their subfolder of LIBRARY_DIR
+ * @param {number|null} userId - Task owner
+ */
+export function getLibraryRoot(userId) {
+  const user = userId ? getUserById(userId) : null;
+  return user && user.library_subfolder
+    ? path.join(config.LIBRARY_DIR, user.library_subfolder)
+    : config.LIBRARY_DIR;
+}
+
+/**
+ * User row for the API: no password hash, with `builtin` and today's `quota`
+ */
+function describeUser(user) {
+  const { password_hash: passwordHash, ...fields } = user;
+  return {
+    ...fields,
+    builtin: user.username === ADMIN_USERNAME,
+    quota: getQuotaUsage(user)
+  };
+}
+
+/**
+ * Validate user fields from a request
+ * @param {object} fields - Request body
+ * @param {object} options
+ * @param {string[]} options.required - Fields that must be present
+ * @param {boolean} options.builtin - Whether the fields are for the built-in admin
+ * @returns {object} - Values as accepted by createUser() and updateUser()
+ * @throws {Error} - With `fields`, a list of `{key, message}`
+ */
+function parseUserFields(fields, { required = [], builtin = false } = {}) {
+  const values = {};
+  const errors = [];
+  const reject = (key, message) => errors.push({ key, message });
+
+  for (const key of required) {
+    if (fields[key] === undefined) {
+      reject(key, 'Required');
+    }
+  }
+
+  if (fields.username !== undefined) {
+    const username = typeof fields.username === 'string' ? fields.username.trim() : '';
+    if (!required.includes('username')) {
+      reject('username', 'cannot be changed');
+    } else if (!/^[\w.-]{1,32}$/.test(username)) {
+      reject('username', 'must be 1-32 letters, digits, dots, dashes or underscores');
+    } else if (getUserByUsername(username)) {
+      reject('username', `${username} is taken`);
+    } else {
+      values.username = username;
+    }
+  }
+
+  if (fields.password !== undefined) {
+    if (builtin) {
+      reject('password', 'The built-in admin logs in with ADMIN_PASSWORD');
+    } else if (typeof fields.password !== 'string' || fields.password.length < MIN_PASSWORD_LENGTH) {
+      reject('password', `must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    } else {
+      values.passwordHash = hashPassword(fields.password);
+    }
+  }
+
+  if (fields.role !== undefined) {
+    if (!USER_ROLES.includes(fields.role)) {
+      reject('role', `must be one of ${USER_ROLES.join(', ')}`);
+    } else if (builtin && fields.role !== 'admin') {
+      reject('role', 'The built-in admin stays an admin');
+    } else {
+      values.role = fields.role;
+    }
+  }
+
+  if (fields.dailyQuota !== undefined) {
+    const quota = fields.dailyQuota === null || fields.dailyQuota === '' ? null : Number(fields.dailyQuota);
+    if (quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+      reject('dailyQuota', 'must be a whole number of downloads, or null for no limit');
+    } else {
+      values.dailyQuota = quota;
+    }
+  }
+
+  if (fields.librarySubfolder !== undefined) {
+    const subfolder = typeof fields.librarySubfolder === 'string' ? fields.librarySubfolder.trim() : fields.librarySubfolder;
+    if (!subfolder) {
+      values.librarySubfolder = null;
+    } else if (typeof subfolder !== 'string' || path.isAbsolute(subfolder) ||
+      subfolder.split(/[\\/]/).some(segment => ['', '.', '..'].includes(segment))) {
+      reject('librarySubfolder', 'must be a relative path inside the library, e.g. "Anna"');
+    } else {
+      values.librarySubfolder = subfolder;
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(errors.map(field => `${field.key}: ${field.message}`).join('; '));
+    error.fields = errors;
+    throw error;
+  }
+  return values;
+}
+
+/**
+ * Salted scrypt hash of a password, stored as `scrypt:<salt>:<hash>`
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
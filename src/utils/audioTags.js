@@ -0,0 +1,826 @@
+import fs from 'fs';
+
+/**
+ * Pure-JS metadata tags for downloaded audio files
+ * - MP3: ID3v2.4 (reads ID3v2.3 and ID3v2.4)
+ * - FLAC: Vorbis comments
+ *
+ * Tag objects use the same shape for reading and writing:
+ * { title, artist, album, albumArtist, year, trackNumber, trackTotal,
+ *   discNumber, discTotal, copyrightId, lyrics, picture }
+ *
+ * `lyrics` is unsynced text (USLT frame / LYRICS Vorbis field).
+ * `picture` is { mime, data, description } with `data` as a Buffer and is
+ * stored as the front cover (APIC frame / FLAC PICTURE block).
+ */
+
+// Description of the TXXX frame / Vorbis field holding the Migu copyrightId
+const COPYRIGHT_ID_FIELD = 'MIGU_COPYRIGHT_ID';
+
+// Vendor string written into new FLAC Vorbis comment blocks
+const VORBIS_VENDOR = 'musicn-jf';
+
+// ID3v2 text frames mapped to tag fields
+const ID3_TEXT_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  album: 'TALB',
+  albumArtist: 'TPE2',
+  year: 'TDRC'
+};
+
+// Vorbis comment fields mapped to tag fields
+const VORBIS_FIELDS = {
+  title: 'TITLE',
+  artist: 'ARTIST',
+  album: 'ALBUM',
+  albumArtist: 'ALBUMARTIST',
+  year: 'DATE',
+  trackNumber: 'TRACKNUMBER',
+  trackTotal: 'TRACKTOTAL',
+  discNumber: 'DISCNUMBER',
+  discTotal: 'DISCTOTAL',
+  copyrightId: COPYRIGHT_ID_FIELD,
+  lyrics: 'LYRICS'
+};
+
+// ID3v2.3 frames without an ID3v2.4 equivalent; the date frames TYER, TDAT,
+// TIME and TORY are converted instead, see convertId3v23Frames()
+const ID3V23_ONLY_FRAMES = ['EQUA', 'IPLS', 'RVAD', 'TRDA', 'TSIZ'];
+
+// ID3v1 tag appended to the end of MP3 files
+const ID3V1_SIZE = 128;
+
+// ISO-639-2 language written into USLT frames ("undetermined")
+const USLT_LANGUAGE = 'und';
+
+// FLAC metadata block types
+const FLAC_BLOCK = {
+  STREAMINFO: 0,
+  PADDING: 1,
+  VORBIS_COMMENT: 4,
+  PICTURE: 6
+};
+
+// APIC / PICTURE type for the front cover
+const PICTURE_TYPE_FRONT_COVER = 3;
+
+/**
+ * Detect the container format from the file contents
+ * @param {Buffer} buffer - File contents (at least the first few KB)
+ * @returns {'mp3'|'flac'|null}
+ */
+export function detectAudioFormat(buffer) {
+  const audioStart = skipId3v2(buffer);
+
+  if (buffer.length >= audioStart + 4 && buffer.toString('latin1', audioStart, audioStart + 4) === 'fLaC') {
+    return 'flac';
+  }
+
+  // ID3 tag or MPEG frame sync
+  if (audioStart > 0) {
+    return 'mp3';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    return 'mp3';
+  }
+
+  return null;
+}
+
+/**
+ * Write tags into an audio file, replacing the fields that are set
+ * Fields not present in `tags` keep their existing values.
+ * @param {string} filePath - Path to the MP3 or FLAC file
+ * @param {object} tags - Tag fields to write
+ * @returns {'mp3'|'flac'|null} - Format written, or null if the format is not supported
+ */
+export function writeTags(filePath, tags) {
+  const buffer = fs.readFileSync(filePath);
+  const format = detectAudioFormat(buffer);
+
+  let output;
+  if (format === 'mp3') {
+    output = writeId3v2(buffer, tags);
+  } else if (format === 'flac') {
+    output = writeFlacTags(buffer, tags);
+  } else {
+    return null;
+  }
+
+  // Write next to the original and swap, so a crash never leaves a truncated file
+  const tempPath = `${filePath}.tagging`;
+  fs.writeFileSync(tempPath, output);
+  fs.renameSync(tempPath, filePath);
+
+  return format;
+}
+
+/**
+ * Read tags from an audio file
+ * @param {string} filePath - Path to the MP3 or FLAC file
+ * @returns {object} - Tag fields found in the file (empty for unsupported formats)
+ */
+export function readTags(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const format = detectAudioFormat(buffer);
+
+  if (format === 'flac') {
+    return readFlacTags(buffer);
+  }
+  if (format === 'mp3') {
+    return readId3v2(buffer);
+  }
+  return {};
+}
+
+/**
+ * Remove undefined/empty values and stringify the text fields
+ */
+function normalizeTags(tags) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(tags || {})) {
+    if (key === 'picture') {
+      if (value && value.data && value.data.length > 0) {
+        normalized.picture = {
+          mime: value.mime || 'image/jpeg',
+          description: value.description || '',
+          data: value.data
+        };
+      }
+    } else if (value !== undefined && value !== null && value !== '') {
+      normalized[key] = String(value);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Format "number/total" pairs used by TRCK/TPOS
+ */
+function formatPosition(number, total) {
+  if (!number) {
+    return null;
+  }
+  return total ? `${number}/${total}` : String(number);
+}
+
+/**
+ * Split a "number/total" string
+ */
+function parsePosition(value) {
+  if (!value) {
+    return {};
+  }
+  const [number, total] = String(value).split('/').map(part => part.trim());
+  return {
+    number: number || undefined,
+    total: total || undefined
+  };
+}
+
+// ---------------------------------------------------------------------------
+// ID3v2
+// ---------------------------------------------------------------------------
+
+function readSyncsafe(buffer, offset) {
+  return ((buffer[offset] & 0x7f) << 21) |
+    ((buffer[offset + 1] & 0x7f) << 14) |
+    ((buffer[offset + 2] & 0x7f) << 7) |
+    (buffer[offset + 3] & 0x7f);
+}
+
+function writeSyncsafe(value) {
+  return Buffer.from([
+    (value >> 21) & 0x7f,
+    (value >> 14) & 0x7f,
+    (value >> 7) & 0x7f,
+    value & 0x7f
+  ]);
+}
+
+/**
+ * Return the offset of the first byte after any leading ID3v2 tags
+ */
+function skipId3v2(buffer) {
+  let offset = 0;
+
+  while (buffer.length >= offset + 10 && buffer.toString('latin1', offset, offset + 3) === 'ID3') {
+    const flags = buffer[offset + 5];
+    const hasFooter = (flags & 0x10) !== 0;
+    offset += 10 + readSyncsafe(buffer, offset + 6) + (hasFooter ? 10 : 0);
+  }
+
+  return Math.min(offset, buffer.length);
+}
+
+/**
+ * Reverse ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+ */
+function removeUnsynchronisation(buffer) {
+  const bytes = [];
+  for (let i = 0; i < buffer.length; i++) {
+    bytes.push(buffer[i]);
+    if (buffer[i] === 0xff && buffer[i + 1] === 0x00) {
+      i++;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode an ID3v2 string with the given text encoding byte
+ */
+function decodeId3Text(buffer, encoding) {
+  let text;
+  if (encoding === 0) {
+    text = buffer.toString('latin1');
+  } else if (encoding === 1) {
+    // UTF-16 with BOM
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+      text = swapUtf16(buffer.subarray(2)).toString('utf16le');
+    } else if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      text = buffer.subarray(2).toString('utf16le');
+    } else {
+      text = buffer.toString('utf16le');
+    }
+  } else if (encoding === 2) {
+    text = swapUtf16(buffer).toString('utf16le');
+  } else {
+    text = buffer.toString('utf8');
+  }
+  return text.replace(/\0+$/, '');
+}
+
+/**
+ * Convert UTF-16BE bytes to UTF-16LE
+ */
+function swapUtf16(buffer) {
+  const swapped = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+  return swapped.swap16();
+}
+
+/**
+ * Split an encoded string at its terminator, returning [before, after]
+ */
+function splitId3Terminated(buffer, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  const step = wide ? 2 : 1;
+
+  for (let i = 0; i + step <= buffer.length; i += step) {
+    if (buffer[i] === 0 && (!wide || buffer[i + 1] === 0)) {
+      return [buffer.subarray(0, i), buffer.subarray(i + step)];
+    }
+  }
+  return [buffer, Buffer.alloc(0)];
+}
+
+/**
+ * Parse all frames of the first ID3v2.3/2.4 tag
+ * @returns {{version: number, frames: {id: string, data: Buffer}[], end: number}|null}
+ */
+function parseId3v2Frames(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return null;
+  }
+
+  const version = buffer[3];
+  const flags = buffer[5];
+  const tagSize = readSyncsafe(buffer, 6);
+  const end = Math.min(10 + tagSize, buffer.length);
+
+  // ID3v2.2 uses three-character frame IDs and is not supported
+  if (version !== 3 && version !== 4) {
+    return { version, frames: [], end };
+  }
+
+  let body = buffer.subarray(10, end);
+
+  // ID3v2.3 applies unsynchronisation to the whole tag
+  if (version === 3 && (flags & 0x80)) {
+    body = removeUnsynchronisation(body);
+  }
+
+  let offset = 0;
+
+  // Skip the extended header
+  if (flags & 0x40) {
+    offset = version === 4 ? readSyncsafe(body, 0) : body.readUInt32BE(0) + 4;
+  }
+
+  const frames = [];
+  while (offset + 10 <= body.length) {
+    const id = body.toString('latin1', offset, offset + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) {
+      break; // Reached padding
+    }
+
+    const size = version === 4 ? readSyncsafe(body, offset + 4) : body.readUInt32BE(offset + 4);
+    const formatFlags = body[offset + 9];
+    let data = body.subarray(offset + 10, offset + 10 + size);
+    offset += 10 + size;
+
+    if (version === 4) {
+      // Data length indicator precedes the frame data
+      if (formatFlags & 0x01) {
+        data = data.subarray(4);
+      }
+      if (formatFlags & 0x02) {
+        data = removeUnsynchronisation(data);
+      }
+      // Compressed or encrypted frames cannot be read
+      if (formatFlags & 0x0c) {
+        continue;
+      }
+    } else if (formatFlags & 0xc0) {
+      continue;
+    }
+
+    frames.push({ id, data });
+  }
+
+  return { version, frames, end };
+}
+
+/**
+ * Read the tag fields from an ID3v2 tag
+ */
+function readId3v2(buffer) {
+  const parsed = parseId3v2Frames(buffer);
+  if (!parsed) {
+    return {};
+  }
+
+  const tags = {};
+  const textFields = Object.fromEntries(
+    Object.entries(ID3_TEXT_FRAMES).map(([field, id]) => [id, field])
+  );
+
+  for (const { id, data } of parsed.frames) {
+    if (data.length === 0) {
+      continue;
+    }
+    const encoding = data[0];
+
+    if (textFields[id] || id === 'TYER' || id === 'TRCK' || id === 'TPOS') {
+      // ID3v2.4 separates multiple values with null characters
+      const value = decodeId3Text(data.subarray(1), encoding)
+        .split('\0')
+        .filter(Boolean)
+        .join(', ');
+
+      if (id === 'TRCK') {
+        const { number, total } = parsePosition(value);
+        tags.trackNumber = number;
+        tags.trackTotal = total;
+      } else if (id === 'TPOS') {
+        const { number, total } = parsePosition(value);
+        tags.discNumber = number;
+        tags.discTotal = total;
+      } else if (id === 'TYER' || id === 'TDRC') {
+        tags.year = value.slice(0, 4);
+      } else {
+        tags[textFields[id]] = value;
+      }
+    } else if (id === 'TXXX') {
+      const [description, value] = splitId3Terminated(data.subarray(1), encoding);
+      if (decodeId3Text(description, encoding) === COPYRIGHT_ID_FIELD) {
+        tags.copyrightId = decodeId3Text(value, encoding);
+      }
+    } else if (id === 'APIC' && !tags.picture) {
+      tags.picture = parseApicFrame(data);
+    } else if (id === 'USLT' && !tags.lyrics) {
+      // Skip the language code, then the content descriptor
+      const [, text] = splitId3Terminated(data.subarray(4), encoding);
+      tags.lyrics = decodeId3Text(text, encoding);
+    }
+  }
+
+  return normalizeTags(tags);
+}
+
+/**
+ * Build one ID3v2.4 frame
+ */
+function buildId3Frame(id, data) {
+  return Buffer.concat([
+    Buffer.from(id, 'latin1'),
+    writeSyncsafe(data.length),
+    Buffer.from([0x00, 0x00]),
+    data
+  ]);
+}
+
+/**
+ * Encode the data of a UTF-8 text frame
+ */
+function encodeId3Text(text) {
+  return Buffer.concat([Buffer.from([0x03]), Buffer.from(text, 'utf8')]);
+}
+
+/**
+ * Build a UTF-8 text frame
+ */
+function buildId3TextFrame(id, text) {
+  return buildId3Frame(id, encodeId3Text(text));
+}
+
+/**
+ * Build a UTF-8 user-defined text (TXXX) frame
+ */
+function buildId3UserTextFrame(description, text) {
+  return buildId3Frame('TXXX', Buffer.concat([
+    Buffer.from([0x03]),
+    Buffer.from(description, 'utf8'),
+    Buffer.from([0x00]),
+    Buffer.from(text, 'utf8')
+  ]));
+}
+
+/**
+ * Build an attached picture (APIC) frame for the front cover
+ */
+function buildApicFrame(picture) {
+  return buildId3Frame('APIC', Buffer.concat([
+    Buffer.from([0x03]),
+    Buffer.from(picture.mime, 'latin1'),
+    Buffer.from([0x00, PICTURE_TYPE_FRONT_COVER]),
+    Buffer.from(picture.description, 'utf8'),
+    Buffer.from([0x00]),
+    picture.data
+  ]));
+}
+
+/**
+ * Parse an APIC frame into a picture object
+ */
+function parseApicFrame(data) {
+  const encoding = data[0];
+  const [mime, rest] = splitId3Terminated(data.subarray(1), 0);
+  const [description, pictureData] = splitId3Terminated(rest.subarray(1), encoding);
+
+  return {
+    mime: mime.toString('latin1') || 'image/jpeg',
+    description: decodeId3Text(description, encoding),
+    data: Buffer.from(pictureData)
+  };
+}
+
+/**
+ * Build an unsynchronised lyrics (USLT) frame
+ */
+function buildUsltFrame(lyrics) {
+  return buildId3Frame('USLT', Buffer.concat([
+    Buffer.from([0x03]),
+    Buffer.from(USLT_LANGUAGE, 'latin1'),
+    Buffer.from([0x00]),
+    Buffer.from(lyrics, 'utf8')
+  ]));
+}
+
+/**
+ * Get the TXXX description of a raw frame, if it is one
+ */
+function getUserTextDescription(frame) {
+  if (frame.id !== 'TXXX' || frame.data.length === 0) {
+    return null;
+  }
+  const [description] = splitId3Terminated(frame.data.subarray(1), frame.data[0]);
+  return decodeId3Text(description, frame.data[0]);
+}
+
+/**
+ * Convert the frames of an ID3v2.3 tag to ID3v2.4
+ * TYER, TDAT and TIME are combined into a TDRC timestamp, TORY becomes TDOR
+ * and frames ID3v2.4 has no equivalent for are dropped.
+ * @param {{id: string, data: Buffer}[]} frames - Frames from parseId3v2Frames()
+ * @returns {{id: string, data: Buffer}[]}
+ */
+function convertId3v23Frames(frames) {
+  const readText = (id) => {
+    const frame = frames.find(candidate => candidate.id === id && candidate.data.length > 0);
+    return frame ? decodeId3Text(frame.data.subarray(1), frame.data[0]).trim() : '';
+  };
+  const converted = frames.filter(frame =>
+    !['TYER', 'TDAT', 'TIME', 'TORY', ...ID3V23_ONLY_FRAMES].includes(frame.id));
+
+  // TDAT is DDMM and TIME is HHMM
+  const year = readText('TYER');
+  const dayMonth = readText('TDAT');
+  const time = readText('TIME');
+  if (/^\d{4}$/.test(year)) {
+    let timestamp = year;
+    if (/^\d{4}$/.test(dayMonth)) {
+      timestamp += `-${dayMonth.slice(2)}-${dayMonth.slice(0, 2)}`;
+      if (/^\d{4}$/.test(time)) {
+        timestamp += `T${time.slice(0, 2)}:${time.slice(2)}`;
+      }
+    }
+    converted.push({ id: 'TDRC', data: encodeId3Text(timestamp) });
+  }
+
+  const originalYear = readText('TORY');
+  if (/^\d{4}$/.test(originalYear)) {
+    converted.push({ id: 'TDOR', data: encodeId3Text(originalYear) });
+  }
+
+  return converted;
+}
+
+/**
+ * Remove a trailing ID3v1 tag, whose fields would contradict the new ID3v2 tag
+ */
+function stripId3v1(buffer) {
+  const start = buffer.length - ID3V1_SIZE;
+  return start >= 0 && buffer.toString('latin1', start, start + 3) === 'TAG'
+    ? buffer.subarray(0, start)
+    : buffer;
+}
+
+/**
+ * Replace the ID3v2 tag of an MP3 with a new ID3v2.4 tag
+ * Frames we do not manage are carried over from the existing tag, converted
+ * from ID3v2.3 if needed. A trailing ID3v1 tag is removed.
+ */
+function writeId3v2(buffer, tags) {
+  const values = normalizeTags(tags);
+  const frames = [];
+  const writtenIds = new Set();
+  const writtenUserText = new Set();
+
+  for (const [field, id] of Object.entries(ID3_TEXT_FRAMES)) {
+    if (values[field]) {
+      frames.push(buildId3TextFrame(id, values[field]));
+      writtenIds.add(id);
+    }
+  }
+
+  const track = formatPosition(values.trackNumber, values.trackTotal);
+  if (track) {
+    frames.push(buildId3TextFrame('TRCK', track));
+    writtenIds.add('TRCK');
+  }
+
+  const disc = formatPosition(values.discNumber, values.discTotal);
+  if (disc) {
+    frames.push(buildId3TextFrame('TPOS', disc));
+    writtenIds.add('TPOS');
+  }
+
+  if (values.copyrightId) {
+    frames.push(buildId3UserTextFrame(COPYRIGHT_ID_FIELD, values.copyrightId));
+    writtenUserText.add(COPYRIGHT_ID_FIELD);
+  }
+
+  // A new cover replaces every existing picture
+  if (values.picture) {
+    frames.push(buildApicFrame(values.picture));
+    writtenIds.add('APIC');
+  }
+
+  if (values.lyrics) {
+    frames.push(buildUsltFrame(values.lyrics));
+    writtenIds.add('USLT');
+  }
+
+  // Keep frames from the existing tag that we did not replace
+  const existing = parseId3v2Frames(buffer);
+  if (existing) {
+    const existingFrames = existing.version === 3 ? convertId3v23Frames(existing.frames) : existing.frames;
+    for (const frame of existingFrames) {
+      if (writtenIds.has(frame.id) || writtenUserText.has(getUserTextDescription(frame))) {
+        continue;
+      }
+      frames.push(buildId3Frame(frame.id, frame.data));
+    }
+  }
+
+  const body = Buffer.concat(frames);
+  const header = Buffer.concat([
+    Buffer.from('ID3', 'latin1'),
+    Buffer.from([0x04, 0x00, 0x00]),
+    writeSyncsafe(body.length)
+  ]);
+
+  return Buffer.concat([header, body, stripId3v1(buffer.subarray(skipId3v2(buffer)))]);
+}
+
+// ---------------------------------------------------------------------------
+// FLAC
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a FLAC file into its metadata blocks and audio frames
+ * @returns {{blocks: {type: number, data: Buffer}[], audio: Buffer}}
+ */
+function parseFlac(buffer) {
+  const start = skipId3v2(buffer);
+  if (buffer.toString('latin1', start, start + 4) !== 'fLaC') {
+    throw new Error('Not a FLAC file');
+  }
+
+  const blocks = [];
+  let offset = start + 4;
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= buffer.length) {
+    const header = buffer[offset];
+    isLast = (header & 0x80) !== 0;
+    const type = header & 0x7f;
+    const length = buffer.readUIntBE(offset + 1, 3);
+
+    blocks.push({ type, data: buffer.subarray(offset + 4, offset + 4 + length) });
+    offset += 4 + length;
+  }
+
+  return { blocks, audio: buffer.subarray(offset) };
+}
+
+/**
+ * Parse a VORBIS_COMMENT block into [key, value] pairs
+ */
+function parseVorbisComment(data) {
+  let offset = 0;
+  const vendorLength = data.readUInt32LE(offset);
+  offset += 4 + vendorLength;
+
+  const count = data.readUInt32LE(offset);
+  offset += 4;
+
+  const comments = [];
+  for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+    const length = data.readUInt32LE(offset);
+    const entry = data.toString('utf8', offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      comments.push([entry.slice(0, separator), entry.slice(separator + 1)]);
+    }
+  }
+
+  return comments;
+}
+
+/**
+ * Build a VORBIS_COMMENT block from [key, value] pairs
+ */
+function buildVorbisComment(comments) {
+  const vendor = Buffer.from(VORBIS_VENDOR, 'utf8');
+  const parts = [uint32LE(vendor.length), vendor, uint32LE(comments.length)];
+
+  for (const [key, value] of comments) {
+    const entry = Buffer.from(`${key}=${value}`, 'utf8');
+    parts.push(uint32LE(entry.length), entry);
+  }
+
+  return Buffer.concat(parts);
+}
+
+function uint32LE(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+function uint32BE(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+}
+
+/**
+ * Build a PICTURE block for the front cover
+ * Width, height and color depth are optional and left as 0.
+ */
+function buildFlacPicture(picture) {
+  const mime = Buffer.from(picture.mime, 'latin1');
+  const description = Buffer.from(picture.description, 'utf8');
+
+  return Buffer.concat([
+    uint32BE(PICTURE_TYPE_FRONT_COVER),
+    uint32BE(mime.length), mime,
+    uint32BE(description.length), description,
+    uint32BE(0), uint32BE(0), uint32BE(0), uint32BE(0),
+    uint32BE(picture.data.length), picture.data
+  ]);
+}
+
+/**
+ * Parse a PICTURE block into a picture object
+ */
+function parseFlacPicture(data) {
+  let offset = 4;
+  const mimeLength = data.readUInt32BE(offset);
+  const mime = data.toString('latin1', offset + 4, offset + 4 + mimeLength);
+  offset += 4 + mimeLength;
+
+  const descriptionLength = data.readUInt32BE(offset);
+  const description = data.toString('utf8', offset + 4, offset + 4 + descriptionLength);
+  offset += 4 + descriptionLength + 16;
+
+  const dataLength = data.readUInt32BE(offset);
+  return {
+    mime,
+    description,
+    data: Buffer.from(data.subarray(offset + 4, offset + 4 + dataLength))
+  };
+}
+
+/**
+ * Serialize metadata blocks, flagging the final one as last
+ */
+function buildFlacBlocks(blocks) {
+  return Buffer.concat(blocks.map((block, index) => {
+    const header = Buffer.alloc(4);
+    header[0] = (index === blocks.length - 1 ? 0x80 : 0x00) | block.type;
+    header.writeUIntBE(block.data.length, 1, 3);
+    return Buffer.concat([header, block.data]);
+  }));
+}
+
+/**
+ * Read the tag fields from FLAC Vorbis comments
+ */
+function readFlacTags(buffer) {
+  const { blocks } = parseFlac(buffer);
+  const commentBlock = blocks.find(block => block.type === FLAC_BLOCK.VORBIS_COMMENT);
+  if (!commentBlock) {
+    return {};
+  }
+
+  // Vorbis field names are case-insensitive and may repeat
+  const values = {};
+  for (const [key, value] of parseVorbisComment(commentBlock.data)) {
+    const upperKey = key.toUpperCase();
+    values[upperKey] = values[upperKey] ? `${values[upperKey]}, ${value}` : value;
+  }
+
+  const tags = {};
+  for (const [field, key] of Object.entries(VORBIS_FIELDS)) {
+    if (values[key]) {
+      tags[field] = values[key];
+    }
+  }
+
+  // TRACKNUMBER may carry "number/total"
+  if (tags.trackNumber && tags.trackNumber.includes('/')) {
+    const { number, total } = parsePosition(tags.trackNumber);
+    tags.trackNumber = number;
+    tags.trackTotal = tags.trackTotal || total;
+  }
+  tags.trackTotal = tags.trackTotal || values.TOTALTRACKS;
+  tags.discTotal = tags.discTotal || values.TOTALDISCS;
+
+  if (tags.year) {
+    tags.year = tags.year.slice(0, 4);
+  }
+
+  const pictureBlock = blocks.find(block => block.type === FLAC_BLOCK.PICTURE);
+  if (pictureBlock) {
+    tags.picture = parseFlacPicture(pictureBlock.data);
+  }
+
+  return normalizeTags(tags);
+}
+
+/**
+ * Replace the Vorbis comments of a FLAC file
+ * Comments for fields we do not manage are carried over.
+ */
+function writeFlacTags(buffer, tags) {
+  const values = normalizeTags(tags);
+  const { blocks, audio } = parseFlac(buffer);
+
+  const newComments = Object.entries(VORBIS_FIELDS)
+    .filter(([field]) => values[field])
+    .map(([field, key]) => [key, values[field]]);
+  const replacedKeys = new Set(newComments.map(([key]) => key));
+
+  const existingBlock = blocks.find(block => block.type === FLAC_BLOCK.VORBIS_COMMENT);
+  const keptComments = existingBlock
+    ? parseVorbisComment(existingBlock.data).filter(([key]) => !replacedKeys.has(key.toUpperCase()))
+    : [];
+
+  // STREAMINFO must stay first; drop old comments and padding,
+  // and old pictures when a new cover is written
+  const keptBlocks = blocks.filter(block =>
+    block.type !== FLAC_BLOCK.VORBIS_COMMENT &&
+    block.type !== FLAC_BLOCK.PADDING &&
+    !(values.picture && block.type === FLAC_BLOCK.PICTURE)
+  );
+  keptBlocks.splice(1, 0, {
+    type: FLAC_BLOCK.VORBIS_COMMENT,
+    data: buildVorbisComment([...newComments, ...keptComments])
+  });
+
+  if (values.picture) {
+    keptBlocks.push({ type: FLAC_BLOCK.PICTURE, data: buildFlacPicture(values.picture) });
+  }
+
+  return Buffer.concat([
+    Buffer.from('fLaC', 'latin1'),
+    buildFlacBlocks(keptBlocks),
+    audio
+  ]);
+}
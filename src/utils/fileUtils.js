@@ -1,3 +1,5 @@
+import { DEFAULT_PATH_TEMPLATE, renderTemplate } from './pathTemplate.js';
+
 /**
  * Sanitize filename to prevent path traversal and illegal characters
  */
@@ -46,16 +48,88 @@ export function getExtension(url, defaultExt = '.mp3') {
   return defaultExt;
 }
 
+/**
+ * Infer file extension from URL, Content-Type, or Content-Disposition
+ * @param {string} url - The download URL
+ * @param {object} headers - Response headers (optional)
+ * @returns {string} - File extension (e.g., '.mp3', '.flac')
+ */
+export function inferExtension(url, headers = {}) {
+  // First try to get extension from URL
+  const urlExt = getExtension(url, null);
+  if (urlExt && urlExt !== '.do') {
+    return urlExt;
+  }
+  
+  // Check Content-Disposition header for filename
+  const filename = getDispositionFilename(headers);
+  if (filename) {
+    const ext = getExtension(filename, null);
+    if (ext && ext !== '.do') {
+      return ext;
+    }
+  }
+  
+  // Check Content-Type header
+  const contentType = headers['content-type'];
+  if (contentType) {
+    const typeMap = {
+      'audio/mpeg': '.mp3',
+      'audio/mp3': '.mp3',
+      'audio/flac': '.flac',
+      'audio/x-flac': '.flac',
+      'audio/mp4': '.m4a',
+      'audio/m4a': '.m4a',
+      'audio/x-m4a': '.m4a'
+    };
+    
+    for (const [type, ext] of Object.entries(typeMap)) {
+      if (contentType.includes(type)) {
+        return ext;
+      }
+    }
+  }
+  
+  // Default to .mp3
+  return '.mp3';
+}
+
+/**
+ * Get the file name from a Content-Disposition header
+ * @param {object} headers - Response headers
+ * @returns {string|null}
+ */
+export function getDispositionFilename(headers = {}) {
+  const disposition = headers['content-disposition'];
+  if (!disposition) {
+    return null;
+  }
+  
+  const filenameMatch = disposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
+  if (filenameMatch && filenameMatch[1]) {
+    return filenameMatch[1].replace(/['"]/g, '').trim() || null;
+  }
+  return null;
+}
+
 /**
  * Create safe directory path for library organization
+ * @param {object} fields - Track fields for the template (artist, title, album, ...)
+ * @param {string} ext - File extension
+ * @param {string} template - Path template, see pathTemplate.js
+ * @returns {{dir: string, filename: string}}
  */
-export function createLibraryPath(artist, title, ext) {
-  const safeArtist = sanitizeFilename(artist || 'Unknown Artist');
-  const safeTitle = sanitizeFilename(title || 'Unknown Title');
+export function createLibraryPath(fields, ext, template = DEFAULT_PATH_TEMPLATE) {
   const safeExt = ext.startsWith('.') ? ext : '.' + ext;
+  const segments = renderTemplate(template, {
+    ...fields,
+    artist: fields.artist || 'Unknown Artist',
+    title: fields.title || 'Unknown Title'
+  });
+  const basename = segments.pop();
   
   return {
-    dir: `${safeArtist}/Singles`,
-    filename: `${safeTitle}${safeExt}`
+    dir: segments.join('/'),
+    filename: `${basename}${safeExt}`
   };
 }
@@ -0,0 +1,280 @@
+/**
+ * Library path templates
+ *
+ * A template describes the path of a track below the library, without the
+ * file extension. Segments are separated by "/", the last one is the file name.
+ *
+ * - `{field}` inserts a field, e.g. `{artist}`
+ * - `{field:02}` zero-pads a number to the given width, e.g. `{track:02}` -> `03`
+ * - `{field1|field2}` uses the first field that is set, e.g. `{albumartist|artist}`
+ * - `{field|"text"}` falls back to literal text, e.g. `{album|"Singles"}`
+ * - `[...]` is only rendered if every field inside it is set, e.g. `[{track:02} - ]{title}`
+ *
+ * Example: `{albumartist|artist}/{album}[ ({year})]/[{track:02} - ]{title}`
+ */
+
+// Default layout: {Artist}/Singles/{Title}
+export const DEFAULT_PATH_TEMPLATE = '{artist}/Singles/{title}';
+
+// Default layout for album jobs: {Album Artist}/{Album} ({Year})/{Track} - {Title}
+export const DEFAULT_ALBUM_PATH_TEMPLATE = '{albumartist|artist}/{album}[ ({year})]/[{track:02} - ]{title}';
+
+// Fields available in templates
+export const TEMPLATE_FIELDS = ['artist', 'albumartist', 'album', 'title', 'year', 'track', 'disc', 'service'];
+
+// Example track used to preview templates
+export const SAMPLE_TEMPLATE_FIELDS = {
+  artist: 'Taylor Swift',
+  albumartist: 'Taylor Swift',
+  album: '1989',
+  title: 'Shake It Off',
+  year: '2014',
+  track: 6,
+  disc: 1,
+  service: 'migu'
+};
+
+// Maximum length of one rendered path segment
+const MAX_SEGMENT_LENGTH = 200;
+
+/**
+ * Parse a template into segments of nodes
+ * Node types: { type: 'text', value }, { type: 'field', alternatives, pad },
+ * { type: 'optional', nodes }
+ * @param {string} template - Path template
+ * @returns {object[][]} - One node list per path segment
+ * @throws {Error} - If the template is invalid
+ */
+export function parseTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) {
+    throw new Error('Template must be a non-empty string');
+  }
+  if (template.startsWith('/') || template.endsWith('/')) {
+    throw new Error('Template must not start or end with "/"');
+  }
+
+  return template.split('/').map((segment, index, segments) => {
+    if (!segment.trim()) {
+      throw new Error('Template must not contain empty path segments');
+    }
+    if (segment.trim() === '.' || segment.trim() === '..') {
+      throw new Error(`Invalid path segment "${segment}"`);
+    }
+
+    const nodes = parseSegment(segment);
+    const isFilename = index === segments.length - 1;
+    if (isFilename && !collectFields(nodes).length) {
+      throw new Error('The file name segment must contain at least one field');
+    }
+    return nodes;
+  });
+}
+
+/**
+ * Check a template without throwing
+ * @param {string} template - Path template
+ * @returns {{valid: boolean, error: string|null}}
+ */
+export function validateTemplate(template) {
+  try {
+    parseTemplate(template);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Render a template with track fields
+ * Field values are sanitized so they can never add path segments.
+ * @param {string} template - Path template
+ * @param {object} fields - Values for TEMPLATE_FIELDS
+ * @returns {string[]} - Path segments, the last one is the file name (without extension)
+ */
+export function renderTemplate(template, fields) {
+  const segments = parseTemplate(template);
+
+  return segments
+    .map((nodes, index) => {
+      const rendered = cleanSegment(renderNodes(nodes, fields || {}));
+      // Never lose the file name, but drop directories that rendered empty
+      if (!rendered && index === segments.length - 1) {
+        return 'Unknown Title';
+      }
+      return rendered;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse one path segment
+ */
+function parseSegment(segment) {
+  const stack = [[]];
+  let text = '';
+
+  const flushText = () => {
+    if (text) {
+      stack[stack.length - 1].push({ type: 'text', value: text });
+      text = '';
+    }
+  };
+
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+
+    if (char === '{') {
+      const end = segment.indexOf('}', i);
+      if (end === -1) {
+        throw new Error(`Unclosed "{" at position ${i + 1} in "${segment}"`);
+      }
+      flushText();
+      stack[stack.length - 1].push(parseField(segment.slice(i + 1, end)));
+      i = end;
+    } else if (char === '}') {
+      throw new Error(`Unexpected "}" in "${segment}"`);
+    } else if (char === '[') {
+      if (stack.length > 1) {
+        throw new Error(`Conditional segments cannot be nested in "${segment}"`);
+      }
+      flushText();
+      stack.push([]);
+    } else if (char === ']') {
+      if (stack.length === 1) {
+        throw new Error(`Unexpected "]" in "${segment}"`);
+      }
+      flushText();
+      const nodes = stack.pop();
+      if (!collectFields(nodes).length) {
+        throw new Error(`Conditional segment without fields in "${segment}"`);
+      }
+      stack[stack.length - 1].push({ type: 'optional', nodes });
+    } else {
+      text += char;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed "[" in "${segment}"`);
+  }
+  flushText();
+
+  return stack[0];
+}
+
+/**
+ * Parse the inside of a {...} placeholder
+ */
+function parseField(expression) {
+  let body = expression.trim();
+  let pad = 0;
+
+  const formatIndex = body.lastIndexOf(':');
+  if (formatIndex !== -1 && !body.slice(formatIndex).includes('"')) {
+    const format = body.slice(formatIndex + 1).trim();
+    if (!/^0\d$/.test(format)) {
+      throw new Error(`Invalid format "${format}" in {${expression}}, expected e.g. ":02"`);
+    }
+    pad = parseInt(format, 10);
+    body = body.slice(0, formatIndex);
+  }
+
+  const alternatives = body.split('|').map(part => part.trim());
+  alternatives.forEach((alternative, index) => {
+    const literal = alternative.match(/^"([^"]*)"$/);
+    if (literal) {
+      if (index !== alternatives.length - 1) {
+        throw new Error(`Literal fallback must come last in {${expression}}`);
+      }
+      return;
+    }
+    if (!TEMPLATE_FIELDS.includes(alternative.toLowerCase())) {
+      throw new Error(`Unknown field "${alternative}", available fields: ${TEMPLATE_FIELDS.join(', ')}`);
+    }
+  });
+
+  return {
+    type: 'field',
+    alternatives: alternatives.map(alternative => {
+      const literal = alternative.match(/^"([^"]*)"$/);
+      return literal ? { literal: literal[1] } : { field: alternative.toLowerCase() };
+    }),
+    pad
+  };
+}
+
+/**
+ * List the field placeholders in a node list
+ */
+function collectFields(nodes) {
+  return nodes.flatMap(node => {
+    if (node.type === 'field') return [node];
+    if (node.type === 'optional') return collectFields(node.nodes);
+    return [];
+  });
+}
+
+/**
+ * Resolve a placeholder to its value, or '' if no alternative is set
+ */
+function resolveField(node, fields) {
+  for (const alternative of node.alternatives) {
+    if (alternative.literal !== undefined) {
+      return sanitizeValue(alternative.literal);
+    }
+
+    const value = fields[alternative.field];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      continue;
+    }
+
+    const text = sanitizeValue(String(value));
+    if (!text) {
+      continue;
+    }
+    return node.pad && /^\d+$/.test(text) ? text.padStart(node.pad, '0') : text;
+  }
+  return '';
+}
+
+/**
+ * Render a node list to text
+ */
+function renderNodes(nodes, fields) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    if (node.type === 'field') {
+      return resolveField(node, fields);
+    }
+    // Optional segments need every field inside them
+    const complete = collectFields(node.nodes).every(field => resolveField(field, fields));
+    return complete ? renderNodes(node.nodes, fields) : '';
+  }).join('');
+}
+
+/**
+ * Make a field value safe to use inside a path segment
+ */
+function sanitizeValue(value) {
+  return value
+    .replace(/[\/\\]/g, '-')
+    .replace(/[<>:"|?*\x00-\x1f]/g, '')
+    .trim();
+}
+
+/**
+ * Tidy a rendered segment: no leading dots, no surrounding whitespace
+ */
+function cleanSegment(segment) {
+  let cleaned = segment
+    .replace(/[<>:"|?*\x00-\x1f]/g, '')
+    .replace(/^\.+/, '')
+    .trim();
+
+  if (cleaned.length > MAX_SEGMENT_LENGTH) {
+    cleaned = cleaned.substring(0, MAX_SEGMENT_LENGTH).trim();
+  }
+  return cleaned;
+}
@@ -0,0 +1,128 @@
+/**
+ * Retry policy helpers: error classification and backoff delays
+ */
+
+// Longest delay between two attempts, regardless of the policy
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Network error codes that are worth retrying
+const TRANSIENT_ERROR_CODES = [
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_STREAM_PREMATURE_CLOSE'
+];
+
+// HTTP status codes below 500 that are still worth retrying
+const TRANSIENT_STATUS_CODES = [408, 425, 429];
+
+// Upstream messages meaning the song can never be downloaded
+const PERMANENT_MESSAGE_PATTERN = /no copyright|copyright (restricted|unavailable|protected)|版权|missing copyrightId|cannot download/i;
+
+const TRANSIENT_MESSAGE_PATTERN = new RegExp(`${TRANSIENT_ERROR_CODES.join('|')}|timeout|timed out|socket hang up`, 'i');
+
+/**
+ * Classify an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @returns {'transient'|'permanent'|null} - null if the status is not an error
+ */
+function classifyStatusCode(statusCode) {
+  if (!statusCode || statusCode < 400) {
+    return null;
+  }
+  if (statusCode >= 500 || TRANSIENT_STATUS_CODES.includes(statusCode)) {
+    return 'transient';
+  }
+  return 'permanent';
+}
+
+/**
+ * Classify an error as transient (worth retrying) or permanent
+ * Honors an explicit `classification` property set by the code that threw.
+ * @param {Error|object} error - Thrown error or resolver error object
+ * @returns {'transient'|'permanent'}
+ */
+export function classifyError(error) {
+  if (!error) {
+    return 'transient';
+  }
+
+  if (error.classification === 'transient' || error.classification === 'permanent') {
+    return error.classification;
+  }
+
+  const message = String(error.message || '');
+
+  if (PERMANENT_MESSAGE_PATTERN.test(message)) {
+    return 'permanent';
+  }
+
+  if (TRANSIENT_ERROR_CODES.includes(error.code) || error.name === 'TimeoutError') {
+    return 'transient';
+  }
+
+  const statusClass = classifyStatusCode(error.response?.statusCode || error.statusCode);
+  if (statusClass) {
+    return statusClass;
+  }
+
+  // Errors we wrapped ourselves only keep the status in the message
+  const statusMatch = message.match(/HTTP (\d{3})/);
+  if (statusMatch) {
+    return classifyStatusCode(parseInt(statusMatch[1], 10)) || 'transient';
+  }
+
+  if (TRANSIENT_MESSAGE_PATTERN.test(message)) {
+    return 'transient';
+  }
+
+  // Unknown failures are retried until the attempts run out
+  return 'transient';
+}
+
+/**
+ * Classify a failed URL resolution from its per-API attempts
+ * The failure is transient if any API failed for a transient reason,
+ * since a later attempt may succeed through that API.
+ * @param {object} resolveError - The `error` object returned by a resolver
+ * @returns {'transient'|'permanent'}
+ */
+export function classifyResolveError(resolveError) {
+  if (!resolveError) {
+    return 'transient';
+  }
+
+  // Quality mapping problems say nothing about the upstream service
+  const attempts = (resolveError.attempts || [resolveError])
+    .filter(attempt => attempt && attempt.api !== 'toneFlag_mapping');
+
+  if (attempts.length === 0) {
+    return 'transient';
+  }
+
+  return attempts.some(attempt => classifyError(attempt) === 'transient')
+    ? 'transient'
+    : 'permanent';
+}
+
+/**
+ * Compute the delay before the next attempt using exponential backoff with jitter
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {{baseDelayMs: number, jitter: number}} policy - Retry policy
+ * @param {function} random - Random source returning [0, 1), for tests
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(attempt, policy, random = Math.random) {
+  const exponential = policy.baseDelayMs * Math.pow(2, Math.max(0, attempt - 1));
+  const jitter = Math.min(Math.max(policy.jitter || 0, 0), 1);
+
+  // Spread the delay uniformly over [1 - jitter, 1 + jitter]
+  const factor = 1 - jitter + random() * 2 * jitter;
+
+  return Math.min(Math.round(exponential * factor), MAX_RETRY_DELAY_MS);
+}
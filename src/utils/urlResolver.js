@@ -0,0 +1,207 @@
+import got from 'got';
+import path from 'path';
+import { inferExtension, getDispositionFilename } from './fileUtils.js';
+
+/**
+ * Resolve URL by following redirects or parsing JSON responses
+ * @param {string} url - The initial URL (e.g., listenSong.do)
+ * @param {string} toneFlag - The quality flag (HQ, PQ, LQ, SQ)
+ * @param {object} headers - Extra request headers, e.g. the Referer a provider's host expects
+ * @returns {Promise<{finalUrl: string, contentType?: string, error?: object}>}
+ */
+export async function resolveDownloadUrl(url, toneFlag = 'HQ', headers = {}) {
+  const requestHeaders = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+    ...headers
+  };
+  
+  try {
+    // Update URL with toneFlag if it's a listenSong.do URL
+    let resolveUrl = url;
+    if (url.includes('listenSong.do')) {
+      // Replace or add toneFlag parameter
+      const urlObj = new URL(url);
+      urlObj.searchParams.set('toneFlag', toneFlag);
+      resolveUrl = urlObj.toString();
+    }
+    
+    console.log(`Resolving URL with toneFlag=${toneFlag}: ${resolveUrl}`);
+    
+    // Make a HEAD request first to check for redirects
+    const response = await got.head(resolveUrl, {
+      headers: requestHeaders,
+      followRedirect: false, // Don't auto-follow, we want to inspect the redirect
+      throwHttpErrors: false,
+      timeout: { request: 10000 }
+    });
+    
+    // Check for redirect responses (301, 302, 303, 307, 308)
+    if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+      const location = response.headers.location;
+      if (location) {
+        // Relative redirects are relative to the requested URL
+        const finalUrl = new URL(location, resolveUrl).href;
+        console.log(`URL resolved via ${response.statusCode} redirect: ${finalUrl}`);
+        return {
+          finalUrl,
+          contentType: null
+        };
+      }
+    }
+    
+    // Handle error status codes (4xx, 5xx)
+    if (response.statusCode >= 400) {
+      const contentType = response.headers['content-type'] || '';
+      
+      // If it's JSON, fetch the body to get error details
+      if (contentType.includes('application/json')) {
+        try {
+          const errorResponse = await got.get(resolveUrl, {
+            headers: requestHeaders,
+            timeout: { request: 10000 },
+            responseType: 'json',
+            throwHttpErrors: false
+          });
+          
+          const errorData = errorResponse.body;
+          const errorMsg = errorData?.message || errorData?.msg || errorData?.info || 'Unknown error';
+          const errorCode = errorData?.code || errorData?.errorCode || response.statusCode;
+          
+          console.error(`API returned ${response.statusCode} with JSON error:`, errorData);
+          
+          return {
+            finalUrl: null,
+            error: {
+              statusCode: response.statusCode,
+              contentType: contentType,
+              message: errorMsg,
+              code: errorCode,
+              toneFlag: toneFlag
+            }
+          };
+        } catch (jsonError) {
+          console.error(`Failed to parse JSON error response:`, jsonError);
+        }
+      }
+      
+      // Non-JSON error response
+      throw new Error(`HTTP ${response.statusCode} ${contentType ? `(${contentType})` : ''} for toneFlag=${toneFlag}`);
+    }
+    
+    // If HEAD request succeeds (200), check content type
+    if (response.statusCode === 200) {
+      const contentType = response.headers['content-type'];
+      
+      // If it's JSON, fetch and parse it for the real URL
+      if (contentType && contentType.includes('application/json')) {
+        const jsonResponse = await got.get(resolveUrl, {
+          headers: requestHeaders,
+          timeout: { request: 10000 },
+          responseType: 'json'
+        });
+        
+        // Try common JSON fields for download URLs
+        const data = jsonResponse.body;
+        const possibleUrlFields = ['url', 'playUrl', 'downloadUrl', 'mp3Url', 'listenUrl'];
+        
+        for (const field of possibleUrlFields) {
+          if (data[field]) {
+            console.log(`URL resolved from JSON field '${field}': ${data[field]}`);
+            return {
+              finalUrl: data[field],
+              contentType: null
+            };
+          }
+        }
+        
+        throw new Error('JSON response does not contain a recognizable download URL field');
+      }
+      
+      // If it's a direct audio file, use the original URL
+      if (contentType && (contentType.includes('audio/') || contentType.includes('application/octet-stream'))) {
+        console.log(`URL is direct audio file: ${resolveUrl}`);
+        return {
+          finalUrl: resolveUrl,
+          contentType: contentType
+        };
+      }
+    }
+    
+    // Fallback: if no redirect or JSON, try GET request to see if it redirects
+    const getResponse = await got.get(resolveUrl, {
+      headers: requestHeaders,
+      followRedirect: false,
+      throwHttpErrors: false,
+      timeout: { request: 10000 }
+    });
+    
+    if ([301, 302, 303, 307, 308].includes(getResponse.statusCode)) {
+      const location = getResponse.headers.location;
+      if (location) {
+        const finalUrl = new URL(location, resolveUrl).href;
+        console.log(`URL resolved via GET ${getResponse.statusCode} redirect: ${finalUrl}`);
+        return {
+          finalUrl,
+          contentType: null
+        };
+      }
+    }
+    
+    throw new Error(`Unable to resolve final download URL. Status: ${response.statusCode}, Content-Type: ${response.headers['content-type']}`);
+    
+  } catch (error) {
+    if (error.message.includes('Unable to resolve')) {
+      throw error;
+    }
+    throw new Error(`Failed to resolve download URL: ${error.message}`);
+  }
+}
+
+/**
+ * Probe a download URL with a HEAD request
+ * Follows redirects. Servers that reject HEAD still yield what the URL itself tells.
+ * @param {string} url - HTTP(S) URL
+ * @returns {Promise<{statusCode: number|null, contentType: string|null,
+ *   size: number|null, ext: string, filename: string}>}
+ */
+export async function probeUrl(url) {
+  let statusCode = null;
+  let headers = {};
+  
+  try {
+    const response = await got.head(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      },
+      throwHttpErrors: false,
+      timeout: { request: 10000 }
+    });
+    statusCode = response.statusCode;
+    headers = response.headers;
+  } catch (error) {
+    console.warn(`HEAD ${url} failed:`, error.message);
+  }
+  
+  const size = parseInt(headers['content-length'], 10);
+  const filename = getDispositionFilename(headers) || getUrlFilename(url);
+  
+  return {
+    statusCode,
+    contentType: headers['content-type'] || null,
+    size: Number.isFinite(size) ? size : null,
+    ext: inferExtension(url, headers),
+    filename
+  };
+}
+
+/**
+ * Last path segment of a URL, decoded
+ */
+function getUrlFilename(url) {
+  try {
+    const segment = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+    return path.basename(decodeURIComponent(segment));
+  } catch (e) {
+    return '';
+  }
+}
@@ -0,0 +1,272 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeTags, readTags, detectAudioFormat } from '../src/utils/audioTags.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-tags-test-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Fake MPEG audio frames: frame sync followed by filler
+const MP3_AUDIO = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x00]), Buffer.alloc(412, 0x55)]);
+
+// Fake FLAC audio frames
+const FLAC_AUDIO = Buffer.concat([Buffer.from([0xff, 0xf8, 0x69, 0x08]), Buffer.alloc(256, 0x33)]);
+
+const sampleTags = {
+  title: '晴天',
+  artist: '周杰伦',
+  album: '叶惠美',
+  albumArtist: '周杰伦',
+  year: '2003',
+  trackNumber: 3,
+  trackTotal: 11,
+  discNumber: 1,
+  copyrightId: '60054701923'
+};
+
+/**
+ * Build an ID3v2.3 tag (as served by many CDNs) with latin1 text frames
+ */
+function buildId3v23(frames) {
+  const body = Buffer.concat(frames.map(([id, text]) => {
+    const data = Buffer.concat([Buffer.from([0x00]), Buffer.from(text, 'latin1')]);
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32BE(data.length, 4);
+    return Buffer.concat([header, data]);
+  }));
+  const size = body.length;
+  const header = Buffer.from([
+    0x49, 0x44, 0x33, 0x03, 0x00, 0x00,
+    (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f
+  ]);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Build a FLAC file with STREAMINFO, a Vorbis comment block and padding
+ */
+function buildFlac(comments) {
+  const block = (type, data, last) => {
+    const header = Buffer.alloc(4);
+    header[0] = (last ? 0x80 : 0) | type;
+    header.writeUIntBE(data.length, 1, 3);
+    return Buffer.concat([header, data]);
+  };
+  const uint32 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+  };
+
+  const vendor = Buffer.from('test vendor');
+  const entries = comments.map(entry => Buffer.from(entry, 'utf8'));
+  const vorbis = Buffer.concat([
+    uint32(vendor.length), vendor, uint32(entries.length),
+    ...entries.flatMap(entry => [uint32(entry.length), entry])
+  ]);
+
+  return Buffer.concat([
+    Buffer.from('fLaC'),
+    block(0, Buffer.alloc(34, 0x11), false),
+    block(4, vorbis, false),
+    block(1, Buffer.alloc(64), true),
+    FLAC_AUDIO
+  ]);
+}
+
+test('detectAudioFormat - recognizes MP3 and FLAC by content', async (t) => {
+  assert.strictEqual(detectAudioFormat(MP3_AUDIO), 'mp3');
+  assert.strictEqual(detectAudioFormat(Buffer.concat([buildId3v23([['TIT2', 'x']]), MP3_AUDIO])), 'mp3');
+  assert.strictEqual(detectAudioFormat(buildFlac([])), 'flac');
+  assert.strictEqual(detectAudioFormat(Buffer.from('....ftypM4A ')), null);
+});
+
+test('ID3v2.4 round trip replaces served tags and keeps the audio intact', async (t) => {
+  const filePath = path.join(tmpDir, 'song.mp3');
+  fs.writeFileSync(filePath, Buffer.concat([
+    buildId3v23([['TIT2', 'Wrong Title'], ['TCON', 'Pop']]),
+    MP3_AUDIO
+  ]));
+
+  assert.strictEqual(writeTags(filePath, sampleTags), 'mp3');
+
+  const written = fs.readFileSync(filePath);
+  assert.strictEqual(written.toString('latin1', 0, 3), 'ID3');
+  assert.strictEqual(written[3], 4, 'tag should be upgraded to ID3v2.4');
+  assert.ok(written.subarray(written.length - MP3_AUDIO.length).equals(MP3_AUDIO), 'audio frames must be preserved');
+
+  const tags = readTags(filePath);
+  assert.deepStrictEqual(tags, {
+    title: '晴天',
+    artist: '周杰伦',
+    album: '叶惠美',
+    albumArtist: '周杰伦',
+    year: '2003',
+    trackNumber: '3',
+    trackTotal: '11',
+    discNumber: '1',
+    copyrightId: '60054701923'
+  });
+
+  // Unmanaged frames survive and rewriting does not stack tags
+  assert.ok(written.includes(Buffer.from('TCON')), 'unrelated frames should be kept');
+  writeTags(filePath, { title: 'Second Pass' });
+  const rewritten = fs.readFileSync(filePath);
+  assert.strictEqual(readTags(filePath).title, 'Second Pass');
+  assert.strictEqual(readTags(filePath).artist, '周杰伦');
+  assert.strictEqual(rewritten.indexOf('ID3', 3), -1, 'only one ID3 tag should remain');
+});
+
+/**
+ * List the text frames of the leading ID3v2.4 tag as [id, text] pairs
+ */
+function listId3v24TextFrames(buffer) {
+  const syncsafe = (offset) => (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+  const end = 10 + syncsafe(6);
+  const frames = [];
+  for (let offset = 10; offset + 10 <= end;) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = syncsafe(offset + 4);
+    if (id.startsWith('T')) {
+      frames.push([id, buffer.toString(buffer[offset + 10] === 3 ? 'utf8' : 'latin1', offset + 11, offset + 10 + size)]);
+    }
+    offset += 10 + size;
+  }
+  return frames;
+}
+
+test('ID3v2.3 dates are converted, v2.3-only frames and the ID3v1 tag dropped', async (t) => {
+  const filePath = path.join(tmpDir, 'v23.mp3');
+  const id3v1 = Buffer.alloc(128);
+  id3v1.write('TAGOld Title', 'latin1');
+  fs.writeFileSync(filePath, Buffer.concat([
+    buildId3v23([
+      ['TIT2', 'Old Title'],
+      ['TYER', '1999'],
+      ['TDAT', '3112'],
+      ['TIME', '2359'],
+      ['TORY', '1987'],
+      ['TRDA', 'December 31st'],
+      ['TSIZ', '4096'],
+      ['TCON', 'Pop']
+    ]),
+    MP3_AUDIO,
+    id3v1
+  ]));
+
+  writeTags(filePath, { title: 'New Title' });
+
+  const written = fs.readFileSync(filePath);
+  assert.strictEqual(written[3], 4);
+  assert.deepStrictEqual(listId3v24TextFrames(written).sort(), [
+    ['TCON', 'Pop'],
+    ['TDOR', '1987'],
+    ['TDRC', '1999-12-31T23:59'],
+    ['TIT2', 'New Title']
+  ]);
+  assert.ok(written.subarray(written.length - MP3_AUDIO.length).equals(MP3_AUDIO), 'the ID3v1 tag is removed, the audio kept');
+  assert.deepStrictEqual(readTags(filePath), { title: 'New Title', year: '1999' });
+
+  // A year we write replaces the converted date
+  writeTags(filePath, { year: '2001' });
+  assert.deepStrictEqual(
+    listId3v24TextFrames(fs.readFileSync(filePath)).filter(([id]) => id.startsWith('TD')).sort(),
+    [['TDOR', '1987'], ['TDRC', '2001']]
+  );
+});
+
+test('ID3v2.4 tags can be added to an untagged MP3', async (t) => {
+  const filePath = path.join(tmpDir, 'bare.mp3');
+  fs.writeFileSync(filePath, MP3_AUDIO);
+
+  writeTags(filePath, { title: 'Bare', artist: 'Nobody' });
+
+  assert.deepStrictEqual(readTags(filePath), { title: 'Bare', artist: 'Nobody' });
+  assert.strictEqual(fs.existsSync(`${filePath}.tagging`), false, 'temporary file should be renamed away');
+});
+
+test('FLAC Vorbis comment round trip keeps STREAMINFO and audio frames', async (t) => {
+  const filePath = path.join(tmpDir, 'song.flac');
+  const original = buildFlac(['TITLE=Wrong Title', 'title=lowercase duplicate', 'COMMENT=keep me']);
+  fs.writeFileSync(filePath, original);
+
+  assert.strictEqual(writeTags(filePath, sampleTags), 'flac');
+
+  const written = fs.readFileSync(filePath);
+  assert.strictEqual(written.toString('latin1', 0, 4), 'fLaC');
+  assert.strictEqual(written[4] & 0x7f, 0, 'STREAMINFO must remain the first block');
+  assert.ok(written.subarray(8, 42).equals(Buffer.alloc(34, 0x11)), 'STREAMINFO must be unchanged');
+  assert.ok(written.subarray(written.length - FLAC_AUDIO.length).equals(FLAC_AUDIO), 'audio frames must be preserved');
+  assert.ok(written.includes(Buffer.from('COMMENT=keep me')), 'unrelated comments should be kept');
+
+  assert.deepStrictEqual(readTags(filePath), {
+    title: '晴天',
+    artist: '周杰伦',
+    album: '叶惠美',
+    albumArtist: '周杰伦',
+    year: '2003',
+    trackNumber: '3',
+    trackTotal: '11',
+    discNumber: '1',
+    copyrightId: '60054701923'
+  });
+});
+
+test('writeTags skips unsupported formats', async (t) => {
+  const filePath = path.join(tmpDir, 'song.m4a');
+  const contents = Buffer.from('\0\0\0\x20ftypM4A \0\0\0\0');
+  fs.writeFileSync(filePath, contents);
+
+  assert.strictEqual(writeTags(filePath, sampleTags), null);
+  assert.ok(fs.readFileSync(filePath).equals(contents), 'unsupported files must not be modified');
+});
+
+test('Cover art round trip as APIC frame and FLAC PICTURE block', async (t) => {
+  const picture = {
+    mime: 'image/jpeg',
+    data: Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(300, 0x42)])
+  };
+
+  const mp3Path = path.join(tmpDir, 'cover.mp3');
+  fs.writeFileSync(mp3Path, MP3_AUDIO);
+  writeTags(mp3Path, { title: 'With Cover', picture });
+  writeTags(mp3Path, { title: 'With Cover', picture });
+
+  const mp3Tags = readTags(mp3Path);
+  assert.strictEqual(mp3Tags.picture.mime, 'image/jpeg');
+  assert.ok(mp3Tags.picture.data.equals(picture.data), 'APIC data should round trip');
+  assert.strictEqual(fs.readFileSync(mp3Path).indexOf('APIC'), fs.readFileSync(mp3Path).lastIndexOf('APIC'),
+    'a new cover should replace the old one');
+
+  const flacPath = path.join(tmpDir, 'cover.flac');
+  fs.writeFileSync(flacPath, buildFlac(['TITLE=x']));
+  writeTags(flacPath, { title: 'With Cover', picture });
+
+  const flacTags = readTags(flacPath);
+  assert.strictEqual(flacTags.title, 'With Cover');
+  assert.strictEqual(flacTags.picture.mime, 'image/jpeg');
+  assert.ok(flacTags.picture.data.equals(picture.data), 'PICTURE data should round trip');
+  assert.ok(fs.readFileSync(flacPath).subarray(-FLAC_AUDIO.length).equals(FLAC_AUDIO));
+});
+
+test('Unsynced lyrics round trip as USLT frame and LYRICS comment', async (t) => {
+  const lyrics = '故事的小黄花\n从出生那年就飘着';
+
+  const mp3Path = path.join(tmpDir, 'lyrics.mp3');
+  fs.writeFileSync(mp3Path, MP3_AUDIO);
+  writeTags(mp3Path, { title: 'With Lyrics', lyrics });
+  writeTags(mp3Path, { lyrics: 'replaced' });
+
+  assert.deepStrictEqual(readTags(mp3Path), { title: 'With Lyrics', lyrics: 'replaced' });
+  assert.strictEqual(fs.readFileSync(mp3Path).indexOf('USLT'), fs.readFileSync(mp3Path).lastIndexOf('USLT'),
+    'new lyrics should replace the old ones');
+
+  const flacPath = path.join(tmpDir, 'lyrics.flac');
+  fs.writeFileSync(flacPath, buildFlac(['TITLE=x']));
+  writeTags(flacPath, { lyrics });
+
+  assert.deepStrictEqual(readTags(flacPath), { title: 'x', lyrics });
+});
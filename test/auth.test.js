@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the database at a throwaway config directory and turn authentication on before they are imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-auth-test-'));
+process.env.CONFIG_DIR = configDir;
+process.env.ADMIN_PASSWORD = 'correct horse';
+
+const db = await import('../src/db/database.js');
+const {
+  SESSION_COOKIE,
+  verifyPassword,
+  startSession,
+  endSession,
+  issueApiToken,
+  listApiTokens,
+  revokeApiToken,
+  authenticateRequest,
+  requireAuth
+} = await import('../src/services/auth.js');
+const { getBuiltinAdmin } = await import('../src/services/users.js');
+
+const admin = getBuiltinAdmin();
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const withCookie = (token) => ({ headers: { cookie: `theme=dark; ${SESSION_COOKIE}=${token}` } });
+const withBearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+// Run requireAuth and report whether it let the request through
+function runRequireAuth(req) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  requireAuth(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+test('verifyPassword - accepts only ADMIN_PASSWORD', async (t) => {
+  assert.strictEqual(verifyPassword('correct horse'), true);
+  assert.strictEqual(verifyPassword('correct horse '), false);
+  assert.strictEqual(verifyPassword(''), false);
+  assert.strictEqual(verifyPassword(undefined), false);
+});
+
+test('sessions - the cookie authenticates until the session ends', async (t) => {
+  const { token, expiresAt } = startSession(admin);
+  assert.ok(expiresAt > Date.now());
+  assert.deepStrictEqual(authenticateRequest(withCookie(token)), { type: 'session', user: admin });
+  assert.strictEqual(authenticateRequest(withCookie('forged')), null);
+
+  endSession(token);
+  assert.strictEqual(authenticateRequest(withCookie(token)), null);
+});
+
+test('API tokens - stored hashed, usable as bearer tokens until revoked', async (t) => {
+  const issued = issueApiToken('beets import', admin);
+  assert.match(issued.token, /^mjf_/);
+  assert.ok(issued.token.startsWith(issued.prefix));
+  assert.strictEqual(issued.last_used_at, null);
+
+  const stored = db.getDatabase().prepare('SELECT * FROM api_tokens').all();
+  assert.ok(!JSON.stringify(stored).includes(issued.token), 'the token itself is not stored');
+  assert.ok(!('token_hash' in listApiTokens(admin)[0]), 'hashes are not listed');
+
+  const auth = authenticateRequest(withBearer(issued.token));
+  assert.strictEqual(auth.type, 'token');
+  assert.strictEqual(auth.token.name, 'beets import');
+  assert.ok(listApiTokens(admin)[0].last_used_at, 'use is recorded');
+
+  assert.strictEqual(revokeApiToken(issued.id, admin), true);
+  assert.strictEqual(revokeApiToken(issued.id, admin), false);
+  assert.strictEqual(authenticateRequest(withBearer(issued.token)), null);
+});
+
+test('requireAuth - protects the API except its public routes', async (t) => {
+  assert.ok(runRequireAuth({ path: '/api/health', headers: {} }).passed);
+  assert.ok(runRequireAuth({ path: '/api/auth/login', headers: {} }).passed);
+  assert.ok(runRequireAuth({ path: '/index.html', headers: {} }).passed, 'the WebUI files stay public');
+
+  const rejected = runRequireAuth({ path: '/API/tasks', headers: {} });
+  assert.strictEqual(rejected.passed, false, 'routes match regardless of case');
+  assert.strictEqual(rejected.res.statusCode, 401);
+  assert.strictEqual(rejected.res.body.error, 'Unauthorized');
+
+  const { token } = issueApiToken('cron', admin);
+  const req = { path: '/api/tasks', ...withBearer(token) };
+  assert.ok(runRequireAuth(req).passed);
+  assert.strictEqual(req.auth.type, 'token');
+  assert.strictEqual(req.user.id, admin.id);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the database at a throwaway config directory before it is imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-batch-test-'));
+process.env.CONFIG_DIR = configDir;
+
+const db = await import('../src/db/database.js');
+const { parseBatchInput, splitCsvLine, scoreMatch, createBatchTasks } = await import('../src/services/batch.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const song = (title, artist, id, qualities = ['HQ']) => ({
+  type: 'song',
+  title,
+  artist,
+  album: 'Album',
+  copyrightId: id,
+  contentId: id,
+  qualities
+});
+
+// Returns canned results per query (other queries fail) and lists each result's qualities
+const stubProvider = (resultsByQuery) => ({
+  id: 'migu',
+  search: async (query) => {
+    if (!(query in resultsByQuery)) {
+      throw new Error(`unexpected query: ${query}`);
+    }
+    return resultsByQuery[query];
+  },
+  listQualities: (item) => item.qualities.map(code => ({ code, name: code, size: null }))
+});
+
+test('parseBatchInput - splits "Artist - Title" lines and skips blanks and comments', async (t) => {
+  const entries = parseBatchInput('Adele - Hello\n\n# favourites\n晴天\r\nA-ha – Take On Me\n');
+
+  assert.deepStrictEqual(entries.map(({ line, artist, title }) => ({ line, artist, title })), [
+    { line: 1, artist: 'Adele', title: 'Hello' },
+    { line: 4, artist: '', title: '晴天' },
+    { line: 5, artist: 'A-ha', title: 'Take On Me' }
+  ]);
+});
+
+test('parseBatchInput - reads CSV with or without a header row', async (t) => {
+  const withHeader = parseBatchInput('Title,Album,Artist\n"Hello, again",25,Adele', 'csv');
+  assert.deepStrictEqual(withHeader.map(({ artist, title, album }) => ({ artist, title, album })), [
+    { artist: 'Adele', title: 'Hello, again', album: '25' }
+  ]);
+
+  const plain = parseBatchInput('Adele,Hello', 'csv');
+  assert.strictEqual(plain[0].artist, 'Adele');
+  assert.strictEqual(plain[0].title, 'Hello');
+
+  assert.deepStrictEqual(splitCsvLine('a,"say ""hi""", c '), ['a', 'say "hi"', 'c']);
+});
+
+test('scoreMatch - prefers exact title and artist with the wanted quality', async (t) => {
+  const provider = stubProvider({});
+  const entry = { artist: 'Adele', title: 'Hello' };
+
+  const exact = scoreMatch(entry, song('Hello', 'Adele', '1'), provider);
+  const lowQuality = scoreMatch(entry, song('Hello', 'Adele', '2', ['LQ']), provider);
+  const cover = scoreMatch(entry, song('Hello', 'Cover Band', '3'), provider);
+  const featuring = scoreMatch(entry, song('Hello', 'Adele, Someone', '4'), provider);
+
+  assert.strictEqual(exact, 1);
+  assert.ok(lowQuality < exact);
+  assert.ok(cover < 0.8, 'another artist should not be a confident match');
+  assert.strictEqual(featuring, 1, 'one of several credited artists is enough');
+});
+
+test('createBatchTasks - queues confident matches and reports the rest', async (t) => {
+  const provider = stubProvider({
+    'Adele Hello': [song('Hello', 'Adele', 'h-lq', ['LQ']), song('Hello', 'Adele', 'h-hq')],
+    'Love': [song('Love', 'Singer A', 'a'), song('Love', 'Singer B', 'b')],
+    'Nobody Nothing': []
+  });
+  const entries = parseBatchInput('Adele - Hello\nLove\nNobody - Nothing\nBroken - Search');
+
+  const report = await createBatchTasks(entries, provider, { preferredToneFlag: 'HQ' });
+
+  assert.strictEqual(report.matched.length, 1);
+  assert.strictEqual(report.matched[0].match.copyrightId, 'h-hq', 'the version with the wanted quality wins');
+  assert.strictEqual(db.getTaskById(report.matched[0].task.id).title, 'Hello');
+
+  assert.strictEqual(report.ambiguous.length, 1);
+  assert.strictEqual(report.ambiguous[0].line, 2);
+  assert.deepStrictEqual(report.ambiguous[0].candidates.map(c => c.copyrightId), ['a', 'b']);
+
+  assert.deepStrictEqual(report.unmatched.map(entry => entry.line), [3, 4]);
+  assert.match(report.unmatched[1].reason, /Search failed/);
+});
+
+test('createBatchTasks - a song listed twice is queued once and counts once against the quota', async (t) => {
+  const provider = stubProvider({ 'Adele Someone': [song('Someone', 'Adele', 'someone')] });
+  const user = db.getUserById(db.createUser({ username: 'quota', role: 'user', dailyQuota: 1 }));
+
+  const report = await createBatchTasks(parseBatchInput('Adele - Someone\nAdele - Someone'), provider, { user });
+
+  assert.deepStrictEqual(report.matched.map(matched => matched.task.status), ['queued', 'skipped']);
+  assert.strictEqual(report.matched[1].task.duplicate_reason, 'Listed more than once, queued once');
+});
+
+test('createBatchTasks - dry runs create no tasks', async (t) => {
+  const provider = stubProvider({ 'Adele Hello': [song('Hello', 'Adele', 'dry')] });
+  const before = db.getAllTasks().length;
+
+  const report = await createBatchTasks(parseBatchInput('Adele - Hello'), provider, { dryRun: true });
+
+  assert.strictEqual(report.matched[0].task, null);
+  assert.strictEqual(db.getAllTasks().length, before);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the database at a throwaway config directory before it is imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-db-test-'));
+process.env.CONFIG_DIR = configDir;
+
+const db = await import('../src/db/database.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+function createMiguTask(title) {
+  return db.createTask({
+    service: 'migu',
+    title,
+    artist: 'Test Artist',
+    copyrightId: `cid-${title}`
+  });
+}
+
+test('getNextQueuedTask claims tasks oldest first and never twice', async (t) => {
+  const firstId = createMiguTask('first');
+  const secondId = createMiguTask('second');
+
+  const claimedA = db.getNextQueuedTask();
+  const claimedB = db.getNextQueuedTask();
+
+  assert.strictEqual(claimedA.id, Number(firstId), 'oldest task should be claimed first');
+  assert.strictEqual(claimedB.id, Number(secondId), 'second claim should get the next task');
+  assert.strictEqual(claimedA.status, 'downloading', 'claimed task should leave the queued state');
+  assert.strictEqual(db.getNextQueuedTask(), undefined, 'empty queue should return undefined');
+  assert.strictEqual(db.getTaskById(firstId).status, 'downloading');
+});
+
+test('createJob links its tasks and rolls back if one task is invalid', async (t) => {
+  const jobId = db.createJob(
+    { type: 'album', service: 'migu', sourceId: 'album-1', title: 'Album', artist: 'Test Artist' },
+    [2, 1].map(trackNumber => ({
+      service: 'migu',
+      title: `track ${trackNumber}`,
+      artist: 'Test Artist',
+      copyrightId: `cid-track-${trackNumber}`,
+      trackNumber,
+      discNumber: 1,
+      pathTemplate: '{album}/{track:02} - {title}'
+    }))
+  );
+
+  const tasks = db.getTasksByJobId(jobId);
+  assert.deepStrictEqual(tasks.map(task => task.track_number), [1, 2], 'tasks should come back in track order');
+  assert.ok(tasks.every(task => task.job_id === Number(jobId) && task.path_template), 'tasks should carry the job link');
+  assert.strictEqual(db.getJobById(jobId).title, 'Album');
+
+  const jobCount = db.getAllJobs().length;
+  assert.throws(() => db.createJob(
+    { type: 'album', service: 'migu', title: 'Broken' },
+    [{ service: 'migu', title: 'ok', artist: 'a', copyrightId: 'x' }, { service: 'migu', artist: 'no title' }]
+  ), /title/);
+  assert.strictEqual(db.getAllJobs().length, jobCount, 'a failed job must not be stored');
+  assert.strictEqual(db.getAllTasks().filter(task => task.title === 'ok').length, 0, 'tasks of a failed job must not be stored');
+});
+
+test('listTasks filters and pages without skipping or repeating tasks', async (t) => {
+  const ids = ['Page A', 'Page B', 'Page C', 'Page D', 'Page E'].map(title => Number(db.createTask({
+    service: 'direct',
+    title,
+    artist: 'Pager 100%',
+    downloadUrl: `https://example.com/${title}.mp3`
+  })));
+  db.updateTaskStatus(ids[1], 'failed', 'boom');
+
+  const seen = [];
+  let after = null;
+  do {
+    const page = db.listTasks({ service: 'direct', sort: 'title', order: 'asc', limit: 2, after });
+    seen.push(...page.tasks.map(task => task.title));
+    after = page.next;
+  } while (after);
+  assert.deepStrictEqual(seen, ['Page A', 'Page B', 'Page C', 'Page D', 'Page E']);
+
+  const failed = db.listTasks({ statuses: ['failed'], search: 'pager 100%' });
+  assert.deepStrictEqual(failed.tasks.map(task => task.id), [ids[1]]);
+  assert.strictEqual(failed.next, null);
+  assert.strictEqual(db.listTasks({ search: 'pager 1_0' }).tasks.length, 0, 'LIKE wildcards are matched literally');
+
+  const future = db.listTasks({ service: 'direct', createdFrom: Date.now() + 60000 });
+  assert.strictEqual(future.tasks.length, 0);
+  assert.strictEqual(db.countTasksByStatus().failed >= 1, true);
+  assert.throws(() => db.listTasks({ sort: 'id; DROP TABLE tasks' }), /Invalid sort field/);
+});
+
+test('deleteTaskById removes the row; re-queueing clears the last error', async (t) => {
+  const id = createMiguTask('doomed');
+  db.updateTaskStatus(id, 'failed', 'HTTP 503');
+  db.updateTaskStatus(id, 'queued', null, { attemptCount: 0 });
+  assert.strictEqual(db.getTaskById(id).error_message, null);
+
+  assert.strictEqual(db.deleteTaskById(id), true);
+  assert.strictEqual(db.getTaskById(id), undefined);
+  assert.strictEqual(db.deleteTaskById(id), false);
+  assert.strictEqual(db.listTasks({ limit: null }).tasks.length, db.getAllTasks().length, 'a null limit lists every task');
+});
@@ -1,11 +1,44 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs';
 import http from 'http';
+import os from 'os';
+import path from 'path';
 import { once } from 'events';
 
-// Mock HTTP server to simulate redirect behavior
+// Point the database, staging directory and library at a throwaway directory before they are imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-downloader-test-'));
+process.env.CONFIG_DIR = configDir;
+process.env.LIBRARY_DIR = path.join(configDir, 'library');
+process.env.STAGING_DIR = path.join(configDir, 'staging');
+process.env.FETCH_LYRICS = 'false';
+
+const db = await import('../src/db/database.js');
+const {
+  processDownloadTask,
+  setConcurrency,
+  resumeTask,
+  retryTask,
+  cancelTask,
+  pauseTask,
+  getQueueStatus,
+  startDownloadQueue,
+  stopDownloadQueue
+} = await import('../src/services/downloader.js');
+const { getProvider, registerProvider, unregisterProvider } = await import('../src/providers/index.js');
+const { resolveDownloadUrl } = await import('../src/utils/urlResolver.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+// Mock HTTP server to simulate redirect behavior; a function handles every request itself
 async function createMockServer(responseConfig) {
   const server = http.createServer((req, res) => {
+    if (typeof responseConfig === 'function') {
+      return responseConfig(req, res);
+    }
     const config = responseConfig[req.url] || responseConfig.default || { statusCode: 404 };
     const { statusCode, headers, body } = config;
     
@@ -131,6 +164,22 @@ test('URL Resolution - Multiple redirect types are handled', async (t) => {
   }
 });
 
+test('URL Resolution - relative redirects resolve against the requested URL', async (t) => {
+  const { server, baseUrl } = await createMockServer((req, res) => {
+    // HEAD is not redirected, so the GET fallback sees the second redirect
+    if (req.url === '/get-only/song' && req.method === 'HEAD') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+    } else {
+      res.writeHead(302, { Location: req.url === '/get-only/song' ? 'files/b.ogg' : '/files/a.ogg' });
+    }
+    res.end();
+  });
+  t.after(() => server.close());
+
+  assert.strictEqual((await resolveDownloadUrl(`${baseUrl}/listen/song`)).finalUrl, `${baseUrl}/files/a.ogg`);
+  assert.strictEqual((await resolveDownloadUrl(`${baseUrl}/get-only/song`)).finalUrl, `${baseUrl}/get-only/files/b.ogg`);
+});
+
 test('URL Resolution - Error handling for missing Location header', async (t) => {
   // When a redirect response has no Location header, it should be an error condition
   const invalidRedirect = {
@@ -328,6 +377,296 @@ test('ToneFlag mapping - Missing rawFormat handling', async (t) => {
   console.log('✓ Missing/invalid rawFormat handled gracefully');
 });
 
+// Poll until a condition holds
+async function waitFor(check, message, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting: ${message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// A direct download task of the mock server
+const createDirectTask = (baseUrl, name) => db.createTask({
+  service: 'direct',
+  title: name,
+  artist: 'Mock Artist',
+  downloadUrl: `${baseUrl}/${name}.mp3`,
+  preferredToneFlag: 'ORIGINAL'
+});
+
+// Serves the first bytes of every file, then stalls until the client goes away
+function stallingHandler(req, res) {
+  res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': 1000 });
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  res.write(Buffer.alloc(10));
+}
+
+test('Worker slots - lowering concurrency is not exceeded when a worker frees up', async (t) => {
+  const { server, baseUrl } = await createMockServer(stallingHandler);
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  setConcurrency(3);
+  const [first, second, third] = ['one', 'two', 'three'].map(name => createDirectTask(baseUrl, name));
+  startDownloadQueue();
+  t.after(stopDownloadQueue);
+  await waitFor(() => getQueueStatus().active === 3, 'three busy workers');
+  const waiting = createDirectTask(baseUrl, 'four');
+
+  setConcurrency(2);
+  cancelTask(first);
+  await waitFor(() => !getQueueStatus().workers.some(worker => worker.taskId === first), 'worker of the cancelled task to finish');
+
+  assert.strictEqual(getQueueStatus().active, 2, 'the freed worker slot is above the new concurrency');
+  assert.strictEqual(db.getTaskById(waiting).status, 'queued');
+
+  // Stop the rest without letting them pick up the waiting task
+  cancelTask(waiting);
+  cancelTask(second);
+  cancelTask(third);
+  await waitFor(() => getQueueStatus().active === 0, 'all workers to finish');
+});
+
+test('Request headers - only the task\'s provider adds its headers, e.g. the Migu Referer', async (t) => {
+  const requests = [];
+  const { server, baseUrl } = await createMockServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, referer: req.headers['referer'] });
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': 16 });
+    res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(16));
+  });
+  t.after(() => server.close());
+
+  const direct = createDirectTask(baseUrl, 'third-party');
+  await processDownloadTask(direct);
+  assert.strictEqual(db.getTaskById(direct).status, 'done');
+  assert.deepStrictEqual(requests.map(request => request.referer), [undefined], 'GET of a direct link');
+
+  registerProvider({
+    id: 'referer-stub',
+    searchTypes: [],
+    qualities: [],
+    search: async () => [],
+    listQualities: () => [],
+    resolve: async (task) => ({ finalUrl: task.download_url }),
+    requestHeaders: () => ({ Referer: 'https://stub.example/' })
+  });
+  t.after(() => unregisterProvider('referer-stub'));
+  requests.length = 0;
+  const stub = db.createTask({ service: 'referer-stub', title: 'Stub', artist: 'Mock Artist', downloadUrl: `${baseUrl}/stub.mp3` });
+  await processDownloadTask(stub);
+  assert.strictEqual(db.getTaskById(stub).status, 'done');
+  assert.deepStrictEqual(requests, [{ method: 'GET', url: '/stub.mp3', referer: 'https://stub.example/' }]);
+
+  requests.length = 0;
+  await getProvider('migu').resolve({ download_url: `${baseUrl}/migu.mp3` }, 'HQ');
+  assert.strictEqual(requests[0].referer, 'https://music.migu.cn/');
+  assert.strictEqual(getProvider('migu').requestHeaders().Referer, 'https://music.migu.cn/');
+});
+
+// The served file and the part of it left in staging by an interrupted attempt
+const FILE = Buffer.from('0123456789abcdef'.repeat(4));
+const PARTIAL_BYTES = 24;
+
+/**
+ * Run a direct task whose earlier attempt left a partial staging file
+ * @param {object} t - Test context, closes the server afterwards
+ * @param {string} name - Title and file name of the task
+ * @param {Function} respond - Answers a GET request: (req, res, range) with
+ *   range the requested offset or null
+ * @param {string} validator - ETag or Last-Modified recorded with the partial file
+ * @returns {Promise<{task: object, requests: object[]}>} - The finished task and the
+ *   Range and If-Range headers of each GET request
+ */
+async function resumeDownload(t, name, respond, validator = '"v1"') {
+  const requests = [];
+  const { server, baseUrl } = await createMockServer((req, res) => {
+    if (req.method === 'HEAD') {
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+      return res.end();
+    }
+    requests.push({ range: req.headers['range'], ifRange: req.headers['if-range'] });
+    const match = (req.headers['range'] || '').match(/^bytes=(\d+)-$/);
+    respond(req, res, match ? parseInt(match[1], 10) : null);
+  });
+  t.after(() => server.close());
+
+  const taskId = createDirectTask(baseUrl, name);
+  const stagingPath = path.join(configDir, 'staging', `task_${taskId}_1.tmp`);
+  fs.mkdirSync(path.dirname(stagingPath), { recursive: true });
+  fs.writeFileSync(stagingPath, FILE.subarray(0, PARTIAL_BYTES));
+  db.updateTaskStatus(taskId, 'queued', null, { stagingPath, stagingOffset: PARTIAL_BYTES, stagingEtag: validator });
+
+  await processDownloadTask(taskId);
+  const task = db.getTaskById(taskId);
+  assert.strictEqual(task.status, 'done', task.error_message);
+  assert.ok(!fs.existsSync(stagingPath));
+  return { task, requests };
+}
+
+// Full response with the file
+function sendFile(res, body = FILE, headers = { ETag: '"v1"' }) {
+  res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': body.length, ...headers });
+  res.end(body);
+}
+
+// Partial response from `start`, optionally claiming a different Content-Range
+function sendRange(res, start, headers = { ETag: '"v1"' }, body = FILE) {
+  res.writeHead(206, {
+    'Content-Type': 'audio/mpeg',
+    'Content-Length': body.length - start,
+    'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}`,
+    ...headers
+  });
+  res.end(body.subarray(start));
+}
+
+test('Range resume - 206 continues the partial file', async (t) => {
+  const { task, requests } = await resumeDownload(t, 'resumed', (req, res, range) => sendRange(res, range));
+
+  assert.deepStrictEqual(requests, [{ range: `bytes=${PARTIAL_BYTES}-`, ifRange: '"v1"' }]);
+  assert.deepStrictEqual(fs.readFileSync(task.library_path), FILE);
+});
+
+test('Range resume - 200 restarts the file instead of appending', async (t) => {
+  const { task, requests } = await resumeDownload(t, 'ignored-range', (req, res) => sendFile(res));
+
+  assert.strictEqual(requests.length, 1);
+  assert.deepStrictEqual(fs.readFileSync(task.library_path), FILE);
+});
+
+test('Range resume - 416 restarts without a range', async (t) => {
+  const { task, requests } = await resumeDownload(t, 'unsatisfiable', (req, res, range) => {
+    if (range !== null) {
+      res.writeHead(416, { 'Content-Range': `bytes */${FILE.length}` });
+      return res.end();
+    }
+    sendFile(res);
+  });
+
+  assert.deepStrictEqual(requests.map(request => request.range), [`bytes=${PARTIAL_BYTES}-`, undefined]);
+  assert.deepStrictEqual(fs.readFileSync(task.library_path), FILE);
+});
+
+test('Range resume - a mismatched Content-Range restarts without a range', async (t) => {
+  const { task, requests } = await resumeDownload(t, 'wrong-range', (req, res, range) => {
+    if (range !== null) {
+      return sendRange(res, 0);
+    }
+    sendFile(res);
+  });
+
+  assert.deepStrictEqual(requests.map(request => request.range), [`bytes=${PARTIAL_BYTES}-`, undefined]);
+  assert.deepStrictEqual(fs.readFileSync(task.library_path), FILE);
+});
+
+test('Range resume - a changed ETag or Last-Modified restarts the changed file', async (t) => {
+  const changed = Buffer.from('fedcba9876543210'.repeat(4));
+  const respondChanged = (headers) => (req, res, range) => {
+    if (range !== null) {
+      // A server ignoring If-Range serves part of the new version
+      return sendRange(res, range, headers, changed);
+    }
+    sendFile(res, changed, headers);
+  };
+
+  const byEtag = await resumeDownload(t, 'changed-etag', respondChanged({ ETag: '"v2"' }));
+  assert.deepStrictEqual(byEtag.requests.map(request => request.range), [`bytes=${PARTIAL_BYTES}-`, undefined]);
+  assert.deepStrictEqual(fs.readFileSync(byEtag.task.library_path), changed);
+
+  const recorded = 'Mon, 01 Jan 2024 00:00:00 GMT';
+  const byDate = await resumeDownload(
+    t,
+    'changed-date',
+    respondChanged({ 'Last-Modified': 'Tue, 02 Jan 2024 00:00:00 GMT' }),
+    recorded
+  );
+  assert.deepStrictEqual(byDate.requests, [{ range: `bytes=${PARTIAL_BYTES}-`, ifRange: recorded }, { range: undefined, ifRange: undefined }]);
+  assert.deepStrictEqual(fs.readFileSync(byDate.task.library_path), changed);
+});
+
+/**
+ * Start a direct task against a server that stalls after the first bytes
+ * @returns {Promise<object>} - `taskId`, the `running` processDownloadTask() promise,
+ *   the `stagingPath` once bytes arrived, the GET `requests` and whether the
+ *   server saw the first request `closed`
+ */
+async function startStalledDownload(t, name, respondToRange) {
+  const state = { requests: [], closed: false };
+  const { server, baseUrl } = await createMockServer((req, res) => {
+    if (req.method === 'HEAD') {
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+      return res.end();
+    }
+    state.requests.push(req.headers['range']);
+    if (req.headers['range'] && respondToRange) {
+      return respondToRange(req, res);
+    }
+    req.on('close', () => {
+      state.closed = true;
+    });
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': FILE.length });
+    res.write(FILE.subarray(0, 10));
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  state.taskId = createDirectTask(baseUrl, name);
+  state.running = processDownloadTask(state.taskId);
+  await waitFor(() => {
+    const { staging_path: stagingPath } = db.getTaskById(state.taskId);
+    return stagingPath && fs.existsSync(stagingPath) && fs.statSync(stagingPath).size === 10;
+  }, 'the first bytes to be staged');
+  state.stagingPath = db.getTaskById(state.taskId).staging_path;
+  return state;
+}
+
+test('cancelTask - aborts the request and removes the partial file', async (t) => {
+  const download = await startStalledDownload(t, 'cancelled');
+
+  assert.strictEqual(cancelTask(download.taskId).status, 'cancelled');
+  await download.running;
+
+  assert.strictEqual(db.getTaskById(download.taskId).status, 'cancelled');
+  assert.ok(!fs.existsSync(download.stagingPath));
+  await waitFor(() => download.closed, 'the server to see the request end');
+});
+
+test('pauseTask keeps the partial file, resumeTask requeues the task to continue it', async (t) => {
+  const download = await startStalledDownload(t, 'paused', (req, res) => sendRange(res, 10, {}));
+
+  assert.strictEqual(pauseTask(download.taskId).status, 'paused');
+  await download.running;
+
+  const paused = db.getTaskById(download.taskId);
+  assert.strictEqual(paused.status, 'paused');
+  assert.strictEqual(paused.staging_path, download.stagingPath);
+  assert.strictEqual(paused.staging_offset, 10);
+  assert.deepStrictEqual(fs.readFileSync(download.stagingPath), FILE.subarray(0, 10));
+  await waitFor(() => download.closed, 'the server to see the request end');
+
+  // Back in the queue, and picked up right away by a free worker once the queue runs
+  assert.strictEqual(resumeTask(download.taskId).status, 'queued');
+  assert.strictEqual(getQueueStatus().active, 0, 'no worker starts before startDownloadQueue()');
+  assert.strictEqual(retryTask(download.taskId).status, 'queued');
+  assert.strictEqual(getQueueStatus().active, 0);
+  startDownloadQueue();
+  t.after(stopDownloadQueue);
+  await waitFor(() => db.getTaskById(download.taskId).status === 'done', 'the resumed task to finish');
+
+  assert.deepStrictEqual(download.requests, [undefined, 'bytes=10-']);
+  assert.deepStrictEqual(fs.readFileSync(db.getTaskById(download.taskId).library_path), FILE);
+  assert.ok(!fs.existsSync(download.stagingPath));
+});
+
 console.log('✓ All URL resolution and extension inference tests passed');
 console.log('✓ Tests validate: 302 redirect handling, extension inference, Content-Disposition parsing');
 console.log('✓ Tests validate: ToneFlag mapping from rawFormat with quality degradation');
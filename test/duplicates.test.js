@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// Point the database and library at a throwaway directory before they are imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-duplicates-test-'));
+const libraryDir = path.join(configDir, 'library');
+process.env.CONFIG_DIR = configDir;
+process.env.LIBRARY_DIR = libraryDir;
+process.env.STAGING_DIR = path.join(configDir, 'staging');
+
+const db = await import('../src/db/database.js');
+const {
+  checkDuplicateTask,
+  checkDuplicateTasks,
+  resolveLibraryConflict,
+  compareFileQuality
+} = await import('../src/services/duplicates.js');
+const { processDownloadTask } = await import('../src/services/downloader.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+function writeFile(relativePath, size = 16) {
+  const filePath = path.join(libraryDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, Buffer.alloc(size));
+  return filePath;
+}
+
+const miguTask = (copyrightId, preferredToneFlag = 'HQ') => ({
+  service: 'migu',
+  title: 'Song',
+  artist: 'Artist',
+  album: '',
+  coverUrl: '',
+  downloadUrl: '',
+  fileSize: '',
+  format: 'MP3',
+  copyrightId,
+  preferredToneFlag
+});
+
+test('checkDuplicateTask - skips songs already queued or downloaded in that quality', async (t) => {
+  const queuedId = db.createTask(miguTask('queued-song'));
+
+  const duplicate = checkDuplicateTask(miguTask('queued-song'), 'skip');
+  assert.strictEqual(duplicate.status, 'skipped');
+  assert.strictEqual(duplicate.duplicateOf, queuedId);
+  assert.match(duplicate.duplicateReason, /Already queued as task \d+ in HQ/);
+
+  assert.strictEqual(checkDuplicateTask(miguTask('queued-song', 'SQ'), 'skip').status, undefined, 'another quality is not a duplicate');
+  assert.strictEqual(checkDuplicateTask(miguTask('other-song'), 'skip').status, undefined);
+  assert.strictEqual(checkDuplicateTask(miguTask('queued-song'), 'overwrite').status, undefined, 'decided when organizing');
+
+  // A download that degraded to PQ is only a duplicate for PQ requests
+  const doneId = db.createTask(miguTask('done-song'));
+  db.updateTaskStatus(doneId, 'done', null, { libraryPath: writeFile('Artist/Done.mp3'), triedToneFlags: 'HQ,PQ' });
+  const downloaded = checkDuplicateTask(miguTask('done-song', 'PQ'), 'skip');
+  assert.strictEqual(downloaded.libraryPath, db.getTaskById(doneId).library_path);
+  assert.strictEqual(checkDuplicateTask(miguTask('done-song', 'HQ'), 'skip').status, undefined);
+
+  // upgrade skips unless the request asks for better than what is there
+  assert.strictEqual(checkDuplicateTask(miguTask('done-song', 'LQ'), 'upgrade').status, 'skipped');
+  assert.strictEqual(checkDuplicateTask(miguTask('done-song', 'HQ'), 'upgrade').status, undefined);
+
+  // Tasks whose file was removed since are not duplicates
+  fs.unlinkSync(db.getTaskById(doneId).library_path);
+  assert.strictEqual(checkDuplicateTask(miguTask('done-song', 'PQ'), 'skip').status, undefined);
+});
+
+test('checkDuplicateTasks - also skips songs listed twice in one request', async (t) => {
+  const queuedId = db.createTask(miguTask('listed-queued'));
+  const byUrl = { ...miguTask(null), downloadUrl: 'https://example.com/listed.mp3' };
+
+  const checked = checkDuplicateTasks([
+    miguTask('listed-twice'),
+    miguTask('listed-queued'),
+    miguTask('listed-twice'),
+    miguTask('listed-twice', 'SQ'),
+    byUrl,
+    byUrl
+  ], 'skip');
+
+  assert.deepStrictEqual(checked.map(taskData => taskData.status), [undefined, 'skipped', 'skipped', undefined, undefined, 'skipped']);
+  assert.strictEqual(checked[1].duplicateOf, queuedId);
+  assert.strictEqual(checked[2].duplicateReason, 'Listed more than once, queued once');
+  assert.deepStrictEqual(
+    checkDuplicateTasks([miguTask('listed-twice'), miguTask('listed-twice')], 'keep-both').map(taskData => taskData.status),
+    [undefined, undefined],
+    'other policies decide when organizing'
+  );
+});
+
+test('resolveLibraryConflict - applies each policy to an existing track', async (t) => {
+  const existing = writeFile('Conflict/Song.mp3', 100);
+  const smaller = writeFile('staging/small.mp3', 10);
+  const lossless = writeFile('staging/song.flac', 10);
+
+  assert.deepStrictEqual(resolveLibraryConflict(path.join(libraryDir, 'Conflict/New.mp3'), smaller, 'skip').decision, null);
+
+  const skipped = resolveLibraryConflict(existing, smaller, 'skip');
+  assert.strictEqual(skipped.skip, true);
+  assert.strictEqual(skipped.libraryPath, existing);
+
+  assert.strictEqual(resolveLibraryConflict(existing, smaller, 'overwrite').replace, existing);
+
+  const both = resolveLibraryConflict(existing, smaller, 'keep-both');
+  assert.strictEqual(both.libraryPath, path.join(libraryDir, 'Conflict/Song (2).mp3'));
+  assert.strictEqual(both.decision, 'kept_both');
+
+  assert.strictEqual(resolveLibraryConflict(existing, smaller, 'upgrade').skip, true, 'a smaller MP3 is no upgrade');
+  const flacTarget = path.join(libraryDir, 'Conflict/Song.flac');
+  const upgraded = resolveLibraryConflict(flacTarget, lossless, 'upgrade');
+  assert.strictEqual(upgraded.decision, 'upgraded');
+  assert.strictEqual(upgraded.replace, existing, 'the same track with another extension is replaced');
+});
+
+test('compareFileQuality - prefers lossless, then larger files', async (t) => {
+  const flac = writeFile('Compare/a.flac', 10);
+  const big = writeFile('Compare/b.mp3', 100);
+  const small = writeFile('Compare/c.mp3', 10);
+
+  assert.ok(compareFileQuality(flac, big) > 0);
+  assert.ok(compareFileQuality(small, big) < 0);
+  assert.strictEqual(compareFileQuality(small, small), 0);
+});
+
+// Import a file from the inbox as a `local` task and process it
+async function importInboxFile(title, content) {
+  const inbox = path.join(configDir, 'inbox');
+  fs.mkdirSync(inbox, { recursive: true });
+  const source = path.join(inbox, `Inbox Artist - ${title}.mp3`);
+  fs.writeFileSync(source, content);
+  fs.writeFileSync(source.replace(/\.mp3$/, '.lrc'), '[00:01.00]La');
+
+  const taskId = db.createTask({
+    service: 'local',
+    title,
+    artist: 'Inbox Artist',
+    album: '',
+    downloadUrl: pathToFileURL(source).href,
+    format: 'MP3',
+    preferredToneFlag: 'ORIGINAL'
+  });
+  await processDownloadTask(taskId);
+  return { task: db.getTaskById(taskId), source };
+}
+
+test('processDownloadTask - skips a file whose track is already in the library', async (t) => {
+  const existing = writeFile('Inbox Artist/Singles/Inbox Song.mp3', 100);
+
+  const { task, source } = await importInboxFile('Inbox Song', Buffer.alloc(10));
+
+  assert.strictEqual(task.status, 'skipped');
+  assert.strictEqual(task.duplicate_decision, 'skipped');
+  assert.strictEqual(task.library_path, existing);
+  assert.strictEqual(fs.statSync(existing).size, 100, 'the existing file is kept');
+  assert.ok(fs.existsSync(source), 'a different file is left in the inbox');
+  assert.ok(fs.existsSync(source.replace(/\.mp3$/, '.lrc')));
+});
+
+test('processDownloadTask - cleans up an import identical to the library file', async (t) => {
+  const existing = writeFile('Inbox Artist/Singles/Same Song.mp3', 100);
+
+  const { task, source } = await importInboxFile('Same Song', Buffer.alloc(100));
+
+  assert.strictEqual(task.status, 'skipped');
+  assert.strictEqual(task.library_path, existing);
+  assert.ok(!fs.existsSync(source), 'the imported file is cleaned up like after a download');
+  assert.ok(!fs.existsSync(source.replace(/\.mp3$/, '.lrc')));
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the database at a throwaway config directory and turn authentication on before they are imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-events-test-'));
+process.env.CONFIG_DIR = configDir;
+process.env.LIBRARY_DIR = path.join(configDir, 'Library');
+process.env.ADMIN_PASSWORD = 'correct horse';
+
+const db = await import('../src/db/database.js');
+const { publishTaskEvent, subscribeTaskEvents } = await import('../src/services/events.js');
+const { addUser } = await import('../src/services/users.js');
+const { startSession, SESSION_COOKIE } = await import('../src/services/auth.js');
+const { default: app } = await import('../src/server.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('task events - delivered to subscribers until they unsubscribe', async (t) => {
+  const received = [];
+  const unsubscribe = subscribeTaskEvents(event => received.push(event));
+
+  publishTaskEvent('task.status', { id: 1, status: 'done' });
+  unsubscribe();
+  publishTaskEvent('task.status', { id: 2, status: 'done' });
+
+  assert.deepStrictEqual(received, [{ type: 'task.status', data: { id: 1, status: 'done' } }]);
+});
+
+test('task events - events without data are dropped', async (t) => {
+  const received = [];
+  const unsubscribe = subscribeTaskEvents(event => received.push(event));
+  t.after(unsubscribe);
+
+  publishTaskEvent('task.status', undefined);
+
+  assert.deepStrictEqual(received, []);
+});
+
+test('GET /api/events - streams the events of the user\'s own tasks', async (t) => {
+  // The route's keep-alive interval runs on mocked time
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const anna = addUser({ username: 'anna', password: 'anna-secret' });
+  const bob = addUser({ username: 'bob', password: 'bob-secret' });
+  const createTask = (title, userId) => db.getTaskById(db.createTask({
+    service: 'direct',
+    title,
+    artist: 'Artist',
+    downloadUrl: `http://example.com/${title}.mp3`,
+    userId
+  }));
+
+  const controller = new AbortController();
+  t.after(() => controller.abort());
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/events`, {
+    headers: { cookie: `${SESSION_COOKIE}=${startSession(anna).token}` },
+    signal: controller.signal
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+  assert.strictEqual(response.headers.get('cache-control'), 'no-cache');
+  assert.strictEqual(response.headers.get('x-accel-buffering'), 'no');
+
+  // Read the stream until it contains `text`
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let stream = '';
+  const readUntil = async (text) => {
+    while (!stream.includes(text)) {
+      const { value, done } = await reader.read();
+      assert.ok(!done, `stream ended before "${text}"`);
+      stream += value;
+    }
+  };
+  await readUntil('retry: 3000\n\n');
+
+  const own = createTask('Own Song', anna.id);
+  const foreign = createTask('Foreign Song', bob.id);
+  publishTaskEvent('task.created', foreign);
+  publishTaskEvent('task.progress', { id: foreign.id, status: 'downloading', progress: 10 });
+  publishTaskEvent('task.created', own);
+  publishTaskEvent('task.progress', { id: own.id, status: 'downloading', progress: 50 });
+  publishTaskEvent('task.deleted', { id: own.id, user_id: anna.id, playlist_ids: [] });
+
+  await readUntil('event: task.deleted');
+  assert.ok(stream.includes(`event: task.created\ndata: ${JSON.stringify(own)}\n\n`));
+  assert.ok(stream.includes(`event: task.progress\ndata: ${JSON.stringify({ id: own.id, status: 'downloading', progress: 50 })}\n\n`),
+    'progress events carry no owner, it is looked up');
+  assert.ok(!stream.includes('Foreign Song') && !stream.includes(`"id":${foreign.id},`), 'another user\'s events are not delivered');
+
+  t.mock.timers.tick(15000);
+  await readUntil(': ping\n\n');
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the database at a throwaway config directory before it is imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-import-test-'));
+const inbox = path.join(configDir, 'inbox');
+fs.mkdirSync(path.join(inbox, 'Some Album'), { recursive: true });
+process.env.CONFIG_DIR = configDir;
+
+const db = await import('../src/db/database.js');
+const { scanImportDir } = await import('../src/services/importer.js');
+const { writeTags } = await import('../src/utils/audioTags.js');
+const { getProvider } = await import('../src/providers/index.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+// Minimal MPEG frame header followed by silence
+function writeMp3(filePath, tags = null) {
+  const buffer = Buffer.alloc(1024);
+  buffer[0] = 0xff;
+  buffer[1] = 0xfb;
+  fs.writeFileSync(filePath, buffer);
+  if (tags) {
+    writeTags(filePath, tags);
+  }
+}
+
+test('scanImportDir - creates local tasks from tags or file names', async (t) => {
+  writeMp3(path.join(inbox, 'Some Album', '01.mp3'), { title: 'Tagged', artist: 'Tag Artist', album: 'Some Album', trackNumber: 1 });
+  writeMp3(path.join(inbox, 'Name Artist - Name Title.mp3'));
+  fs.writeFileSync(path.join(inbox, 'notes.txt'), 'not audio');
+  fs.writeFileSync(path.join(inbox, '.hidden.mp3'), 'hidden');
+
+  const later = Date.now() + 60000;
+  const { tasks } = scanImportDir(inbox, later);
+  const byTitle = Object.fromEntries(tasks.map(task => [task.title, task]));
+
+  assert.deepStrictEqual(Object.keys(byTitle).sort(), ['Name Title', 'Tagged']);
+  assert.strictEqual(byTitle.Tagged.artist, 'Tag Artist');
+  assert.strictEqual(byTitle.Tagged.album, 'Some Album');
+  assert.strictEqual(byTitle.Tagged.track_number, 1);
+  assert.strictEqual(byTitle['Name Title'].artist, 'Name Artist');
+  assert.ok(tasks.every(task => task.service === 'local' && task.download_url.startsWith('file://')));
+
+  // Files with an unfinished task are not imported twice
+  assert.deepStrictEqual(scanImportDir(inbox, later), { tasks: [], skipped: 2 });
+
+  // A duplicate left in the inbox is not imported again either
+  db.updateTaskStatus(byTitle.Tagged.id, 'skipped');
+  db.updateTaskStatus(byTitle['Name Title'].id, 'done');
+  assert.deepStrictEqual(scanImportDir(inbox, later).tasks.map(task => task.title), ['Name Title']);
+});
+
+test('scanImportDir - waits for files that are still being written', async (t) => {
+  const filePath = path.join(inbox, 'fresh.mp3');
+  writeMp3(filePath);
+
+  assert.strictEqual(scanImportDir(inbox, Date.now()).tasks.filter(task => task.title === 'fresh').length, 0);
+  assert.strictEqual(scanImportDir(inbox, Date.now() + 60000).tasks.filter(task => task.title === 'fresh').length, 1);
+});
+
+test('scanImportDir - imports for the requesting user and skips duplicates', async (t) => {
+  const anna = db.getUserById(db.createUser({ username: 'anna', role: 'user' }));
+  const filePath = path.join(inbox, 'Dup Artist - Dup Title.mp3');
+  writeMp3(filePath);
+  const later = Date.now() + 60000;
+
+  const [first] = scanImportDir(inbox, later, { user: anna }).tasks;
+  assert.strictEqual(first.title, 'Dup Title');
+  assert.strictEqual(first.user_id, anna.id);
+  assert.strictEqual(first.status, 'queued');
+
+  // Imported before and still in the library
+  const libraryPath = path.join(configDir, 'Dup Title.mp3');
+  fs.writeFileSync(libraryPath, 'audio');
+  db.updateTaskStatus(first.id, 'done', null, { libraryPath });
+
+  const [again] = scanImportDir(inbox, later, { user: anna }).tasks;
+  assert.strictEqual(again.status, 'skipped');
+  assert.strictEqual(again.duplicate_of, first.id);
+  assert.strictEqual(again.library_path, libraryPath);
+});
+
+test('local provider - resolves to the file and rejects API-created tasks', async (t) => {
+  const local = getProvider('local');
+  const [task] = db.getAllTasks().filter(row => row.title === 'Tagged');
+
+  const resolved = await local.resolve(task);
+  assert.ok(fs.existsSync(resolved.filePath));
+
+  const missing = await local.resolve({ ...task, download_url: 'file:///no/such/file.mp3' });
+  assert.strictEqual(missing.finalUrl, null);
+  assert.strictEqual(missing.error.classification, 'permanent');
+
+  assert.ok(local.validateTask({ downloadUrl: 'file:///etc/passwd' }));
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { summarizeJobTasks } from '../src/services/jobs.js';
+
+const task = (status, progress = 0, bytes = 0) => ({ status, progress, downloaded_bytes: bytes, total_bytes: 100 });
+
+test('summarizeJobTasks - aggregates progress over all tracks', async (t) => {
+  const summary = summarizeJobTasks([task('done', 100, 100), task('downloading', 50, 50), task('queued'), task('queued')]);
+
+  assert.strictEqual(summary.status, 'downloading');
+  assert.strictEqual(summary.total, 4);
+  assert.strictEqual(summary.done, 1);
+  assert.strictEqual(summary.pending, 3);
+  assert.strictEqual(summary.progress, 37);
+  assert.strictEqual(summary.downloadedBytes, 150);
+  assert.strictEqual(summary.totalBytes, 400);
+});
+
+test('summarizeJobTasks - final status once no track is pending', async (t) => {
+  assert.strictEqual(summarizeJobTasks([task('done'), task('done')]).status, 'done');
+  assert.strictEqual(summarizeJobTasks([task('done'), task('failed')]).status, 'partial');
+  assert.strictEqual(summarizeJobTasks([task('failed'), task('cancelled')]).status, 'failed');
+  assert.strictEqual(summarizeJobTasks([task('cancelled')]).status, 'cancelled');
+  assert.strictEqual(summarizeJobTasks([task('done'), task('paused')]).status, 'paused');
+
+  // Failed tracks count as 0%, so an album with a failure never reaches 100%
+  assert.strictEqual(summarizeJobTasks([task('done'), task('failed', 80)]).progress, 50);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseLrc, isSyncedLrc, lrcToPlainText } from '../src/services/lyrics.js';
+
+const SAMPLE_LRC = [
+  '[ti:晴天]',
+  '[ar:周杰伦]',
+  '[00:01.50]故事的小黄花',
+  '[00:05.123][01:10.00]从出生那年就飘着',
+  '[00:03]童年的荡秋千'
+].join('\r\n');
+
+test('parseLrc - expands timestamps, skips ID tags and sorts by time', async (t) => {
+  assert.deepStrictEqual(parseLrc(SAMPLE_LRC), [
+    { time: 1.5, text: '故事的小黄花' },
+    { time: 3, text: '童年的荡秋千' },
+    { time: 5.123, text: '从出生那年就飘着' },
+    { time: 70, text: '从出生那年就飘着' }
+  ]);
+  assert.deepStrictEqual(parseLrc(''), []);
+  assert.deepStrictEqual(parseLrc(null), []);
+});
+
+test('lrcToPlainText - strips timestamps from synced lyrics', async (t) => {
+  assert.strictEqual(isSyncedLrc(SAMPLE_LRC), true);
+  assert.strictEqual(lrcToPlainText(SAMPLE_LRC), '故事的小黄花\n童年的荡秋千\n从出生那年就飘着\n从出生那年就飘着');
+
+  // Plain text lyrics are passed through
+  assert.strictEqual(isSyncedLrc('line one\nline two'), false);
+  assert.strictEqual(lrcToPlainText('  line one\nline two\n'), 'line one\nline two');
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// Point the database at a throwaway config directory before it is imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-migrations-test-'));
+process.env.CONFIG_DIR = configDir;
+
+const db = await import('../src/db/database.js');
+const { MIGRATIONS, SCHEMA_VERSION, migrateDatabase, getSchemaVersion } = await import('../src/db/migrations.js');
+
+const opened = [];
+
+test.after(() => {
+  opened.forEach(connection => connection.close());
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+function openDatabase(name) {
+  const connection = new Database(path.join(configDir, name));
+  opened.push(connection);
+  return connection;
+}
+
+// A database left behind by a release from before schema versioning
+function createLegacyDatabase(name) {
+  const legacy = openDatabase(name);
+  legacy.exec(`
+    CREATE TABLE tasks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service TEXT NOT NULL,
+      title TEXT,
+      artist TEXT,
+      album TEXT,
+      cover_url TEXT,
+      download_url TEXT,
+      file_size TEXT,
+      format TEXT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      error_message TEXT,
+      staging_path TEXT,
+      library_path TEXT,
+      source_url TEXT,
+      resolved_url TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    ALTER TABLE tasks ADD COLUMN progress INTEGER DEFAULT 0;
+    ALTER TABLE tasks ADD COLUMN copyright_id TEXT;
+    INSERT INTO tasks (service, title, artist, download_url, status, library_path, progress, copyright_id, created_at, updated_at)
+    VALUES ('migu', 'Old Song', 'Old Artist', '', 'done', '/music/Library/Old Artist/Singles/Old Song.mp3', 100, 'cid-old', 1, 2);
+  `);
+  return legacy;
+}
+
+const describeSchema = (connection) => connection
+  .prepare(`SELECT type, name, tbl_name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name`)
+  .all()
+  .map(entry => ({
+    ...entry,
+    columns: entry.type === 'table'
+      ? connection.prepare(`PRAGMA table_info(${entry.name})`).all()
+        .map(({ name, type, notnull, dflt_value: defaultValue }) => ({ name, type, notnull, defaultValue }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+      : undefined
+  }));
+
+test('migrateDatabase - upgrades a database from before versioning to the latest schema', async (t) => {
+  const legacy = createLegacyDatabase('legacy.sqlite');
+  assert.strictEqual(getSchemaVersion(legacy), 0);
+
+  const result = migrateDatabase(legacy);
+  assert.deepStrictEqual({ from: result.from, to: result.to }, { from: 0, to: SCHEMA_VERSION });
+  assert.strictEqual(result.applied.length, MIGRATIONS.length);
+
+  const fresh = openDatabase('fresh.sqlite');
+  migrateDatabase(fresh);
+  assert.deepStrictEqual(describeSchema(legacy), describeSchema(fresh), 'same tables, columns and indexes as a new database');
+
+  const [task] = legacy.prepare('SELECT * FROM tasks').all();
+  assert.strictEqual(task.title, 'Old Song');
+  assert.strictEqual(task.progress, 100);
+  assert.strictEqual(task.attempt_count, 0, 'new columns get their defaults');
+
+  assert.strictEqual(migrateDatabase(legacy).applied.length, 0, 'running again does nothing');
+});
+
+test('migrateDatabase - a failing step rolls back and keeps the previous version', async (t) => {
+  const connection = openDatabase('failing.sqlite');
+  const migrations = [
+    { version: 1, name: 'Create things', up: (db) => db.exec('CREATE TABLE things (id INTEGER PRIMARY KEY)') },
+    {
+      version: 2,
+      name: 'Broken step',
+      up: (db) => {
+        db.exec('ALTER TABLE things ADD COLUMN label TEXT');
+        db.exec('ALTER TABLE missing ADD COLUMN label TEXT');
+      }
+    }
+  ];
+
+  assert.throws(() => migrateDatabase(connection, migrations), /migration 2 \(Broken step\) failed: no such table: missing/);
+  assert.strictEqual(getSchemaVersion(connection), 1);
+  const columns = connection.prepare('PRAGMA table_info(things)').all().map(column => column.name);
+  assert.deepStrictEqual(columns, ['id'], 'the partial step was rolled back');
+});
+
+test('initDatabase - refuses a database written by a newer version of the app', async (t) => {
+  const newer = openDatabase('db.sqlite');
+  newer.pragma(`user_version = ${SCHEMA_VERSION + 1}`);
+
+  assert.throws(() => db.initDatabase(), new RegExp(`schema version ${SCHEMA_VERSION + 1} is newer than the latest version ${SCHEMA_VERSION}`));
+  assert.strictEqual(getSchemaVersion(newer), SCHEMA_VERSION + 1, 'the database is left alone');
+});
@@ -1,5 +1,12 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
+import {
+  mapAlbumItem,
+  mapSingerItem,
+  mapPlaylistItem,
+  parseAlbumDetail,
+  extractSongItems
+} from '../src/services/migu.js';
 
 test('Migu Route 1: search does not resolve directUrl', async (t) => {
   // Mock data structure from Migu API
@@ -143,3 +150,88 @@ test('Migu Route 1: task stores resolution fields', async (t) => {
   
   console.log('✓ Task stores all required Route 1 resolution fields');
 });
+
+test('Migu albums: search items map to album results', async (t) => {
+  const album = mapAlbumItem({
+    id: '1135999773',
+    name: '叶惠美',
+    singers: [{ name: '周杰伦' }],
+    imgItems: [{ img: 'http://d.musicapp.migu.cn/cover_400.jpg' }],
+    publishDate: '2003-07-31',
+    totalCount: '11'
+  });
+
+  assert.deepStrictEqual(album, {
+    id: '1135999773',
+    type: 'album',
+    albumId: '1135999773',
+    title: '叶惠美',
+    artist: '周杰伦',
+    coverUrl: 'https://d.musicapp.migu.cn/cover_400.jpg',
+    year: '2003',
+    trackCount: 11,
+    disabled: false
+  });
+  assert.strictEqual(mapAlbumItem({ name: 'No id' }).disabled, true);
+});
+
+test('Migu albums: album detail numbers tracks and sorts them', async (t) => {
+  const songs = [
+    { copyrightId: 'c2', contentId: 'n2', name: '晴天', singers: [{ name: '周杰伦' }], trackNumber: '3' },
+    { copyrightId: 'c1', contentId: 'n1', name: '以父之名', singers: [{ name: '周杰伦' }], trackNumber: '1' },
+    { copyrightId: 'c3', contentId: 'n3', name: 'Bonus', singers: [{ name: '周杰伦' }, { name: 'Guest' }], trackNumber: '1', cdNumber: '2' }
+  ];
+
+  const album = parseAlbumDetail('1135999773', { title: '叶惠美', singer: '周杰伦', publishTime: '2003-07-31' }, songs);
+
+  assert.strictEqual(album.title, '叶惠美');
+  assert.strictEqual(album.year, '2003');
+  assert.strictEqual(album.trackCount, 3);
+  assert.deepStrictEqual(
+    album.tracks.map(track => [track.discNumber, track.trackNumber, track.title, track.copyrightId]),
+    [[1, 1, '以父之名', 'c1'], [1, 3, '晴天', 'c2'], [2, 1, 'Bonus', 'c3']]
+  );
+  assert.ok(album.tracks.every(track => track.album === '叶惠美' && track.albumArtist === '周杰伦'));
+  assert.strictEqual(album.tracks[2].artist, '周杰伦, Guest', 'track artists are kept per track');
+
+  // Without album info, metadata comes from the first track and tracks are numbered by position
+  const fallback = parseAlbumDetail('42', null, [{ copyrightId: 'c9', name: 'Song', singer: 'Solo', albumName: 'Fallback' }]);
+  assert.strictEqual(fallback.title, 'Fallback');
+  assert.strictEqual(fallback.artist, 'Solo');
+  assert.strictEqual(fallback.tracks[0].trackNumber, 1);
+});
+
+test('Migu search types: singers and playlists map to typed results', async (t) => {
+  const singer = mapSingerItem({
+    id: '112',
+    name: '周杰伦',
+    imgItems: [{ img: '//d.musicapp.migu.cn/singer_400.jpg' }],
+    songCount: '1024',
+    albumCount: 40
+  });
+  assert.strictEqual(singer.type, 'singer');
+  assert.strictEqual(singer.singerId, '112');
+  assert.strictEqual(singer.title, '周杰伦');
+  assert.strictEqual(singer.coverUrl, 'https://d.musicapp.migu.cn/singer_400.jpg');
+  assert.strictEqual(singer.songCount, 1024);
+  assert.strictEqual(singer.disabled, false);
+
+  const playlist = mapPlaylistItem({ musicListId: '205', name: 'Road Trip', userName: 'someone', musicNum: '30' });
+  assert.strictEqual(playlist.type, 'songlist');
+  assert.strictEqual(playlist.playlistId, '205');
+  assert.strictEqual(playlist.title, 'Road Trip');
+  assert.strictEqual(playlist.artist, 'someone');
+  assert.strictEqual(playlist.trackCount, 30);
+  assert.strictEqual(mapPlaylistItem({ name: 'No id' }).disabled, true);
+});
+
+test('Migu drill-down: song lists are found in every known response shape', async (t) => {
+  const song = { copyrightId: 'c1', name: 'Song' };
+
+  assert.deepStrictEqual(extractSongItems({ songList: [song] }), [song]);
+  assert.deepStrictEqual(extractSongItems({ data: { songList: [song] } }), [song]);
+  assert.deepStrictEqual(extractSongItems({ resource: [{ songItems: [song] }] }), [song]);
+  assert.deepStrictEqual(extractSongItems({ data: { contentItemList: [{ itemList: [{ song }] }] } }), [song]);
+  assert.deepStrictEqual(extractSongItems({ songList: [], list: [song] }), [song]);
+  assert.deepStrictEqual(extractSongItems({ code: '000000' }), []);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { renderTemplate, validateTemplate, DEFAULT_PATH_TEMPLATE } from '../src/utils/pathTemplate.js';
+import { createLibraryPath } from '../src/utils/fileUtils.js';
+
+const ALBUM_TEMPLATE = '{albumartist|artist}/{album|"Singles"}[ ({year})]/[{disc}-][{track:02} - ]{title}';
+
+test('renderTemplate - default template keeps the Artist/Singles layout', async (t) => {
+  assert.deepStrictEqual(
+    renderTemplate(DEFAULT_PATH_TEMPLATE, { artist: 'Taylor Swift', title: 'Shake It Off' }),
+    ['Taylor Swift', 'Singles', 'Shake It Off']
+  );
+});
+
+test('renderTemplate - padding, fallbacks and conditional segments', async (t) => {
+  const full = {
+    artist: '周杰伦', albumartist: 'Jay Chou', album: '叶惠美', year: '2003', track: 3, disc: 1, title: '晴天'
+  };
+  assert.deepStrictEqual(renderTemplate(ALBUM_TEMPLATE, full), ['Jay Chou', '叶惠美 (2003)', '1-03 - 晴天']);
+
+  // Missing fields fall back or drop their conditional segment
+  assert.deepStrictEqual(
+    renderTemplate(ALBUM_TEMPLATE, { artist: '周杰伦', title: '晴天' }),
+    ['周杰伦', 'Singles', '晴天']
+  );
+});
+
+test('renderTemplate - field values cannot escape their path segment', async (t) => {
+  const segments = renderTemplate('{artist}/{title}', { artist: '../../etc', title: 'AC/DC: "Live"' });
+  assert.deepStrictEqual(segments, ['-..-etc', 'AC-DC Live']);
+
+  // Directories that render empty are dropped, the file name never is
+  assert.deepStrictEqual(renderTemplate('{album}/{year}', {}), ['Unknown Title']);
+});
+
+test('validateTemplate - rejects malformed templates with a reason', async (t) => {
+  assert.strictEqual(validateTemplate(ALBUM_TEMPLATE).valid, true);
+
+  const invalid = [
+    '',
+    '/{artist}/{title}',
+    '{artist}//{title}',
+    '{artist}/../{title}',
+    '{artist}/{title',
+    '{artist}/{titel}',
+    '{artist}/{track:2} {title}',
+    '{artist}/[{track} - {title}',
+    '{artist}/[[{track}]]{title}',
+    '{artist}/[ - ]{title}',
+    '{artist}/{"x"|title}',
+    '{artist}/Singles'
+  ];
+  for (const template of invalid) {
+    const result = validateTemplate(template);
+    assert.strictEqual(result.valid, false, `"${template}" should be rejected`);
+    assert.ok(result.error, `"${template}" should come with an error message`);
+  }
+});
+
+test('createLibraryPath - splits the rendered template into dir and filename', async (t) => {
+  assert.deepStrictEqual(createLibraryPath({ artist: 'Artist', title: 'Title' }, 'flac'), {
+    dir: 'Artist/Singles',
+    filename: 'Title.flac'
+  });
+  assert.deepStrictEqual(createLibraryPath({}, '.mp3', '{title}'), { dir: '', filename: 'Unknown Title.mp3' });
+});
@@ -0,0 +1,237 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the database and library at a throwaway directory and turn authentication on before they are imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-playlist-test-'));
+const libraryDir = path.join(configDir, 'library');
+process.env.CONFIG_DIR = configDir;
+process.env.LIBRARY_DIR = libraryDir;
+process.env.PLAYLIST_DIR = path.join(libraryDir, 'Playlists');
+process.env.ADMIN_PASSWORD = 'correct horse';
+
+const db = await import('../src/db/database.js');
+const {
+  parsePlaylist,
+  importPlaylist,
+  addPlaylist,
+  editPlaylist,
+  removePlaylist,
+  exportPlaylist,
+  getUniquePlaylistName,
+  startPlaylistWriter
+} = await import('../src/services/playlists.js');
+const { publishTaskEvent } = await import('../src/services/events.js');
+const { deleteTask } = await import('../src/services/downloader.js');
+const { addUser } = await import('../src/services/users.js');
+const { startSession, SESSION_COOKIE } = await import('../src/services/auth.js');
+const { default: app } = await import('../src/server.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const song = (title, artist, id) => ({ type: 'song', title, artist, album: 'Album', copyrightId: id, contentId: id });
+
+const playlistDir = path.join(libraryDir, 'Playlists');
+
+// Mark a task downloaded, with an empty file in the library
+function finishTask(task) {
+  const libraryPath = path.join(libraryDir, task.artist, `${task.title}.mp3`);
+  fs.mkdirSync(path.dirname(libraryPath), { recursive: true });
+  fs.writeFileSync(libraryPath, '');
+  db.updateTaskStatus(task.id, 'done', null, { libraryPath });
+}
+
+const createTask = (title, artist, userId = null) => db.getTaskById(db.createTask({
+  service: 'migu',
+  title,
+  artist,
+  album: '',
+  coverUrl: '',
+  downloadUrl: `https://example.com/${title}.mp3`,
+  fileSize: '',
+  format: 'MP3',
+  userId
+}));
+
+const stubProvider = (resultsByQuery) => ({
+  id: 'migu',
+  search: async (query) => resultsByQuery[query] || [],
+  listQualities: () => [{ code: 'HQ', name: 'HQ', size: null }]
+});
+
+test('parsePlaylist - reads M3U with and without #EXTINF lines', async (t) => {
+  const entries = parsePlaylist([
+    '\uFEFF#EXTM3U',
+    '#EXTINF:215,Adele - Hello',
+    'C:\\Music\\adele\\hello.mp3',
+    '',
+    '/music/Jay Chou/Jay Chou - 晴天.flac',
+    'http://example.com/stream/Take_On_Me.mp3?x=1'
+  ].join('\r\n'), 'mix.m3u8');
+
+  assert.deepStrictEqual(entries.map(({ line, artist, title }) => ({ line, artist, title })), [
+    { line: 3, artist: 'Adele', title: 'Hello' },
+    { line: 5, artist: 'Jay Chou', title: '晴天' },
+    { line: 6, artist: '', title: 'Take On Me' }
+  ]);
+});
+
+test('parsePlaylist - reads PLS entries in number order', async (t) => {
+  const entries = parsePlaylist([
+    '[playlist]',
+    'File2=/music/a-ha - Take On Me.mp3',
+    'File1=/music/01.mp3',
+    'Title1=Adele - Hello',
+    'NumberOfEntries=2'
+  ].join('\n'));
+
+  assert.deepStrictEqual(entries.map(({ artist, title }) => ({ artist, title })), [
+    { artist: 'Adele', title: 'Hello' },
+    { artist: 'a-ha', title: 'Take On Me' }
+  ]);
+});
+
+test('importPlaylist - queues matches as a playlist job and exports its downloaded tracks', async (t) => {
+  const provider = stubProvider({
+    'Adele Hello': [song('Hello', 'Adele', 'hello')],
+    'a-ha Take On Me': [song('Take On Me', 'a-ha', 'take')]
+  });
+  const entries = parsePlaylist('#EXTINF:-1,Adele - Hello\nhello.mp3\na-ha - Take On Me.mp3\nNobody - Nothing.mp3\n');
+
+  const report = await importPlaylist(entries, provider, { name: 'Road Trip', filename: 'road.m3u' });
+
+  assert.strictEqual(report.job.type, 'playlist');
+  assert.deepStrictEqual(report.playlist.tasks.map(task => task.title), ['Hello', 'Take On Me']);
+  assert.strictEqual(report.playlist.job_id, report.job.id);
+  assert.deepStrictEqual(report.unmatched.map(entry => entry.title), ['Nothing']);
+
+  // Nothing downloaded yet, so there is no file
+  assert.strictEqual(exportPlaylist(report.playlist.id), null);
+
+  const [hello, take] = report.playlist.tasks;
+  finishTask(hello);
+  db.updateTaskStatus(take.id, 'failed', 'Download failed');
+
+  const filePath = exportPlaylist(report.playlist.id);
+  assert.strictEqual(filePath, path.join(playlistDir, 'Road Trip.m3u8'));
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '#EXTM3U\n#EXTINF:-1,Adele - Hello\n../Adele/Hello.mp3\n');
+  assert.strictEqual(db.getPlaylistById(report.playlist.id).file_path, filePath);
+
+  const again = await importPlaylist(parsePlaylist('Adele - Hello.mp3'), provider, { name: 'road trip' });
+  assert.strictEqual(again.playlist.name, 'road trip (2)', 'names are unique regardless of case');
+
+  const nothing = await importPlaylist(parsePlaylist('Nobody - Nothing.mp3'), provider, { name: 'Empty' });
+  assert.strictEqual(nothing.job, null);
+  assert.strictEqual(nothing.playlist, null);
+});
+
+test('editPlaylist - reorders, renames and removes the old file', async (t) => {
+  const first = createTask('First', 'Band');
+  const second = createTask('Second', 'Band');
+  finishTask(first);
+  finishTask(second);
+
+  const playlist = addPlaylist({ name: 'Mix' }, [first.id, second.id]);
+  assert.strictEqual(playlist.total, 2);
+  assert.strictEqual(playlist.done, 2);
+  assert.match(fs.readFileSync(path.join(playlistDir, 'Mix.m3u8'), 'utf8'), /First\.mp3\n.*\n.*Second\.mp3/);
+
+  const edited = editPlaylist(playlist.id, { name: 'Mix 2', taskIds: [second.id, first.id] });
+  assert.deepStrictEqual(edited.tasks.map(task => task.id), [second.id, first.id]);
+  assert.ok(!fs.existsSync(path.join(playlistDir, 'Mix.m3u8')));
+  assert.match(fs.readFileSync(edited.file_path, 'utf8'), /Second\.mp3\n.*\n.*First\.mp3/);
+
+  assert.strictEqual(removePlaylist(playlist.id), true);
+  assert.ok(!fs.existsSync(edited.file_path));
+  assert.strictEqual(db.getTaskById(first.id).status, 'done', 'tracks are kept');
+  assert.strictEqual(removePlaylist(playlist.id), false);
+});
+
+test('getUniquePlaylistName - names sharing a playlist file are taken', async (t) => {
+  const track = createTask('Thunderstruck', 'AC/DC');
+  finishTask(track);
+  const playlist = addPlaylist({ name: 'AC/DC' }, [track.id]);
+  assert.strictEqual(path.basename(playlist.file_path), 'AC-DC.m3u8');
+
+  assert.strictEqual(getUniquePlaylistName('ac-dc'), 'ac-dc (2)');
+  assert.strictEqual(getUniquePlaylistName('AC DC'), 'AC DC');
+
+  const renamed = addPlaylist({ name: getUniquePlaylistName('AC-DC') }, [track.id]);
+  assert.strictEqual(path.basename(renamed.file_path), 'AC-DC (2).m3u8');
+  assert.match(fs.readFileSync(playlist.file_path, 'utf8'), /Thunderstruck\.mp3/, 'the first file is kept');
+
+  removePlaylist(playlist.id);
+  removePlaylist(renamed.id);
+});
+
+test('startPlaylistWriter - exports when a track finishes and drops deleted tasks', async (t) => {
+  startPlaylistWriter();
+  const kept = createTask('Kept', 'Writer');
+  const later = createTask('Later', 'Writer');
+  finishTask(kept);
+  const playlist = addPlaylist({ name: 'Live' }, [kept.id, later.id]);
+
+  finishTask(later);
+  publishTaskEvent('task.status', db.getTaskById(later.id));
+  assert.match(fs.readFileSync(playlist.file_path, 'utf8'), /Later\.mp3/);
+
+  deleteTask(later.id);
+  assert.deepStrictEqual(db.getTasksByPlaylistId(playlist.id).map(task => task.id), [kept.id]);
+  assert.doesNotMatch(fs.readFileSync(playlist.file_path, 'utf8'), /Later\.mp3/);
+});
+
+test('library playlist routes - users only reach their own playlists', async (t) => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/library/playlists`;
+
+  const anna = addUser({ username: 'anna', password: 'anna-secret' });
+  const bob = addUser({ username: 'bob', password: 'bob-secret' });
+  const request = (user, url, method = 'GET', body) => fetch(url, {
+    method,
+    headers: { cookie: `${SESSION_COOKIE}=${startSession(user).token}`, 'content-type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+
+  const track = createTask('Private', 'Anna', anna.id);
+  const jobId = db.createJob({ type: 'album', service: 'migu', userId: anna.id }, [{
+    service: 'migu', title: 'Album Track', artist: 'Anna', downloadUrl: 'https://example.com/album.mp3'
+  }]);
+
+  const created = await request(anna, baseUrl, 'POST', { name: 'Anna Only', taskIds: [track.id] });
+  assert.strictEqual(created.status, 201);
+  const playlist = await created.json();
+  assert.strictEqual(db.getPlaylistById(playlist.id).user_id, anna.id);
+
+  const listed = await (await request(bob, baseUrl)).json();
+  assert.ok(!listed.some(item => item.id === playlist.id));
+  assert.strictEqual((await request(bob, `${baseUrl}/${playlist.id}`)).status, 404);
+  assert.strictEqual((await request(bob, `${baseUrl}/${playlist.id}`, 'PATCH', { name: 'Taken' })).status, 404);
+  assert.strictEqual((await request(bob, `${baseUrl}/${playlist.id}`, 'DELETE')).status, 404);
+  assert.strictEqual(db.getPlaylistById(playlist.id).name, 'Anna Only');
+
+  assert.strictEqual((await request(bob, baseUrl, 'POST', { name: 'Stolen', taskIds: [track.id] })).status, 400);
+  assert.strictEqual((await request(bob, baseUrl, 'POST', { name: 'Stolen', jobId })).status, 400);
+
+  assert.strictEqual((await request(anna, `${baseUrl}/${playlist.id}`)).status, 200);
+  const all = await (await request(db.getUserByUsername('admin'), baseUrl)).json();
+  assert.ok(all.some(item => item.id === playlist.id), 'admins see every playlist');
+
+  const ownTrack = createTask('Own', 'Bob', bob.id);
+  const othersName = await request(bob, baseUrl, 'POST', { name: 'anna only', taskIds: [ownTrack.id] });
+  assert.strictEqual(othersName.status, 409);
+  assert.doesNotMatch((await othersName.json()).message, /Anna Only/, 'another user\'s playlist name stays hidden');
+  const sharedFile = await request(bob, baseUrl, 'POST', { name: 'Anna Only?', taskIds: [ownTrack.id] });
+  assert.strictEqual(sharedFile.status, 409);
+  assert.match((await sharedFile.json()).message, /"Anna Only\?" is not available/);
+  await request(bob, baseUrl, 'POST', { name: 'Bob/Mix', taskIds: [ownTrack.id] });
+  const clash = await request(bob, baseUrl, 'POST', { name: 'Bob-Mix', taskIds: [ownTrack.id] });
+  assert.strictEqual(clash.status, 409);
+  assert.match((await clash.json()).message, /share the playlist file of "Bob\/Mix"/);
+});
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  getDefaultProviderId,
+  checkDefaultService,
+  describeProvider,
+  fetchProviderLyrics
+} from '../src/providers/index.js';
+import config from '../src/config.js';
+
+const stubProvider = (id, extra = {}) => ({
+  id,
+  name: `Stub ${id}`,
+  searchTypes: ['song'],
+  qualities: [{ code: 'HQ', name: 'HQ' }],
+  search: async () => [],
+  listQualities: () => [],
+  resolve: async () => ({ finalUrl: null }),
+  ...extra
+});
+
+test('registerProvider - rejects incomplete and duplicate providers', async (t) => {
+  assert.throws(() => registerProvider({ name: 'No id' }), /must have an id/);
+  assert.throws(() => registerProvider(stubProvider('partial', { resolve: undefined })), /missing: resolve/);
+  assert.throws(() => registerProvider(stubProvider('migu')), /already registered/);
+  assert.strictEqual(getProvider('partial'), undefined);
+});
+
+test('registry - lists providers and reports their capabilities', async (t) => {
+  registerProvider(stubProvider('stub'));
+  t.after(() => unregisterProvider('stub'));
+
+  assert.deepStrictEqual(listProviders().map(provider => provider.id), ['migu', 'direct', 'local', 'stub']);
+  assert.deepStrictEqual(describeProvider(getProvider('stub')).capabilities, []);
+  assert.deepStrictEqual(
+    describeProvider(getProvider('migu')).capabilities,
+    ['getAlbum', 'getArtistSongs', 'getPlaylistSongs']
+  );
+});
+
+test('getDefaultProviderId - falls back to the first registered provider', async (t) => {
+  assert.strictEqual(getDefaultProviderId(), 'migu');
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  t.after(() => {
+    config.DEFAULT_SERVICE = '';
+  });
+  config.DEFAULT_SERVICE = 'direct';
+  assert.strictEqual(getDefaultProviderId(), 'direct');
+  assert.strictEqual(checkDefaultService(), true);
+
+  config.DEFAULT_SERVICE = 'missing';
+  assert.strictEqual(getDefaultProviderId(), 'migu');
+  assert.strictEqual(getDefaultProviderId(), 'migu');
+  assert.strictEqual(warn.mock.callCount(), 0, 'only the startup check warns');
+  assert.strictEqual(checkDefaultService(), false);
+  assert.match(warn.mock.calls[0].arguments[0], /DEFAULT_SERVICE "missing" is not a registered provider, using "migu"/);
+});
+
+test('fetchProviderLyrics - asks the task\'s provider, if it has a fetchLyrics hook', async (t) => {
+  registerProvider(stubProvider('stub', { fetchLyrics: async (task) => `[00:01.00]${task.title}` }));
+  t.after(() => unregisterProvider('stub'));
+
+  assert.strictEqual(await fetchProviderLyrics({ service: 'stub', title: 'Song' }), '[00:01.00]Song');
+  assert.strictEqual(await fetchProviderLyrics({ service: 'direct', title: 'Song' }), null);
+  assert.strictEqual(await fetchProviderLyrics({ service: 'unknown', title: 'Song' }), null);
+});
+
+test('migu provider - lists the qualities present in rawFormat, best first', async (t) => {
+  const migu = getProvider('migu');
+  const rawFormat = JSON.stringify([
+    { formatType: 'PQ', androidFormat: '000019', size: '3.2M' },
+    { formatType: 'SQ', androidFormat: '011002', size: '30M' }
+  ]);
+
+  assert.deepStrictEqual(migu.listQualities({ raw_format: rawFormat }).map(quality => quality.code), ['SQ', 'PQ']);
+  assert.strictEqual(migu.listQualities({ rawFormat: JSON.parse(rawFormat) })[1].size, '3.2M');
+  assert.deepStrictEqual(migu.listQualities({}).map(quality => quality.code), ['HQ'], 'unknown formats default to HQ');
+});
+
+test('migu provider - tasks need a downloadUrl or a copyrightId', async (t) => {
+  const migu = getProvider('migu');
+
+  assert.strictEqual(migu.validateTask({ copyrightId: '60054701923' }), null);
+  assert.strictEqual(migu.validateTask({ downloadUrl: 'https://example.com/a.mp3' }), null);
+  assert.match(migu.validateTask({}).error, /downloadUrl or copyrightId/);
+});
+
+test('direct provider - only accepts http(s) URLs', async (t) => {
+  const direct = getProvider('direct');
+
+  assert.strictEqual(direct.validateTask({ downloadUrl: 'https://example.com/song.flac' }), null);
+  assert.match(direct.validateTask({ downloadUrl: 'file:///etc/passwd' }).error, /downloadUrl/);
+  assert.match(direct.validateTask({}).error, /downloadUrl/);
+  assert.deepStrictEqual(await direct.search('not a link'), []);
+});
+
+test('direct provider - fills missing fields from a HEAD probe', async (t) => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/page') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+    } else if (req.url === '/gone.mp3') {
+      res.writeHead(404);
+    } else {
+      res.writeHead(200, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': 'attachment; filename="My_Song.flac"',
+        'Content-Length': 1024
+      });
+    }
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const direct = getProvider('direct');
+
+  const taskData = await direct.prepareTask({ downloadUrl: `${base}/download?id=1`, album: 'Known' });
+  assert.strictEqual(taskData.title, 'My Song');
+  assert.strictEqual(taskData.artist, 'Unknown Artist');
+  assert.strictEqual(taskData.format, 'FLAC');
+  assert.ok(taskData.fillFromTags.includes('title') && taskData.fillFromTags.includes('artist'));
+  assert.ok(!taskData.fillFromTags.includes('album'), 'fields given by the caller are kept');
+
+  const named = await direct.prepareTask({ downloadUrl: `${base}/x.mp3`, title: 'Given', artist: 'Someone' });
+  assert.strictEqual(named.title, 'Given');
+  assert.ok(!named.fillFromTags.includes('title'));
+
+  const [found] = await direct.search(`${base}/download?id=1`);
+  const fromSearch = await direct.prepareTask({ downloadUrl: found.downloadUrl, title: found.title, artist: found.artist });
+  assert.ok(fromSearch.fillFromTags.includes('title'), 'the file name title from search is only a guess');
+
+  await assert.rejects(direct.prepareTask({ downloadUrl: `${base}/gone.mp3` }), /HTTP 404/);
+  await assert.rejects(direct.prepareTask({ downloadUrl: `${base}/page` }), /not point to an audio file/);
+});
+
+test('direct provider - resolves every accepted link to itself', async (t) => {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'HEAD' && req.url === '/no-head.mp3') {
+      res.writeHead(405);
+    } else {
+      res.writeHead(200, { 'Content-Type': req.url === '/no-head.mp3' ? 'audio/mpeg' : 'application/ogg' });
+    }
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const direct = getProvider('direct');
+
+  for (const downloadUrl of [`${base}/no-head.mp3`, `${base}/song.ogg`]) {
+    await direct.prepareTask({ downloadUrl });
+    assert.deepStrictEqual(await direct.resolve({ download_url: downloadUrl }, 'ORIGINAL'), { finalUrl: downloadUrl });
+  }
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the database, staging directory and library at a throwaway directory before they are imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-recovery-test-'));
+const stagingDir = path.join(configDir, 'staging');
+process.env.CONFIG_DIR = configDir;
+process.env.LIBRARY_DIR = path.join(configDir, 'library');
+process.env.STAGING_DIR = stagingDir;
+process.env.STAGING_ORPHAN_AGE_MS = String(60 * 60 * 1000);
+
+const db = await import('../src/db/database.js');
+const { runStartupRecovery, recoverInterruptedTasks, sweepStagingDir } = await import('../src/services/recovery.js');
+const { processDownloadTask, getLibraryTargetPath } = await import('../src/services/downloader.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+fs.mkdirSync(stagingDir, { recursive: true });
+
+function writeStagingFile(name, size = 16, ageMs = 0) {
+  const filePath = path.join(stagingDir, name);
+  fs.writeFileSync(filePath, Buffer.alloc(size));
+  if (ageMs > 0) {
+    const time = new Date(Date.now() - ageMs);
+    fs.utimesSync(filePath, time, time);
+  }
+  return filePath;
+}
+
+// A task left behind in `status` by a restart
+function createInterruptedTask(title, status, stagingPath = null) {
+  const taskId = db.createTask({
+    service: 'local',
+    title,
+    artist: 'Recovery Artist',
+    album: '',
+    downloadUrl: `file:///missing/${title}.mp3`,
+    format: 'MP3',
+    preferredToneFlag: 'ORIGINAL'
+  });
+  db.updateTaskStatus(taskId, status, null, { stagingPath, progress: 40 });
+  return taskId;
+}
+
+test('recoverInterruptedTasks - resumes, organizes or restarts each interrupted task', async (t) => {
+  const partial = createInterruptedTask('Partial', 'downloading', writeStagingFile('task_901_1.tmp', 300));
+  const renamed = createInterruptedTask('Renamed', 'downloading', path.join(stagingDir, 'task_902_1.tmp'));
+  const renamedFile = writeStagingFile('task_902_1.mp3');
+  const organizing = createInterruptedTask('Organizing', 'organizing', writeStagingFile('task_903_1.mp3'));
+  const lost = createInterruptedTask('Lost', 'downloading', path.join(stagingDir, 'task_904_1.tmp'));
+  const untouched = createInterruptedTask('Untouched', 'queued');
+
+  const report = recoverInterruptedTasks();
+
+  const actions = Object.fromEntries(report.map(task => [task.id, task.action]));
+  assert.deepStrictEqual(actions, { [partial]: 'resume', [renamed]: 'organize', [organizing]: 'organize', [lost]: 'restart' });
+  assert.strictEqual(report.find(task => task.id === organizing).from, 'organizing');
+
+  for (const taskId of [partial, renamed, organizing, lost]) {
+    assert.strictEqual(db.getTaskById(taskId).status, 'queued');
+  }
+  assert.strictEqual(db.getTaskById(partial).staging_offset, 300);
+  assert.strictEqual(db.getTaskById(partial).progress, 40, 'a resumed download keeps its progress');
+  assert.strictEqual(db.getTaskById(renamed).staging_path, renamedFile);
+  assert.strictEqual(db.getTaskById(lost).progress, 0);
+  assert.strictEqual(db.getTaskById(untouched).status, 'queued');
+  assert.ok(!report.some(task => task.id === untouched));
+});
+
+test('sweepStagingDir - removes only old files no unfinished task refers to', async (t) => {
+  const hour = 60 * 60 * 1000;
+  const kept = writeStagingFile('task_911_1.tmp', 16, 2 * hour);
+  createInterruptedTask('Kept', 'paused', kept);
+  const orphan = writeStagingFile('task_912_1.mp3', 64, 2 * hour);
+  const tagging = writeStagingFile('task_914_1.mp3.tagging', 32, 2 * hour);
+  const fresh = writeStagingFile('task_913_1.tmp', 16);
+  const other = writeStagingFile('notes.txt', 16, 2 * hour);
+
+  const swept = sweepStagingDir(stagingDir);
+
+  assert.deepStrictEqual(swept.sort((a, b) => a.path.localeCompare(b.path)), [
+    { path: orphan, size: 64 },
+    { path: tagging, size: 32 }
+  ]);
+  assert.ok(fs.existsSync(kept));
+  assert.ok(fs.existsSync(fresh), 'files younger than STAGING_ORPHAN_AGE_MS may belong to a running download');
+  assert.ok(fs.existsSync(other), 'files that are not staging files are left alone');
+  assert.deepStrictEqual(sweepStagingDir(path.join(configDir, 'missing')), []);
+});
+
+test('runStartupRecovery - an interrupted organize step finishes without downloading again', async (t) => {
+  const stagingPath = writeStagingFile('task_921_1.mp3', 128);
+  const taskId = createInterruptedTask('Finished', 'organizing', stagingPath);
+
+  const report = runStartupRecovery(Date.now() + 2 * 60 * 60 * 1000);
+  assert.ok(report.tasks.some(task => task.id === taskId && task.action === 'organize'));
+  assert.ok(fs.existsSync(stagingPath), 'staging files of requeued tasks are not swept');
+
+  // The source URL does not exist, so this only succeeds if nothing is downloaded
+  await processDownloadTask(taskId);
+
+  const task = db.getTaskById(taskId);
+  assert.strictEqual(task.status, 'done', task.error_message);
+  assert.strictEqual(fs.statSync(task.library_path).size, 128);
+  assert.ok(!fs.existsSync(stagingPath));
+});
+
+test('runStartupRecovery - the library copy of an interrupted organize step is not a duplicate', async (t) => {
+  const staged = Buffer.from('staged audio '.repeat(10));
+  let stagedCount = 0;
+  const interrupt = (title, libraryContent) => {
+    const stagingPath = writeStagingFile(`task_93${++stagedCount}_1.mp3`);
+    fs.writeFileSync(stagingPath, staged);
+    const taskId = createInterruptedTask(title, 'organizing', stagingPath);
+    const libraryPath = getLibraryTargetPath(db.getTaskById(taskId), '.mp3');
+    fs.mkdirSync(path.dirname(libraryPath), { recursive: true });
+    fs.writeFileSync(libraryPath, libraryContent);
+    return { taskId, libraryPath };
+  };
+
+  const copied = interrupt('Copied', staged);
+  const cutOff = interrupt('CutOff', staged.subarray(0, 40));
+  const other = interrupt('Other', Buffer.from('another recording'));
+
+  runStartupRecovery();
+  assert.ok(!fs.existsSync(copied.libraryPath));
+  assert.ok(!fs.existsSync(cutOff.libraryPath));
+  assert.deepStrictEqual(fs.readFileSync(other.libraryPath), Buffer.from('another recording'));
+
+  for (const { taskId, libraryPath } of [copied, cutOff]) {
+    await processDownloadTask(taskId);
+    const task = db.getTaskById(taskId);
+    assert.strictEqual(task.status, 'done', task.error_message);
+    assert.strictEqual(task.library_path, libraryPath);
+    assert.deepStrictEqual(fs.readFileSync(libraryPath), staged);
+  }
+
+  await processDownloadTask(other.taskId);
+  assert.strictEqual(db.getTaskById(other.taskId).status, 'skipped', 'a different file is a real duplicate');
+});
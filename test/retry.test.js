@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { classifyError, classifyResolveError, getRetryDelay } from '../src/utils/retry.js';
+
+test('classifyError - network failures and 5xx are transient', async (t) => {
+  const timeout = new Error('Timeout awaiting \'request\' for 60000ms');
+  timeout.name = 'TimeoutError';
+  const reset = Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+  const serverError = Object.assign(new Error('Response code 503'), { response: { statusCode: 503 } });
+
+  assert.strictEqual(classifyError(timeout), 'transient');
+  assert.strictEqual(classifyError(reset), 'transient');
+  assert.strictEqual(classifyError(serverError), 'transient');
+  assert.strictEqual(classifyError(new Error('Failed to resolve download URL: HTTP 502  for toneFlag=HQ')), 'transient');
+  assert.strictEqual(classifyError({ statusCode: 429, message: 'Too many requests' }), 'transient');
+});
+
+test('classifyError - 4xx and copyright errors are permanent', async (t) => {
+  const notFound = Object.assign(new Error('Response code 404'), { response: { statusCode: 404 } });
+
+  assert.strictEqual(classifyError(notFound), 'permanent');
+  assert.strictEqual(classifyError({ statusCode: 403, message: 'Forbidden', code: 'PE' }), 'permanent');
+  assert.strictEqual(classifyError(new Error('歌曲无版权')), 'permanent');
+  assert.strictEqual(classifyError(new Error('Missing copyrightId - cannot resolve Migu URL')), 'permanent');
+});
+
+test('classifyError - explicit classification wins', async (t) => {
+  const error = Object.assign(new Error('HTTP 503'), { classification: 'permanent' });
+  assert.strictEqual(classifyError(error), 'permanent');
+});
+
+test('classifyResolveError - transient if any upstream API failed transiently', async (t) => {
+  const permanentOnly = {
+    attempts: [
+      { api: 'toneFlag_mapping', message: 'rawFormat missing' },
+      { api: 'listenSong.do', statusCode: 400, message: 'PE parameter error' },
+      { api: 'resourceinfo.do?resourceType=2', code: '100001', message: 'Song has no copyright' }
+    ]
+  };
+  const mixed = {
+    attempts: [
+      { api: 'listenSong.do', statusCode: 400, message: 'PE parameter error' },
+      { api: 'resourceinfo.do?resourceType=2', message: 'connect ETIMEDOUT 1.2.3.4:443' }
+    ]
+  };
+
+  assert.strictEqual(classifyResolveError(permanentOnly), 'permanent');
+  assert.strictEqual(classifyResolveError(mixed), 'transient');
+  assert.strictEqual(classifyResolveError({ attempts: [{ api: 'toneFlag_mapping' }] }), 'transient');
+});
+
+test('getRetryDelay - exponential backoff with bounded jitter', async (t) => {
+  const policy = { baseDelayMs: 1000, jitter: 0.5 };
+
+  assert.strictEqual(getRetryDelay(1, { baseDelayMs: 1000, jitter: 0 }), 1000);
+  assert.strictEqual(getRetryDelay(3, { baseDelayMs: 1000, jitter: 0 }), 4000);
+
+  // random() = 0 gives the lower bound, random() -> 1 the upper bound
+  assert.strictEqual(getRetryDelay(2, policy, () => 0), 1000);
+  assert.strictEqual(getRetryDelay(2, policy, () => 0.5), 2000);
+  assert.ok(getRetryDelay(2, policy, () => 0.999) <= 3000);
+
+  // Delays are capped at one hour
+  assert.strictEqual(getRetryDelay(30, { baseDelayMs: 1000, jitter: 0 }), 60 * 60 * 1000);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the database at a throwaway config directory before it is imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-server-test-'));
+process.env.CONFIG_DIR = configDir;
+process.env.LIBRARY_DIR = path.join(configDir, 'Library');
+
+const db = await import('../src/db/database.js');
+const { default: app } = await import('../src/server.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('GET /api/tasks - pages with the cursor and rejects invalid cursors with 400', async (t) => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  const listTasks = (query) => fetch(`http://127.0.0.1:${server.address().port}/api/tasks?${new URLSearchParams(query)}`);
+
+  for (const n of [1, 2, 3]) {
+    db.createTask({ service: 'direct', title: `Song ${n}`, artist: 'Artist', downloadUrl: `http://example.com/${n}.mp3` });
+  }
+
+  const first = await listTasks({ sort: 'title', order: 'asc', limit: '2' });
+  assert.deepStrictEqual((await first.json()).map(task => task.title), ['Song 1', 'Song 2']);
+  const next = await listTasks({ sort: 'title', order: 'asc', limit: '2', cursor: first.headers.get('x-next-cursor') });
+  assert.deepStrictEqual((await next.json()).map(task => task.title), ['Song 3']);
+
+  for (const cursor of [
+    'not a cursor',
+    encodeCursor({ value: 'Song 1', id: 1 }),
+    encodeCursor(['Song 1', 'one']),
+    encodeCursor([{ title: 'Song 1' }, 1]),
+    encodeCursor([['Song 1'], 1]),
+    encodeCursor([null, 1]),
+    encodeCursor([true, 1])
+  ]) {
+    const response = await listTasks({ sort: 'title', cursor });
+    assert.strictEqual(response.status, 400, `cursor ${cursor}`);
+    assert.match((await response.json()).message, /Invalid cursor/);
+  }
+
+  const repeated = await fetch(`http://127.0.0.1:${server.address().port}/api/tasks?cursor=a&cursor=b`);
+  assert.strictEqual(repeated.status, 400);
+});
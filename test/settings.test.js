@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Point the database at a throwaway config directory and set the environment before they are imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-settings-test-'));
+process.env.CONFIG_DIR = configDir;
+process.env.DOWNLOAD_CONCURRENCY = '3';
+process.env.EMBED_LYRICS = 'true';
+process.env.LOCKED_SETTINGS = 'EMBED_LYRICS';
+process.env.ADMIN_PASSWORD = 'correct horse';
+
+const db = await import('../src/db/database.js');
+const { default: config } = await import('../src/config.js');
+const { loadSettings, listSettings, getSettingValue, updateSettings } = await import('../src/services/settings.js');
+const { getConcurrency, getLibraryTemplate } = await import('../src/services/downloader.js');
+const { getDuplicatePolicy } = await import('../src/services/duplicates.js');
+const { addUser, getBuiltinAdmin } = await import('../src/services/users.js');
+const { startSession, SESSION_COOKIE } = await import('../src/services/auth.js');
+const { default: app } = await import('../src/server.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const describe = (key) => listSettings().find(setting => setting.key === key);
+
+test('listSettings - environment variables give initial values or lock settings', async (t) => {
+  loadSettings();
+
+  assert.deepStrictEqual(
+    (({ value, initialValue, saved, locked }) => ({ value, initialValue, saved, locked }))(describe('downloadConcurrency')),
+    { value: 3, initialValue: 3, saved: false, locked: false }
+  );
+  assert.strictEqual(describe('embedLyrics').locked, true);
+  assert.strictEqual(describe('duplicatePolicy').value, 'skip', 'unset variables use the default');
+  assert.ok(describe('defaultQuality').values.includes('SQ'), 'qualities come from the providers');
+});
+
+test('updateSettings - rejects the whole change if one setting is invalid', async (t) => {
+  assert.throws(
+    () => updateSettings({ duplicatePolicy: 'keep-both', downloadConcurrency: 0, embedLyrics: false, colour: 'red', defaultQuality: 'XQ' }),
+    (error) => {
+      assert.deepStrictEqual(error.fields.map(field => field.key), ['downloadConcurrency', 'embedLyrics', 'colour', 'defaultQuality']);
+      assert.match(error.fields[1].message, /Locked by the EMBED_LYRICS environment variable/);
+      return true;
+    }
+  );
+
+  assert.strictEqual(getSettingValue('duplicatePolicy'), 'skip');
+  assert.deepStrictEqual(db.getStoredSettings(), {});
+
+  assert.throws(() => updateSettings({ libraryPathTemplate: '{artist}/{nope}' }), /libraryPathTemplate: /);
+  assert.throws(() => updateSettings({ coverArtFiles: ['../cover.jpg'] }), /must be file names/);
+});
+
+test('updateSettings - saves, applies and resets settings', async (t) => {
+  updateSettings({
+    downloadConcurrency: '4',
+    duplicatePolicy: 'keep-both',
+    libraryPathTemplate: '{artist}/{album}/{title}',
+    degradeOrder: 'SQ, HQ',
+    allowDegrade: 'true'
+  });
+
+  assert.strictEqual(getConcurrency(), 4);
+  assert.strictEqual(getDuplicatePolicy(), 'keep-both');
+  assert.strictEqual(getLibraryTemplate(), '{artist}/{album}/{title}');
+  assert.deepStrictEqual(config.DEGRADE_ORDER, ['SQ', 'HQ']);
+  assert.strictEqual(config.ALLOW_DEGRADE, true);
+  assert.strictEqual(db.getStoredSettings().downloadConcurrency, 4);
+
+  // Saved values survive a restart
+  config.DUPLICATE_POLICY = 'skip';
+  loadSettings();
+  assert.strictEqual(getDuplicatePolicy(), 'keep-both');
+
+  updateSettings({ downloadConcurrency: null });
+  assert.strictEqual(getConcurrency(), 3, 'back to DOWNLOAD_CONCURRENCY');
+  assert.strictEqual(describe('downloadConcurrency').saved, false);
+});
+
+test('loadSettings - ignores saved values that are no longer valid', async (t) => {
+  db.saveSettings({ defaultQuality: 'XQ', retryMaxAttempts: 5, removedSetting: true });
+  loadSettings();
+
+  assert.strictEqual(getSettingValue('defaultQuality'), 'HQ');
+  assert.strictEqual(config.RETRY_MAX_ATTEMPTS, 5);
+});
+
+test('GET /api/settings - users who are not admins only get the download defaults', async (t) => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  const request = (user, method = 'GET', body) => fetch(`http://127.0.0.1:${server.address().port}/api/settings`, {
+    method,
+    headers: { cookie: `${SESSION_COOKIE}=${startSession(user).token}`, 'content-type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  const user = addUser({ username: 'anna', password: 'anna-secret' });
+
+  const { settings } = await (await request(user)).json();
+  assert.deepStrictEqual(settings.map(setting => setting.key), ['defaultQuality', 'allowDegrade', 'degradeOrder']);
+  assert.strictEqual((await request(user, 'PUT', { defaultQuality: 'SQ' })).status, 403);
+
+  const all = (await (await request(getBuiltinAdmin())).json()).settings;
+  assert.deepStrictEqual(all.map(setting => setting.key), listSettings().map(setting => setting.key));
+  assert.ok(all.some(setting => setting.key === 'libraryPathTemplate'));
+});
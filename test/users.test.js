@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+// Point the database at a throwaway config directory and turn authentication on before they are imported
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicn-users-test-'));
+process.env.CONFIG_DIR = configDir;
+process.env.LIBRARY_DIR = path.join(configDir, 'Library');
+process.env.ADMIN_PASSWORD = 'correct horse';
+
+const db = await import('../src/db/database.js');
+const {
+  getBuiltinAdmin,
+  addUser,
+  editUser,
+  removeUser,
+  listUsers,
+  checkDailyQuota,
+  getLibraryRoot
+} = await import('../src/services/users.js');
+const { verifyLogin, startSession, authenticateRequest, requireAdmin, SESSION_COOKIE } = await import('../src/services/auth.js');
+const { checkDuplicateTask } = await import('../src/services/duplicates.js');
+
+test.after(() => {
+  db.getDatabase().close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+const song = (userId, n = 1) => ({
+  service: 'direct',
+  title: `Song ${n}`,
+  artist: 'Artist',
+  downloadUrl: `http://example.com/${n}.mp3`,
+  userId
+});
+
+test('addUser - validates fields and hashes the password', async (t) => {
+  assert.throws(
+    () => addUser({ username: 'admin', password: 'short', role: 'owner', dailyQuota: -1, librarySubfolder: '../Anna' }),
+    (error) => {
+      assert.deepStrictEqual(error.fields.map(field => field.key), ['username', 'password', 'role', 'dailyQuota', 'librarySubfolder']);
+      return true;
+    }
+  );
+
+  const anna = addUser({ username: 'anna', password: 'anna-secret', dailyQuota: 2, librarySubfolder: 'Anna' });
+  assert.deepStrictEqual(
+    (({ username, role, daily_quota, library_subfolder, builtin }) => ({ username, role, daily_quota, library_subfolder, builtin }))(anna),
+    { username: 'anna', role: 'user', daily_quota: 2, library_subfolder: 'Anna', builtin: false }
+  );
+  assert.ok(!('password_hash' in anna));
+  assert.match(db.getUserById(anna.id).password_hash, /^scrypt:/);
+});
+
+test('verifyLogin - the admin uses ADMIN_PASSWORD, accounts their own password', async (t) => {
+  assert.strictEqual(verifyLogin(undefined, 'correct horse').username, 'admin');
+  assert.strictEqual(verifyLogin('Admin', 'correct horse').username, 'admin');
+  assert.strictEqual(verifyLogin('ANNA', 'anna-secret').username, 'anna', 'names ignore case');
+  assert.strictEqual(verifyLogin('anna', 'correct horse'), null);
+  assert.strictEqual(verifyLogin('nobody', 'anna-secret'), null);
+
+  const anna = db.getUserByUsername('anna');
+  const { token } = startSession(anna);
+  assert.strictEqual(authenticateRequest({ headers: { cookie: `${SESSION_COOKIE}=${token}` } }).user.id, anna.id);
+});
+
+test('verifyLogin - unknown names cost the same scrypt run as a wrong password', async (t) => {
+  const scrypt = t.mock.method(crypto, 'scryptSync');
+
+  assert.strictEqual(verifyLogin('anna', 'wrong password'), null);
+  assert.strictEqual(scrypt.mock.callCount(), 1);
+  assert.strictEqual(verifyLogin('nobody', 'wrong password'), null);
+  assert.strictEqual(scrypt.mock.callCount(), 2);
+  assert.strictEqual(scrypt.mock.calls[1].arguments[2], scrypt.mock.calls[0].arguments[2], 'same key length');
+});
+
+test('editUser - the built-in admin keeps its role and password', async (t) => {
+  const admin = getBuiltinAdmin();
+  assert.throws(() => editUser(admin.id, { role: 'user' }), /stays an admin/);
+  assert.throws(() => editUser(admin.id, { password: 'new password' }), /ADMIN_PASSWORD/);
+  assert.throws(() => removeUser(admin.id), /cannot be deleted/);
+
+  const anna = db.getUserByUsername('anna');
+  assert.strictEqual(editUser(anna.id, { librarySubfolder: 'Family/Anna' }).library_subfolder, 'Family/Anna');
+  assert.strictEqual(getLibraryRoot(anna.id), path.join(configDir, 'Library', 'Family', 'Anna'));
+  assert.strictEqual(getLibraryRoot(admin.id), path.join(configDir, 'Library'));
+  assert.strictEqual(editUser(9999, { dailyQuota: 1 }), null);
+});
+
+test('checkDailyQuota - counts today\'s tasks of the user except skipped duplicates', async (t) => {
+  const anna = db.getUserByUsername('anna');
+  checkDailyQuota(anna, 2);
+
+  db.createTask(song(anna.id, 1));
+  db.createTask({ ...song(anna.id, 1), status: 'skipped' });
+  db.createTask(song(getBuiltinAdmin().id, 2));
+  assert.throws(() => checkDailyQuota(anna, 2), (error) => {
+    assert.match(error.message, /Only 1 of the daily quota of 2 downloads left, 2 requested/);
+    assert.deepStrictEqual((({ limit, used, remaining }) => ({ limit, used, remaining }))(error.quota), { limit: 2, used: 1, remaining: 1 });
+    return true;
+  });
+  checkDailyQuota(anna, 1);
+  checkDailyQuota(getBuiltinAdmin(), 100);
+
+  assert.strictEqual(listUsers().find(user => user.id === anna.id).quota.used, 1);
+});
+
+test('tasks - listed and checked for duplicates per owner', async (t) => {
+  const anna = db.getUserByUsername('anna');
+  const admin = getBuiltinAdmin();
+
+  assert.deepStrictEqual(db.listTasks({ userId: anna.id }).tasks.map(task => task.user_id), [anna.id, anna.id]);
+  assert.strictEqual(db.listTasks().tasks.length, 3);
+
+  assert.strictEqual(checkDuplicateTask(song(anna.id, 1)).status, 'skipped');
+  assert.strictEqual(checkDuplicateTask(song(admin.id, 1)).status, undefined, 'another user\'s download is not a duplicate');
+
+  db.createTask(song(null, 3));
+  assert.strictEqual(checkDuplicateTask(song(anna.id, 3)).status, 'skipped', 'tasks without an owner count for everyone');
+});
+
+test('removeUser - keeps the tasks without an owner and ends the sessions', async (t) => {
+  const anna = db.getUserByUsername('anna');
+  const { token } = startSession(anna);
+
+  assert.strictEqual(removeUser(anna.id), true);
+  assert.strictEqual(removeUser(anna.id), false);
+  assert.strictEqual(authenticateRequest({ headers: { cookie: `${SESSION_COOKIE}=${token}` } }), null);
+  assert.strictEqual(db.listTasks().tasks.filter(task => task.user_id === null).length, 3);
+});
+
+test('requireAdmin - rejects users with 403', async (t) => {
+  const bob = addUser({ username: 'bob', password: 'bob-secret' });
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+
+  requireAdmin({ user: bob }, res, () => {
+    passed = true;
+  });
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 403);
+
+  requireAdmin({ user: getBuiltinAdmin() }, res, () => {
+    passed = true;
+  });
+  assert.strictEqual(passed, true);
+});